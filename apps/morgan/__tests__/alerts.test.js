@@ -0,0 +1,71 @@
+// __tests__/alerts.test.js
+
+jest.mock('node-fetch');
+
+const fetch = require('node-fetch');
+const { emitAlert, onAlert, listAlerts, resetAlerts } = require('../alerts');
+const { renderMetrics, resetMetrics } = require('../metrics');
+
+describe('alerts', () => {
+  const T0 = Date.parse('2026-03-02T15:00:00Z');
+
+  beforeEach(() => {
+    resetAlerts();
+    resetMetrics();
+    jest.clearAllMocks();
+    delete process.env.MORGAN_ALERT_WEBHOOK_URL;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('should notify listeners, keep the alert and count it', () => {
+    const listener = jest.fn();
+    const unsubscribe = onAlert(listener);
+
+    const alert = emitAlert({ type: 'stuck_call', severity: 'critical', message: 'Freed slot p1', at: T0 });
+
+    expect(alert).toMatchObject({ type: 'stuck_call', severity: 'critical', at: '2026-03-02T15:00:00.000Z' });
+    expect(listener).toHaveBeenCalledWith(alert);
+    expect(renderMetrics()).toContain('morgan_alerts_total{type="stuck_call",severity="critical"} 1');
+    expect(fetch).not.toHaveBeenCalled();
+
+    unsubscribe();
+    emitAlert({ type: 'orphan_call', at: T0 });
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  test('should list alerts newest first with filters', () => {
+    emitAlert({ type: 'stuck_call', at: T0 });
+    emitAlert({ type: 'orphan_call', at: T0 + 1000 });
+    emitAlert({ type: 'stuck_call', at: T0 + 2000 });
+
+    expect(listAlerts().alerts.map((a) => a.at)).toEqual([
+      '2026-03-02T15:00:02.000Z',
+      '2026-03-02T15:00:01.000Z',
+      '2026-03-02T15:00:00.000Z',
+    ]);
+    expect(listAlerts({ type: 'stuck_call' }).total).toBe(2);
+    expect(listAlerts({ since: '2026-03-02T15:00:01Z', limit: 1 })).toMatchObject({ total: 2, alerts: [{ type: 'stuck_call' }] });
+  });
+
+  test('should post alerts to the webhook without throwing on failure', async () => {
+    process.env.MORGAN_ALERT_WEBHOOK_URL = 'https://hooks.example.com/morgan';
+    fetch.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(() => emitAlert({ type: 'stuck_call', details: { callId: 'call-1' }, at: T0 })).not.toThrow();
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(fetch).toHaveBeenCalledWith('https://hooks.example.com/morgan', expect.objectContaining({ method: 'POST' }));
+    expect(JSON.parse(fetch.mock.calls[0][1].body).details).toEqual({ callId: 'call-1' });
+    expect(console.error).toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+
+  test('should require a type', () => {
+    expect(() => emitAlert({ message: 'no type' })).toThrow('type is required');
+  });
+});
@@ -0,0 +1,166 @@
+// __tests__/assistantRouting.test.js
+
+const {
+  getRoutingConfig,
+  updateRoutingConfig,
+  getAssistantId,
+  routeLead,
+  routeAllowsNumber,
+  resetRoutingConfig,
+} = require('../assistantRouting');
+const { loadState, saveState } = require('../stateStore');
+
+describe('assistantRouting', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    resetRoutingConfig();
+    jest.clearAllMocks();
+    process.env.VAPI_MORGAN_ASSISTANT_ID = 'asst-morgan';
+    process.env.VAPI_RILEY_ASSISTANT_ID = 'asst-riley';
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('assistants', () => {
+    test('should resolve the built-in assistants from env', () => {
+      expect(getAssistantId('morgan')).toBe('asst-morgan');
+      expect(getAssistantId('Riley')).toBe('asst-riley');
+      expect(getAssistantId('nobody')).toBeNull();
+    });
+
+    test('should register runtime assistants', () => {
+      updateRoutingConfig({ assistants: { 'morgan-v2': { name: 'Morgan v2', assistantId: 'asst-m2' } } });
+      expect(getAssistantId('morgan-v2')).toBe('asst-m2');
+      expect(saveState).toHaveBeenCalledWith('assistant-routing', expect.any(Object));
+    });
+
+    test('should reject assistants without an id and keep the built-ins', () => {
+      expect(() => updateRoutingConfig({ assistants: { quinn: { name: 'Quinn' } } })).toThrow('needs an assistantId');
+      expect(() => updateRoutingConfig({ assistants: { morgan: null } })).toThrow('cannot be removed');
+    });
+  });
+
+  describe('routeLead', () => {
+    test('should send everything to Morgan with no routes', () => {
+      expect(routeLead({ id: 1, list_id: 28001 })).toEqual({
+        route: 'default',
+        variant: 'morgan',
+        assistant: 'morgan',
+        agentName: 'Morgan',
+        assistantId: 'asst-morgan',
+        phoneNumberIds: null,
+        callName: null,
+      });
+    });
+
+    test('should match routes by list and state, first match wins', () => {
+      updateRoutingConfig({
+        routes: [
+          { name: 'tx-riley', match: { listIds: [28001], states: ['tx'] }, variants: [{ assistant: 'riley' }] },
+          { name: 'list-28001', match: { listIds: ['28001'] }, variants: [{ assistant: 'morgan', callName: 'Web' }] },
+        ],
+      });
+
+      expect(routeLead({ id: 1, list_id: 28001, state: 'Texas' })).toMatchObject({ route: 'tx-riley', agentName: 'Riley' });
+      expect(routeLead({ id: 1, list_id: 28001, state: 'NY' })).toMatchObject({ route: 'list-28001', callName: 'Web' });
+      expect(routeLead({ id: 1, list_id: 15857, state: 'TX' }).route).toBe('default');
+    });
+
+    test('should use a default assistant only when no route matches', () => {
+      updateRoutingConfig({
+        routes: [{ name: 'list-28001', match: { listIds: ['28001'] }, variants: [{ assistant: 'morgan' }] }],
+      });
+
+      expect(routeLead({ id: 1, list_id: 15857 }, { defaultAssistant: 'riley' })).toMatchObject({
+        route: 'default',
+        assistant: 'riley',
+        agentName: 'Riley',
+      });
+      expect(routeLead({ id: 1, list_id: 28001 }, { defaultAssistant: 'riley' }).assistant).toBe('morgan');
+      expect(routeLead({ id: 1, list_id: 15857 }, { defaultAssistant: 'gone' }).assistant).toBe('morgan');
+    });
+
+    test('should match on lead age', () => {
+      updateRoutingConfig({
+        routes: [{ name: 'fresh', match: { maxLeadAgeMinutes: 15 }, variants: [{ assistant: 'riley' }] }],
+      });
+      const now = Date.parse('2026-02-03T15:00:00Z');
+
+      expect(routeLead({ id: 1 }, { createdAt: now - 5 * 60000, now }).route).toBe('fresh');
+      expect(routeLead({ id: 1 }, { createdAt: now - 60 * 60000, now }).route).toBe('default');
+      expect(routeLead({ id: 1 }, { now }).route).toBe('default');
+    });
+
+    test('should split leads by weight, the same way every time', () => {
+      updateRoutingConfig({
+        routes: [
+          {
+            name: 'ab',
+            variants: [
+              { assistant: 'morgan', weight: 70 },
+              { assistant: 'riley', weight: 30, phoneNumberIds: ['phone-3'] },
+            ],
+          },
+        ],
+      });
+
+      const counts = { morgan: 0, riley: 0 };
+      for (let id = 0; id < 1000; id++) counts[routeLead({ id }).assistant]++;
+      expect(counts.morgan).toBeGreaterThan(620);
+      expect(counts.morgan).toBeLessThan(780);
+
+      const first = routeLead({ id: 'lead-42' });
+      for (let i = 0; i < 5; i++) expect(routeLead({ id: 'lead-42' })).toEqual(first);
+    });
+
+    test('should never pick a zero-weight variant', () => {
+      updateRoutingConfig({
+        routes: [{ name: 'off', variants: [{ assistant: 'riley', weight: 0 }, { assistant: 'morgan', weight: 1 }] }],
+      });
+      for (let id = 0; id < 50; id++) expect(routeLead({ id }).assistant).toBe('morgan');
+    });
+  });
+
+  describe('routeAllowsNumber', () => {
+    test('should restrict routes with a number pool', () => {
+      expect(routeAllowsNumber({ phoneNumberIds: null }, 'phone-1')).toBe(true);
+      expect(routeAllowsNumber({ phoneNumberIds: ['phone-3'] }, 'phone-1')).toBe(false);
+      expect(routeAllowsNumber({ phoneNumberIds: ['phone-3'] }, 'phone-3')).toBe(true);
+    });
+  });
+
+  describe('updateRoutingConfig', () => {
+    test('should validate routes', () => {
+      expect(() => updateRoutingConfig({ routes: [{ variants: [{ assistant: 'morgan' }] }] })).toThrow('name is required');
+      expect(() => updateRoutingConfig({ routes: [{ name: 'x', variants: [] }] })).toThrow('at least one assistant');
+      expect(() => updateRoutingConfig({ routes: [{ name: 'x', variants: [{ assistant: 'quinn' }] }] })).toThrow(
+        'not registered'
+      );
+      expect(() =>
+        updateRoutingConfig({ routes: [{ name: 'x', variants: [{ assistant: 'morgan' }, { assistant: 'morgan' }] }] })
+      ).toThrow('name the variants');
+      expect(() =>
+        updateRoutingConfig({ routes: [{ name: 'x', match: { minLeadAgeMinutes: -1 }, variants: [{ assistant: 'morgan' }] }] })
+      ).toThrow('non-negative');
+    });
+
+    test('should not remove an assistant a route still uses', () => {
+      updateRoutingConfig({
+        assistants: { quinn: { assistantId: 'asst-q' } },
+        routes: [{ name: 'q', variants: [{ assistant: 'quinn' }] }],
+      });
+      expect(() => updateRoutingConfig({ assistants: { quinn: null } })).toThrow('not registered');
+      expect(getRoutingConfig().assistants.quinn).toBeDefined();
+    });
+
+    test('should reload the saved table', () => {
+      loadState.mockImplementationOnce(() => ({
+        routes: [{ name: 'saved', match: {}, variants: [{ name: 'riley', assistant: 'riley', weight: 1 }] }],
+      }));
+      expect(routeLead({ id: 1 }).route).toBe('saved');
+    });
+  });
+});
@@ -0,0 +1,187 @@
+// __tests__/cadencePolicy.test.js
+
+const {
+  DEFAULT_POLICY,
+  updateCadenceConfig,
+  getCadencePolicy,
+  recordAttempt,
+  evaluateCadence,
+  holdLead,
+  isHeld,
+  markExhausted,
+  releaseDueLeads,
+  listHeldLeads,
+  getLeadCadence,
+  resetCadenceCache,
+} = require('../cadencePolicy');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const T0 = Date.parse('2026-02-03T15:00:00Z');
+
+describe('cadencePolicy', () => {
+  beforeEach(() => {
+    resetCadenceCache();
+  });
+
+  describe('policy config', () => {
+    test('should use defaults when nothing is configured', () => {
+      expect(getCadencePolicy('28001')).toEqual(DEFAULT_POLICY);
+    });
+
+    test('should merge per-list overrides over the default', () => {
+      updateCadenceConfig({ lists: { 28001: { maxAttempts: 6 } } });
+      expect(getCadencePolicy(28001).maxAttempts).toBe(6);
+      expect(getCadencePolicy(28001).minSpacingMinutes).toBe(DEFAULT_POLICY.minSpacingMinutes);
+      expect(getCadencePolicy(15857).maxAttempts).toBe(DEFAULT_POLICY.maxAttempts);
+    });
+
+    test('should remove list rules set to null', () => {
+      updateCadenceConfig({ lists: { 28001: { maxAttempts: 6 } } });
+      updateCadenceConfig({ lists: { 28001: null } });
+      expect(getCadencePolicy(28001).maxAttempts).toBe(DEFAULT_POLICY.maxAttempts);
+    });
+
+    test('should reject unknown or invalid settings', () => {
+      expect(() => updateCadenceConfig({ default: { bogus: 1 } })).toThrow('Unknown cadence setting');
+      expect(() => updateCadenceConfig({ default: { maxPerDay: -1 } })).toThrow('non-negative');
+      expect(() => updateCadenceConfig({ default: { exhaustedStatus: '' } })).toThrow('status code');
+    });
+  });
+
+  describe('evaluateCadence', () => {
+    const lead = { id: 'lead-1', list_id: '28001' };
+
+    test('should treat a never-dialed lead as due', () => {
+      expect(evaluateCadence(lead, T0)).toMatchObject({ due: true, exhausted: false, attempts: 0 });
+    });
+
+    test('should enforce minimum spacing between dials', () => {
+      recordAttempt(lead, T0);
+      const result = evaluateCadence(lead, T0 + 30 * MINUTE);
+      expect(result.due).toBe(false);
+      expect(result.reason).toBe('min_spacing');
+      expect(result.nextEligibleAt).toBe(T0 + 120 * MINUTE);
+      expect(evaluateCadence(lead, T0 + 121 * MINUTE).due).toBe(true);
+    });
+
+    test('should enforce the daily cap', () => {
+      recordAttempt(lead, T0);
+      recordAttempt(lead, T0 + 3 * HOUR);
+      const result = evaluateCadence(lead, T0 + 6 * HOUR);
+      expect(result.reason).toBe('daily_cap');
+      expect(result.nextEligibleAt).toBe(T0 + DAY);
+    });
+
+    test('should enforce the rolling window cap', () => {
+      updateCadenceConfig({ default: { maxPerWindow: 3, maxAttempts: 10 } });
+      recordAttempt(lead, T0);
+      recordAttempt(lead, T0 + DAY);
+      recordAttempt(lead, T0 + 2 * DAY);
+      const result = evaluateCadence(lead, T0 + 2 * DAY + 3 * HOUR);
+      expect(result.reason).toBe('window_cap');
+      expect(result.nextEligibleAt).toBe(T0 + 3 * DAY);
+    });
+
+    test('should exhaust leads at the lifetime cap', () => {
+      for (let i = 0; i < DEFAULT_POLICY.maxAttempts; i++) recordAttempt(lead, T0 + i * DAY);
+      expect(evaluateCadence(lead, T0 + 30 * DAY)).toMatchObject({ exhausted: true, due: false });
+    });
+
+    test('should honor explicit exhaustion', () => {
+      markExhausted(lead, T0);
+      expect(evaluateCadence(lead, T0).exhausted).toBe(true);
+    });
+  });
+
+  describe('holds', () => {
+    const lead = { id: 'lead-2', list_id: '28001', phone: '+13055551234' };
+
+    test('should hold a lead until its time and then release it', () => {
+      holdLead(lead, T0 + HOUR, 'min_spacing');
+      expect(isHeld('lead-2', T0)).toBe(true);
+      expect(evaluateCadence(lead, T0).due).toBe(false);
+      expect(releaseDueLeads(T0)).toEqual([]);
+
+      const released = releaseDueLeads(T0 + HOUR);
+      expect(released).toEqual([lead]);
+      expect(isHeld('lead-2', T0 + HOUR)).toBe(false);
+    });
+
+    test('should list held leads soonest first', () => {
+      holdLead({ id: 'a' }, T0 + 2 * HOUR, 'x');
+      holdLead({ id: 'b' }, T0 + HOUR, 'y');
+      expect(listHeldLeads().map((h) => h.leadId)).toEqual(['b', 'a']);
+    });
+
+    test('should clear a hold when an attempt is recorded', () => {
+      holdLead(lead, T0 + HOUR, 'launch_failed');
+      recordAttempt(lead, T0);
+      expect(isHeld('lead-2', T0)).toBe(false);
+    });
+  });
+
+  describe('record expiry', () => {
+    test('should prune attempt timestamps of idle leads but keep exhausted ones exhausted', () => {
+      recordAttempt({ id: 'idle', list_id: '28001' }, T0);
+      for (let i = 0; i < DEFAULT_POLICY.maxAttempts; i++) {
+        recordAttempt({ id: 'spent', list_id: '28001' }, T0 + i * DAY);
+      }
+      markExhausted({ id: 'marked', list_id: '28001' }, T0);
+
+      releaseDueLeads(T0 + 60 * DAY);
+
+      expect(getLeadCadence('idle')).toMatchObject({ attempts: [], lifetimeAttempts: 1, exhaustedAt: null });
+      expect(getLeadCadence('spent')).toMatchObject({ attempts: [], exhaustedAt: new Date(T0 + 3 * DAY).toISOString() });
+      expect(evaluateCadence({ id: 'spent' }, T0 + 300 * DAY)).toMatchObject({ exhausted: true, reason: 'max_attempts' });
+      expect(evaluateCadence({ id: 'marked' }, T0 + 300 * DAY).exhausted).toBe(true);
+    });
+
+    test('should count pruned attempts toward the lifetime cap', () => {
+      const lead = { id: 'returning', list_id: '28001' };
+      for (let i = 0; i < DEFAULT_POLICY.maxAttempts - 1; i++) recordAttempt(lead, T0 + i * DAY);
+
+      releaseDueLeads(T0 + 60 * DAY);
+      expect(evaluateCadence(lead, T0 + 60 * DAY)).toMatchObject({ due: true, attempts: DEFAULT_POLICY.maxAttempts - 1 });
+
+      recordAttempt(lead, T0 + 61 * DAY);
+      expect(evaluateCadence(lead, T0 + 62 * DAY)).toMatchObject({ exhausted: true, attempts: DEFAULT_POLICY.maxAttempts });
+    });
+
+    test('should forget records after the retention period', () => {
+      for (let i = 0; i < DEFAULT_POLICY.maxAttempts; i++) {
+        recordAttempt({ id: 'spent', list_id: '28001' }, T0 + i * DAY);
+      }
+      markExhausted({ id: 'marked', list_id: '28001' }, T0);
+      releaseDueLeads(T0 + 60 * DAY);
+
+      releaseDueLeads(T0 + 367 * DAY);
+      expect(getLeadCadence('spent')).not.toBeNull();
+      expect(getLeadCadence('marked')).toBeNull();
+
+      releaseDueLeads(T0 + 400 * DAY);
+      expect(getLeadCadence('spent')).toBeNull();
+      expect(evaluateCadence({ id: 'spent', list_id: '28001' }, T0 + 400 * DAY).exhausted).toBe(false);
+    });
+
+    test('should take the retention period from the environment', () => {
+      process.env.MORGAN_CADENCE_RETENTION_DAYS = '90';
+      markExhausted({ id: 'marked', list_id: '28001' }, T0);
+      releaseDueLeads(T0 + 91 * DAY);
+      expect(getLeadCadence('marked')).toBeNull();
+      delete process.env.MORGAN_CADENCE_RETENTION_DAYS;
+    });
+  });
+
+  describe('getLeadCadence', () => {
+    test('should report attempts as ISO timestamps', () => {
+      recordAttempt({ id: 'lead-3', list_id: 12794 }, T0);
+      expect(getLeadCadence('lead-3')).toMatchObject({
+        listId: '12794',
+        attempts: ['2026-02-03T15:00:00.000Z'],
+      });
+      expect(getLeadCadence('missing')).toBeNull();
+    });
+  });
+});
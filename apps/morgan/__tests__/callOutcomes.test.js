@@ -0,0 +1,120 @@
+// __tests__/callOutcomes.test.js
+
+const {
+  getOutcomeConfig,
+  updateOutcomeConfig,
+  classifyEndedReason,
+  classifyCallOutcome,
+  isNotReachedEndedReason,
+  planCallOutcome,
+  getVoicemailDropOverrides,
+  resetOutcomeConfigCache,
+} = require('../callOutcomes');
+const { loadState, saveState } = require('../stateStore');
+
+const ended = (overrides = {}) => ({
+  status: 'ended',
+  endedReason: 'customer-ended-call',
+  summary: 'NO_SUMMARY',
+  notes: [],
+  transfer: null,
+  ...overrides,
+});
+
+describe('callOutcomes', () => {
+  beforeEach(() => {
+    resetOutcomeConfigCache();
+    jest.clearAllMocks();
+  });
+
+  describe('classifyCallOutcome', () => {
+    test('should settle unanswered and failed calls by their ended reason', () => {
+      expect(classifyCallOutcome(ended({ endedReason: 'voicemail' }))).toBe('voicemail');
+      expect(classifyCallOutcome(ended({ endedReason: 'customer-did-not-answer' }))).toBe('no-answer');
+      expect(classifyCallOutcome(ended({ endedReason: 'customer-busy' }))).toBe('busy');
+      expect(classifyCallOutcome(ended({ endedReason: 'twilio-failed-to-connect-call' }))).toBe('failed');
+      expect(classifyCallOutcome(ended({ endedReason: 'pipeline-error-openai-llm-failed' }))).toBe('failed');
+    });
+
+    test('should tell a conversation from a hang-up', () => {
+      expect(classifyCallOutcome(ended({ summary: 'Wants a PPO quote' }))).toBe('completed');
+      expect(classifyCallOutcome(ended({ notes: [{ text: 'Call back Tuesday' }] }))).toBe('completed');
+      expect(classifyCallOutcome(ended())).toBe('hang-up');
+      expect(classifyCallOutcome(ended({ endedReason: 'silence-timed-out' }))).toBe('no-answer');
+      expect(classifyCallOutcome(ended({ endedReason: 'silence-timed-out', summary: 'Talked' }))).toBe('completed');
+    });
+
+    test('should put a completed transfer ahead of everything else', () => {
+      expect(classifyCallOutcome(ended({ endedReason: 'voicemail', transfer: { status: 'transferred' } }))).toBe(
+        'transferred'
+      );
+      expect(classifyCallOutcome(ended({ endedReason: 'assistant-forwarded-call' }))).toBe('transferred');
+    });
+
+    test('should say when the ended reason alone means nobody was reached', () => {
+      expect(classifyEndedReason('customer-ended-call')).toBeNull();
+      expect(isNotReachedEndedReason('customer-did-not-answer')).toBe(true);
+      expect(isNotReachedEndedReason('watchdog-timeout')).toBe(true);
+      expect(isNotReachedEndedReason('customer-ended-call')).toBe(false);
+      expect(isNotReachedEndedReason(null)).toBe(false);
+    });
+  });
+
+  describe('planCallOutcome', () => {
+    test('should retry calls that reached nobody and leave conversations alone', () => {
+      expect(planCallOutcome(ended({ outcome: 'busy' }))).toEqual({
+        outcome: 'busy',
+        reached: false,
+        status: null,
+        retry: true,
+        retryDelayMinutes: 15,
+      });
+      expect(planCallOutcome(ended({ outcome: 'completed' }))).toMatchObject({ reached: true, retry: false });
+      expect(planCallOutcome({ status: 'in-progress' })).toBeNull();
+    });
+
+    test('should follow the configured status and retry decision', () => {
+      updateOutcomeConfig({ outcomes: { voicemail: { retry: false, status: 'VM' } } });
+      expect(planCallOutcome(ended({ endedReason: 'voicemail' }))).toMatchObject({
+        outcome: 'voicemail',
+        retry: false,
+        status: 'VM',
+      });
+    });
+  });
+
+  describe('updateOutcomeConfig', () => {
+    test('should merge and persist changes', () => {
+      updateOutcomeConfig({ outcomes: { 'no-answer': { retryDelayMinutes: 60 } } });
+      const config = updateOutcomeConfig({ outcomes: { 'hang-up': { status: 'MH' } } });
+
+      expect(config.outcomes['no-answer']).toEqual({ status: null, retry: true, retryDelayMinutes: 60 });
+      expect(config.outcomes['hang-up'].status).toBe('MH');
+      expect(saveState).toHaveBeenCalledWith('call-outcomes', config);
+    });
+
+    test('should load saved settings over the defaults', () => {
+      loadState.mockImplementationOnce(() => ({ outcomes: { failed: { retry: false } } }));
+      expect(getOutcomeConfig().outcomes.failed).toEqual({ status: null, retry: false, retryDelayMinutes: 5 });
+    });
+
+    test('should reject unknown outcomes and bad values', () => {
+      expect(() => updateOutcomeConfig({ outcomes: { maybe: {} } })).toThrow('Unknown call outcome maybe');
+      expect(() => updateOutcomeConfig({ outcomes: { busy: { retry: 'yes' } } })).toThrow('outcomes.busy.retry');
+      expect(() => updateOutcomeConfig({ outcomes: { busy: { status: ' ' } } })).toThrow('outcomes.busy.status');
+      expect(() => updateOutcomeConfig({ outcomes: { busy: { retryDelayMinutes: -1 } } })).toThrow('retryDelayMinutes');
+      expect(() => updateOutcomeConfig({ voicemailDrop: { enabled: true } })).toThrow('message is required');
+      expect(() => updateOutcomeConfig({ voicemailDrop: { maxPerLead: 1.5 } })).toThrow('maxPerLead');
+    });
+  });
+
+  describe('getVoicemailDropOverrides', () => {
+    test('should leave the message on a lead\'s first voicemails only', () => {
+      expect(getVoicemailDropOverrides(0)).toBeNull();
+
+      updateOutcomeConfig({ voicemailDrop: { enabled: true, message: ' Hi, this is Morgan. Call us back. ' } });
+      expect(getVoicemailDropOverrides(0)).toEqual({ voicemailMessage: 'Hi, this is Morgan. Call us back.' });
+      expect(getVoicemailDropOverrides(1)).toBeNull();
+    });
+  });
+});
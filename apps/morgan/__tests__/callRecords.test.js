@@ -0,0 +1,202 @@
+// __tests__/callRecords.test.js
+
+const {
+  recordCallStarted,
+  recordCallEnded,
+  addCallNote,
+  recordCallTransfer,
+  claimCallOutcome,
+  getCallRecord,
+  queryCallRecords,
+  getOutcomeCountsByLead,
+  resetCallRecordsCache,
+} = require('../callRecords');
+const { loadState, saveState } = require('../stateStore');
+
+function endOfCall(overrides = {}) {
+  return {
+    type: 'end-of-call-report',
+    callId: 'call-1',
+    call: { id: 'call-1', customer: { number: '+13055551234' } },
+    metadata: { convosoLeadId: '101', convosoListId: '28001', source: 'morgan-queue' },
+    leadId: '101',
+    summary: 'Interested in a PPO plan',
+    endedReason: 'customer-ended-call',
+    transcript: 'AI: Hi there...',
+    recordingUrl: 'https://example.com/rec.wav',
+    startedAt: '2026-02-03T15:00:00.000Z',
+    endedAt: '2026-02-03T15:04:30.000Z',
+    durationSeconds: 270,
+    ...overrides,
+  };
+}
+
+describe('callRecords', () => {
+  beforeEach(() => {
+    resetCallRecordsCache();
+    jest.clearAllMocks();
+  });
+
+  test('should record a call start with lead and slot', () => {
+    recordCallStarted({
+      callId: 'call-1',
+      provider: 'vapi',
+      source: 'morgan-queue',
+      leadId: 101,
+      listId: 28001,
+      phoneNumberId: 'phone-1',
+      assistantId: 'asst-1',
+      toNumber: '+13055551234',
+      at: Date.parse('2026-02-03T15:00:00Z'),
+    });
+
+    expect(getCallRecord('call-1')).toMatchObject({
+      leadId: '101',
+      listId: '28001',
+      phoneNumberId: 'phone-1',
+      status: 'in-progress',
+      outcome: 'in-progress',
+      startedAt: '2026-02-03T15:00:00.000Z',
+    });
+    expect(saveState).toHaveBeenCalledWith('call-records', expect.any(Function));
+  });
+
+  test('should ignore calls without an id', () => {
+    expect(recordCallStarted({ callId: null })).toBeNull();
+    expect(recordCallEnded({ callId: null })).toBeNull();
+  });
+
+  test('should apply the end-of-call report', () => {
+    recordCallStarted({ callId: 'call-1', leadId: 101, phoneNumberId: 'phone-1' });
+    recordCallEnded(endOfCall());
+
+    expect(getCallRecord('call-1')).toMatchObject({
+      status: 'ended',
+      outcome: 'completed',
+      phoneNumberId: 'phone-1',
+      endedReason: 'customer-ended-call',
+      durationSeconds: 270,
+      recordingUrl: 'https://example.com/rec.wav',
+      transcript: 'AI: Hi there...',
+    });
+  });
+
+  test('should create a record for reports about unknown calls', () => {
+    recordCallEnded(endOfCall({ summary: 'NO_SUMMARY', endedReason: 'customer-did-not-answer' }));
+    expect(getCallRecord('call-1')).toMatchObject({
+      leadId: '101',
+      listId: '28001',
+      toNumber: '+13055551234',
+      outcome: 'no-answer',
+    });
+  });
+
+  test('should class a call hung up before any conversation', () => {
+    recordCallEnded(endOfCall({ summary: 'NO_SUMMARY' }));
+    expect(getCallRecord('call-1').outcome).toBe('hang-up');
+  });
+
+  test('should remember that a voicemail drop was asked for', () => {
+    recordCallStarted({ callId: 'call-1', leadId: 101, voicemailDrop: true });
+    recordCallEnded(endOfCall({ summary: 'NO_SUMMARY', endedReason: 'voicemail' }));
+    expect(getCallRecord('call-1')).toMatchObject({ voicemailDrop: true, outcome: 'voicemail' });
+  });
+
+  test('should reclassify records saved with the old outcomes', () => {
+    loadState.mockImplementationOnce(() => [
+      ['old-1', { callId: 'old-1', status: 'ended', outcome: 'connected', summary: 'Talked', notes: [] }],
+      ['old-2', { callId: 'old-2', status: 'ended', outcome: 'no-contact', endedReason: 'customer-busy', notes: [] }],
+    ]);
+    expect(getCallRecord('old-1').outcome).toBe('completed');
+    expect(getCallRecord('old-2').outcome).toBe('busy');
+  });
+
+  test('should compute duration from timestamps when not reported', () => {
+    recordCallEnded(endOfCall({ durationSeconds: null }));
+    expect(getCallRecord('call-1').durationSeconds).toBe(270);
+  });
+
+  test('should attach notes and count them as a conversation', () => {
+    recordCallStarted({ callId: 'call-1', leadId: 101 });
+    addCallNote({ callId: 'call-1', leadId: 101, note: 'Wants a callback Tuesday' });
+    recordCallEnded(endOfCall({ summary: '' }));
+
+    const record = getCallRecord('call-1');
+    expect(record.notes).toHaveLength(1);
+    expect(record.notes[0].text).toBe('Wants a callback Tuesday');
+    expect(record.outcome).toBe('completed');
+  });
+
+  test('should mark a transferred call and keep a success over a later failure', () => {
+    recordCallStarted({ callId: 'call-1', leadId: 101 });
+    recordCallTransfer({ callId: 'call-1', status: 'transferred', agentId: 'agent-1', agentName: 'Ana' });
+    recordCallTransfer({ callId: 'call-1', status: 'failed' });
+    recordCallEnded(endOfCall({ endedReason: 'assistant-forwarded-call' }));
+
+    const record = getCallRecord('call-1');
+    expect(record.transfer).toMatchObject({ status: 'transferred', agentName: 'Ana' });
+    expect(record.outcome).toBe('transferred');
+  });
+
+  test('should let only the first of the webhook and the watchdog settle a call', () => {
+    recordCallEnded(endOfCall());
+    expect(claimCallOutcome('call-1', { at: Date.parse('2026-03-04T16:00:00Z') })).toBe(true);
+    expect(claimCallOutcome('call-1')).toBe(false);
+    expect(getCallRecord('call-1').outcomeAppliedAt).toBe('2026-03-04T16:00:00.000Z');
+    expect(claimCallOutcome('unknown-call')).toBe(false);
+  });
+
+  describe('queryCallRecords', () => {
+    beforeEach(() => {
+      recordCallStarted({ callId: 'a', leadId: 1, listId: 28001, at: Date.parse('2026-02-03T15:00:00Z') });
+      recordCallEnded(endOfCall({ callId: 'a', leadId: 1, summary: 'Talked' }));
+      recordCallStarted({ callId: 'b', leadId: 2, listId: 15857, at: Date.parse('2026-02-04T02:00:00Z') });
+      recordCallEnded(
+        endOfCall({
+          callId: 'b',
+          leadId: 2,
+          summary: 'NO_SUMMARY',
+          endedReason: 'customer-did-not-answer',
+          startedAt: '2026-02-04T02:00:00.000Z',
+          endedAt: '2026-02-04T02:00:30.000Z',
+        })
+      );
+      recordCallStarted({ callId: 'c', leadId: 1, listId: 28001, at: Date.parse('2026-02-05T16:00:00Z') });
+    });
+
+    test('should filter by lead, newest first', () => {
+      const result = queryCallRecords({ leadId: 1 });
+      expect(result.total).toBe(2);
+      expect(result.records.map((r) => r.callId)).toEqual(['c', 'a']);
+    });
+
+    test('should filter by outcome and ended reason', () => {
+      expect(queryCallRecords({ outcome: 'no-answer' }).records[0].callId).toBe('b');
+      expect(queryCallRecords({ endedReason: 'customer-ended-call' }).total).toBe(1);
+      expect(queryCallRecords({ outcome: 'in-progress' }).records[0].callId).toBe('c');
+    });
+
+    test('should filter by calendar day in Eastern time', () => {
+      // 02:00Z on Feb 4 is still Feb 3 in New York
+      expect(queryCallRecords({ date: '2026-02-03' }).records.map((r) => r.callId)).toEqual(['b', 'a']);
+      expect(queryCallRecords({ date: '2026-02-04', timezone: 'UTC' }).records[0].callId).toBe('b');
+    });
+
+    test('should filter by assistant route', () => {
+      recordCallStarted({ callId: 'd', leadId: 3, assistant: 'riley', route: 'ab', variant: 'riley' });
+      expect(queryCallRecords({ assistant: 'riley' }).records.map((r) => r.callId)).toEqual(['d']);
+      expect(queryCallRecords({ route: 'ab', variant: 'morgan' }).total).toBe(0);
+    });
+
+    test('should count finished call outcomes per lead', () => {
+      const counts = getOutcomeCountsByLead();
+      expect(counts.get('1')).toEqual({ completed: 1 });
+      expect(counts.get('2')).toEqual({ 'no-answer': 1 });
+    });
+
+    test('should omit transcripts unless asked', () => {
+      expect(queryCallRecords({ leadId: 1 }).records[1].transcript).toBeUndefined();
+      expect(queryCallRecords({ leadId: 1, includeTranscript: true }).records[1].transcript).toBe('AI: Hi there...');
+    });
+  });
+});
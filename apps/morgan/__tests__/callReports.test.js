@@ -0,0 +1,126 @@
+// __tests__/callReports.test.js
+
+const { resolveReportRange, buildCallReport, reportToCsv } = require('../callReports');
+const { recordCallStarted, recordCallEnded, addCallNote, resetCallRecordsCache } = require('../callRecords');
+const { recordQueueEvent, resetQueueEventsCache } = require('../queueEvents');
+const { recordSkip, resetSuppressionCache } = require('../suppression');
+const { resetOutcomeConfigCache } = require('../callOutcomes');
+
+const NOW = Date.parse('2026-03-05T20:00:00Z');
+const RANGE = { from: '2026-03-04', to: '2026-03-05' };
+
+function call(callId, { at, listId = '28001', assistant = 'morgan', slot = 'pn-1', endedReason, summary, seconds = 0 }) {
+  recordCallStarted({ callId, leadId: `lead-${callId}`, listId, assistant, phoneNumberId: slot, at: Date.parse(at) });
+  if (endedReason) {
+    recordCallEnded({ callId, endedReason, summary, durationSeconds: seconds, startedAt: at }, { at: Date.parse(at) });
+  }
+}
+
+describe('callReports', () => {
+  beforeEach(() => {
+    resetCallRecordsCache();
+    resetQueueEventsCache();
+    resetSuppressionCache();
+    resetOutcomeConfigCache();
+    jest.clearAllMocks();
+    jest.useFakeTimers().setSystemTime(NOW);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('resolveReportRange', () => {
+    test('should turn calendar days into a window in the reporting timezone', () => {
+      expect(resolveReportRange(RANGE)).toEqual({
+        since: '2026-03-04T05:00:00.000Z',
+        until: '2026-03-06T05:00:00.000Z',
+      });
+      expect(resolveReportRange({ now: NOW })).toEqual({
+        since: '2026-02-27T05:00:00.000Z',
+        until: '2026-03-06T05:00:00.000Z',
+      });
+    });
+
+    test('should reject bad dates, ranges and timezones', () => {
+      expect(() => resolveReportRange({ from: '03/04/2026' })).toThrow('from must be YYYY-MM-DD');
+      expect(() => resolveReportRange({ from: '2026-03-06', to: '2026-03-05' })).toThrow('from must not be after to');
+      expect(() => resolveReportRange({ since: 'yesterday' })).toThrow('ISO timestamps');
+      expect(() => resolveReportRange({ timezone: 'Mars/Olympus' })).toThrow('Unknown timezone');
+    });
+  });
+
+  describe('buildCallReport', () => {
+    beforeEach(() => {
+      call('c1', { at: '2026-03-04T15:00:00Z', endedReason: 'customer-ended-call', summary: 'Wants a quote', seconds: 240 });
+      call('c2', { at: '2026-03-04T15:30:00Z', endedReason: 'voicemail', slot: 'pn-2' });
+      call('c3', { at: '2026-03-05T14:10:00Z', endedReason: 'assistant-forwarded-call', seconds: 120, listId: '28002' });
+      call('c4', { at: '2026-03-05T19:00:00Z', assistant: 'riley' });
+      call('old', { at: '2026-03-01T15:00:00Z', endedReason: 'customer-busy' });
+      addCallNote({ callId: 'c1', note: 'Call back Tuesday', at: Date.parse('2026-03-04T15:04:00Z') });
+
+      recordQueueEvent({ type: 'retry', leadId: 'lead-c2', listId: '28001', callId: 'c2', reason: 'voicemail', at: Date.parse('2026-03-04T15:31:00Z') });
+      recordQueueEvent({ type: 'exhausted', leadId: 'lead-x', listId: '28002', reason: 'launch_failed', at: Date.parse('2026-03-05T14:00:00Z') });
+      jest.setSystemTime(Date.parse('2026-03-05T16:00:00Z'));
+      recordSkip({ leadId: 'lead-d', listId: '28002', reason: 'dnc', path: 'launch' });
+      recordSkip({ leadId: 'lead-m', listId: '28002', reason: 'member_id', path: 'enqueue' });
+      jest.setSystemTime(NOW);
+    });
+
+    test('should count dials, connects, talk time and outcomes by day', () => {
+      const report = buildCallReport(RANGE);
+
+      expect(report.rows.map((r) => r.key)).toEqual(['2026-03-04', '2026-03-05']);
+      expect(report.rows[0]).toMatchObject({
+        dials: 2,
+        connects: 1,
+        connectRate: 0.5,
+        talkSeconds: 240,
+        notes: 1,
+        retries: 1,
+        dncSkips: 0,
+      });
+      expect(report.rows[0].outcomes).toMatchObject({ completed: 1, voicemail: 1, busy: 0 });
+      expect(report.rows[1]).toMatchObject({ dials: 2, connects: 1, inProgress: 1, exhausted: 1, dncSkips: 1 });
+      expect(report.totals).toMatchObject({ key: 'total', dials: 4, connects: 2, talkSeconds: 360, avgTalkSeconds: 180 });
+    });
+
+    test('should group by list, hour, assistant and slot', () => {
+      const byList = buildCallReport({ ...RANGE, groupBy: 'list' });
+      expect(byList.rows.map((r) => [r.key, r.dials, r.dncSkips, r.exhausted])).toEqual([
+        ['28001', 3, 0, 0],
+        ['28002', 1, 1, 1],
+      ]);
+
+      expect(buildCallReport({ ...RANGE, groupBy: 'hour' }).rows.map((r) => r.key)).toEqual(['09:00', '10:00', '11:00', '14:00']);
+
+      const bySlot = buildCallReport({ ...RANGE, groupBy: 'slot' });
+      expect(bySlot.rows.find((r) => r.key === 'pn-2')).toMatchObject({ dials: 1, retries: 1 });
+      expect(bySlot.rows.find((r) => r.key === 'unknown')).toMatchObject({ dials: 0, exhausted: 1, dncSkips: 1 });
+
+      expect(buildCallReport({ ...RANGE, groupBy: 'assistant' }).rows.map((r) => r.key)).toEqual([
+        'morgan',
+        'riley',
+        'unknown',
+      ]);
+    });
+
+    test('should reject unknown groupings', () => {
+      expect(() => buildCallReport({ groupBy: 'agent' })).toThrow('groupBy must be one of day, hour, list, assistant, slot');
+    });
+  });
+
+  describe('reportToCsv', () => {
+    test('should write a header, one line per row and the totals', () => {
+      call('c1', { at: '2026-03-04T15:00:00Z', endedReason: 'customer-busy', listId: '28,001' });
+
+      const lines = reportToCsv(buildCallReport({ ...RANGE, groupBy: 'list' })).trim().split('\n');
+      expect(lines[0]).toBe(
+        'list,dials,connects,connect_rate,talk_seconds,avg_talk_seconds,completed,transferred,hang_up,' +
+          'voicemail,no_answer,busy,failed,in_progress,notes,retries,exhausted,dnc_skips'
+      );
+      expect(lines[1]).toBe('"28,001",1,0,0,0,,0,0,0,0,0,1,0,0,0,0,0,0');
+      expect(lines[2]).toBe('total,1,0,0,0,,0,0,0,0,0,1,0,0,0,0,0,0');
+    });
+  });
+});
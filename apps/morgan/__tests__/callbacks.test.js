@@ -0,0 +1,135 @@
+// __tests__/callbacks.test.js
+
+const { DateTime } = require('luxon');
+const {
+  parseCallbackTime,
+  resolveCallbackTime,
+  scheduleCallback,
+  hasOpenCallback,
+  getDueCallbackAt,
+  releaseDueCallbacks,
+  markCallbackDialed,
+  cancelCallback,
+  listCallbacks,
+  resetCallbacks,
+} = require('../callbacks');
+const { resetCallingCalendar } = require('../callingWindows');
+const { loadState, saveState } = require('../stateStore');
+
+const CHICAGO = 'America/Chicago';
+// Tuesday Feb 3, 2026 at the given Chicago time
+const central = (hour, minute = 0, day = 3) =>
+  DateTime.fromObject({ year: 2026, month: 2, day, hour, minute }, { zone: CHICAGO });
+
+const local = (dt) => dt.setZone(CHICAGO).toFormat('ccc yyyy-MM-dd HH:mm');
+
+describe('callbacks', () => {
+  beforeEach(() => {
+    resetCallbacks();
+    resetCallingCalendar();
+    jest.clearAllMocks();
+  });
+
+  describe('parseCallbackTime', () => {
+    const now = central(11);
+    const parse = (text) => parseCallbackTime(text, { zone: CHICAGO, now });
+
+    test('should read a day with a time', () => {
+      expect(local(parse('tomorrow after 3'))).toBe('Wed 2026-02-04 15:00');
+      expect(local(parse('Friday at 10:30am'))).toBe('Fri 2026-02-06 10:30');
+      expect(local(parse('today at 4 pm'))).toBe('Tue 2026-02-03 16:00');
+      expect(local(parse('tuesday morning'))).toBe('Tue 2026-02-10 10:00');
+    });
+
+    test('should move a bare time that already passed to tomorrow', () => {
+      expect(local(parse('9am'))).toBe('Wed 2026-02-04 09:00');
+      expect(local(parse('noon'))).toBe('Tue 2026-02-03 12:00');
+    });
+
+    test('should read relative times and ISO timestamps', () => {
+      expect(local(parse('in 2 hours'))).toBe('Tue 2026-02-03 13:00');
+      expect(local(parse('2026-02-05T14:15:00'))).toBe('Thu 2026-02-05 14:15');
+      expect(parse('2026-02-05T14:15:00Z').toUTC().toISO()).toBe('2026-02-05T14:15:00.000Z');
+    });
+
+    test('should return null for text without a time', () => {
+      expect(parse('whenever works')).toBeNull();
+      expect(parse('')).toBeNull();
+    });
+  });
+
+  describe('resolveCallbackTime', () => {
+    const lead = { id: 1, state: 'IL' };
+
+    test('should use the lead timezone', () => {
+      const { at, zone } = resolveCallbackTime(lead, 'tomorrow after 3', { now: central(11) });
+      expect(zone).toBe(CHICAGO);
+      expect(local(at)).toBe('Wed 2026-02-04 15:00');
+    });
+
+    test('should reject times it cannot use, with a reason Morgan can say', () => {
+      const now = central(11);
+      expect(() => resolveCallbackTime(lead, 'sometime', { now })).toThrow('Could not understand');
+      expect(() => resolveCallbackTime(lead, '2026-02-03T10:00:00', { now })).toThrow('already passed');
+      expect(() => resolveCallbackTime(lead, '2026-03-30T10:00:00', { now })).toThrow('14 days');
+      expect(() => resolveCallbackTime(lead, 'tomorrow at 11pm', { now })).toThrow('outside calling hours');
+    });
+  });
+
+  describe('scheduling', () => {
+    const lead = { id: 101, state: 'TX', phone: '+15125550100', list_id: 28001 };
+    const T0 = central(11).toMillis();
+
+    test('should store a callback and hold the lead until it is due', () => {
+      scheduleCallback({ lead, at: T0 + 3600000, requested: 'in an hour', timezone: CHICAGO, callId: 'call-1', now: T0 });
+
+      expect(hasOpenCallback(101)).toBe(true);
+      expect(saveState).toHaveBeenCalledWith('callbacks', expect.any(Function));
+      expect(releaseDueCallbacks(T0 + 60000)).toEqual([]);
+      expect(getDueCallbackAt(101)).toBeNull();
+
+      const [due] = releaseDueCallbacks(T0 + 3600000);
+      expect(due.lead).toBe(lead);
+      expect(getDueCallbackAt(101)).toBe(T0 + 3600000);
+      expect(hasOpenCallback(101)).toBe(true);
+
+      markCallbackDialed(101, T0 + 3700000);
+      expect(hasOpenCallback(101)).toBe(false);
+      expect(getDueCallbackAt(101)).toBeNull();
+    });
+
+    test('should replace an open callback for the same lead', () => {
+      scheduleCallback({ lead, at: T0 + 3600000, now: T0 });
+      scheduleCallback({ lead, at: T0 + 7200000, now: T0 });
+      expect(listCallbacks().callbacks.map((c) => c.dueAt)).toEqual([new Date(T0 + 7200000).toISOString()]);
+    });
+
+    test('should list upcoming callbacks soonest first with local times', () => {
+      scheduleCallback({ lead, at: T0 + 7200000, timezone: CHICAGO, now: T0 });
+      scheduleCallback({ lead: { id: 102 }, at: T0 + 3600000, timezone: CHICAGO, now: T0 });
+
+      const { total, callbacks } = listCallbacks();
+      expect(total).toBe(2);
+      expect(callbacks.map((c) => c.leadId)).toEqual(['102', '101']);
+      expect(callbacks[1]).toMatchObject({ listId: 28001, status: 'scheduled', localDueAt: '2026-02-03T13:00:00.000-06:00' });
+      expect(callbacks[1].lead).toBeUndefined();
+    });
+
+    test('should cancel open callbacks only', () => {
+      scheduleCallback({ lead, at: T0 + 3600000, now: T0 });
+      expect(cancelCallback(101)).toMatchObject({ status: 'cancelled' });
+      expect(cancelCallback(101)).toBeNull();
+      expect(listCallbacks().total).toBe(0);
+      expect(listCallbacks({ status: 'cancelled' }).total).toBe(1);
+    });
+
+    test('should reload callbacks after a restart', () => {
+      scheduleCallback({ lead, at: T0 + 3600000, now: T0 });
+      const saved = saveState.mock.calls[saveState.mock.calls.length - 1][1]();
+
+      resetCallbacks();
+      loadState.mockImplementationOnce(() => JSON.parse(JSON.stringify(saved)));
+      expect(hasOpenCallback(101)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+// __tests__/callerHealth.test.js
+
+const {
+  getCallerHealthConfig,
+  updateCallerHealthConfig,
+  assessCallerNumbers,
+  noteSuspectNumbers,
+  resetCallerHealthCache,
+} = require('../callerHealth');
+const { recordCallStarted, recordCallEnded, resetCallRecordsCache } = require('../callRecords');
+const { resetOutcomeConfigCache } = require('../callOutcomes');
+const { saveState } = require('../stateStore');
+
+const NOW = Date.parse('2026-03-05T20:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+let seq = 0;
+function calls(phoneNumberId, count, endedReason, { hoursAgo = 1 } = {}) {
+  for (let i = 0; i < count; i++) {
+    const callId = `c${++seq}`;
+    const at = NOW - hoursAgo * HOUR;
+    recordCallStarted({ callId, leadId: `lead-${callId}`, phoneNumberId, at });
+    recordCallEnded({ callId, endedReason, durationSeconds: 30, startedAt: new Date(at).toISOString() }, { at });
+  }
+}
+
+describe('callerHealth', () => {
+  beforeEach(() => {
+    resetCallerHealthCache();
+    resetCallRecordsCache();
+    resetOutcomeConfigCache();
+    jest.clearAllMocks();
+  });
+
+  describe('config', () => {
+    test('should validate and persist setting changes', () => {
+      expect(getCallerHealthConfig()).toMatchObject({ windowHours: 72, minCalls: 30, autoRotate: false });
+      expect(updateCallerHealthConfig({ minCalls: 10, autoRotate: true })).toMatchObject({ minCalls: 10, autoRotate: true });
+      expect(saveState).toHaveBeenCalledWith('caller-health', expect.objectContaining({ minCalls: 10 }));
+
+      expect(() => updateCallerHealthConfig({ minAnswerRate: 1.5 })).toThrow('minAnswerRate must be between 0 and 1');
+      expect(() => updateCallerHealthConfig({ minCalls: 0 })).toThrow('minCalls must be a whole number');
+      expect(() => updateCallerHealthConfig({ color: 'red' })).toThrow('Unknown caller health setting color');
+    });
+  });
+
+  describe('assessCallerNumbers', () => {
+    beforeEach(() => {
+      updateCallerHealthConfig({ minCalls: 10 });
+      calls('pn-good', 6, 'customer-ended-call');
+      calls('pn-good', 14, 'customer-did-not-answer');
+      calls('pn-spam', 1, 'customer-ended-call');
+      calls('pn-spam', 19, 'voicemail');
+      calls('pn-new', 4, 'customer-ended-call');
+    });
+
+    test('should rate each number against the floor and the pool', () => {
+      const { poolAnswerRate, numbers } = assessCallerNumbers(['pn-good', 'pn-spam', 'pn-new'], { now: NOW });
+
+      expect(poolAnswerRate).toBe(0.25);
+      expect(numbers).toEqual([
+        { phoneNumberId: 'pn-good', calls: 20, answered: 6, answerRate: 0.3, status: 'healthy', reason: null },
+        { phoneNumberId: 'pn-spam', calls: 20, answered: 1, answerRate: 0.05, status: 'suspect', reason: 'low_answer_rate' },
+        { phoneNumberId: 'pn-new', calls: 4, answered: 4, answerRate: 1, status: 'insufficient_data', reason: null },
+      ]);
+    });
+
+    test('should flag numbers far below the pool even above the floor', () => {
+      updateCallerHealthConfig({ minAnswerRate: 0.01, poolRatio: 0.8 });
+      const spam = assessCallerNumbers(['pn-good', 'pn-spam'], { now: NOW }).numbers[1];
+      expect(spam).toMatchObject({ status: 'suspect', reason: 'below_pool' });
+    });
+
+    test('should ignore failed calls, calls outside the window and calls before a reset', () => {
+      calls('pn-spam', 30, 'twilio-failed-to-connect-call');
+      calls('pn-spam', 30, 'customer-ended-call', { hoursAgo: 100 });
+      expect(assessCallerNumbers(['pn-spam'], { now: NOW }).numbers[0]).toMatchObject({ calls: 20, answered: 1 });
+
+      const reset = { countSince: () => new Date(NOW - 30 * 60 * 1000).toISOString() };
+      expect(assessCallerNumbers(['pn-spam'], { now: NOW, ...reset }).numbers[0]).toMatchObject({
+        calls: 0,
+        answerRate: null,
+        status: 'insufficient_data',
+      });
+    });
+  });
+
+  describe('noteSuspectNumbers', () => {
+    test('should report each flag once until the number recovers', () => {
+      const spam = { phoneNumberId: 'pn-spam', status: 'suspect' };
+      expect(noteSuspectNumbers([spam])).toEqual([spam]);
+      expect(noteSuspectNumbers([spam])).toEqual([]);
+      noteSuspectNumbers([{ phoneNumberId: 'pn-spam', status: 'healthy' }]);
+      expect(noteSuspectNumbers([spam])).toEqual([spam]);
+    });
+  });
+});
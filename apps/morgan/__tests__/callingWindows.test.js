@@ -0,0 +1,166 @@
+// __tests__/callingWindows.test.js
+
+const { DateTime } = require('luxon');
+const {
+  checkCallingWindow,
+  updateCallingCalendar,
+  resetCallingCalendar,
+  resolveLeadState,
+  getLeadTimezones,
+  getFederalHolidays,
+  getWindowMinutesRemaining,
+  isAnyCallingWindowOpen,
+} = require('../callingWindows');
+
+// Tuesday Feb 3, 2026 at the given Eastern time
+const eastern = (hour, minute = 0, day = 3) =>
+  DateTime.fromObject({ year: 2026, month: 2, day, hour, minute }, { zone: 'America/New_York' });
+
+describe('callingWindows', () => {
+  beforeEach(() => {
+    resetCallingCalendar();
+  });
+
+  describe('resolveLeadState', () => {
+    test('should accept state codes in any case', () => {
+      expect(resolveLeadState({ state: 'ca' })).toBe('CA');
+    });
+
+    test('should accept full state names', () => {
+      expect(resolveLeadState({ state: 'New York' })).toBe('NY');
+    });
+
+    test('should fall back to the raw Convoso row', () => {
+      expect(resolveLeadState({ raw: { state: 'TX' } })).toBe('TX');
+    });
+
+    test('should return null for unknown values', () => {
+      expect(resolveLeadState({ state: 'Ontario' })).toBeNull();
+      expect(resolveLeadState({})).toBeNull();
+    });
+  });
+
+  describe('getLeadTimezones', () => {
+    test('should map states to their zones', () => {
+      expect(getLeadTimezones({ state: 'CA' })).toEqual(['America/Los_Angeles']);
+      expect(getLeadTimezones({ state: 'FL' })).toContain('America/Chicago');
+    });
+
+    test('should use the default timezone for unknown states', () => {
+      expect(getLeadTimezones({ state: '' })).toEqual(['America/New_York']);
+    });
+  });
+
+  describe('checkCallingWindow', () => {
+    test('should allow an Eastern lead at 10:00 ET', () => {
+      expect(checkCallingWindow({ state: 'NY' }, eastern(10)).allowed).toBe(true);
+    });
+
+    test('should block a California lead at 9:00 ET (6:00 PT)', () => {
+      const result = checkCallingWindow({ state: 'CA' }, eastern(9));
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toBe('outside_window');
+    });
+
+    test('should allow a California lead at 12:30 ET (9:30 PT)', () => {
+      expect(checkCallingWindow({ state: 'CA' }, eastern(12, 30)).allowed).toBe(true);
+    });
+
+    test('should require every zone of a split state to be open', () => {
+      // 9:30 ET is 8:30 in the Florida panhandle
+      expect(checkCallingWindow({ state: 'FL' }, eastern(9, 30)).reason).toBe('outside_window');
+      expect(checkCallingWindow({ state: 'FL' }, eastern(10, 30)).allowed).toBe(true);
+    });
+
+    test('should block weekends', () => {
+      // Saturday Feb 7, 2026
+      expect(checkCallingWindow({ state: 'NY' }, eastern(10, 0, 7)).reason).toBe('not_calling_day');
+    });
+
+    test('should block federal holidays', () => {
+      // Presidents Day: Monday Feb 16, 2026
+      expect(checkCallingWindow({ state: 'NY' }, eastern(10, 0, 16)).reason).toBe('holiday');
+    });
+
+    test('should block configured extra holidays', () => {
+      updateCallingCalendar({ holidays: ['2026-02-03'] });
+      expect(checkCallingWindow({ state: 'NY' }, eastern(10)).reason).toBe('holiday');
+    });
+
+    test('should block blackouts, optionally scoped to states', () => {
+      updateCallingCalendar({
+        blackouts: [
+          { start: '2026-02-03T14:00:00Z', end: '2026-02-03T16:00:00Z', reason: 'storm', states: ['NY'] },
+        ],
+      });
+      expect(checkCallingWindow({ state: 'NY' }, eastern(10)).reason).toBe('blackout');
+      expect(checkCallingWindow({ state: 'NJ' }, eastern(10)).allowed).toBe(true);
+    });
+
+    test('should apply per-state quiet-hour overrides', () => {
+      updateCallingCalendar({ stateOverrides: { ny: { windows: [{ start: '11:00', end: '12:00' }] } } });
+      expect(checkCallingWindow({ state: 'NY' }, eastern(10)).reason).toBe('outside_window');
+      expect(checkCallingWindow({ state: 'NY' }, eastern(11, 15)).allowed).toBe(true);
+      expect(checkCallingWindow({ state: 'NJ' }, eastern(10)).allowed).toBe(true);
+    });
+  });
+
+  describe('isAnyCallingWindowOpen', () => {
+    test('should stay open while any state is inside its window', () => {
+      // Eastern lunch break, but Central and Pacific leads can be called
+      expect(isAnyCallingWindowOpen(eastern(13, 30))).toBe(true);
+      // 17:30 ET is 14:30 PT
+      expect(isAnyCallingWindowOpen(eastern(17, 30))).toBe(true);
+      // 7:00 ET is before 9:00 everywhere
+      expect(isAnyCallingWindowOpen(eastern(7))).toBe(false);
+    });
+
+    test('should close on holidays and global blackouts', () => {
+      expect(isAnyCallingWindowOpen(eastern(11, 0, 16))).toBe(false);
+      updateCallingCalendar({ blackouts: [{ start: '2026-02-03T14:00:00Z', end: '2026-02-03T23:00:00Z', reason: 'outage' }] });
+      expect(isAnyCallingWindowOpen(eastern(12))).toBe(false);
+    });
+  });
+
+  describe('getWindowMinutesRemaining', () => {
+    test('should count down to the end of the open window', () => {
+      expect(getWindowMinutesRemaining({ state: 'NY' }, eastern(12, 40))).toBe(20);
+      expect(getWindowMinutesRemaining({ state: 'NY' }, eastern(15))).toBe(120);
+    });
+
+    test('should use the soonest closing zone for split states', () => {
+      // 12:30 ET is 11:30 CT: the Eastern window closes first
+      expect(getWindowMinutesRemaining({ state: 'FL' }, eastern(12, 30))).toBe(30);
+    });
+
+    test('should return null outside the window', () => {
+      expect(getWindowMinutesRemaining({ state: 'NY' }, eastern(13, 30))).toBeNull();
+    });
+  });
+
+  describe('getFederalHolidays', () => {
+    test('should compute observed dates for 2026', () => {
+      const holidays = getFederalHolidays(2026);
+      expect(holidays.has('2026-01-19')).toBe(true); // MLK Day
+      expect(holidays.has('2026-05-25')).toBe(true); // Memorial Day
+      expect(holidays.has('2026-07-03')).toBe(true); // July 4th falls on Saturday
+      expect(holidays.has('2026-11-26')).toBe(true); // Thanksgiving
+    });
+  });
+
+  describe('updateCallingCalendar', () => {
+    test('should reject invalid windows', () => {
+      expect(() => updateCallingCalendar({ windows: [{ start: '17:00', end: '09:00' }] })).toThrow(
+        'start < end'
+      );
+    });
+
+    test('should reject unknown states in overrides', () => {
+      expect(() => updateCallingCalendar({ stateOverrides: { ZZ: {} } })).toThrow('Unknown state');
+    });
+
+    test('should reject invalid timezones', () => {
+      expect(() => updateCallingCalendar({ defaultTimezone: 'Mars/Olympus' })).toThrow('Invalid defaultTimezone');
+    });
+  });
+});
@@ -0,0 +1,155 @@
+// __tests__/campaigns.test.js
+
+const {
+  getCampaigns,
+  getCampaignListIds,
+  findCampaignForList,
+  updateCampaigns,
+  getPullDaysBack,
+  getCampaignSkipReason,
+  selectCampaignLeads,
+  recordCampaignPull,
+  listCampaignPulls,
+  getLastCampaignPull,
+  resetCampaigns,
+} = require('../campaigns');
+const { resetRoutingConfig } = require('../assistantRouting');
+const { loadState, saveState } = require('../stateStore');
+
+const vendor = {
+  name: 'vendor-x',
+  listIds: [30001, '30002'],
+  strategy: 'new',
+  limit: 20,
+  schedule: { cron: '*/5 * * * *', timezone: 'America/Chicago' },
+  assistant: 'Riley',
+};
+
+describe('campaigns', () => {
+  beforeEach(() => {
+    resetCampaigns();
+    resetRoutingConfig();
+    jest.clearAllMocks();
+  });
+
+  describe('config', () => {
+    test('should default to the original call-now and yesterday pulls', () => {
+      expect(getCampaigns().map((c) => [c.name, c.strategy, c.schedule.cron])).toEqual([
+        ['call-now', 'call-count', '* * * * *'],
+        ['yesterday', 'yesterday-non-sale', '15 9 * * *'],
+      ]);
+      expect(getCampaignListIds()).toEqual(['28001', '15857', '27223', '10587', '12794', '12793']);
+    });
+
+    test('should validate, normalise and persist a new campaign list', () => {
+      const [campaign] = updateCampaigns([vendor]);
+
+      expect(campaign).toEqual({
+        name: 'vendor-x',
+        enabled: true,
+        listIds: ['30001', '30002'],
+        strategy: 'new',
+        callCounts: null,
+        daysBack: null,
+        limit: 20,
+        schedule: { cron: '*/5 * * * *', timezone: 'America/Chicago' },
+        assistant: 'riley',
+      });
+      expect(saveState).toHaveBeenCalledWith('campaigns', [campaign]);
+      expect(getCampaignListIds()).toEqual(['30001', '30002']);
+    });
+
+    test('should reject campaigns it cannot run', () => {
+      const bad = (patch) => () => updateCampaigns([{ ...vendor, ...patch }]);
+      expect(bad({ name: 'Vendor X' })).toThrow('lowercase');
+      expect(bad({ listIds: [] })).toThrow('at least one');
+      expect(bad({ listIds: ['abc'] })).toThrow('numeric');
+      expect(bad({ strategy: 'everything' })).toThrow('strategy must be one of');
+      expect(bad({ strategy: 'call-count' })).toThrow('callCounts');
+      expect(bad({ schedule: { cron: 'every minute' } })).toThrow('cron');
+      expect(bad({ schedule: { cron: '* * * * *', timezone: 'Mars/Base' } })).toThrow('timezone');
+      expect(bad({ assistant: 'nobody' })).toThrow('not registered');
+      expect(bad({ limit: 0 })).toThrow('positive integer');
+      expect(() => updateCampaigns([vendor, vendor])).toThrow('Duplicate campaign');
+      expect(() => updateCampaigns({})).toThrow('must be an array');
+    });
+
+    test('should find the enabled campaign for a list', () => {
+      updateCampaigns([{ ...vendor, enabled: false }, { ...vendor, name: 'vendor-y', assistant: null }]);
+      expect(findCampaignForList(30001).name).toBe('vendor-y');
+      expect(findCampaignForList('99999')).toBeNull();
+      expect(findCampaignForList(null)).toBeNull();
+    });
+
+    test('should load saved campaigns', () => {
+      loadState.mockImplementationOnce(() => [{ ...vendor, enabled: true, listIds: ['30001'] }]);
+      expect(getCampaignListIds()).toEqual(['30001']);
+    });
+  });
+
+  describe('getPullDaysBack', () => {
+    const yesterday = { strategy: 'yesterday-non-sale', schedule: { timezone: 'America/New_York' } };
+
+    test('should pull the prior working day for yesterday campaigns', () => {
+      // Monday and Wednesday 10:00 ET
+      expect(getPullDaysBack(yesterday, new Date('2026-03-02T15:00:00Z'))).toBe(3);
+      expect(getPullDaysBack(yesterday, new Date('2026-03-04T15:00:00Z'))).toBe(1);
+      expect(getPullDaysBack({ ...yesterday, daysBack: 2 }, new Date('2026-03-02T15:00:00Z'))).toBe(2);
+      expect(getPullDaysBack({ strategy: 'new' })).toBe(0);
+    });
+  });
+
+  describe('selectCampaignLeads', () => {
+    const lead = (id, patch = {}) => ({ id, phone: '+15125550100', call_count: 0, member_id: null, raw: {}, ...patch });
+    const leads = [
+      lead(1),
+      lead(2, { call_count: 2 }),
+      lead(3, { call_count: 5, raw: { status: 'MQ' } }),
+      lead(4, { call_count: 5 }),
+      lead(5, { member_id: 'M-1' }),
+      lead(6, { phone: null }),
+      lead(7, { call_count: null }),
+    ];
+
+    test('should apply the strategy rules and skip leads Morgan cannot take', () => {
+      const ids = (campaign) => selectCampaignLeads(campaign, leads).map((l) => l.id);
+      expect(ids({ strategy: 'call-count', callCounts: [2, 5] })).toEqual([2, 4]);
+      expect(ids({ strategy: 'new' })).toEqual([1, 7]);
+      expect(ids({ strategy: 'yesterday-non-sale' })).toEqual([1, 2, 4, 7]);
+      expect(ids({ strategy: 'yesterday-non-sale', limit: 2 })).toEqual([1, 2]);
+    });
+
+    test('should say why a lead is passed over', () => {
+      const reasons = leads.map((l) => getCampaignSkipReason({ strategy: 'call-count', callCounts: [2, 5] }, l));
+      expect(reasons).toEqual(['call_count', null, 'morgan_status', null, 'member_id', 'no_phone', 'call_count']);
+    });
+  });
+
+  describe('pull history', () => {
+    const T0 = Date.parse('2026-03-02T15:00:00Z');
+
+    test('should log pulls per campaign, newest first', () => {
+      const [callNow, yesterday] = getCampaigns();
+      recordCampaignPull({ campaign: callNow, trigger: 'schedule', startedAt: T0, finishedAt: T0 + 900, fetched: 3, queued: 2 });
+      recordCampaignPull({ campaign: yesterday, trigger: 'manual', startedAt: T0 + 1000, error: 'Convoso search failed' });
+      recordCampaignPull({ campaign: callNow, trigger: 'schedule', startedAt: T0 + 60000, fetched: 0 });
+
+      const { total, pulls } = listCampaignPulls({ campaign: 'call-now' });
+      expect(total).toBe(2);
+      expect(pulls[1]).toEqual({
+        id: `call-now-${T0}`,
+        campaign: 'call-now',
+        strategy: 'call-count',
+        trigger: 'schedule',
+        startedAt: '2026-03-02T15:00:00.000Z',
+        finishedAt: '2026-03-02T15:00:00.900Z',
+        fetched: 3,
+        queued: 2,
+        error: null,
+      });
+      expect(getLastCampaignPull('yesterday').error).toBe('Convoso search failed');
+      expect(getLastCampaignPull('vendor-x')).toBeNull();
+      expect(saveState).toHaveBeenCalledWith('campaign-pulls', expect.any(Function));
+    });
+  });
+});
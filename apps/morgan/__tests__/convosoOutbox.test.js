@@ -0,0 +1,301 @@
+// __tests__/convosoOutbox.test.js
+
+const {
+  MAX_ATTEMPTS,
+  BREAKER_THRESHOLD,
+  enqueueOutbox,
+  processNextOutboxEntry,
+  isTransientError,
+  isConvosoCircuitOpen,
+  getCircuitState,
+  getOutboxStats,
+  listOutbox,
+  replayDeadLetters,
+  discardOutboxEntry,
+  resetConvosoOutbox,
+} = require('../convosoOutbox');
+const { loadState, saveState } = require('../stateStore');
+
+function httpError(status) {
+  const err = new Error(`Convoso lead update failed (status ${status})`);
+  err.statusCode = status;
+  return err;
+}
+
+describe('convosoOutbox', () => {
+  const T0 = Date.parse('2026-03-02T15:00:00Z');
+  let consoleSpies;
+
+  beforeEach(() => {
+    resetConvosoOutbox();
+    jest.clearAllMocks();
+    consoleSpies = ['log', 'warn', 'error'].map((m) => jest.spyOn(console, m).mockImplementation(() => {}));
+  });
+
+  afterEach(() => {
+    consoleSpies.forEach((s) => s.mockRestore());
+  });
+
+  describe('enqueueOutbox', () => {
+    test('should persist entries and strip lead id fields', () => {
+      const entry = enqueueOutbox({ leadId: 101, fields: { lead_id: 101, status: 'MQ' }, now: T0 });
+
+      expect(entry).toMatchObject({ leadId: '101', fields: { status: 'MQ' }, status: 'pending', attempts: 0 });
+      expect(saveState).toHaveBeenCalledWith('convoso-outbox', expect.any(Function));
+      expect(() => enqueueOutbox({ fields: { status: 'MQ' } })).toThrow('leadId is required');
+    });
+
+    test('should coalesce pending updates to the same lead fields', () => {
+      enqueueOutbox({ leadId: '101', fields: { status: 'MQ' }, now: T0 });
+      enqueueOutbox({ leadId: '101', fields: { status: 'MC' }, now: T0 + 10 });
+      enqueueOutbox({ leadId: '101', fields: { notes: 'hi' }, now: T0 + 20 });
+
+      const { entries } = listOutbox();
+      expect(entries).toHaveLength(2);
+      expect(entries[0].fields).toEqual({ status: 'MC' });
+    });
+
+    test('should not resend an explicit key that was already delivered', async () => {
+      const send = jest.fn().mockResolvedValue({});
+      enqueueOutbox({ leadId: '101', fields: { notes: 'a' }, key: 'note:call-1:tool-1', now: T0 });
+      await processNextOutboxEntry(send, T0);
+
+      expect(enqueueOutbox({ leadId: '101', fields: { notes: 'a' }, key: 'note:call-1:tool-1', now: T0 + 1000 }))
+        .toEqual({ duplicate: true, key: 'note:call-1:tool-1' });
+      expect(getOutboxStats(T0).pending).toBe(0);
+    });
+
+    test('should reload pending entries after a restart', () => {
+      enqueueOutbox({ leadId: '101', fields: { status: 'MQ' }, now: T0 });
+      const saved = saveState.mock.calls[saveState.mock.calls.length - 1][1]();
+
+      resetConvosoOutbox();
+      loadState.mockImplementationOnce(() => JSON.parse(JSON.stringify(saved)));
+      expect(getOutboxStats(T0).pending).toBe(1);
+    });
+  });
+
+  describe('processNextOutboxEntry', () => {
+    test('should send due entries oldest first and remove them on success', async () => {
+      const send = jest.fn().mockResolvedValue({});
+      enqueueOutbox({ leadId: '101', fields: { status: 'MQ' }, now: T0 });
+      enqueueOutbox({ leadId: '102', fields: { status: 'MQ' }, now: T0 });
+
+      expect(await processNextOutboxEntry(send, T0)).toBe(true);
+      expect(send).toHaveBeenCalledWith('101', { status: 'MQ' });
+      expect(await processNextOutboxEntry(send, T0)).toBe(true);
+      expect(await processNextOutboxEntry(send, T0)).toBe(false);
+      expect(getOutboxStats(T0).pending).toBe(0);
+    });
+
+    test('should back off transient errors and retry later', async () => {
+      const send = jest.fn().mockRejectedValueOnce(httpError(429)).mockResolvedValueOnce({});
+      enqueueOutbox({ leadId: '101', fields: { status: 'MC' }, now: T0 });
+
+      await processNextOutboxEntry(send, T0);
+      const [entry] = listOutbox().entries;
+      expect(entry).toMatchObject({ status: 'pending', attempts: 1, lastError: expect.stringContaining('429') });
+
+      // Not due yet
+      expect(await processNextOutboxEntry(send, T0 + 100)).toBe(false);
+      expect(await processNextOutboxEntry(send, T0 + 60 * 1000)).toBe(true);
+      expect(send).toHaveBeenCalledTimes(2);
+      expect(getOutboxStats(T0).pending).toBe(0);
+    });
+
+    test('should dead-letter non-transient errors immediately', async () => {
+      const send = jest.fn().mockRejectedValue(httpError(400));
+      enqueueOutbox({ leadId: '101', fields: { status: 'MC' }, now: T0 });
+
+      await processNextOutboxEntry(send, T0);
+      expect(getOutboxStats(T0)).toMatchObject({ pending: 0, dead: 1 });
+      expect(listOutbox({ status: 'dead' }).entries[0].attempts).toBe(1);
+    });
+
+    test('should send an update queued while the same fields are in flight', async () => {
+      const sent = [];
+      const send = jest.fn(async (leadId, fields) => {
+        sent.push(fields.status);
+        if (fields.status === 'MQ') enqueueOutbox({ leadId: '101', fields: { status: 'MC' }, now: T0 });
+      });
+      enqueueOutbox({ leadId: '101', fields: { status: 'MQ' }, now: T0 });
+
+      await processNextOutboxEntry(send, T0);
+      expect(listOutbox().entries).toEqual([expect.objectContaining({ fields: { status: 'MC' }, inFlight: false })]);
+      await processNextOutboxEntry(send, T0);
+      expect(sent).toEqual(['MQ', 'MC']);
+      expect(getOutboxStats(T0).pending).toBe(0);
+    });
+
+    test('should drop a failed send that a newer update has superseded', async () => {
+      const send = jest.fn(async (leadId, fields) => {
+        if (fields.status === 'MQ') {
+          enqueueOutbox({ leadId: '101', fields: { status: 'MC' }, now: T0 });
+          throw httpError(503);
+        }
+      });
+      enqueueOutbox({ leadId: '101', fields: { status: 'MQ' }, now: T0 });
+
+      await processNextOutboxEntry(send, T0);
+      expect(listOutbox().entries.map((e) => e.fields.status)).toEqual(['MC']);
+      await processNextOutboxEntry(send, T0);
+      expect(send).toHaveBeenLastCalledWith('101', { status: 'MC' });
+      expect(getOutboxStats(T0)).toMatchObject({ pending: 0, dead: 0 });
+    });
+
+    test('should hold a lead\'s later updates while an earlier one backs off', async () => {
+      const send = jest.fn().mockRejectedValueOnce(httpError(503)).mockResolvedValue({});
+      enqueueOutbox({ leadId: '101', fields: { status: 'MC' }, now: T0 });
+      await processNextOutboxEntry(send, T0);
+
+      // The lead is requeued while the MC update waits for its retry
+      enqueueOutbox({ leadId: '101', fields: { status: 'MQ', notes: 'requeued' }, now: T0 + 10 });
+      enqueueOutbox({ leadId: '102', fields: { status: 'MQ' }, now: T0 + 10 });
+
+      expect(await processNextOutboxEntry(send, T0 + 20)).toBe(true);
+      expect(send).toHaveBeenLastCalledWith('102', { status: 'MQ' });
+      expect(await processNextOutboxEntry(send, T0 + 20)).toBe(false);
+
+      await processNextOutboxEntry(send, T0 + 60 * 1000);
+      await processNextOutboxEntry(send, T0 + 60 * 1000);
+      expect(send.mock.calls.map(([leadId, fields]) => `${leadId}:${fields.status}`)).toEqual([
+        '101:MC',
+        '102:MQ',
+        '101:MC',
+        '101:MQ',
+      ]);
+      expect(getOutboxStats(T0).pending).toBe(0);
+    });
+
+    test('should not fold a newer update into an entry queued before other updates to the lead', () => {
+      enqueueOutbox({ leadId: '101', fields: { status: 'MC' }, now: T0 });
+      enqueueOutbox({ leadId: '101', fields: { status: 'MQ', notes: 'requeued' }, now: T0 + 10 });
+      enqueueOutbox({ leadId: '101', fields: { status: 'MX' }, now: T0 + 20 });
+
+      expect(listOutbox().entries.map((e) => e.fields.status)).toEqual(['MC', 'MQ', 'MX']);
+    });
+
+    test('should drop a failed send that a later update to more fields supersedes', async () => {
+      const send = jest.fn(async (leadId, fields) => {
+        if (!fields.notes) {
+          enqueueOutbox({ leadId: '101', fields: { status: 'MQ', notes: 'requeued' }, now: T0 });
+          throw httpError(503);
+        }
+      });
+      enqueueOutbox({ leadId: '101', fields: { status: 'MC' }, now: T0 });
+
+      await processNextOutboxEntry(send, T0);
+      expect(listOutbox().entries.map((e) => e.fields.status)).toEqual(['MQ']);
+    });
+
+    test('should dead-letter after the last attempt', async () => {
+      const send = jest.fn().mockRejectedValue(httpError(503));
+      enqueueOutbox({ leadId: '101', fields: { status: 'MC' }, now: T0 });
+
+      let now = T0;
+      for (let i = 0; i < MAX_ATTEMPTS; i++) {
+        // Step past both the retry backoff and any breaker cooldown
+        now += 60 * 60 * 1000;
+        await processNextOutboxEntry(send, now);
+      }
+      expect(send).toHaveBeenCalledTimes(MAX_ATTEMPTS);
+      expect(getOutboxStats(now)).toMatchObject({ pending: 0, dead: 1 });
+    });
+  });
+
+  describe('isTransientError', () => {
+    test('should retry throttling, server and network errors only', () => {
+      expect(isTransientError(httpError(429))).toBe(true);
+      expect(isTransientError(httpError(502))).toBe(true);
+      expect(isTransientError(httpError(408))).toBe(true);
+      expect(isTransientError(new Error('socket hang up'))).toBe(true);
+      expect(isTransientError(httpError(401))).toBe(false);
+      expect(isTransientError(Object.assign(new Error('no token'), { transient: false }))).toBe(false);
+    });
+  });
+
+  describe('circuit breaker', () => {
+    let nextLead = 0;
+
+    async function failTimes(n, now) {
+      const send = jest.fn().mockRejectedValue(httpError(503));
+      for (let i = 0; i < n; i++) {
+        enqueueOutbox({ leadId: `lead-${nextLead++}`, fields: { status: 'MC' }, now });
+        await processNextOutboxEntry(send, now);
+      }
+    }
+
+    test('should open after repeated transient failures', async () => {
+      await failTimes(BREAKER_THRESHOLD - 1, T0);
+      expect(isConvosoCircuitOpen(T0)).toBe(false);
+
+      await failTimes(1, T0);
+      expect(isConvosoCircuitOpen(T0)).toBe(true);
+      expect(await processNextOutboxEntry(jest.fn(), T0 + 1000)).toBe(false);
+    });
+
+    test('should not count non-transient failures', async () => {
+      const send = jest.fn().mockRejectedValue(httpError(400));
+      for (let i = 0; i < BREAKER_THRESHOLD + 1; i++) {
+        enqueueOutbox({ leadId: `lead-${i}`, fields: { status: 'MC' }, now: T0 });
+        await processNextOutboxEntry(send, T0);
+      }
+      expect(isConvosoCircuitOpen(T0)).toBe(false);
+    });
+
+    test('should half-open after the cooldown and close on success', async () => {
+      await failTimes(BREAKER_THRESHOLD, T0);
+      const later = T0 + 31 * 1000;
+      expect(getCircuitState(later).state).toBe('half-open');
+      expect(isConvosoCircuitOpen(later)).toBe(false);
+
+      const send = jest.fn().mockResolvedValue({});
+      const retryAt = later + 10 * 60 * 1000;
+      expect(await processNextOutboxEntry(send, retryAt)).toBe(true);
+      expect(getCircuitState(retryAt)).toMatchObject({ state: 'closed', consecutiveFailures: 0 });
+    });
+
+    test('should reopen with a longer cooldown when the trial fails', async () => {
+      await failTimes(BREAKER_THRESHOLD, T0);
+      const firstCooldown = getCircuitState(T0).cooldownMs;
+
+      await failTimes(1, T0 + firstCooldown);
+      const state = getCircuitState(T0 + firstCooldown);
+      expect(state.state).toBe('open');
+      expect(state.cooldownMs).toBe(firstCooldown * 2);
+    });
+  });
+
+  describe('dead letters', () => {
+    beforeEach(async () => {
+      enqueueOutbox({ leadId: '101', fields: { status: 'MC' }, now: T0 });
+      enqueueOutbox({ leadId: '102', fields: { status: 'MC' }, now: T0 });
+      const send = jest.fn().mockRejectedValue(httpError(404));
+      await processNextOutboxEntry(send, T0);
+      await processNextOutboxEntry(send, T0);
+    });
+
+    test('should list dead letters by lead', () => {
+      expect(listOutbox({ status: 'dead', leadId: 102 }).entries.map((e) => e.leadId)).toEqual(['102']);
+    });
+
+    test('should replay one or all dead letters', async () => {
+      const [first] = listOutbox({ status: 'dead' }).entries;
+      expect(replayDeadLetters(first.id, T0)).toBe(1);
+      expect(getOutboxStats(T0)).toMatchObject({ pending: 1, dead: 1 });
+      expect(replayDeadLetters('missing', T0)).toBe(0);
+
+      expect(replayDeadLetters(null, T0)).toBe(1);
+      const send = jest.fn().mockResolvedValue({});
+      while (await processNextOutboxEntry(send, T0)) {}
+      expect(send).toHaveBeenCalledTimes(2);
+    });
+
+    test('should discard entries by id', () => {
+      const [first] = listOutbox({ status: 'dead' }).entries;
+      expect(discardOutboxEntry(first.id)).toBe(true);
+      expect(discardOutboxEntry(first.id)).toBe(false);
+      expect(getOutboxStats(T0).dead).toBe(1);
+    });
+  });
+});
@@ -1,19 +1,188 @@
 // __tests__/integration.test.js
-// Integration tests for API endpoints (requires mocking external services)
+// Integration tests for API endpoints, run against the app with supertest
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+jest.unmock('../stateStore');
+jest.mock('node-fetch');
+jest.mock('axios');
+// Leadership is the real single-instance election unless a test makes this instance a standby
+jest.mock('../leaderElection', () => ({
+  ...jest.requireActual('../leaderElection'),
+  isLeader: jest.fn(() => true),
+  findLeader: jest.fn(),
+}));
+
+// Wednesday Mar 4, 2026: 01:00 in New York, 20:00 (Tuesday) in Honolulu, so
+// no state's window is open. 16:00 UTC is 11:00 in New York.
+const ALL_WINDOWS_CLOSED = new Date('2026-03-04T06:00:00Z');
+const NEW_YORK_OPEN = new Date('2026-03-04T16:00:00Z');
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'morgan-integration-'));
+process.env.MORGAN_STATE_DIR = stateDir;
+process.env.MORGAN_ADMIN_TOKEN = 'admin-token';
+process.env.CONVOSO_AUTH_TOKEN = 'convoso-token';
+process.env.VAPI_WEBHOOK_SECRET = 'vapi-secret';
+process.env.CONVOSO_WEBHOOK_SECRET = 'convoso-secret';
+process.env.VAPI_API_KEY = 'vapi-key';
+process.env.VAPI_MORGAN_ASSISTANT_ID = 'asst-morgan';
+process.env.VAPI_PHONE_NUMBER_IDS = 'pn-1,pn-2';
+
+// Fake timers before the app loads so its intervals and cron tasks never fire on their own
+jest.useFakeTimers({ now: ALL_WINDOWS_CLOSED, doNotFake: ['nextTick', 'setImmediate'] });
+
+const fetch = require('node-fetch');
+const crypto = require('crypto');
+const { checkLeadership, isLeader, findLeader } = require('../leaderElection');
+const { resetLeaderProxy } = require('../leaderProxy');
+const { enqueueOutbox, processNextOutboxEntry, resetConvosoOutbox, BREAKER_THRESHOLD } = require('../convosoOutbox');
+const { app, mergeMorganQueueFromMQ } = require('../index');
+
+const asAdmin = (req) => req.set('Authorization', 'Bearer admin-token');
+const newLead = (body) => request(app).post('/webhooks/convoso/new-lead?api_key=convoso-secret').send(body);
+
+// Vapi answers call creation; everything else (Convoso searches, updates) succeeds empty
+function mockProviders() {
+  fetch.mockImplementation(async (url) =>
+    url === 'https://api.vapi.ai/call'
+      ? { ok: true, json: async () => ({ id: 'call-1', status: 'queued' }) }
+      : { ok: true, json: async () => ({ success: true }), text: async () => '' }
+  );
+}
+
+function vapiCalls() {
+  return fetch.mock.calls.filter(([url]) => url === 'https://api.vapi.ai/call');
+}
 
 describe('API Integration Tests', () => {
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    // Without a database this instance leads alone
+    await checkLeadership();
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+    jest.useRealTimers();
+    fs.rmSync(stateDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.setSystemTime(ALL_WINDOWS_CLOSED);
+    fetch.mockReset();
+    isLeader.mockReturnValue(true);
+    findLeader.mockReset();
+    resetLeaderProxy();
+  });
+
+  describe('Auth', () => {
+    test('should reject jobs, debug and admin requests without the admin token', async () => {
+      await request(app).post('/debug/test-call').send({ toNumber: '+13055551234' }).expect(401);
+      await request(app).post('/jobs/morgan/pull-leads').send({}).expect(401);
+      await request(app).get('/admin/morgan/queue').set('x-admin-token', 'wrong').expect(401);
+      expect(fetch).not.toHaveBeenCalled();
+
+      const rejections = await asAdmin(request(app).get('/admin/morgan/auth/rejections?guard=admin'));
+      expect(rejections.body.rejections.slice(0, 3)).toEqual([
+        expect.objectContaining({ path: '/admin/morgan/queue', reason: 'invalid_token' }),
+        expect.objectContaining({ path: '/jobs/morgan/pull-leads', reason: 'missing_token' }),
+        expect.objectContaining({ path: '/debug/test-call', reason: 'missing_token' }),
+      ]);
+    });
+
+    test('should accept a Vapi webhook with the secret or a signature of the raw body', async () => {
+      const body = JSON.stringify({ message: { type: 'status-update', status: 'ringing' } });
+      const send = () => request(app).post('/webhooks/vapi').set('Content-Type', 'application/json');
+
+      await send().send(body).expect(401);
+      await send().set('x-vapi-signature', 'sha256=00').send(body).expect(401);
+      await send().set('x-vapi-secret', 'vapi-secret').send(body).expect(200);
+
+      const signature = crypto.createHmac('sha256', 'vapi-secret').update(body).digest('hex');
+      await send().set('x-vapi-signature', `sha256=${signature}`).send(body).expect(200);
+    });
+
+    test('should record the authenticated caller for a kill switch change', async () => {
+      await asAdmin(request(app).put('/admin/morgan/toggle'))
+        .set('User-Agent', 'ops-console')
+        .send({ enabled: false, listId: '99999', changedBy: 'someone@example.com', reason: 'test' })
+        .expect(200);
+
+      const toggle = await asAdmin(request(app).get('/admin/morgan/toggle'));
+      expect(toggle.body.audit[0]).toMatchObject({
+        scope: 'list:99999',
+        changedBy: 'someone@example.com',
+        caller: { guard: 'admin', ip: expect.any(String), userAgent: 'ops-console' },
+      });
+
+      await asAdmin(request(app).put('/admin/morgan/toggle'))
+        .send({ enabled: null, listId: '99999', changedBy: 'someone@example.com', reason: 'test over' })
+        .expect(200);
+    });
+
+    test('should reject the Convoso webhook without the shared secret', async () => {
+      await request(app).post('/webhooks/convoso/new-lead').send({ lead_id: 'L1' }).expect(401);
+      await request(app).post('/webhooks/convoso/new-lead?api_key=wrong').send({ lead_id: 'L1' }).expect(401);
+    });
+
+    test('should authenticate on a standby before forwarding to the leader', async () => {
+      isLeader.mockReturnValue(false);
+      findLeader.mockResolvedValue({ instanceId: 'morgan-a', url: 'http://morgan-a.internal:3000' });
+      fetch.mockResolvedValue({
+        status: 200,
+        buffer: async () => Buffer.from('{"success":true}'),
+        headers: { get: () => 'application/json' },
+      });
+
+      await request(app).post('/jobs/morgan/pull-leads').send({}).expect(401);
+      expect(findLeader).not.toHaveBeenCalled();
+      expect(fetch).not.toHaveBeenCalled();
+
+      await asAdmin(request(app).post('/jobs/morgan/pull-leads')).send({}).expect(200, { success: true });
+      expect(fetch).toHaveBeenCalledWith('http://morgan-a.internal:3000/jobs/morgan/pull-leads', expect.anything());
+    });
+
+    test('should forward a CSV DNC import from a standby with its body', async () => {
+      isLeader.mockReturnValue(false);
+      findLeader.mockResolvedValue({ instanceId: 'morgan-a', url: 'http://morgan-a.internal:3000' });
+      fetch.mockResolvedValue({
+        status: 200,
+        buffer: async () => Buffer.from('{"success":true}'),
+        headers: { get: () => 'application/json' },
+      });
+      const csv = 'phone\n3055551201\n3055551202\n';
+
+      await asAdmin(request(app).post('/admin/morgan/suppression/import'))
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(200, { success: true });
+      expect(fetch).toHaveBeenCalledWith(
+        'http://morgan-a.internal:3000/admin/morgan/suppression/import',
+        expect.objectContaining({
+          headers: expect.objectContaining({ 'content-type': 'text/csv' }),
+          body: Buffer.from(csv),
+        })
+      );
+    });
+  });
+
   // These are placeholder tests showing what should be tested
   // Full implementation would require mocking Express app
 
   describe('Health endpoints', () => {
-    test('GET / should return health status', () => {
-      // TODO: Implement with supertest
-      expect(true).toBe(true);
+    test('GET / should return health status', async () => {
+      const res = await request(app).get('/').expect(200);
+      expect(res.body).toEqual({ ok: true, message: 'ai-calling-backend is running' });
     });
 
-    test('GET /health should return version info', () => {
-      // TODO: Implement with supertest
-      expect(true).toBe(true);
+    test('GET /health should return version info', async () => {
+      const res = await request(app).get('/health').expect(200);
+      expect(res.body).toMatchObject({ ok: true, version: 'v3-voice-gateway', leader: true });
     });
   });
 
@@ -29,53 +198,249 @@ describe('API Integration Tests', () => {
       expect(true).toBe(true);
     });
 
-    test('should skip jobs outside business hours', () => {
-      // TODO: Mock time to be outside business hours
-      // TODO: Verify jobs return skipped status
-      expect(true).toBe(true);
+    test('should skip jobs while no calling window is open', async () => {
+      const pull = await asAdmin(request(app).post('/jobs/morgan/pull-leads')).send({});
+      expect(pull.status).toBe(200);
+      expect(pull.body).toEqual({ success: false, reason: 'outside_calling_windows' });
+
+      const campaign = await asAdmin(request(app).post('/jobs/morgan/campaigns/call-now/pull')).send({});
+      expect(campaign.body).toMatchObject({ campaign: 'call-now', success: false, reason: 'outside_calling_windows' });
+
+      const yesterday = await asAdmin(request(app).post('/jobs/morgan/pull-yesterday')).send({});
+      expect(yesterday.body.campaigns).toEqual([
+        { campaign: 'yesterday', success: false, reason: 'outside_calling_windows' },
+      ]);
+
+      // Nothing was fetched from Convoso
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('should run jobs once a window is open', async () => {
+      jest.setSystemTime(NEW_YORK_OPEN);
+      fetch.mockResolvedValue({ ok: true, json: async () => ({ data: { entries: [], total: 0 } }) });
+
+      const campaign = await asAdmin(request(app).post('/jobs/morgan/campaigns/call-now/pull')).send({});
+      expect(campaign.body).toMatchObject({ campaign: 'call-now', success: true, fetched: 0, queued: 0 });
+      expect(fetch).toHaveBeenCalledWith('https://api.convoso.com/v1/leads/search', expect.anything());
+    });
+  });
+
+  describe('MQ merge', () => {
+    test('should apply the intake checks to MQ leads from Convoso', async () => {
+      jest.setSystemTime(NEW_YORK_OPEN);
+      await asAdmin(request(app).post('/admin/morgan/suppression')).send({ phone: '3055550002' }).expect(200);
+
+      const rows = [
+        { lead_id: 'MQ1', list_id: '28001', phone_number: '3055550001', state: 'NY' },
+        { lead_id: 'MQ2', list_id: '28001', phone_number: '3055550002', state: 'NY' },
+        { lead_id: 'MQ3', list_id: '28001', phone_number: '123', state: 'NY' },
+        { lead_id: 'MQ4', list_id: '28001', phone_number: '3055550004', state: 'NY', member_id: 'M-9' },
+      ];
+      fetch.mockImplementation(async (url) =>
+        url === 'https://api.convoso.com/v1/leads/search'
+          ? { ok: true, json: async () => ({ data: { entries: rows, total: rows.length } }) }
+          : { ok: true, json: async () => ({ success: true }), text: async () => '' }
+      );
+
+      await mergeMorganQueueFromMQ();
+
+      const queue = await asAdmin(request(app).get('/admin/morgan/queue'));
+      expect(queue.body.leads.map((l) => l.leadId)).toEqual(['MQ1']);
+
+      const skips = await asAdmin(request(app).get('/admin/morgan/suppression/skips'));
+      expect(skips.body.skips).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({ leadId: 'MQ2', reason: 'dnc', path: 'mq-merge' }),
+          expect.objectContaining({ leadId: 'MQ3', reason: 'invalid_phone', path: 'mq-merge' }),
+          expect.objectContaining({ leadId: 'MQ4', reason: 'member_id', path: 'mq-merge' }),
+        ])
+      );
     });
   });
 
   describe('Convoso webhook', () => {
-    test('POST /webhooks/convoso/new-lead should trigger immediate call', () => {
-      // TODO: Mock Vapi API
-      // TODO: Send lead payload
-      // TODO: Verify call initiated
-      expect(true).toBe(true);
+    beforeEach(() => {
+      jest.setSystemTime(NEW_YORK_OPEN);
+      mockProviders();
     });
 
-    test('should skip leads with Member_ID', () => {
-      // TODO: Send lead with member_id
-      // TODO: Verify call not initiated
-      expect(true).toBe(true);
+    test('POST /webhooks/convoso/new-lead should trigger immediate call', async () => {
+      const res = await newLead({
+        lead_id: 'NL1',
+        list_id: '28001',
+        phone_number: '3055551201',
+        first_name: 'Ana',
+        state: 'NY',
+        email: 'ana@example.com',
+      }).expect(200);
+
+      expect(res.body).toEqual({ success: true, provider: 'vapi', call_id: 'call-1' });
+      const [[, init]] = vapiCalls();
+      const payload = JSON.parse(init.body);
+      expect(payload.customer.number).toBe('+13055551201');
+      expect(payload.metadata.convosoLead).toEqual({
+        lead_id: 'NL1',
+        list_id: '28001',
+        phone_number: '3055551201',
+        first_name: 'Ana',
+        state: 'NY',
+      });
     });
 
-    test('should handle malformed webhook payloads gracefully', () => {
-      // TODO: Send invalid payload
-      // TODO: Verify 400 error
-      expect(true).toBe(true);
+    test('should skip leads with Member_ID', async () => {
+      const res = await newLead({ lead_id: 'NL2', phone_number: '3055551202', member_id: 'M-1' }).expect(200);
+      expect(res.body).toEqual({ success: true, skipped: true, reason: 'member_id_present' });
+      expect(vapiCalls()).toHaveLength(0);
+    });
+
+    test('should handle malformed webhook payloads gracefully', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      await newLead({ lead_id: 'NL3' }).expect(400);
+      console.error.mockRestore();
+      expect(vapiCalls()).toHaveLength(0);
+    });
+
+    test('should queue instead of dialing while the Convoso circuit is open', async () => {
+      const failing = jest.fn().mockRejectedValue(Object.assign(new Error('down'), { statusCode: 503 }));
+      for (let i = 0; i < BREAKER_THRESHOLD; i++) {
+        enqueueOutbox({ leadId: `down-${i}`, fields: { status: 'MQ' } });
+        await processNextOutboxEntry(failing);
+      }
+
+      const res = await newLead({ lead_id: 'NL4', list_id: '28001', phone_number: '3055551204', state: 'NY' });
+      resetConvosoOutbox();
+
+      expect(res.body).toEqual({ success: true, queued: true, reason: 'convoso_circuit_open' });
+      expect(vapiCalls()).toHaveLength(0);
+      const queue = await asAdmin(request(app).get('/admin/morgan/queue'));
+      expect(queue.body.leads.map((l) => l.leadId)).toContain('NL4');
     });
   });
 
   describe('Vapi webhook', () => {
-    test('POST /webhooks/vapi should free slot on end-of-call-report', () => {
-      // TODO: Mock slot state
-      // TODO: Send end-of-call-report
-      // TODO: Verify slot freed
-      expect(true).toBe(true);
+    const endOfCall = (callId, message = {}) =>
+      request(app)
+        .post('/webhooks/vapi')
+        .set('x-vapi-secret', 'vapi-secret')
+        .send({ message: { type: 'end-of-call-report', call: { id: callId }, ...message } });
+    const opsPushes = () =>
+      fetch.mock.calls
+        .filter(([url]) => url === 'http://ops.internal/api/webhooks/morgan/calls')
+        .map(([, init]) => JSON.parse(init.body));
+    const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+    // Vapi names each call after its lead; ops-api and Convoso accept everything
+    function mockCallProviders({ live = false } = {}) {
+      fetch.mockImplementation(async (url, init = {}) => {
+        if (url === 'https://api.vapi.ai/call' && init.method === 'POST') {
+          const { metadata } = JSON.parse(init.body);
+          return { ok: true, json: async () => ({ id: `call-${metadata.convosoLeadId}`, status: 'queued' }) };
+        }
+        const provider = url.match(/^https:\/\/api\.vapi\.ai\/call\/(.+)$/);
+        if (provider) {
+          return {
+            ok: true,
+            json: async () => ({
+              id: provider[1],
+              status: live ? 'in-progress' : 'ended',
+              monitor: { controlUrl: `https://control.vapi.ai/${provider[1]}` },
+            }),
+          };
+        }
+        return { ok: true, status: 200, json: async () => ({ success: true }), text: async () => '' };
+      });
+    }
+
+    async function slotFor(callId) {
+      const res = await asAdmin(request(app).get('/admin/morgan/slots'));
+      return res.body.slots.find((slot) => slot.callId === callId) || null;
+    }
+
+    beforeEach(async () => {
+      jest.setSystemTime(NEW_YORK_OPEN);
+      process.env.OPS_API_URL = 'http://ops.internal';
+      mockCallProviders();
+      // Calls earlier tests left on the line
+      const res = await asAdmin(request(app).get('/admin/morgan/slots'));
+      for (const slot of res.body.slots.filter((s) => s.busy)) await endOfCall(slot.callId).expect(200);
+      await settle();
+      fetch.mockClear();
     });
 
-    test('should post summary to Convoso', () => {
-      // TODO: Mock Convoso API
-      // TODO: Send end-of-call with summary
-      // TODO: Verify note posted
-      expect(true).toBe(true);
+    afterEach(() => {
+      delete process.env.OPS_API_URL;
     });
 
-    test('should skip posting NO_SUMMARY notes', () => {
-      // TODO: Send end-of-call with NO_SUMMARY
-      // TODO: Verify no Convoso call made
-      expect(true).toBe(true);
+    test('POST /webhooks/vapi should free slot on end-of-call-report', async () => {
+      await newLead({ lead_id: 'EC1', list_id: '28001', phone_number: '3055551301', state: 'NY' }).expect(200);
+      expect(await slotFor('call-EC1')).toMatchObject({ busy: true, leadId: 'EC1' });
+
+      await endOfCall('call-EC1', {
+        endedReason: 'customer-ended-call',
+        durationSeconds: 240,
+        recordingUrl: 'https://storage.vapi.ai/call-EC1.wav',
+        summary: 'Talked through plan options.',
+      }).expect(200, { ok: true });
+      await settle();
+
+      expect(await slotFor('call-EC1')).toBeNull();
+      expect(opsPushes()).toEqual([
+        expect.objectContaining({
+          call_id: 'call-EC1',
+          list_id: '28001',
+          lead_id: 'EC1',
+          recording_url: 'https://storage.vapi.ai/call-EC1.wav',
+          call_duration_seconds: 240,
+        }),
+      ]);
+    });
+
+    test('should leave notes to the sendLeadNote tool instead of posting the summary', async () => {
+      await newLead({ lead_id: 'EC2', list_id: '28001', phone_number: '3055551302', state: 'NY' }).expect(200);
+      await endOfCall('call-EC2', { endedReason: 'customer-ended-call', summary: 'Wants a quote by email.' }).expect(
+        200,
+        { ok: true }
+      );
+
+      const outbox = await asAdmin(request(app).get('/admin/morgan/convoso-outbox?leadId=EC2'));
+      expect(outbox.body.entries.some((entry) => entry.fields?.notes)).toBe(false);
+      expect(fetch.mock.calls.some(([url]) => String(url).includes('notes='))).toBe(false);
+    });
+
+    test('should skip posting NO_SUMMARY notes', async () => {
+      await newLead({ lead_id: 'EC3', list_id: '28001', phone_number: '3055551303', state: 'NY' }).expect(200);
+      await endOfCall('call-EC3', { endedReason: 'customer-ended-call', summary: 'NO_SUMMARY' }).expect(200, {
+        success: true,
+        skipped: true,
+      });
+      expect(await slotFor('call-EC3')).toBeNull();
+    });
+
+    test('should push the recording of a call the watchdog ended once its report arrives', async () => {
+      mockCallProviders({ live: true });
+      await newLead({ lead_id: 'EC4', list_id: '28001', phone_number: '3055551304', state: 'NY' }).expect(200);
+
+      jest.setSystemTime(NEW_YORK_OPEN.getTime() + 21 * 60 * 1000);
+      const sweep = await asAdmin(request(app).post('/admin/morgan/watchdog/run')).expect(200);
+      expect(sweep.body.repaired).toEqual([
+        expect.objectContaining({ callId: 'call-EC4', action: 'hang_up_and_free', reason: 'max_duration' }),
+      ]);
+      await settle();
+      expect(opsPushes()).toEqual([expect.objectContaining({ call_id: 'call-EC4' })]);
+      expect(opsPushes()[0].recording_url).toBeUndefined();
+
+      await endOfCall('call-EC4', {
+        endedReason: 'assistant-ended-call',
+        durationSeconds: 1260,
+        recordingUrl: 'https://storage.vapi.ai/call-EC4.wav',
+      }).expect(200);
+      await settle();
+      expect(opsPushes()).toHaveLength(2);
+      expect(opsPushes()[1]).toMatchObject({
+        call_id: 'call-EC4',
+        recording_url: 'https://storage.vapi.ai/call-EC4.wav',
+        call_duration_seconds: 1260,
+      });
     });
   });
 
@@ -126,9 +491,7 @@ describe('API Integration Tests', () => {
   });
 });
 
-// Recommendations for implementing these tests:
-// 1. Install supertest: npm install --save-dev supertest
-// 2. Refactor index.js to export app without calling listen()
-// 3. Mock external API calls with jest.mock() or nock
-// 4. Use beforeEach/afterEach to reset state
-// 5. Consider extracting business logic to separate modules for easier testing
+// Recommendations for implementing the remaining tests:
+// 1. Mock external API calls with jest.mock() or nock
+// 2. Use beforeEach/afterEach to reset state
+// 3. Consider extracting business logic to separate modules for easier testing
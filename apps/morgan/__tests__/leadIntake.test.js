@@ -0,0 +1,203 @@
+// __tests__/leadIntake.test.js
+
+const {
+  getMemberIdValue,
+  normalizeConvosoLead,
+  extractSearchEntries,
+  planLeadIntake,
+  planCampaignPull,
+  dncUpdate,
+} = require('../leadIntake');
+const { addSuppression, resetSuppressionCache } = require('../suppression');
+const { recordAttempt, resetCadenceCache } = require('../cadencePolicy');
+const { scheduleCallback, resetCallbacks } = require('../callbacks');
+const { setMorganEnabled, resetMorganToggle } = require('../morganToggle');
+const { getCampaign, resetCampaigns } = require('../campaigns');
+const { saveState } = require('../stateStore');
+
+// Wednesday 11:00 ET (09:00 in west Texas, 08:00 in California)
+const NOW = Date.parse('2026-03-04T16:00:00Z');
+const MINUTE = 60 * 1000;
+
+// Recorded /v1/leads/search response for the call-now campaign, one page per list
+const RECORDED = [
+  {
+    success: true,
+    data: {
+      total: 9,
+      entries: [
+        { lead_id: '101', list_id: '28001', phone_number: '5125550101', state: 'TX', called_count: '2' },
+        { lead_id: '102', list_id: '28001', phone_number: '5125550102', state: 'TX', called_count: '2', Member_ID: 'M-9' },
+        { lead_id: '103', list_id: '28001', phone_number: '5125550103', state: 'TX', called_count: '3' },
+        { lead_id: '104', list_id: '28001', phone_number: '5125550104', state: 'TX', called_count: '5', status: 'MQ' },
+        { lead_id: '105', list_id: '28001', phone_number: '5125550105', state: 'TX', called_count: '5' },
+        { lead_id: '106', list_id: '28001', phone_number: '5125550106', state: 'TX', called_count: '2' },
+        { lead_id: '107', list_id: '28001', phone_number: '5125550107', state: 'TX', called_count: '2' },
+        { lead_id: '108', list_id: '28001', phone_number: '5125550108', state: 'TX', called_count: '5' },
+        { lead_id: '109', list_id: '28001', phone_number: '2135550109', state: 'CA', called_count: '2' },
+      ],
+    },
+  },
+  {
+    success: true,
+    data: {
+      total: 2,
+      entries: [
+        { lead_id: '101', list_id: '15857', phone_number: '5125550101', state: 'TX', called_count: '2' },
+        { lead_id: '110', list_id: '12794', phone_number: '5125550110', state: 'TX', called_count: '2' },
+      ],
+    },
+  },
+];
+
+describe('leadIntake', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    resetSuppressionCache();
+    resetCadenceCache();
+    resetCallbacks();
+    resetMorganToggle();
+    resetCampaigns();
+    jest.clearAllMocks();
+    delete process.env.MORGAN_ENABLED;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('normalizeConvosoLead', () => {
+    test('should map a Convoso row to a Morgan lead', () => {
+      const lead = normalizeConvosoLead(RECORDED[0].data.entries[1]);
+      expect(lead).toMatchObject({ id: '102', list_id: '28001', phone: '5125550102', call_count: 2, member_id: 'M-9' });
+      expect(normalizeConvosoLead({ lead_id: 1, called_count: '' }).call_count).toBeNull();
+      expect(normalizeConvosoLead(null)).toBeNull();
+    });
+
+    test('should treat blank Member IDs as missing', () => {
+      expect(getMemberIdValue({ Member_ID: '  ' })).toBeNull();
+      expect(getMemberIdValue({ field_2: 'M-1' })).toBe('M-1');
+    });
+  });
+
+  describe('extractSearchEntries', () => {
+    test('should read every response shape Convoso returns', () => {
+      expect(extractSearchEntries({ data: { entries: [1] } })).toEqual([1]);
+      expect(extractSearchEntries({ entries: [2] })).toEqual([2]);
+      expect(extractSearchEntries({ data: [3] })).toEqual([3]);
+      expect(extractSearchEntries({ data: {} })).toEqual([]);
+      expect(extractSearchEntries(null)).toEqual([]);
+    });
+  });
+
+  describe('planLeadIntake', () => {
+    const lead = { id: 'L1', list_id: '28001', phone: '5125550100' };
+
+    test('should queue a due lead and mark it MQ', () => {
+      expect(planLeadIntake(lead, { now: NOW })).toEqual({
+        action: 'queue',
+        convosoUpdate: { lead_id: 'L1', status: 'MQ' },
+      });
+    });
+
+    test('should skip leads already queued or waiting on a callback', () => {
+      expect(planLeadIntake(lead, { isQueued: (id) => id === 'L1', now: NOW })).toMatchObject({
+        action: 'skip',
+        reason: 'duplicate',
+      });
+      scheduleCallback({ lead, at: NOW + 60 * MINUTE, now: NOW });
+      expect(planLeadIntake(lead, { now: NOW }).reason).toBe('duplicate');
+    });
+
+    test('should skip undialable numbers and report why to Convoso', () => {
+      expect(planLeadIntake({ ...lead, phone: '1-900-555-0100' }, { now: NOW })).toEqual({
+        action: 'skip',
+        reason: 'invalid_phone',
+        detail: 'premium',
+        convosoUpdate: { lead_id: 'L1', status: 'WN', notes: 'Morgan did not dial: premium-rate number (premium)' },
+      });
+      process.env.MORGAN_INVALID_PHONE_STATUS = 'BADNUM';
+      expect(planLeadIntake({ ...lead, phone: '555-0100' }, { now: NOW }).convosoUpdate).toMatchObject({
+        status: 'BADNUM',
+        notes: 'Morgan did not dial: 7-digit number without an area code (missing_area_code)',
+      });
+      delete process.env.MORGAN_INVALID_PHONE_STATUS;
+    });
+
+    test('should respect the kill switch', () => {
+      process.env.MORGAN_ENABLED = 'false';
+      expect(planLeadIntake(lead, { now: NOW })).toMatchObject({ action: 'skip', reason: 'morgan_disabled' });
+    });
+
+    test('should not write anything', () => {
+      recordAttempt(lead, NOW - 30 * MINUTE);
+      jest.clearAllMocks();
+      expect(planLeadIntake(lead, { now: NOW })).toMatchObject({ action: 'hold', reason: 'min_spacing' });
+      expect(saveState).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('dncUpdate', () => {
+    test('should park the lead with the DNC status and say why', () => {
+      expect(dncUpdate('L1', { source: 'federal' })).toEqual({
+        lead_id: 'L1',
+        status: 'DNC',
+        notes: 'Morgan did not dial: number is on the do-not-call list (federal)',
+      });
+      process.env.MORGAN_DNC_STATUS = 'NOCALL';
+      expect(dncUpdate('L1', { source: 'internal' }).status).toBe('NOCALL');
+      delete process.env.MORGAN_DNC_STATUS;
+    });
+  });
+
+  describe('planCampaignPull', () => {
+    function setup() {
+      addSuppression({ phone: '5125550105', source: 'federal' });
+      recordAttempt({ id: '107', list_id: '28001' }, NOW - 30 * MINUTE);
+      for (let i = 4; i > 0; i--) recordAttempt({ id: '108', list_id: '28001' }, NOW - i * 2 * 24 * 60 * MINUTE);
+      setMorganEnabled({ enabled: false, listId: '12794', changedBy: 'test', reason: 'vendor paused' });
+      jest.clearAllMocks();
+    }
+
+    test('should replay a recorded search response into the same decisions a pull makes', () => {
+      setup();
+      const entries = RECORDED.flatMap(extractSearchEntries);
+      const plan = planCampaignPull(getCampaign('call-now'), entries, { isQueued: (id) => id === '106', now: NOW });
+
+      expect(plan.raw).toBe(11);
+      expect(plan.leads.map((l) => l.id)).toEqual(['101', '105', '106', '107', '108', '109', '101', '110']);
+      expect(plan.queue).toEqual([
+        { leadId: '101', listId: '28001', phone: '5125550101', state: 'TX', callableNow: true, windowReason: null },
+        { leadId: '109', listId: '28001', phone: '2135550109', state: 'CA', callableNow: false, windowReason: 'outside_window' },
+      ]);
+      expect(plan.hold).toEqual([
+        expect.objectContaining({ leadId: '107', reason: 'min_spacing', until: '2026-03-04T17:30:00.000Z' }),
+      ]);
+      expect(plan.skipped.map((s) => [s.leadId, s.stage, s.reason])).toEqual([
+        ['102', 'campaign', 'member_id'],
+        ['103', 'campaign', 'call_count'],
+        ['104', 'campaign', 'morgan_status'],
+        ['105', 'intake', 'dnc'],
+        ['106', 'intake', 'duplicate'],
+        ['108', 'intake', 'attempts_exhausted'],
+        ['101', 'intake', 'duplicate'],
+        ['110', 'intake', 'morgan_disabled'],
+      ]);
+      expect(plan.convosoUpdates).toEqual([
+        { lead_id: '101', status: 'MQ' },
+        { lead_id: '107', status: 'MQ' },
+        { lead_id: '109', status: 'MQ' },
+      ]);
+      expect(saveState).not.toHaveBeenCalled();
+    });
+
+    test('should skip leads past the limit', () => {
+      const entries = extractSearchEntries(RECORDED[0]);
+      const plan = planCampaignPull(getCampaign('call-now'), entries, { limit: 2, now: NOW });
+
+      expect(plan.leads.map((l) => l.id)).toEqual(['101', '105']);
+      expect(plan.skipped.filter((s) => s.reason === 'limit').map((s) => s.leadId)).toEqual(['106', '107', '108', '109']);
+    });
+  });
+});
@@ -0,0 +1,214 @@
+// __tests__/leaderElection.test.js
+
+// Every client answers queries from `results` in order; an Error entry rejects
+jest.mock('pg', () => {
+  const clients = [];
+  const results = [];
+  const Client = jest.fn().mockImplementation((options) => {
+    const client = {
+      options,
+      handlers: {},
+      connect: jest.fn().mockResolvedValue(),
+      end: jest.fn().mockResolvedValue(),
+      query: jest.fn(() => {
+        const result = results.shift();
+        return result instanceof Error ? Promise.reject(result) : Promise.resolve(result);
+      }),
+      on: jest.fn((event, fn) => {
+        client.handlers[event] = fn;
+      }),
+    };
+    clients.push(client);
+    return client;
+  });
+  return { Client, clients, results };
+});
+
+const { clients, results } = require('pg');
+const {
+  checkLeadership,
+  reassertLeadership,
+  checkInstanceUrl,
+  isLeader,
+  onLeadershipChange,
+  stopLeaderElection,
+  getLeaderStatus,
+  resetLeaderElection,
+} = require('../leaderElection');
+
+describe('leaderElection', () => {
+  const T0 = Date.parse('2026-03-02T15:00:00Z');
+  let originalEnv;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    delete process.env.DATABASE_URL;
+    delete process.env.MORGAN_LEADER_DATABASE_URL;
+    delete process.env.MORGAN_LEADER_CHECK_MS;
+    process.env.MORGAN_INSTANCE_ID = 'morgan-a';
+    resetLeaderElection();
+    clients.length = 0;
+    results.length = 0;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  test('should lead alone when no database is configured', async () => {
+    const listener = jest.fn();
+    onLeadershipChange(listener);
+
+    expect(await checkLeadership({ now: T0 })).toBe(true);
+    expect(isLeader(T0 + 60 * 60 * 1000)).toBe(true);
+    expect(listener).toHaveBeenCalledWith(true);
+    expect(clients).toHaveLength(0);
+    expect(await getLeaderStatus({ now: T0 })).toMatchObject({
+      instanceId: 'morgan-a',
+      mode: 'single',
+      isLeader: true,
+      leader: { instanceId: 'morgan-a' },
+    });
+  });
+
+  describe('with Postgres', () => {
+    beforeEach(() => {
+      process.env.MORGAN_LEADER_DATABASE_URL = 'postgres://morgan@db/ops';
+      process.env.MORGAN_INSTANCE_URL = 'http://morgan-a.internal:3000/';
+    });
+
+    test('should take the advisory lock and keep it while checks succeed', async () => {
+      const listener = jest.fn();
+      onLeadershipChange(listener);
+
+      results.push({ rows: [{ acquired: true }] });
+      expect(await checkLeadership({ now: T0 })).toBe(true);
+      const [client] = clients;
+
+      expect(client.options).toMatchObject({ connectionString: 'postgres://morgan@db/ops', application_name: 'morgan:morgan-a' });
+      expect(client.query).toHaveBeenCalledWith('SELECT pg_try_advisory_lock($1, $2) AS acquired', [0x4d4f52, 1]);
+      expect(listener).toHaveBeenCalledWith(true);
+      // Records where standbys should forward to
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO morgan_leaders'), [
+        1,
+        'morgan-a',
+        'http://morgan-a.internal:3000',
+      ]);
+
+      results.push({ rows: [{ '?column?': 1 }] });
+      expect(await checkLeadership({ now: T0 + 5000 })).toBe(true);
+      expect(client.query).toHaveBeenLastCalledWith('SELECT 1');
+      expect(clients).toHaveLength(1);
+    });
+
+    test('should stay on standby while another instance holds the lock', async () => {
+      results.push({ rows: [{ acquired: false }] });
+      expect(await checkLeadership({ now: T0 })).toBe(false);
+      expect(isLeader(T0)).toBe(false);
+
+      results.push({
+        rows: [{ application_name: 'morgan:morgan-b', backend_start: new Date(T0 - 60000), url: 'http://morgan-b.internal:3000' }],
+      });
+      expect(await getLeaderStatus({ now: T0 })).toMatchObject({
+        mode: 'postgres',
+        isLeader: false,
+        leader: { instanceId: 'morgan-b', connectedAt: '2026-03-02T14:59:00.000Z', url: 'http://morgan-b.internal:3000' },
+      });
+    });
+
+    test('should still lead when the leader address cannot be recorded, and retry recording it', async () => {
+      results.push({ rows: [{ acquired: true }] }, new Error('relation "morgan_leaders" does not exist'));
+      expect(await checkLeadership({ now: T0 })).toBe(true);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Could not record the leader address'));
+
+      results.push({ rows: [] });
+      await checkLeadership({ now: T0 + 5000 });
+      expect(clients[0].query).toHaveBeenLastCalledWith(expect.stringContaining('INSERT INTO morgan_leaders'), [
+        1,
+        'morgan-a',
+        'http://morgan-a.internal:3000',
+      ]);
+
+      // Recorded now; later checks only ping
+      await checkLeadership({ now: T0 + 10000 });
+      expect(clients[0].query).toHaveBeenLastCalledWith('SELECT 1');
+    });
+
+    test('should re-register after a fenced write while it still holds the lock', async () => {
+      results.push({ rows: [{ acquired: true }] });
+      await checkLeadership({ now: T0 });
+
+      results.push({ rows: [{ '?column?': 1 }] });
+      expect(await reassertLeadership()).toBe(true);
+      expect(clients[0].query).toHaveBeenLastCalledWith(expect.stringContaining('INSERT INTO morgan_leaders'), [
+        1,
+        'morgan-a',
+        'http://morgan-a.internal:3000',
+      ]);
+      expect(isLeader(T0)).toBe(true);
+    });
+
+    test('should step down after a fenced write once the lock is gone', async () => {
+      const listener = jest.fn();
+      onLeadershipChange(listener);
+      results.push({ rows: [{ acquired: true }] });
+      await checkLeadership({ now: T0 });
+
+      results.push({ rows: [] });
+      expect(await reassertLeadership()).toBe(false);
+      expect(listener).toHaveBeenLastCalledWith(false);
+      expect(clients[0].end).toHaveBeenCalled();
+      expect(isLeader(T0)).toBe(false);
+    });
+
+    test('should report a missing MORGAN_INSTANCE_URL', () => {
+      delete process.env.MORGAN_INSTANCE_URL;
+      expect(checkInstanceUrl()).toBe(false);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('MORGAN_INSTANCE_URL is not set'));
+
+      process.env.MORGAN_INSTANCE_URL = 'http://morgan-a.internal:3000';
+      expect(checkInstanceUrl()).toBe(true);
+    });
+
+    test('should step down when checks stop succeeding', async () => {
+      const listener = jest.fn();
+      onLeadershipChange(listener);
+      results.push({ rows: [{ acquired: true }] });
+      await checkLeadership({ now: T0 });
+
+      // No confirmed check for more than two intervals
+      expect(isLeader(T0 + 10000)).toBe(true);
+      expect(isLeader(T0 + 10001)).toBe(false);
+
+      results.push(new Error('Connection terminated'));
+      expect(await checkLeadership({ now: T0 + 5000 })).toBe(false);
+      expect(listener).toHaveBeenLastCalledWith(false);
+      expect(clients[0].end).toHaveBeenCalled();
+      expect((await getLeaderStatus()).lastError).toBe('Connection terminated');
+    });
+
+    test('should step down at once when the connection errors', async () => {
+      results.push({ rows: [{ acquired: true }] });
+      await checkLeadership({ now: T0 });
+
+      clients[0].handlers.error(new Error('server closed the connection'));
+      expect(isLeader(T0)).toBe(false);
+    });
+
+    test('should release the lock on shutdown', async () => {
+      results.push({ rows: [{ acquired: true }] });
+      await checkLeadership({ now: T0 });
+      const [client] = clients;
+
+      results.push({ rows: [] });
+      await stopLeaderElection();
+      expect(client.query).toHaveBeenLastCalledWith('SELECT pg_advisory_unlock($1, $2)', [0x4d4f52, 1]);
+      expect(client.end).toHaveBeenCalled();
+      expect(isLeader(T0)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+// __tests__/leaderProxy.test.js
+
+jest.mock('node-fetch');
+jest.mock('../leaderElection', () => ({
+  isLeader: jest.fn(() => false),
+  findLeader: jest.fn(),
+  getInstanceId: jest.fn(() => 'morgan-b'),
+  getInstanceUrl: jest.fn(() => 'http://morgan-b.internal:3000'),
+}));
+
+const { Readable } = require('stream');
+const fetch = require('node-fetch');
+const { isLeader, findLeader } = require('../leaderElection');
+const { forwardToLeader, resetLeaderProxy } = require('../leaderProxy');
+const { renderMetrics, resetMetrics } = require('../metrics');
+
+function mockRequest(overrides = {}) {
+  return {
+    method: 'POST',
+    originalUrl: '/webhooks/vapi?x=1',
+    headers: { host: 'morgan-b', 'content-length': '12', 'x-vapi-secret': 's', 'content-type': 'application/json' },
+    rawBody: Buffer.from('{"message":1}'),
+    ...overrides,
+  };
+}
+
+function mockResponse() {
+  const res = { headers: {} };
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  res.set = jest.fn((name, value) => {
+    res.headers[name] = value;
+    return res;
+  });
+  return res;
+}
+
+function leaderResponse(status, body) {
+  return {
+    status,
+    buffer: jest.fn().mockResolvedValue(Buffer.from(body)),
+    headers: { get: () => 'application/json; charset=utf-8' },
+  };
+}
+
+describe('leaderProxy', () => {
+  beforeEach(() => {
+    resetLeaderProxy();
+    resetMetrics();
+    jest.clearAllMocks();
+    isLeader.mockReturnValue(false);
+    findLeader.mockResolvedValue({ instanceId: 'morgan-a', url: 'http://morgan-a.internal:3000' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('should let the leader handle the request itself', async () => {
+    isLeader.mockReturnValue(true);
+    const next = jest.fn();
+    await forwardToLeader(mockRequest(), mockResponse(), next);
+    expect(next).toHaveBeenCalled();
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('should relay the raw request to the leader and its answer back', async () => {
+    fetch.mockResolvedValue(leaderResponse(201, '{"ok":true}'));
+    const res = mockResponse();
+    await forwardToLeader(mockRequest(), res, jest.fn());
+
+    expect(fetch).toHaveBeenCalledWith('http://morgan-a.internal:3000/webhooks/vapi?x=1', {
+      method: 'POST',
+      headers: { 'x-vapi-secret': 's', 'content-type': 'application/json', 'x-morgan-forwarded-by': 'morgan-b' },
+      body: Buffer.from('{"message":1}'),
+      timeout: 15000,
+    });
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.send).toHaveBeenCalledWith(Buffer.from('{"ok":true}'));
+    expect(res.headers['Content-Type']).toBe('application/json; charset=utf-8');
+    expect(renderMetrics()).toContain('morgan_forwarded_requests_total{result="ok"} 1');
+
+    // The leader's address is cached between requests
+    await forwardToLeader(mockRequest({ method: 'GET', rawBody: undefined }), mockResponse(), jest.fn());
+    expect(findLeader).toHaveBeenCalledTimes(1);
+    expect(fetch.mock.calls[1][1].body).toBeUndefined();
+  });
+
+  test('should relay a body no global parser read, such as a CSV import', async () => {
+    fetch.mockResolvedValue(leaderResponse(200, '{"success":true}'));
+    const csv = 'phone\n3055551201\n3055551202\n';
+    const req = Object.assign(Readable.from([Buffer.from(csv)]), {
+      method: 'POST',
+      originalUrl: '/admin/morgan/suppression/import',
+      headers: { host: 'morgan-b', 'content-type': 'text/csv', authorization: 'Bearer t' },
+    });
+    await forwardToLeader(req, mockResponse(), jest.fn());
+
+    expect(fetch).toHaveBeenCalledWith(
+      'http://morgan-a.internal:3000/admin/morgan/suppression/import',
+      expect.objectContaining({ body: Buffer.from(csv) })
+    );
+  });
+
+  test('should answer 503 when no leader address is known', async () => {
+    findLeader.mockResolvedValue({ instanceId: 'morgan-a', url: null });
+    const res = mockResponse();
+    await forwardToLeader(mockRequest(), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'No Morgan leader to forward to' }));
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('should not forward a request twice', async () => {
+    const res = mockResponse();
+    await forwardToLeader(mockRequest({ headers: { 'x-morgan-forwarded-by': 'morgan-c' } }), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(findLeader).not.toHaveBeenCalled();
+  });
+
+  test('should answer 502 and look the leader up again when it is unreachable', async () => {
+    fetch.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+    const res = mockResponse();
+    await forwardToLeader(mockRequest(), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(502);
+    expect(renderMetrics()).toContain('morgan_forwarded_requests_total{result="error"} 1');
+
+    fetch.mockResolvedValue(leaderResponse(200, '{}'));
+    await forwardToLeader(mockRequest(), mockResponse(), jest.fn());
+    expect(findLeader).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,152 @@
+// __tests__/logger.test.js
+
+const {
+  logger,
+  redact,
+  getLogLevel,
+  setLogLevel,
+  withLogContext,
+  addLogContext,
+  requestLogContext,
+} = require('../logger');
+
+function lastEntry(spy) {
+  return JSON.parse(spy.mock.calls[spy.mock.calls.length - 1][0]);
+}
+
+describe('logger', () => {
+  let logSpy;
+  let errorSpy;
+
+  beforeEach(() => {
+    setLogLevel('info');
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    errorSpy.mockRestore();
+  });
+
+  describe('redact', () => {
+    test('should mask sensitive fields by name', () => {
+      expect(
+        redact({
+          lead_id: '555',
+          first_name: 'Jane',
+          last_name: 'Doe',
+          phone_number: '(512) 555-0100',
+          email: 'jane@example.com',
+          address1: '1 Main St',
+          state: 'TX',
+          phoneNumberId: 'pn-1',
+          headers: { authorization: 'Bearer abc', 'x-webhook-secret': 's3cret' },
+          customer: { number: '+15125550100' },
+        })
+      ).toEqual({
+        lead_id: '555',
+        first_name: '[redacted]',
+        last_name: '[redacted]',
+        phone_number: '***0100',
+        email: '***@example.com',
+        address1: '[redacted]',
+        state: 'TX',
+        phoneNumberId: 'pn-1',
+        headers: { authorization: '[redacted]', 'x-webhook-secret': '[redacted]' },
+        customer: { number: '***0100' },
+      });
+    });
+
+    test('should mask phone numbers, emails and tokens inside strings', () => {
+      expect(redact('Calling +15125550100 for jane@example.com')).toBe('Calling ***0100 for ***@example.com');
+      expect(redact('to: 512-555-0100, lead 555, at 2026-03-04T16:00:00Z')).toBe(
+        'to: ***0100, lead 555, at 2026-03-04T16:00:00Z'
+      );
+      expect(redact('GET /search?auth_token=abc123&list_id=1')).toBe('GET /search?auth_token=[redacted]&list_id=1');
+      expect(redact('Authorization: Bearer eyJ.abc.def')).toBe('Authorization: Bearer [redacted]');
+    });
+
+    test('should cut off circular structures', () => {
+      const a = { id: 1 };
+      a.self = a;
+      expect(redact(a)).toEqual({ id: 1, self: '[circular]' });
+    });
+  });
+
+  describe('entries', () => {
+    test('should write one JSON line with the scope split from the message', () => {
+      logger.info('[MorganQueue] Enqueued lead', '555', 'to', '5125550100', { first_name: 'Jane', state: 'TX' });
+
+      const entry = lastEntry(logSpy);
+      expect(entry).toMatchObject({
+        level: 'info',
+        scope: 'MorganQueue',
+        msg: 'Enqueued lead 555 to ***0100',
+        data: { first_name: '[redacted]', state: 'TX' },
+      });
+      expect(Date.parse(entry.time)).not.toBeNaN();
+    });
+
+    test('should describe errors without leaking numbers in their message', () => {
+      const err = new Error('Convoso rejected 5125550100');
+      err.statusCode = 400;
+      logger.error('[ConvosoOutbox] update failed:', err);
+
+      expect(lastEntry(errorSpy).err).toMatchObject({
+        name: 'Error',
+        message: 'Convoso rejected ***0100',
+        statusCode: 400,
+      });
+    });
+  });
+
+  describe('log level', () => {
+    test('should drop entries below the current level and change at runtime', () => {
+      logger.debug('[MorganQueue] hidden');
+      expect(logSpy).not.toHaveBeenCalled();
+
+      expect(setLogLevel(' DEBUG ')).toBe('debug');
+      logger.debug('[MorganQueue] shown');
+      expect(lastEntry(logSpy).msg).toBe('shown');
+      expect(getLogLevel()).toBe('debug');
+    });
+
+    test('should reject unknown levels', () => {
+      expect(() => setLogLevel('verbose')).toThrow('level must be one of error, warn, info, debug');
+      expect(getLogLevel()).toBe('info');
+    });
+  });
+
+  describe('correlation', () => {
+    test('should tag entries with the request ID and fields added later', () => {
+      const req = { get: jest.fn(() => 'req-1') };
+      const res = { set: jest.fn() };
+
+      requestLogContext(req, res, () => {
+        addLogContext({ callId: 'call-1' });
+        logger.info('[VapiWebhook] end-of-call-report');
+      });
+
+      expect(res.set).toHaveBeenCalledWith('x-request-id', 'req-1');
+      expect(lastEntry(logSpy)).toMatchObject({ requestId: 'req-1', callId: 'call-1' });
+    });
+
+    test('should make up a request ID when the caller sent none or a bad one', () => {
+      const res = { set: jest.fn() };
+      requestLogContext({ get: () => 'bad id\n' }, res, () => {});
+      expect(res.set.mock.calls[0][1]).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    test('should keep context to the work it was given to', async () => {
+      await withLogContext({ leadId: '555' }, async () => {
+        await Promise.resolve();
+        logger.info('[MorganQueue] dialing');
+      });
+      expect(lastEntry(logSpy).leadId).toBe('555');
+
+      logger.info('[MorganQueue] tick');
+      expect(lastEntry(logSpy)).not.toHaveProperty('leadId');
+    });
+  });
+});
@@ -0,0 +1,89 @@
+// __tests__/metrics.test.js
+
+const {
+  incCounter,
+  observeHistogram,
+  timeJob,
+  registerGauge,
+  renderMetrics,
+  resetMetrics,
+} = require('../metrics');
+
+describe('metrics', () => {
+  beforeEach(() => {
+    resetMetrics();
+  });
+
+  test('should render counters with labels', () => {
+    incCounter('morgan_calls_launched_total', { path: 'queue' });
+    incCounter('morgan_calls_launched_total', { path: 'queue' });
+    incCounter('morgan_calls_launched_total', { path: 'convoso' });
+
+    const text = renderMetrics();
+    expect(text).toContain('# TYPE morgan_calls_launched_total counter');
+    expect(text).toContain('morgan_calls_launched_total{path="queue"} 2');
+    expect(text).toContain('morgan_calls_launched_total{path="convoso"} 1');
+  });
+
+  test('should start unlabelled counters at zero', () => {
+    expect(renderMetrics()).toContain('\nmorgan_vapi_rate_limited_total 0\n');
+  });
+
+  test('should reject unknown metric names', () => {
+    expect(() => incCounter('morgan_typo_total')).toThrow('Unknown counter');
+    expect(() => observeHistogram('morgan_typo_seconds', {}, 1)).toThrow('Unknown histogram');
+  });
+
+  test('should render cumulative histogram buckets', () => {
+    observeHistogram('morgan_pull_job_duration_seconds', { job: 'pull-leads' }, 0.7);
+    observeHistogram('morgan_pull_job_duration_seconds', { job: 'pull-leads' }, 7);
+
+    const text = renderMetrics();
+    expect(text).toContain('morgan_pull_job_duration_seconds_bucket{job="pull-leads",le="0.5"} 0');
+    expect(text).toContain('morgan_pull_job_duration_seconds_bucket{job="pull-leads",le="1"} 1');
+    expect(text).toContain('morgan_pull_job_duration_seconds_bucket{job="pull-leads",le="10"} 2');
+    expect(text).toContain('morgan_pull_job_duration_seconds_bucket{job="pull-leads",le="+Inf"} 2');
+    expect(text).toContain('morgan_pull_job_duration_seconds_sum{job="pull-leads"} 7.7');
+    expect(text).toContain('morgan_pull_job_duration_seconds_count{job="pull-leads"} 2');
+  });
+
+  test('should time jobs and count failures', async () => {
+    await expect(timeJob('hydrate', async () => 'done')).resolves.toBe('done');
+    await expect(
+      timeJob('hydrate', async () => {
+        throw new Error('Convoso down');
+      })
+    ).rejects.toThrow('Convoso down');
+
+    const text = renderMetrics();
+    expect(text).toContain('morgan_pull_job_duration_seconds_count{job="hydrate"} 2');
+    expect(text).toContain('morgan_pull_job_failures_total{job="hydrate"} 1');
+  });
+
+  test('should read gauges at scrape time', () => {
+    let depth = 3;
+    registerGauge('morgan_queue_depth', 'Leads waiting', () => depth);
+    registerGauge('morgan_slots', 'Slots by state', () => [
+      { labels: { state: 'busy' }, value: 2 },
+      { labels: { state: 'free' }, value: 1 },
+    ]);
+
+    expect(renderMetrics()).toContain('morgan_queue_depth 3');
+    depth = 0;
+    const text = renderMetrics();
+    expect(text).toContain('morgan_queue_depth 0');
+    expect(text).toContain('morgan_slots{state="busy"} 2');
+  });
+
+  test('should skip a gauge whose collector throws', () => {
+    registerGauge('morgan_broken', 'Broken', () => {
+      throw new Error('boom');
+    });
+    expect(renderMetrics()).not.toContain('morgan_broken');
+  });
+
+  test('should escape label values', () => {
+    incCounter('morgan_leads_skipped_total', { reason: 'say "hi"' });
+    expect(renderMetrics()).toContain('morgan_leads_skipped_total{reason="say \\"hi\\""} 1');
+  });
+});
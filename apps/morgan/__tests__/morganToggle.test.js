@@ -66,4 +66,70 @@ describe('morganToggle', () => {
     const { isMorganEnabled } = require('../morganToggle');
     expect(isMorganEnabled()).toBe(false);
   });
+
+  describe('runtime override', () => {
+    let toggle;
+
+    beforeEach(() => {
+      process.env.MORGAN_ENABLED = 'true';
+      toggle = require('../morganToggle');
+    });
+
+    test('should override the env and record who changed it', () => {
+      toggle.setMorganEnabled({ enabled: false, changedBy: 'ops@example.com', reason: 'carrier incident' });
+      expect(toggle.isMorganEnabled()).toBe(false);
+      expect(toggle.getMorganToggleStatus()).toMatchObject({
+        enabled: false,
+        source: 'runtime',
+        env: true,
+        changedBy: 'ops@example.com',
+      });
+      expect(toggle.getMorganToggleAudit()[0]).toMatchObject({
+        scope: 'global',
+        enabled: false,
+        previous: null,
+        reason: 'carrier incident',
+      });
+    });
+
+    test('should keep the authenticated caller next to the self-reported name', () => {
+      const caller = { guard: 'admin', ip: '10.0.0.7', userAgent: 'curl/8.0' };
+      toggle.setMorganEnabled({ enabled: false, listId: 28001, changedBy: 'ops', reason: 'bad data', caller });
+      expect(toggle.getMorganToggleStatus().lists['28001']).toMatchObject({ changedBy: 'ops', caller });
+      expect(toggle.getMorganToggleAudit()[0]).toMatchObject({ changedBy: 'ops', caller });
+    });
+
+    test('should fall back to the env when the override is cleared', () => {
+      process.env.MORGAN_ENABLED = 'false';
+      toggle.setMorganEnabled({ enabled: true, changedBy: 'ops', reason: 'resume' });
+      expect(toggle.isMorganEnabled()).toBe(true);
+      toggle.setMorganEnabled({ enabled: null, changedBy: 'ops', reason: 'back to env' });
+      expect(toggle.isMorganEnabled()).toBe(false);
+      expect(toggle.getMorganToggleStatus().source).toBe('env');
+    });
+
+    test('should pause a single list', () => {
+      toggle.setMorganEnabled({ enabled: false, listId: 28001, changedBy: 'ops', reason: 'bad data' });
+      expect(toggle.isMorganEnabled('28001')).toBe(false);
+      expect(toggle.isMorganEnabled('15857')).toBe(true);
+      expect(toggle.isMorganEnabled()).toBe(true);
+      expect(toggle.getMorganToggleAudit()[0].scope).toBe('list:28001');
+
+      toggle.setMorganEnabled({ enabled: null, listId: 28001, changedBy: 'ops', reason: 'fixed' });
+      expect(toggle.isMorganEnabled(28001)).toBe(true);
+    });
+
+    test('should keep lists off while Morgan is globally disabled', () => {
+      toggle.setMorganEnabled({ enabled: false, changedBy: 'ops', reason: 'incident' });
+      expect(toggle.isMorganEnabled('15857')).toBe(false);
+    });
+
+    test('should require an actor and a reason', () => {
+      expect(() => toggle.setMorganEnabled({ enabled: false, reason: 'x' })).toThrow('changedBy is required');
+      expect(() => toggle.setMorganEnabled({ enabled: false, changedBy: 'ops' })).toThrow('reason is required');
+      expect(() => toggle.setMorganEnabled({ enabled: 'off', changedBy: 'ops', reason: 'x' })).toThrow(
+        'enabled must be true, false or null'
+      );
+    });
+  });
 });
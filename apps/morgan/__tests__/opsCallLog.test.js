@@ -0,0 +1,135 @@
+// __tests__/opsCallLog.test.js
+
+const {
+  MAX_ATTEMPTS,
+  buildOpsCallPayload,
+  queueOpsCallLog,
+  flushOpsCallLogs,
+  listOpsCallLogs,
+  getOpsCallLogStats,
+  replayOpsCallLogs,
+  resetOpsCallLog,
+} = require('../opsCallLog');
+const { resetMetrics, renderMetrics } = require('../metrics');
+const { loadState, saveState } = require('../stateStore');
+
+const T0 = Date.parse('2026-03-04T16:00:00Z');
+
+const record = {
+  callId: 'call-1',
+  status: 'ended',
+  leadId: '555',
+  listId: '28001',
+  assistant: 'morgan',
+  toNumber: '+15125550100',
+  startedAt: '2026-03-04T15:54:00.000Z',
+  endedAt: '2026-03-04T16:00:00.000Z',
+  durationSeconds: 359.6,
+  recordingUrl: 'https://storage.vapi.ai/call-1.wav',
+};
+
+function httpError(statusCode) {
+  const err = new Error(`ops-api failed (status ${statusCode})`);
+  err.statusCode = statusCode;
+  return err;
+}
+
+describe('opsCallLog', () => {
+  beforeEach(() => {
+    resetOpsCallLog();
+    resetMetrics();
+    jest.clearAllMocks();
+  });
+
+  describe('buildOpsCallPayload', () => {
+    test('should describe the call for the ops-api call log', () => {
+      expect(buildOpsCallPayload(record, { assistantName: 'Morgan' })).toEqual({
+        call_id: 'call-1',
+        assistant: 'morgan',
+        assistant_name: 'Morgan',
+        list_id: '28001',
+        lead_id: '555',
+        lead_phone: '+15125550100',
+        recording_url: 'https://storage.vapi.ai/call-1.wav',
+        call_duration_seconds: 360,
+        call_timestamp: '2026-03-04T15:54:00.000Z',
+      });
+      expect(buildOpsCallPayload({ ...record, outcome: 'voicemail' }).outcome).toBe('voicemail');
+    });
+
+    test('should leave out what it does not know', () => {
+      const payload = buildOpsCallPayload({ ...record, assistant: null, recordingUrl: null, durationSeconds: null });
+      expect(payload.assistant).toBe('morgan');
+      expect(payload).not.toHaveProperty('recording_url');
+      expect(payload).not.toHaveProperty('call_duration_seconds');
+    });
+
+    test('should only push ended calls with a lead list', () => {
+      expect(buildOpsCallPayload({ ...record, listId: null })).toBeNull();
+      expect(buildOpsCallPayload({ ...record, status: 'in-progress' })).toBeNull();
+      expect(buildOpsCallPayload(null)).toBeNull();
+    });
+  });
+
+  describe('flushOpsCallLogs', () => {
+    test('should send queued calls and forget them', async () => {
+      queueOpsCallLog(buildOpsCallPayload(record), T0);
+      const send = jest.fn().mockResolvedValue({ id: 'log-1' });
+
+      expect(await flushOpsCallLogs(send, { now: T0 })).toEqual({ sent: 1, failed: 0 });
+      expect(send).toHaveBeenCalledWith(expect.objectContaining({ call_id: 'call-1' }));
+      expect(getOpsCallLogStats()).toEqual({ pending: 0, dead: 0 });
+      expect(renderMetrics()).toContain('morgan_ops_call_logs_total{result="ok"} 1');
+      expect(saveState).toHaveBeenCalledWith('ops-call-log', expect.any(Function));
+    });
+
+    test('should keep one pending push per call', () => {
+      queueOpsCallLog(buildOpsCallPayload(record), T0);
+      queueOpsCallLog(buildOpsCallPayload({ ...record, recordingUrl: 'https://storage.vapi.ai/late.wav' }), T0);
+
+      const { total, entries } = listOpsCallLogs();
+      expect(total).toBe(1);
+      expect(entries[0].payload.recording_url).toBe('https://storage.vapi.ai/late.wav');
+    });
+
+    test('should back off on transient errors and give up after the last attempt', async () => {
+      queueOpsCallLog(buildOpsCallPayload(record), T0);
+      const send = jest.fn().mockRejectedValue(httpError(503));
+
+      await flushOpsCallLogs(send, { now: T0 });
+      expect(await flushOpsCallLogs(send, { now: T0 + 1000 })).toEqual({ sent: 0, failed: 0 });
+      expect(listOpsCallLogs().entries[0].nextAttemptAt).toBe('2026-03-04T16:00:30.000Z');
+
+      let now = T0;
+      for (let i = 1; i < MAX_ATTEMPTS; i++) {
+        now += 2 * 60 * 60 * 1000;
+        await flushOpsCallLogs(send, { now });
+      }
+      expect(send).toHaveBeenCalledTimes(MAX_ATTEMPTS);
+      expect(getOpsCallLogStats()).toEqual({ pending: 0, dead: 1 });
+    });
+
+    test('should give up at once on a rejected payload and replay on request', async () => {
+      queueOpsCallLog(buildOpsCallPayload(record), T0);
+      await flushOpsCallLogs(jest.fn().mockRejectedValue(httpError(400)), { now: T0 });
+
+      expect(listOpsCallLogs({ status: 'dead' }).entries[0]).toMatchObject({
+        callId: 'call-1',
+        lastError: 'ops-api failed (status 400)',
+      });
+      expect(replayOpsCallLogs('other')).toBe(0);
+      expect(replayOpsCallLogs()).toBe(1);
+      expect(getOpsCallLogStats()).toEqual({ pending: 1, dead: 0 });
+    });
+
+    test('should resume pushes saved before a restart', async () => {
+      loadState.mockImplementationOnce(() => [
+        { callId: 'call-0', payload: { call_id: 'call-0' }, status: 'pending', attempts: 1, nextAttemptAt: T0, createdAt: T0 },
+      ]);
+      const send = jest.fn().mockResolvedValue({});
+
+      await flushOpsCallLogs(send, { now: T0 });
+      expect(send).toHaveBeenCalledWith({ call_id: 'call-0' });
+    });
+  });
+});
@@ -0,0 +1,52 @@
+// __tests__/phoneNumbers.test.js
+
+const { validatePhoneNumber, toE164 } = require('../phoneNumbers');
+
+describe('phoneNumbers', () => {
+  describe('validatePhoneNumber', () => {
+    test('should accept the shapes Convoso sends', () => {
+      for (const raw of ['5125550100', '(512) 555-0100', '512.555.0100', '15125550100', '1-512-555-0100', '+1 512 555 0100', 5125550100]) {
+        expect(validatePhoneNumber(raw)).toEqual({ valid: true, e164: '+15125550100', national: '5125550100' });
+      }
+    });
+
+    test('should drop extensions', () => {
+      expect(toE164('512-555-0100 x12')).toBe('+15125550100');
+      expect(toE164('(512) 555-0100 ext. 4')).toBe('+15125550100');
+    });
+
+    test('should reject missing, short and long numbers', () => {
+      expect(validatePhoneNumber(null)).toMatchObject({ valid: false, reason: 'missing', message: 'no phone number' });
+      expect(validatePhoneNumber('  ')).toMatchObject({ reason: 'missing' });
+      expect(validatePhoneNumber('555-0100')).toMatchObject({ reason: 'missing_area_code' });
+      expect(validatePhoneNumber('512555010')).toMatchObject({ reason: 'bad_length' });
+      expect(validatePhoneNumber('25125550100')).toMatchObject({ reason: 'bad_length' });
+    });
+
+    test('should reject international and non-US NANP numbers', () => {
+      expect(validatePhoneNumber('+44 20 7946 0958')).toMatchObject({ reason: 'international' });
+      expect(validatePhoneNumber('011 44 20 7946 0958')).toMatchObject({ reason: 'international' });
+      // Jamaica and the Dominican Republic dial like US numbers but bill as international
+      expect(validatePhoneNumber('876-555-0100')).toMatchObject({ reason: 'international' });
+      expect(validatePhoneNumber('1 809 555 0100')).toMatchObject({ reason: 'international' });
+      // Puerto Rico is domestic
+      expect(toE164('787-555-0100')).toBe('+17875550100');
+    });
+
+    test('should apply the area code and exchange rules', () => {
+      expect(validatePhoneNumber('012-555-0100')).toMatchObject({ reason: 'invalid_area_code' });
+      expect(validatePhoneNumber('152-555-0100')).toMatchObject({ reason: 'invalid_area_code' });
+      expect(validatePhoneNumber('592-555-0100')).toMatchObject({ reason: 'invalid_area_code' });
+      expect(validatePhoneNumber('411-555-0100')).toMatchObject({ reason: 'invalid_area_code' });
+      expect(validatePhoneNumber('512-055-0100')).toMatchObject({ reason: 'invalid_exchange' });
+      expect(validatePhoneNumber('512-155-0100')).toMatchObject({ reason: 'invalid_exchange' });
+      expect(validatePhoneNumber('512-911-0100')).toMatchObject({ reason: 'invalid_exchange' });
+    });
+
+    test('should reject premium-rate numbers', () => {
+      expect(validatePhoneNumber('1-900-555-0100')).toMatchObject({ reason: 'premium', message: 'premium-rate number' });
+      expect(validatePhoneNumber('512-976-0100')).toMatchObject({ reason: 'premium' });
+      expect(toE164('512-976-0100')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,144 @@
+// __tests__/productEligibility.test.js
+
+jest.mock('../opsApiClient', () => ({
+  opsApiRequest: jest.fn(),
+}));
+
+const {
+  getProductCatalog,
+  getEligibleProducts,
+  describeEligibility,
+  checkProductEligibility,
+  resetProductCatalog,
+} = require('../productEligibility');
+const { opsApiRequest } = require('../opsApiClient');
+const { loadState, saveState } = require('../stateStore');
+
+// Shaped like GET /api/products
+const apiProducts = [
+  {
+    id: 'core-1',
+    name: 'Complete Care',
+    type: 'CORE',
+    active: true,
+    commissionAbove: '40.00',
+    requiredBundleAddon: { id: 'addon-vab', name: 'VAB' },
+    fallbackAddons: [{ fallbackProduct: { id: 'addon-alt', name: 'Dental Plus' } }],
+    stateAvailability: [{ stateCode: 'TX' }, { stateCode: 'FL' }, { stateCode: 'CA' }],
+  },
+  {
+    id: 'core-2',
+    name: 'Basic Care',
+    type: 'CORE',
+    active: true,
+    requiredBundleAddon: null,
+    fallbackAddons: [],
+    stateAvailability: [{ stateCode: 'TX' }],
+  },
+  { id: 'addon-vab', name: 'VAB', type: 'ADDON', active: true, stateAvailability: [{ stateCode: 'TX' }] },
+  { id: 'addon-alt', name: 'Dental Plus', type: 'ADDON', active: true, stateAvailability: [{ stateCode: 'FL' }] },
+];
+
+const slim = (product) => ({
+  id: product.id,
+  name: product.name,
+  type: product.type,
+  notes: null,
+  requiredBundleAddon: product.requiredBundleAddon || null,
+  fallbackAddons: (product.fallbackAddons || []).map((f) => f.fallbackProduct),
+  states: product.stateAvailability.map((s) => s.stateCode),
+});
+
+describe('productEligibility', () => {
+  const T0 = Date.parse('2026-03-02T15:00:00Z');
+
+  beforeEach(() => {
+    resetProductCatalog();
+    jest.clearAllMocks();
+  });
+
+  describe('getEligibleProducts', () => {
+    const products = apiProducts.map(slim);
+
+    test('should pair core products with the required add-on where it is sold', () => {
+      const result = getEligibleProducts(products, 'TX');
+      expect(result.products.map((p) => p.name)).toEqual(['Complete Care', 'Basic Care']);
+      expect(result.products[0].bundle).toEqual({
+        required: { id: 'addon-vab', name: 'VAB' },
+        fallbacks: [],
+        bundleAvailable: true,
+      });
+      expect(result.products[1].bundle).toBeNull();
+      expect(result.addons.map((a) => a.name)).toEqual(['VAB']);
+    });
+
+    test('should offer fallback add-ons where the required one is not sold', () => {
+      const [core] = getEligibleProducts(products, 'FL').products;
+      expect(core.bundle).toEqual({ required: null, fallbacks: [{ id: 'addon-alt', name: 'Dental Plus' }], bundleAvailable: true });
+    });
+
+    test('should flag cores whose bundle cannot be sold in the state', () => {
+      const [core] = getEligibleProducts(products, 'CA').products;
+      expect(core.bundle.bundleAvailable).toBe(false);
+    });
+
+    test('should leave out products not sold in the state', () => {
+      expect(getEligibleProducts(products, 'NY')).toEqual({ state: 'NY', products: [], addons: [] });
+    });
+  });
+
+  describe('describeEligibility', () => {
+    test('should summarise the list for the assistant', () => {
+      const products = apiProducts.map(slim);
+      expect(describeEligibility(getEligibleProducts(products, 'FL'))).toBe(
+        'Products available in FL: Complete Care (bundle with Dental Plus). ' +
+          'Add-ons available in FL: Dental Plus. Only pitch products from this list.'
+      );
+      expect(describeEligibility(getEligibleProducts(products, 'NY'))).toContain('No products are available in NY');
+    });
+  });
+
+  describe('catalog cache', () => {
+    test('should fetch the catalog from ops-api and keep only eligibility fields', async () => {
+      opsApiRequest.mockResolvedValue(apiProducts);
+      const catalog = await getProductCatalog({ now: T0 });
+
+      expect(opsApiRequest).toHaveBeenCalledWith('/products', expect.objectContaining({ timeoutMs: expect.any(Number) }));
+      expect(catalog.products[0]).toEqual(slim(apiProducts[0]));
+      expect(catalog.products[0].commissionAbove).toBeUndefined();
+      expect(saveState).toHaveBeenCalledWith('product-catalog', catalog);
+    });
+
+    test('should serve a stale catalog right away and refresh it in the background', async () => {
+      opsApiRequest.mockResolvedValueOnce(apiProducts);
+      await getProductCatalog({ now: T0 });
+
+      let resolveRefresh;
+      opsApiRequest.mockReturnValueOnce(new Promise((resolve) => { resolveRefresh = resolve; }));
+      const stale = await getProductCatalog({ now: T0 + 10 * 60 * 1000 });
+      expect(stale.fetchedAt).toBe(T0);
+
+      resolveRefresh([apiProducts[1]]);
+      await new Promise((resolve) => setImmediate(resolve));
+      expect((await getProductCatalog({ now: T0 + 10 * 60 * 1000 })).products.map((p) => p.id)).toEqual(['core-2']);
+    });
+
+    test('should keep the stale catalog when a refresh fails', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      loadState.mockImplementationOnce(() => ({ products: apiProducts.map(slim), fetchedAt: T0 }));
+      opsApiRequest.mockRejectedValue(new Error('timeout'));
+
+      const result = await checkProductEligibility({ state: 'Texas' }, { now: T0 + 60 * 60 * 1000 });
+      expect(result.products).toHaveLength(2);
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+    });
+
+    test('should fail when nothing is cached and ops-api is down', async () => {
+      opsApiRequest.mockRejectedValue(new Error('ECONNREFUSED'));
+      await expect(checkProductEligibility('TX', { now: T0 })).rejects.toThrow('ECONNREFUSED');
+      await expect(checkProductEligibility('Atlantis')).rejects.toThrow('state is unknown');
+    });
+  });
+});
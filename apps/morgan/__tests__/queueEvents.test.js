@@ -0,0 +1,38 @@
+// __tests__/queueEvents.test.js
+
+const { recordQueueEvent, getQueueEvents, resetQueueEventsCache } = require('../queueEvents');
+const { loadState, saveState } = require('../stateStore');
+
+const T0 = Date.parse('2026-03-05T20:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('queueEvents', () => {
+  beforeEach(() => {
+    resetQueueEventsCache();
+    jest.clearAllMocks();
+  });
+
+  test('should record events and filter them by window and type', () => {
+    recordQueueEvent({ type: 'retry', leadId: 1, listId: 28001, callId: 'call-1', reason: 'busy', at: T0 });
+    recordQueueEvent({ type: 'exhausted', leadId: 2, reason: 'no-answer', at: T0 + 1000 });
+
+    expect(getQueueEvents({ since: '2026-03-05T19:00:00Z', type: 'retry' })).toEqual([
+      { at: '2026-03-05T20:00:00.000Z', type: 'retry', leadId: '1', listId: '28001', callId: 'call-1', reason: 'busy' },
+    ]);
+    expect(getQueueEvents({ until: '2026-03-05T20:00:00Z' })).toEqual([]);
+    expect(saveState).toHaveBeenCalledWith('queue-events', expect.any(Function));
+  });
+
+  test('should drop events past the call record retention', () => {
+    loadState.mockImplementationOnce(() => [
+      { at: new Date(T0 - 91 * DAY_MS).toISOString(), type: 'retry', leadId: '0' },
+    ]);
+    recordQueueEvent({ type: 'retry', leadId: 1, at: T0 });
+
+    expect(getQueueEvents().map((e) => e.leadId)).toEqual(['1']);
+  });
+
+  test('should reject unknown event types', () => {
+    expect(() => recordQueueEvent({ type: 'paused' })).toThrow('Unknown queue event paused');
+  });
+});
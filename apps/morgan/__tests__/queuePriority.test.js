@@ -0,0 +1,149 @@
+// __tests__/queuePriority.test.js
+
+const { DateTime } = require('luxon');
+const {
+  DEFAULT_PRIORITY,
+  getPriorityConfig,
+  updatePriorityConfig,
+  getLeadCreatedAt,
+  scoreLead,
+  rankLeads,
+  resetPriorityConfig,
+} = require('../queuePriority');
+const { resetCallingCalendar } = require('../callingWindows');
+const { loadState, saveState } = require('../stateStore');
+
+// Tuesday Feb 3, 2026 at the given Eastern time
+const eastern = (hour, minute = 0) =>
+  DateTime.fromObject({ year: 2026, month: 2, day: 3, hour, minute }, { zone: 'America/New_York' }).toMillis();
+
+const factor = (result, name) => result.factors.find((f) => f.factor === name);
+
+describe('queuePriority', () => {
+  beforeEach(() => {
+    resetPriorityConfig();
+    resetCallingCalendar();
+    jest.clearAllMocks();
+  });
+
+  describe('getLeadCreatedAt', () => {
+    test('should read Convoso created_at as Eastern time', () => {
+      const created = getLeadCreatedAt({ raw: { created_at: '2026-02-03 10:00:00' } });
+      expect(created).toEqual({ at: eastern(10), source: 'created_at' });
+    });
+
+    test('should fall back to the time the lead was queued', () => {
+      expect(getLeadCreatedAt({ raw: {} }, 1234)).toEqual({ at: 1234, source: 'queued_at' });
+      expect(getLeadCreatedAt({ raw: { created_at: 'garbage' } })).toBeNull();
+    });
+  });
+
+  describe('scoreLead', () => {
+    test('should give a brand-new lead full freshness points, halving per half-life', () => {
+      const lead = { id: 1, state: 'NY', raw: { created_at: '2026-02-03 10:00:00' } };
+      expect(factor(scoreLead(lead, { now: eastern(10) }), 'freshness').points).toBe(50);
+      expect(factor(scoreLead(lead, { now: eastern(12) }), 'freshness').points).toBe(25);
+    });
+
+    test('should penalise leads Convoso has already dialed, up to a cap', () => {
+      const now = eastern(10);
+      expect(factor(scoreLead({ id: 1, state: 'NY', call_count: 2 }, { now }), 'called_count').points).toBe(-10);
+      expect(factor(scoreLead({ id: 1, state: 'NY', call_count: 50 }, { now }), 'called_count').points).toBe(-40);
+    });
+
+    test('should add per-list priority', () => {
+      updatePriorityConfig({ lists: { 28001: 20 } });
+      const result = scoreLead({ id: 1, state: 'NY', list_id: 28001 }, { now: eastern(10) });
+      expect(factor(result, 'list')).toEqual({ factor: 'list', points: 20, detail: 'list 28001' });
+    });
+
+    test('should boost leads whose local calling window is about to close', () => {
+      // Default windows close at 13:00 local
+      expect(factor(scoreLead({ id: 1, state: 'NY' }, { now: eastern(12, 45) }), 'window_closing').points).toBe(15);
+      expect(factor(scoreLead({ id: 1, state: 'NY' }, { now: eastern(10) }), 'window_closing')).toBeUndefined();
+      // 12:45 ET is 11:45 in Chicago, plenty of window left
+      expect(factor(scoreLead({ id: 1, state: 'IL' }, { now: eastern(12, 45) }), 'window_closing')).toBeUndefined();
+    });
+
+    test('should weigh earlier Morgan outcomes', () => {
+      const result = scoreLead({ id: 1, state: 'NY' }, { now: eastern(10), outcomes: { voicemail: 2, completed: 1 } });
+      expect(result.factors.filter((f) => f.factor === 'prior_outcome').map((f) => f.points)).toEqual([-10, 10]);
+      expect(result.score).toBe(0);
+    });
+    test('should lift leads with a due callback above everything else', () => {
+      const now = eastern(15);
+      expect(factor(scoreLead({ id: 1, state: 'NY' }, { now, callbackAt: now - 60000 }), 'callback').points).toBe(100);
+      expect(factor(scoreLead({ id: 1, state: 'NY' }, { now, callbackAt: now + 60000 }), 'callback')).toBeUndefined();
+    });
+  });
+
+  describe('rankLeads', () => {
+    test('should put a fresh web lead ahead of stale pulled leads', () => {
+      const now = eastern(10, 30);
+      const stale = [1, 2, 3].map((id) => ({ id, state: 'NY', call_count: 1, raw: { created_at: '2026-02-02 11:00:00' } }));
+      const fresh = { id: 9, state: 'NY', raw: { created_at: '2026-02-03 10:29:00' } };
+
+      const ranked = rankLeads([...stale, fresh], { now });
+      expect(ranked.map((r) => r.lead.id)).toEqual([9, 1, 2, 3]);
+    });
+
+    test('should keep queue order among equal scores', () => {
+      const leads = [{ id: 1, state: 'NY' }, { id: 2, state: 'NY' }, { id: 3, state: 'NY' }];
+      expect(rankLeads(leads, { now: eastern(10) }).map((r) => r.lead.id)).toEqual([1, 2, 3]);
+    });
+
+    test('should dial a due callback before a fresh lead', () => {
+      const now = eastern(10, 30);
+      const fresh = { id: 9, state: 'NY', raw: { created_at: '2026-02-03 10:29:00' } };
+      const callback = { id: 5, state: 'NY', call_count: 1 };
+
+      const ranked = rankLeads([fresh, callback], { now, getCallbackAt: (lead) => (lead.id === 5 ? now : null) });
+      expect(ranked.map((r) => r.lead.id)).toEqual([5, 9]);
+    });
+
+    test('should use queue time and outcome history from the context', () => {
+      const now = eastern(10);
+      const ranked = rankLeads([{ id: 1, state: 'NY' }, { id: 2, state: 'NY' }], {
+        now,
+        getQueuedAt: (lead) => (lead.id === 2 ? now : null),
+        outcomesByLead: new Map([['1', { completed: 1 }]]),
+      });
+      expect(ranked.map((r) => [r.lead.id, r.score])).toEqual([[2, 50], [1, 10]]);
+    });
+  });
+
+  describe('updatePriorityConfig', () => {
+    test('should merge and persist changes, removing entries set to null', () => {
+      updatePriorityConfig({
+        lists: { 28001: 20, 15857: -10 },
+        outcomePoints: { voicemail: null, 'no-answer': null, 'hang-up': null, busy: null },
+      });
+      const config = updatePriorityConfig({ freshnessPoints: 80, lists: { 15857: null } });
+
+      expect(config.freshnessPoints).toBe(80);
+      expect(config.lists).toEqual({ 28001: 20 });
+      expect(config.outcomePoints).toEqual({ completed: 10 });
+      expect(saveState).toHaveBeenCalledWith('queue-priority', config);
+      expect(getPriorityConfig().calledCountPenalty).toBe(DEFAULT_PRIORITY.calledCountPenalty);
+    });
+
+    test('should carry saved points for the old outcome names over to the classes they covered', () => {
+      loadState.mockImplementationOnce(() => ({ outcomePoints: { connected: 20, 'no-contact': -8, busy: 0 } }));
+      expect(getPriorityConfig().outcomePoints).toEqual({
+        completed: 20,
+        'hang-up': -8,
+        voicemail: -8,
+        'no-answer': -8,
+        busy: 0,
+        failed: -8,
+      });
+    });
+
+    test('should reject unknown settings and bad values', () => {
+      expect(() => updatePriorityConfig({ bogus: 1 })).toThrow('Unknown priority setting');
+      expect(() => updatePriorityConfig({ freshnessPoints: 'lots' })).toThrow('must be a number');
+      expect(() => updatePriorityConfig({ freshnessHalfLifeMinutes: 0 })).toThrow('must be positive');
+      expect(() => updatePriorityConfig({ lists: { 28001: 'high' } })).toThrow('lists.28001');
+    });
+  });
+});
@@ -0,0 +1,113 @@
+// __tests__/queueState.test.js
+
+const {
+  snapshotQueueState,
+  restoreQueueState,
+  reconcileQueueState,
+} = require('../queueState');
+
+function buildLiveState() {
+  const queue = [
+    { id: 'lead-1', phone: '+13055551111' },
+    { id: 'lead-2', phone: '+13055552222' },
+  ];
+  const queuedIdsTimestamps = new Map([
+    ['lead-1', 1000],
+    ['lead-2', 2000],
+  ]);
+  const slots = new Map([
+    ['phone-1', { busy: true, callId: 'call-1', startedAt: 500, leadId: 'lead-9' }],
+    ['phone-2', { busy: false, callId: null, startedAt: null, leadId: null }],
+  ]);
+  const inflight = new Map([['lead-3', { id: 'lead-3', phone: '+13055553333' }]]);
+  return { queue, queuedIdsTimestamps, slots, inflight };
+}
+
+describe('queueState', () => {
+  describe('snapshot / restore', () => {
+    test('should round-trip queue, dedupe ids, slots and in-flight leads', () => {
+      const snapshot = JSON.parse(JSON.stringify(snapshotQueueState(buildLiveState())));
+      const restored = restoreQueueState(snapshot, ['phone-1', 'phone-2']);
+
+      expect(restored.queue.map((l) => l.id)).toEqual(['lead-1', 'lead-2']);
+      expect(restored.queuedIds.get('lead-2')).toBe(2000);
+      expect(restored.slots).toHaveLength(2);
+      expect(restored.slots[0]).toMatchObject({ phoneNumberId: 'phone-1', busy: true, callId: 'call-1' });
+      expect(restored.inflight.map((l) => l.id)).toEqual(['lead-3']);
+    });
+
+    test('should drop slots for phone numbers no longer configured', () => {
+      const snapshot = snapshotQueueState(buildLiveState());
+      const restored = restoreQueueState(snapshot, ['phone-2']);
+      expect(restored.slots.map((s) => s.phoneNumberId)).toEqual(['phone-2']);
+    });
+
+    test('should return empty state for missing or unknown snapshots', () => {
+      expect(restoreQueueState(null).queue).toEqual([]);
+      expect(restoreQueueState({ version: 99, queue: [{ id: 'x' }] }).queue).toEqual([]);
+    });
+
+    test('should rebuild dedupe entries for queued leads missing from the id list', () => {
+      const snapshot = { version: 1, savedAt: 42, queue: [{ id: 'lead-1' }], queuedIds: [] };
+      const restored = restoreQueueState(snapshot, []);
+      expect(restored.queuedIds.get('lead-1')).toBe(42);
+    });
+  });
+
+  describe('reconcileQueueState', () => {
+    const restored = () =>
+      restoreQueueState(snapshotQueueState(buildLiveState()), ['phone-1', 'phone-2']);
+
+    test('should put interrupted launches back at the front of the queue', async () => {
+      const result = await reconcileQueueState(restored(), {
+        mqLeadIds: null,
+        getCallStatus: jest.fn().mockResolvedValue({ status: 'in-progress' }),
+      });
+
+      expect(result.queue.map((l) => l.id)).toEqual(['lead-3', 'lead-1', 'lead-2']);
+      expect(result.requeued.map((l) => l.id)).toEqual(['lead-3']);
+    });
+
+    test('should drop queued leads Convoso no longer shows as MQ', async () => {
+      const result = await reconcileQueueState(restored(), {
+        mqLeadIds: new Set(['lead-2']),
+        getCallStatus: jest.fn().mockResolvedValue(null),
+      });
+
+      expect(result.queue.map((l) => l.id)).toEqual(['lead-3', 'lead-2']);
+      expect(result.dropped.map((l) => l.id)).toEqual(['lead-1']);
+    });
+
+    test('should free slots whose call has ended', async () => {
+      const result = await reconcileQueueState(restored(), {
+        mqLeadIds: null,
+        getCallStatus: jest.fn().mockResolvedValue({ status: 'ended', endedReason: 'customer-ended-call' }),
+      });
+
+      expect(result.busySlots).toEqual([]);
+      expect(result.freedSlots).toHaveLength(1);
+      expect(result.freedSlots[0]).toMatchObject({ phoneNumberId: 'phone-1', reason: 'customer-ended-call' });
+    });
+
+    test('should keep slots busy when the provider cannot be reached', async () => {
+      const result = await reconcileQueueState(restored(), {
+        mqLeadIds: null,
+        getCallStatus: jest.fn().mockRejectedValue(new Error('network')),
+      });
+
+      expect(result.busySlots.map((s) => s.callId)).toEqual(['call-1']);
+      expect(result.freedSlots).toEqual([]);
+    });
+
+    test('should free busy slots that never got a call id', async () => {
+      const state = restored();
+      state.slots[1] = { ...state.slots[1], busy: true };
+      const getCallStatus = jest.fn().mockResolvedValue({ status: 'in-progress' });
+
+      const result = await reconcileQueueState(state, { mqLeadIds: null, getCallStatus });
+
+      expect(result.freedSlots.map((s) => s.phoneNumberId)).toEqual(['phone-2']);
+      expect(getCallStatus).toHaveBeenCalledTimes(1);
+    });
+  });
+});
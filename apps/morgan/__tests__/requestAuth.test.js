@@ -0,0 +1,143 @@
+// __tests__/requestAuth.test.js
+
+const crypto = require('crypto');
+const {
+  requireVapiSecret,
+  requireConvosoSecret,
+  requireAdminToken,
+  requireMetricsToken,
+  verifyVapiSignature,
+  getRejectedRequests,
+  resetRejectionsCache,
+} = require('../requestAuth');
+
+function mockReq({ headers = {}, query = {}, rawBody, url = '/webhooks/vapi' } = {}) {
+  return { method: 'POST', originalUrl: url, url, headers, query, rawBody, ip: '10.0.0.1' };
+}
+
+function mockRes() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe('requestAuth', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    resetRejectionsCache();
+    process.env.VAPI_WEBHOOK_SECRET = 'vapi-secret';
+    process.env.CONVOSO_WEBHOOK_SECRET = 'convoso-secret';
+    process.env.MORGAN_ADMIN_TOKEN = 'admin-token';
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    console.warn.mockRestore();
+  });
+
+  describe('requireVapiSecret', () => {
+    test('should accept the x-vapi-secret header', () => {
+      const next = jest.fn();
+      requireVapiSecret(mockReq({ headers: { 'x-vapi-secret': 'vapi-secret' } }), mockRes(), next);
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should accept a Bearer credential', () => {
+      const next = jest.fn();
+      requireVapiSecret(mockReq({ headers: { authorization: 'Bearer vapi-secret' } }), mockRes(), next);
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should accept a valid HMAC signature of the raw body', () => {
+      const rawBody = Buffer.from('{"message":{"type":"end-of-call-report"}}');
+      const signature = crypto.createHmac('sha256', 'vapi-secret').update(rawBody).digest('hex');
+      const next = jest.fn();
+      requireVapiSecret(mockReq({ rawBody, headers: { 'x-vapi-signature': `sha256=${signature}` } }), mockRes(), next);
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should reject a wrong secret and record it', () => {
+      const res = mockRes();
+      const next = jest.fn();
+      requireVapiSecret(mockReq({ headers: { 'x-vapi-secret': 'nope' } }), res, next);
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(getRejectedRequests().rejections[0]).toMatchObject({
+        guard: 'vapi',
+        reason: 'invalid_secret',
+        path: '/webhooks/vapi',
+        ip: '10.0.0.1',
+      });
+    });
+
+    test('should fail closed when no secret is configured', () => {
+      delete process.env.VAPI_WEBHOOK_SECRET;
+      const res = mockRes();
+      requireVapiSecret(mockReq({ headers: { 'x-vapi-secret': 'anything' } }), res, jest.fn());
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(getRejectedRequests().rejections[0].reason).toBe('not_configured');
+    });
+  });
+
+  describe('verifyVapiSignature', () => {
+    test('should reject a signature over a different body', () => {
+      const signature = crypto.createHmac('sha256', 'vapi-secret').update('a').digest('hex');
+      expect(verifyVapiSignature(Buffer.from('b'), signature, 'vapi-secret')).toBe(false);
+      expect(verifyVapiSignature(Buffer.from('a'), signature, 'vapi-secret')).toBe(true);
+    });
+  });
+
+  describe('requireConvosoSecret', () => {
+    test('should accept the header or the api_key query param', () => {
+      const next = jest.fn();
+      requireConvosoSecret(mockReq({ headers: { 'x-webhook-secret': 'convoso-secret' } }), mockRes(), next);
+      requireConvosoSecret(mockReq({ query: { api_key: 'convoso-secret' } }), mockRes(), next);
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not store the query string of rejected requests', () => {
+      const url = '/webhooks/convoso/new-lead?api_key=guess';
+      requireConvosoSecret(mockReq({ url, query: { api_key: 'guess' } }), mockRes(), jest.fn());
+      expect(getRejectedRequests().rejections[0].path).toBe('/webhooks/convoso/new-lead');
+    });
+  });
+
+  describe('requireAdminToken', () => {
+    test('should accept Bearer or x-admin-token', () => {
+      const next = jest.fn();
+      requireAdminToken(mockReq({ headers: { authorization: 'Bearer admin-token' } }), mockRes(), next);
+      requireAdminToken(mockReq({ headers: { 'x-admin-token': 'admin-token' } }), mockRes(), next);
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    test('should reject missing tokens', () => {
+      const res = mockRes();
+      requireAdminToken(mockReq({ url: '/debug/test-call' }), res, jest.fn());
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(getRejectedRequests({ guard: 'admin' }).rejections[0]).toMatchObject({
+        reason: 'missing_token',
+        path: '/debug/test-call',
+      });
+    });
+  });
+
+  describe('requireMetricsToken', () => {
+    test('should accept the metrics token or the admin token', () => {
+      process.env.MORGAN_METRICS_TOKEN = 'scrape-token';
+      const next = jest.fn();
+      requireMetricsToken(mockReq({ headers: { authorization: 'Bearer scrape-token' } }), mockRes(), next);
+      requireMetricsToken(mockReq({ headers: { authorization: 'Bearer admin-token' } }), mockRes(), next);
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    test('should reject anonymous scrapes', () => {
+      const res = mockRes();
+      requireMetricsToken(mockReq({ url: '/metrics' }), res, jest.fn());
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(getRejectedRequests({ guard: 'metrics' }).rejections[0]).toMatchObject({ reason: 'missing_token', path: '/metrics' });
+    });
+  });
+});
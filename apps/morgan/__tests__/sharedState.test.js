@@ -0,0 +1,165 @@
+// __tests__/sharedState.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.unmock('../stateStore');
+
+// Queries answer from `results` in order (an Error entry rejects), then with no rows
+// and one row affected
+jest.mock('pg', () => {
+  const pools = [];
+  const results = [];
+  const Pool = jest.fn().mockImplementation((options) => {
+    const pool = {
+      options,
+      query: jest.fn(() => {
+        const result = results.shift() || { rows: [], rowCount: 1 };
+        return result instanceof Error ? Promise.reject(result) : Promise.resolve(result);
+      }),
+      on: jest.fn(),
+    };
+    pools.push(pool);
+    return pool;
+  });
+  return { Pool, pools, results };
+});
+jest.mock('../leaderElection', () => ({
+  getDatabaseUrl: jest.fn(() => 'postgres://morgan@db/ops'),
+  getInstanceId: jest.fn(() => 'morgan-a'),
+  getLockId: jest.fn(() => 1),
+  isLeader: jest.fn(() => true),
+  reassertLeadership: jest.fn(),
+}));
+
+const { pools, results } = require('pg');
+const { getDatabaseUrl, isLeader, reassertLeadership } = require('../leaderElection');
+const { writeStateNow, loadState } = require('../stateStore');
+const {
+  startSharedState,
+  pullSharedState,
+  flushSharedState,
+  resetSharedState,
+} = require('../sharedState');
+
+describe('sharedState', () => {
+  let tmpDir;
+  let originalDir;
+
+  beforeEach(() => {
+    originalDir = process.env.MORGAN_STATE_DIR;
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'morgan-shared-'));
+    process.env.MORGAN_STATE_DIR = tmpDir;
+    resetSharedState();
+    pools.length = 0;
+    results.length = 0;
+    jest.clearAllMocks();
+    isLeader.mockReturnValue(true);
+    getDatabaseUrl.mockReturnValue('postgres://morgan@db/ops');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    resetSharedState();
+    if (originalDir !== undefined) process.env.MORGAN_STATE_DIR = originalDir;
+    else delete process.env.MORGAN_STATE_DIR;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  test('should mirror the leader\'s writes to Postgres', async () => {
+    startSharedState();
+    writeStateNow('morgan-toggle', { enabled: false });
+    await flushSharedState();
+
+    expect(pools[0].query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO morgan_state'), [
+      1,
+      'morgan-toggle',
+      '{"enabled":false}',
+      'morgan-a',
+    ]);
+  });
+
+  test('should not mirror writes made on standby', async () => {
+    startSharedState();
+    isLeader.mockReturnValue(false);
+    writeStateNow('auth-rejections', []);
+    await flushSharedState();
+    expect(pools).toHaveLength(0);
+  });
+
+  test('should do nothing without a database', async () => {
+    getDatabaseUrl.mockReturnValue(null);
+    startSharedState();
+    writeStateNow('callbacks', []);
+    expect(await pullSharedState()).toEqual({ pulled: 0, seeded: 0 });
+    expect(pools).toHaveLength(0);
+  });
+
+  test('should replace local files with the mirror without writing it back', async () => {
+    startSharedState();
+    isLeader.mockReturnValue(false);
+    writeStateNow('cadence-leads', [['L1', { attempts: [] }]]);
+    isLeader.mockReturnValue(true);
+
+    results.push({ rows: [{ name: 'cadence-leads', data: [['L1', { attempts: ['2026-03-04T16:00:00.000Z'] }]] }] });
+
+    expect(await pullSharedState()).toEqual({ pulled: 1, seeded: 0 });
+    expect(loadState('cadence-leads')).toEqual([['L1', { attempts: ['2026-03-04T16:00:00.000Z'] }]]);
+    await flushSharedState();
+    expect(pools[0].query).toHaveBeenCalledTimes(1);
+  });
+
+  test('should seed an empty mirror from the local files', async () => {
+    writeStateNow('callbacks', [['L1', { at: 'soon' }]]);
+    startSharedState();
+
+    expect(await pullSharedState()).toEqual({ pulled: 0, seeded: 1 });
+    expect(pools[0].query).toHaveBeenLastCalledWith(expect.stringContaining('INSERT INTO morgan_state'), [
+      1,
+      'callbacks',
+      '[["L1",{"at":"soon"}]]',
+      'morgan-a',
+    ]);
+  });
+
+  test('should keep a failed write and retry it', async () => {
+    startSharedState();
+    results.push(new Error('connection reset'));
+    writeStateNow('callbacks', []);
+    await flushSharedState();
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Failed to mirror callbacks'));
+
+    await flushSharedState();
+    expect(pools[0].query).toHaveBeenCalledTimes(2);
+  });
+
+  test('should re-register and retry when a write is fenced off', async () => {
+    reassertLeadership.mockResolvedValue(true);
+    startSharedState();
+    results.push({ rows: [], rowCount: 0 });
+    writeStateNow('callbacks', []);
+    await flushSharedState();
+    expect(console.error).toHaveBeenCalledWith(
+      expect.stringContaining('Failed to mirror callbacks: morgan-a is not the registered leader')
+    );
+    expect(reassertLeadership).toHaveBeenCalledTimes(1);
+
+    await flushSharedState();
+    expect(pools[0].query).toHaveBeenCalledTimes(2);
+  });
+
+  test('should drop pending writes once a fenced write shows this instance was deposed', async () => {
+    reassertLeadership.mockResolvedValue(false);
+    startSharedState();
+    results.push({ rows: [], rowCount: 0 });
+    writeStateNow('callbacks', []);
+    await flushSharedState();
+
+    await flushSharedState();
+    expect(pools[0].query).toHaveBeenCalledTimes(1);
+  });
+});
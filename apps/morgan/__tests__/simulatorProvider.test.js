@@ -0,0 +1,189 @@
+// __tests__/simulatorProvider.test.js
+
+jest.mock('node-fetch');
+
+describe('simulatorProvider', () => {
+  let simulator;
+  let fetch;
+  let originalEnv;
+
+  beforeEach(() => {
+    originalEnv = {
+      VOICE_SIMULATOR_TIME_SCALE: process.env.VOICE_SIMULATOR_TIME_SCALE,
+      VOICE_SIMULATOR_OUTCOMES: process.env.VOICE_SIMULATOR_OUTCOMES,
+      VOICE_SIMULATOR_WEBHOOK_URL: process.env.VOICE_SIMULATOR_WEBHOOK_URL,
+      VAPI_WEBHOOK_SECRET: process.env.VAPI_WEBHOOK_SECRET,
+    };
+    process.env.VOICE_SIMULATOR_TIME_SCALE = '0';
+    process.env.VOICE_SIMULATOR_WEBHOOK_URL = 'http://localhost:9999/webhooks/vapi';
+    delete process.env.VOICE_SIMULATOR_OUTCOMES;
+
+    jest.resetModules();
+    fetch = require('node-fetch');
+    fetch.mockResolvedValue({ ok: true });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    simulator = require('../simulatorProvider');
+  });
+
+  afterEach(() => {
+    simulator.resetSimulator();
+    console.log.mockRestore();
+    Object.keys(originalEnv).forEach((key) => {
+      if (originalEnv[key] !== undefined) {
+        process.env[key] = originalEnv[key];
+      } else {
+        delete process.env[key];
+      }
+    });
+  });
+
+  const flushTimers = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+  test('should create a queued call and expose it through getCall', async () => {
+    const { callId, raw } = await simulator.createCall({
+      assistantId: 'a-1',
+      phoneNumberId: 'phone-1',
+      customerNumber: '+13055551234',
+      metadata: { convosoLeadId: '123', simulatorOutcome: 'answered' },
+      name: 'Test',
+    });
+
+    expect(callId).toMatch(/^sim-/);
+    expect(raw.status).toBe('queued');
+    expect(raw.timers).toBeUndefined();
+
+    const call = await simulator.getCall(callId);
+    expect(call.phoneNumberId).toBe('phone-1');
+  });
+
+  test('should post a Vapi-shaped end-of-call-report when the call ends', async () => {
+    const { callId } = await simulator.createCall({
+      assistantId: 'a-1',
+      phoneNumberId: 'phone-1',
+      customerNumber: '+13055551234',
+      metadata: { convosoLeadId: '123', simulatorOutcome: 'voicemail' },
+    });
+
+    await flushTimers();
+
+    expect(fetch).toHaveBeenCalledWith(
+      'http://localhost:9999/webhooks/vapi',
+      expect.objectContaining({ method: 'POST' })
+    );
+    const report = JSON.parse(fetch.mock.calls[0][1].body);
+    const event = simulator.parseWebhook(report);
+
+    expect(event.type).toBe('end-of-call-report');
+    expect(event.callId).toBe(callId);
+    expect(event.leadId).toBe('123');
+    expect(event.endedReason).toBe('voicemail');
+    expect(event.summary).toBe('NO_SUMMARY');
+
+    const call = await simulator.getCall(callId);
+    expect(call.status).toBe('ended');
+  });
+
+  test('should send the webhook secret with the report', async () => {
+    process.env.VAPI_WEBHOOK_SECRET = 'vapi-secret';
+    await simulator.createCall({
+      customerNumber: '+13055551234',
+      metadata: { simulatorOutcome: 'busy' },
+    });
+    await flushTimers();
+
+    expect(fetch.mock.calls[0][1].headers['x-vapi-secret']).toBe('vapi-secret');
+  });
+
+  test('should only end a call once', async () => {
+    const { callId } = await simulator.createCall({
+      customerNumber: '+13055551234',
+      metadata: { simulatorOutcome: 'busy' },
+    });
+    await flushTimers();
+
+    expect(await simulator.endCall(callId)).toBeNull();
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('should end a live call as forwarded when it is transferred', async () => {
+    process.env.VOICE_SIMULATOR_TIME_SCALE = '1';
+    const { callId } = await simulator.createCall({
+      customerNumber: '+13055551234',
+      metadata: { simulatorOutcome: 'answered' },
+    });
+
+    await simulator.transferCall({ callId, destination: { number: '+18005550100', extension: '101' } });
+    await flushTimers();
+
+    const event = simulator.parseWebhook(JSON.parse(fetch.mock.calls[0][1].body));
+    expect(event.endedReason).toBe('assistant-forwarded-call');
+    await expect(simulator.transferCall({ callId, destination: { number: '+18005550100' } })).rejects.toThrow(
+      'No live simulated call'
+    );
+  });
+
+  test('should hang up a live call and list it with recent calls', async () => {
+    process.env.VOICE_SIMULATOR_TIME_SCALE = '1';
+    const { callId } = await simulator.createCall({
+      phoneNumberId: 'p1',
+      customerNumber: '+13055551234',
+      metadata: { simulatorOutcome: 'answered' },
+    });
+    expect((await simulator.listCalls({ createdAfter: Date.now() - 60000 })).map((c) => c.id)).toEqual([callId]);
+    expect(await simulator.listCalls({ createdAfter: Date.now() + 60000 })).toEqual([]);
+
+    await simulator.hangUpCall({ callId });
+
+    const event = simulator.parseWebhook(JSON.parse(fetch.mock.calls[0][1].body));
+    expect(event.endedReason).toBe('manually-canceled');
+    await expect(simulator.hangUpCall({ callId })).rejects.toThrow('No live simulated call');
+  });
+
+  test('should pick outcomes from configured weights', () => {
+    process.env.VOICE_SIMULATOR_OUTCOMES = 'busy:1';
+    expect(simulator.pickOutcome({}, () => 0.99)).toBe('busy');
+  });
+
+  test('should fall back to default weights when config is invalid', () => {
+    process.env.VOICE_SIMULATOR_OUTCOMES = 'nonsense:abc';
+    expect(Object.keys(simulator.OUTCOMES)).toContain(simulator.pickOutcome({}, () => 0));
+  });
+
+  test('should provide a default assistant id', () => {
+    expect(simulator.defaultAssistantId('Morgan')).toBe('simulator-morgan');
+  });
+});
+
+describe('voiceProviders', () => {
+  const { getVoiceProvider, registerVoiceProvider } = require('../voiceProviders');
+
+  test('should default to vapi', () => {
+    const original = process.env.VOICE_PROVIDER;
+    delete process.env.VOICE_PROVIDER;
+    expect(getVoiceProvider().name).toBe('vapi');
+    if (original !== undefined) process.env.VOICE_PROVIDER = original;
+  });
+
+  test('should resolve the simulator by name', () => {
+    expect(getVoiceProvider('simulator').name).toBe('simulator');
+  });
+
+  test('should throw for unknown providers', () => {
+    expect(() => getVoiceProvider('nope')).toThrow('Unknown VOICE_PROVIDER');
+  });
+
+  test('should reject providers missing required methods', () => {
+    expect(() => registerVoiceProvider({ name: 'broken', createCall() {} })).toThrow('missing getCall()');
+  });
+
+  test('should register custom providers', () => {
+    const provider = {
+      name: 'custom',
+      createCall: jest.fn(),
+      getCall: jest.fn(),
+      parseWebhook: jest.fn(),
+    };
+    registerVoiceProvider(provider);
+    expect(getVoiceProvider('custom')).toBe(provider);
+  });
+});
@@ -0,0 +1,115 @@
+// __tests__/slotPool.test.js
+
+const {
+  initSlotPool,
+  getPhoneNumberIds,
+  getSlotControl,
+  getDialerControl,
+  setSlotMode,
+  setDialerMode,
+  addPhoneNumber,
+  removePhoneNumber,
+  isSlotDialable,
+  settleSlotPool,
+  resetSlotPool,
+} = require('../slotPool');
+const { loadState, saveState } = require('../stateStore');
+
+describe('slotPool', () => {
+  beforeEach(() => {
+    resetSlotPool();
+    jest.clearAllMocks();
+    initSlotPool(['phone-1', 'phone-2', 'phone-3']);
+  });
+
+  test('should start with the env numbers, all active', () => {
+    expect(getPhoneNumberIds()).toEqual(['phone-1', 'phone-2', 'phone-3']);
+    expect(getSlotControl('phone-1').mode).toBe('active');
+    expect(getDialerControl().mode).toBe('active');
+    expect(isSlotDialable('phone-2')).toBe(true);
+  });
+
+  describe('slot modes', () => {
+    test('should stop dialing on a paused slot until resumed', () => {
+      setSlotMode('phone-2', 'paused', 'flagged as spam');
+      expect(isSlotDialable('phone-2')).toBe(false);
+      expect(getSlotControl('phone-2')).toMatchObject({ mode: 'paused', reason: 'flagged as spam' });
+
+      setSlotMode('phone-2', 'active');
+      expect(isSlotDialable('phone-2')).toBe(true);
+      expect(saveState).toHaveBeenCalledWith('slot-pool', expect.any(Function));
+    });
+
+    test('should reject unknown modes and numbers', () => {
+      expect(() => setSlotMode('phone-1', 'sleeping')).toThrow('mode must be one of');
+      expect(() => setSlotMode('phone-9', 'paused')).toThrow('Unknown phoneNumberId');
+    });
+
+    test('should pause a draining slot once it is idle', () => {
+      setSlotMode('phone-1', 'draining');
+      expect(isSlotDialable('phone-1')).toBe(false);
+
+      expect(settleSlotPool(['phone-1']).paused).toEqual([]);
+      expect(settleSlotPool([]).paused).toEqual(['phone-1']);
+      expect(getSlotControl('phone-1').mode).toBe('paused');
+    });
+  });
+
+  describe('dialer modes', () => {
+    test('should block every slot while the dialer is paused', () => {
+      setDialerMode('paused', 'carrier outage');
+      expect(isSlotDialable('phone-1')).toBe(false);
+      setDialerMode('active');
+      expect(isSlotDialable('phone-1')).toBe(true);
+    });
+
+    test('should pause a draining dialer after the last call ends', () => {
+      setDialerMode('draining');
+      expect(settleSlotPool(['phone-3']).dialerPaused).toBe(false);
+      expect(settleSlotPool([]).dialerPaused).toBe(true);
+      expect(getDialerControl().mode).toBe('paused');
+    });
+  });
+
+  describe('pool membership', () => {
+    test('should add numbers at runtime', () => {
+      addPhoneNumber('phone-4');
+      expect(getPhoneNumberIds()).toEqual(['phone-1', 'phone-2', 'phone-3', 'phone-4']);
+      expect(() => addPhoneNumber('  ')).toThrow('phoneNumberId is required');
+    });
+
+    test('should remove idle numbers immediately', () => {
+      expect(removePhoneNumber('phone-2')).toBe('removed');
+      expect(getPhoneNumberIds()).toEqual(['phone-1', 'phone-3']);
+      expect(removePhoneNumber('phone-2')).toBeNull();
+    });
+
+    test('should drain busy numbers before removing them', () => {
+      expect(removePhoneNumber('phone-2', { busy: true })).toBe('draining');
+      expect(getPhoneNumberIds()).toContain('phone-2');
+      expect(isSlotDialable('phone-2')).toBe(false);
+      expect(() => setSlotMode('phone-2', 'active')).toThrow('being removed');
+
+      expect(settleSlotPool([]).removed).toEqual(['phone-2']);
+      expect(getPhoneNumberIds()).toEqual(['phone-1', 'phone-3']);
+    });
+
+    test('should keep runtime changes across restarts and pick up new env numbers', () => {
+      removePhoneNumber('phone-1');
+      addPhoneNumber('phone-4');
+      const saved = saveState.mock.calls[saveState.mock.calls.length - 1][1]();
+
+      resetSlotPool();
+      loadState.mockImplementationOnce(() => JSON.parse(JSON.stringify(saved)));
+      initSlotPool(['phone-1', 'phone-2', 'phone-3', 'phone-5']);
+
+      expect(getPhoneNumberIds()).toEqual(['phone-2', 'phone-3', 'phone-5', 'phone-4']);
+    });
+
+    test('should bring a removed env number back when added again', () => {
+      removePhoneNumber('phone-1');
+      addPhoneNumber('phone-1');
+      expect(getPhoneNumberIds()).toEqual(['phone-1', 'phone-2', 'phone-3']);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+// __tests__/slotWatchdog.test.js
+
+const { getMaxCallMs, planSlotRepair, findOrphanCalls } = require('../slotWatchdog');
+
+describe('slotWatchdog', () => {
+  const T0 = Date.parse('2026-03-02T15:00:00Z');
+  const MAX = 20 * 60 * 1000;
+  const slot = (ageMinutes) => ({ callId: 'call-1', leadId: '42', startedAt: T0 - ageMinutes * 60000 });
+  const plan = (s, call) => planSlotRepair(s, call, { now: T0, maxCallMs: MAX });
+
+  describe('getMaxCallMs', () => {
+    afterEach(() => {
+      delete process.env.MORGAN_MAX_CALL_MINUTES;
+    });
+
+    test('should default to 20 minutes and read MORGAN_MAX_CALL_MINUTES', () => {
+      expect(getMaxCallMs()).toBe(MAX);
+      process.env.MORGAN_MAX_CALL_MINUTES = '45';
+      expect(getMaxCallMs()).toBe(45 * 60000);
+      process.env.MORGAN_MAX_CALL_MINUTES = 'soon';
+      expect(getMaxCallMs()).toBe(MAX);
+    });
+  });
+
+  describe('planSlotRepair', () => {
+    test('should keep live calls under the limit', () => {
+      expect(plan(slot(5), { status: 'in-progress' })).toMatchObject({ action: 'keep', ageMs: 5 * 60000 });
+      expect(plan(slot(5), null).action).toBe('keep');
+      expect(plan({ callId: 'call-1', startedAt: null }, null).action).toBe('keep');
+    });
+
+    test('should free calls the provider already ended, requeueing only unreached leads', () => {
+      expect(plan(slot(2), { status: 'ended', endedReason: 'customer-did-not-answer' })).toMatchObject({
+        action: 'free',
+        reason: 'provider_ended',
+        requeueLead: true,
+      });
+      expect(plan(slot(2), { status: 'ended', endedReason: 'customer-ended-call' }).requeueLead).toBe(false);
+    });
+
+    test('should hang up live calls past the limit', () => {
+      expect(plan(slot(25), { status: 'in-progress' })).toEqual({
+        action: 'hang_up_and_free',
+        reason: 'max_duration',
+        requeueLead: false,
+        ageMs: 25 * 60000,
+      });
+      // Still ringing after the limit: nobody picked up
+      expect(plan(slot(25), { status: 'ringing' }).requeueLead).toBe(true);
+    });
+
+    test('should free calls past the limit that the provider does not know', () => {
+      expect(plan(slot(25), null)).toMatchObject({ action: 'free', reason: 'provider_unknown', requeueLead: true });
+      expect(plan({ ...slot(25), callId: null }, null).reason).toBe('no_call_id');
+    });
+  });
+
+  describe('findOrphanCalls', () => {
+    test('should return live pool calls no slot tracks', () => {
+      const calls = [
+        { id: 'known', status: 'in-progress', phoneNumberId: 'p1' },
+        { id: 'orphan', status: 'ringing', phoneNumberId: 'p2' },
+        { id: 'ended', status: 'ended', phoneNumberId: 'p2' },
+        { id: 'other-number', status: 'in-progress', phoneNumberId: 'p9' },
+      ];
+      const orphans = findOrphanCalls(calls, { knownCallIds: new Set(['known']), phoneNumberIds: ['p1', 'p2'] });
+      expect(orphans.map((c) => c.id)).toEqual(['orphan']);
+      expect(findOrphanCalls(null, { knownCallIds: new Set(), phoneNumberIds: ['p1'] })).toEqual([]);
+    });
+  });
+});
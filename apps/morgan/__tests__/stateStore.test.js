@@ -0,0 +1,93 @@
+// __tests__/stateStore.test.js
+
+jest.unmock('../stateStore');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('stateStore', () => {
+  let tmpDir;
+  let originalDir;
+  let stateStore;
+
+  beforeEach(() => {
+    originalDir = process.env.MORGAN_STATE_DIR;
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'morgan-state-'));
+    process.env.MORGAN_STATE_DIR = tmpDir;
+    jest.resetModules();
+    stateStore = require('../stateStore');
+  });
+
+  afterEach(() => {
+    if (originalDir !== undefined) {
+      process.env.MORGAN_STATE_DIR = originalDir;
+    } else {
+      delete process.env.MORGAN_STATE_DIR;
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should return fallback when nothing has been saved', () => {
+    expect(stateStore.loadState('missing', { empty: true })).toEqual({ empty: true });
+  });
+
+  test('should round-trip data written immediately', () => {
+    stateStore.writeStateNow('queue', { queue: [{ id: '1' }] });
+    expect(stateStore.loadState('queue')).toEqual({ queue: [{ id: '1' }] });
+  });
+
+  test('should not leave temp files behind', () => {
+    stateStore.writeStateNow('queue', { a: 1 });
+    expect(fs.readdirSync(tmpDir)).toEqual(['queue.json']);
+  });
+
+  test('should return fallback for corrupt files', () => {
+    fs.writeFileSync(path.join(tmpDir, 'broken.json'), '{not json');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(stateStore.loadState('broken', [])).toEqual([]);
+    console.error.mockRestore();
+  });
+
+  test('should debounce saves and write the latest snapshot on flush', () => {
+    let value = 1;
+    stateStore.saveState('counter', () => ({ value }));
+    value = 2;
+    stateStore.saveState('counter', () => ({ value }));
+
+    expect(stateStore.loadState('counter')).toBeNull();
+
+    stateStore.flushState();
+    expect(stateStore.loadState('counter')).toEqual({ value: 2 });
+  });
+
+  test('should tell listeners about every write and list what is saved', () => {
+    const listener = jest.fn();
+    const unsubscribe = stateStore.onStateWritten(listener);
+    stateStore.writeStateNow('queue', { a: 1 });
+    expect(listener).toHaveBeenCalledWith('queue', '{"a":1}');
+    expect(stateStore.listStateNames()).toEqual(['queue']);
+
+    unsubscribe();
+    stateStore.writeStateNow('queue', { a: 2 });
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  test('should complain when a deployed instance keeps state on the container filesystem', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(stateStore.checkStateDir({ MORGAN_STATE_DIR: '/data/morgan', NODE_ENV: 'production' })).toBe(true);
+    expect(stateStore.checkStateDir({})).toBe(true);
+    expect(console.error).not.toHaveBeenCalled();
+
+    expect(stateStore.checkStateDir({ NODE_ENV: 'production' })).toBe(false);
+    expect(stateStore.checkStateDir({ RAILWAY_ENVIRONMENT: 'production' })).toBe(false);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('MORGAN_STATE_DIR is not set'));
+    console.error.mockRestore();
+  });
+
+  test('should write debounced saves without an explicit flush', async () => {
+    stateStore.saveState('later', { ok: true });
+    await new Promise((resolve) => setTimeout(resolve, 400));
+    expect(stateStore.loadState('later')).toEqual({ ok: true });
+  });
+});
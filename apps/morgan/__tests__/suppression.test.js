@@ -0,0 +1,153 @@
+// __tests__/suppression.test.js
+
+const {
+  toPhoneKey,
+  getSuppression,
+  isSuppressed,
+  addSuppression,
+  removeSuppression,
+  listSuppressions,
+  importSuppressionFile,
+  isDoNotCallRequest,
+  wantsDoNotCall,
+  recordSkip,
+  getSkips,
+  resetSuppressionCache,
+} = require('../suppression');
+const { saveState } = require('../stateStore');
+
+describe('suppression', () => {
+  beforeEach(() => {
+    resetSuppressionCache();
+    jest.clearAllMocks();
+  });
+
+  describe('toPhoneKey', () => {
+    test('should normalize formatted US numbers to 10 digits', () => {
+      expect(toPhoneKey('+1 (305) 555-1234')).toBe('3055551234');
+      expect(toPhoneKey('305.555.1234')).toBe('3055551234');
+    });
+
+    test('should reject numbers that are not 10 digits', () => {
+      expect(toPhoneKey('5551234')).toBeNull();
+      expect(toPhoneKey('')).toBeNull();
+      expect(toPhoneKey(null)).toBeNull();
+    });
+  });
+
+  describe('internal list', () => {
+    test('should suppress a number regardless of formatting', () => {
+      addSuppression({ phone: '3055551234', reason: 'asked' });
+      expect(isSuppressed('+13055551234')).toBe(true);
+      expect(getSuppression('(305) 555-1234')).toMatchObject({ source: 'internal', reason: 'asked' });
+      expect(saveState).toHaveBeenCalledWith('suppression-list', expect.any(Function));
+    });
+
+    test('should keep the original entry when added twice', () => {
+      const first = addSuppression({ phone: '3055551234', source: 'internal' });
+      const second = addSuppression({ phone: '3055551234', source: 'morgan-note' });
+      expect(second).toBe(first);
+    });
+
+    test('should return null for invalid numbers', () => {
+      expect(addSuppression({ phone: 'abc' })).toBeNull();
+    });
+
+    test('should remove numbers', () => {
+      addSuppression({ phone: '3055551234' });
+      expect(removeSuppression('+13055551234')).toBe(true);
+      expect(isSuppressed('3055551234')).toBe(false);
+      expect(removeSuppression('3055551234')).toBe(false);
+    });
+
+    test('should list and filter by source', () => {
+      addSuppression({ phone: '3055551111', source: 'internal' });
+      addSuppression({ phone: '3055552222', source: 'morgan-note' });
+      expect(listSuppressions().total).toBe(2);
+      expect(listSuppressions({ source: 'morgan-note' }).entries[0].phone).toBe('3055552222');
+    });
+  });
+
+  describe('importSuppressionFile', () => {
+    test('should import plain text, one number per line', () => {
+      const result = importSuppressionFile('3055551111\n+1 305 555 2222\n\nnot a number\n');
+      expect(result).toEqual({ added: 2, duplicates: 0, invalid: 1 });
+      expect(isSuppressed('3055552222')).toBe(true);
+    });
+
+    test('should import CSV with the phone in any column', () => {
+      const csv = 'name,phone,state\n"Jane Doe","(305) 555-3333",FL\nJohn,3055553333,GA\n';
+      const result = importSuppressionFile(csv, { source: 'import:federal' });
+      expect(result).toEqual({ added: 1, duplicates: 1, invalid: 1 });
+      expect(getSuppression('3055553333').source).toBe('import:federal');
+    });
+  });
+
+  describe('isDoNotCallRequest', () => {
+    test.each([
+      'Customer said do not call again',
+      "Please don't call me",
+      'Asked us to stop calling',
+      'Remove me from your list',
+      'Requested DNC',
+      'Wants to be placed on the do-not-call list',
+      'Not interested. Said stop-calling him.',
+      'Customer is not interested and said do not call again',
+    ])('should detect "%s"', (text) => {
+      expect(isDoNotCallRequest(text)).toBe(true);
+    });
+
+    test.each([
+      'Interested in a PPO plan, call back Tuesday',
+      'Customer did not ask to be placed on DNC.',
+      'Caller said don\'t call before 5pm',
+      'Do not call me at work, use the cell',
+      'No DNC request; wants a quote by email',
+    ])('should not flag "%s"', (text) => {
+      expect(isDoNotCallRequest(text)).toBe(false);
+    });
+
+    test('should ignore empty text', () => {
+      expect(isDoNotCallRequest(null)).toBe(false);
+    });
+  });
+
+  describe('wantsDoNotCall', () => {
+    test('should trust an explicit flag over the text', () => {
+      expect(wantsDoNotCall(true, 'Interested in a PPO plan')).toBe(true);
+      expect(wantsDoNotCall('true', null)).toBe(true);
+      expect(wantsDoNotCall(false, 'Asked us to stop calling')).toBe(false);
+      expect(wantsDoNotCall('false', 'Requested DNC')).toBe(false);
+    });
+
+    test('should fall back to the text without a flag', () => {
+      expect(wantsDoNotCall(undefined, 'Asked us to stop calling')).toBe(true);
+      expect(wantsDoNotCall(undefined, 'Customer did not ask to be placed on DNC.')).toBe(false);
+    });
+  });
+
+  describe('skip log', () => {
+    test('should record skips and summarize by reason', () => {
+      recordSkip({ leadId: 1, phone: '3055551234', reason: 'dnc', path: 'enqueue' });
+      recordSkip({ leadId: 2, reason: 'member_id', path: 'enqueue' });
+      recordSkip({ leadId: 3, reason: 'dnc', path: 'launch' });
+
+      const report = getSkips();
+      expect(report.total).toBe(3);
+      expect(report.byReason).toEqual({ dnc: 2, member_id: 1 });
+      expect(report.skips[0].leadId).toBe('3'); // newest first
+    });
+
+    test('should filter skips by reason', () => {
+      recordSkip({ leadId: 1, reason: 'dnc', path: 'enqueue' });
+      recordSkip({ leadId: 2, reason: 'member_id', path: 'enqueue' });
+      expect(getSkips({ reason: 'member_id' }).total).toBe(1);
+    });
+
+    test('should filter skips by time', () => {
+      recordSkip({ leadId: 1, reason: 'dnc', path: 'enqueue' });
+      const future = new Date(Date.now() + 60000).toISOString();
+      expect(getSkips({ since: future }).total).toBe(0);
+    });
+  });
+});
@@ -72,6 +72,8 @@ describe('voiceGateway', () => {
       expect(result).toEqual({
         provider: 'vapi',
         callId: 'call-123',
+        assistantId: 'test-morgan-id',
+        phoneNumberId: 'phone-1',
         raw: { id: 'call-123', status: 'queued' },
       });
 
@@ -87,6 +89,21 @@ describe('voiceGateway', () => {
       );
     });
 
+    test('should resolve the assistant for any agent in the routing table', async () => {
+      process.env.VAPI_RILEY_ASSISTANT_ID = 'test-riley-id';
+      fetch.mockResolvedValue({ ok: true, json: jest.fn().mockResolvedValue({ id: 'call-456' }) });
+
+      const result = await startOutboundCall({
+        agentType: 'morgan',
+        agentName: 'Riley',
+        toNumber: '+13055551234',
+        callName: 'Test',
+      });
+
+      expect(result.assistantId).toBe('test-riley-id');
+      delete process.env.VAPI_RILEY_ASSISTANT_ID;
+    });
+
     test('should normalize phone number to E.164 format', async () => {
       const mockResponse = {
         ok: true,
@@ -122,6 +139,58 @@ describe('voiceGateway', () => {
       expect(fetch).not.toHaveBeenCalled();
     });
 
+    test('should check the kill switch for the lead list', async () => {
+      isMorganEnabled.mockImplementation((listId) => listId !== '28001');
+
+      const result = await startOutboundCall({
+        agentType: 'morgan',
+        toNumber: '+13055551234',
+        metadata: { convosoListId: '28001' },
+      });
+
+      expect(result).toBeUndefined();
+      expect(isMorganEnabled).toHaveBeenCalledWith('28001');
+      expect(fetch).not.toHaveBeenCalled();
+      isMorganEnabled.mockImplementation(() => true);
+    });
+
+    test('should send only the lead fields the call needs to the provider', async () => {
+      fetch.mockResolvedValue({ ok: true, json: jest.fn().mockResolvedValue({ id: 'call-789' }) });
+
+      await startOutboundCall({
+        agentName: 'Morgan',
+        toNumber: '+13055551234',
+        metadata: {
+          convosoLeadId: 'L1',
+          convosoLead: {
+            lead_id: 'L1',
+            list_id: '28001',
+            phone_number: '3055551234',
+            first_name: 'Ana',
+            last_name: 'Diaz',
+            state: 'FL',
+            email: 'ana@example.com',
+            date_of_birth: '1960-01-01',
+            address1: '1 Main St',
+            notes: '',
+          },
+        },
+      });
+
+      const body = JSON.parse(fetch.mock.calls[0][1].body);
+      expect(body.metadata).toEqual({
+        convosoLeadId: 'L1',
+        convosoLead: {
+          lead_id: 'L1',
+          list_id: '28001',
+          phone_number: '3055551234',
+          first_name: 'Ana',
+          last_name: 'Diaz',
+          state: 'FL',
+        },
+      });
+    });
+
     test('should throw error when VAPI_API_KEY is missing', async () => {
       delete process.env.VAPI_API_KEY;
       jest.resetModules();
@@ -155,7 +224,14 @@ describe('voiceGateway', () => {
           metadata: {},
           callName: 'Test',
         })
-      ).rejects.toThrow('could not be normalized to E.164');
+      ).rejects.toThrow('Invalid toNumber: no phone number (missing)');
+    });
+
+    test('should refuse numbers that are not dialable NANP numbers', async () => {
+      await expect(
+        startOutboundCall({ agentName: 'Morgan', toNumber: '+1 900 555 1234', metadata: {} })
+      ).rejects.toMatchObject({ code: 'invalid_phone', reason: 'premium' });
+      expect(fetch).not.toHaveBeenCalled();
     });
 
     test('should handle 429 rate limit error', async () => {
@@ -254,5 +330,126 @@ describe('voiceGateway', () => {
       expect(bodies[1].phoneNumberId).toBe('phone-2');
       expect(bodies[2].phoneNumberId).toBe('phone-3');
     });
+
+    test('should route calls through the simulator when VOICE_PROVIDER=simulator', async () => {
+      process.env.VOICE_PROVIDER = 'simulator';
+      delete process.env.VAPI_API_KEY;
+      delete process.env.VAPI_MORGAN_ASSISTANT_ID;
+      jest.resetModules();
+      const { startOutboundCall } = require('../voiceGateway');
+      const simulator = require('../simulatorProvider');
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      try {
+        const result = await startOutboundCall({
+          agentName: 'Morgan',
+          toNumber: '3055551234',
+          metadata: { simulatorOutcome: 'answered' },
+          callName: 'Sim',
+        });
+
+        expect(result.provider).toBe('simulator');
+        expect(result.raw.assistantId).toBe('simulator-morgan');
+        expect(result.raw.customer.number).toBe('+13055551234');
+      } finally {
+        simulator.resetSimulator();
+        console.log.mockRestore();
+        delete process.env.VOICE_PROVIDER;
+      }
+    });
+  });
+
+  describe('transferCall', () => {
+    test('should post a warm transfer to the call control URL', async () => {
+      fetch.mockResolvedValueOnce({ ok: true });
+      const { transferCall } = require('../voiceGateway');
+
+      await transferCall({
+        callId: 'call-1',
+        call: { id: 'call-1', monitor: { controlUrl: 'https://control.vapi.ai/call-1' } },
+        destination: { number: '+18005550100', extension: '101' },
+        message: 'Qualified lead from Texas',
+      });
+
+      expect(fetch).toHaveBeenCalledWith('https://control.vapi.ai/call-1', expect.objectContaining({ method: 'POST' }));
+      expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+        type: 'transfer',
+        destination: {
+          type: 'number',
+          number: '+18005550100',
+          extension: '101',
+          transferPlan: { mode: 'warm-transfer-say-message', message: 'Qualified lead from Texas' },
+        },
+      });
+    });
+
+    test('should look up the control URL when the tool call did not include it', async () => {
+      fetch
+        .mockResolvedValueOnce({ ok: true, json: jest.fn().mockResolvedValue({ monitor: { controlUrl: 'https://c/1' } }) })
+        .mockResolvedValueOnce({ ok: false, status: 400, text: jest.fn().mockResolvedValue('bad') });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const { transferCall } = require('../voiceGateway');
+
+      await expect(transferCall({ callId: 'call-1', destination: { number: '+18005550100' } })).rejects.toMatchObject({
+        message: 'Vapi transfer failed',
+        statusCode: 400,
+      });
+      expect(fetch.mock.calls[1][0]).toBe('https://c/1');
+      console.error.mockRestore();
+    });
+
+    test('should require a destination number', async () => {
+      const { transferCall } = require('../voiceGateway');
+      await expect(transferCall({ callId: 'call-1', destination: {} })).rejects.toThrow('destination number');
+    });
+  });
+
+  describe('hangUpCall / listCalls', () => {
+    test('should end a Vapi call through its control URL', async () => {
+      fetch.mockResolvedValueOnce({ ok: true });
+      const { hangUpCall } = require('../voiceGateway');
+
+      await hangUpCall({ callId: 'call-1', call: { monitor: { controlUrl: 'https://c/1' } } });
+
+      expect(fetch).toHaveBeenCalledWith('https://c/1', expect.objectContaining({ method: 'POST' }));
+      expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({ type: 'end-call' });
+    });
+
+    test('should list recent Vapi calls created after a time', async () => {
+      fetch.mockResolvedValueOnce({ ok: true, json: jest.fn().mockResolvedValue([{ id: 'call-1' }]) });
+      const { listCalls } = require('../voiceGateway');
+
+      expect(await listCalls({ createdAfter: Date.parse('2026-03-02T15:00:00Z') })).toEqual([{ id: 'call-1' }]);
+      expect(fetch.mock.calls[0][0]).toBe('https://api.vapi.ai/call?limit=100&createdAtGt=2026-03-02T15%3A00%3A00.000Z');
+    });
+  });
+
+  describe('parseWebhook', () => {
+    test('should normalize a Vapi end-of-call-report', () => {
+      const { parseWebhook } = require('../voiceGateway');
+      const event = parseWebhook({
+        message: {
+          type: 'end-of-call-report',
+          call: { id: 'call-1', metadata: { convosoLeadId: '42' } },
+          endedReason: 'customer-ended-call',
+          summary: '  Interested in PPO  ',
+          recordingUrl: 'https://example.com/r.wav',
+        },
+      });
+
+      expect(event).toMatchObject({
+        type: 'end-of-call-report',
+        callId: 'call-1',
+        leadId: '42',
+        summary: 'Interested in PPO',
+        endedReason: 'customer-ended-call',
+        recordingUrl: 'https://example.com/r.wav',
+      });
+    });
+
+    test('should return null callId when payload has none', () => {
+      const { parseWebhook } = require('../voiceGateway');
+      expect(parseWebhook({}).callId).toBeNull();
+    });
   });
 });
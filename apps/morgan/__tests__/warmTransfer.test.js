@@ -0,0 +1,127 @@
+// __tests__/warmTransfer.test.js
+
+jest.mock('../opsApiClient', () => ({
+  opsApiRequest: jest.fn(),
+}));
+
+const {
+  getLicensedAgents,
+  getTransferDestination,
+  pickTransferAgent,
+  recordTransfer,
+  getCallTransfer,
+  listTransfers,
+  resetWarmTransfer,
+} = require('../warmTransfer');
+const { opsApiRequest } = require('../opsApiClient');
+const { saveState } = require('../stateStore');
+
+describe('warmTransfer', () => {
+  const T0 = Date.parse('2026-03-02T15:00:00Z');
+  const originalEnv = { ...process.env };
+  const ana = { id: 'agent-1', name: 'Ana', extension: '101' };
+  const ben = { id: 'agent-2', name: 'Ben', extension: '102' };
+
+  beforeEach(() => {
+    resetWarmTransfer();
+    jest.clearAllMocks();
+    process.env.MORGAN_TRANSFER_NUMBER = '+18005550100';
+    delete process.env.MORGAN_TRANSFER_AGENT_COOLDOWN_MINUTES;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('getLicensedAgents', () => {
+    test('should ask the ops-api for agents licensed in the lead state', async () => {
+      opsApiRequest.mockResolvedValue([ana]);
+
+      expect(await getLicensedAgents({ state: 'Texas' }, { now: T0 })).toEqual([ana]);
+      expect(opsApiRequest).toHaveBeenCalledWith('/agents/licensed?state=TX');
+    });
+
+    test('should cache the roster per state', async () => {
+      opsApiRequest.mockResolvedValue([ana]);
+      await getLicensedAgents('TX', { now: T0 });
+      await getLicensedAgents('TX', { now: T0 + 1000 });
+      await getLicensedAgents('FL', { now: T0 + 1000 });
+
+      expect(opsApiRequest).toHaveBeenCalledTimes(2);
+    });
+
+    test('should fall back to the cached roster when the ops-api fails', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      opsApiRequest.mockResolvedValueOnce([ana]).mockRejectedValue(new Error('ECONNREFUSED'));
+      await getLicensedAgents('TX', { now: T0 });
+
+      expect(await getLicensedAgents('TX', { now: T0 + 5 * 60 * 1000 })).toEqual([ana]);
+      await expect(getLicensedAgents('FL', { now: T0 })).rejects.toThrow('ECONNREFUSED');
+      console.warn.mockRestore();
+    });
+
+    test('should reject leads without a known state', async () => {
+      await expect(getLicensedAgents({ state: 'Narnia' })).rejects.toThrow('state is unknown');
+      expect(opsApiRequest).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getTransferDestination', () => {
+    test('should dial short extensions on the shared transfer line', () => {
+      expect(getTransferDestination(ana)).toEqual({ number: '+18005550100', extension: '101' });
+    });
+
+    test('should dial full phone numbers directly', () => {
+      expect(getTransferDestination({ extension: '(305) 555-1234' })).toEqual({ number: '+13055551234', extension: null });
+    });
+
+    test('should return null when the agent cannot be reached', () => {
+      expect(getTransferDestination({ extension: null })).toBeNull();
+      delete process.env.MORGAN_TRANSFER_NUMBER;
+      expect(getTransferDestination(ana)).toBeNull();
+    });
+  });
+
+  describe('pickTransferAgent', () => {
+    test('should pick in roster order when nobody has taken a transfer', () => {
+      expect(pickTransferAgent([ana, ben], { now: T0 }).agent).toBe(ana);
+    });
+
+    test('should skip agents in cooldown and prefer the least recently used', () => {
+      recordTransfer({ callId: 'c1', agent: ana, status: 'transferred', at: T0 });
+      expect(pickTransferAgent([ana, ben], { now: T0 + 1000 }).agent).toBe(ben);
+
+      recordTransfer({ callId: 'c2', agent: ben, status: 'transferred', at: T0 + 2000 });
+      expect(pickTransferAgent([ana, ben], { now: T0 + 5 * 60 * 1000 })).toBeNull();
+      expect(pickTransferAgent([ana, ben], { now: T0 + 11 * 60 * 1000 }).agent).toBe(ana);
+    });
+
+    test('should not hold failed attempts against an agent', () => {
+      recordTransfer({ callId: 'c1', agent: ana, status: 'failed', at: T0 });
+      expect(pickTransferAgent([ana, ben], { now: T0 + 1000 }).agent).toBe(ana);
+    });
+
+    test('should skip agents without a reachable destination', () => {
+      expect(pickTransferAgent([{ id: 'agent-3', extension: null }, ben], { now: T0 }).agent).toBe(ben);
+    });
+  });
+
+  describe('transfer log', () => {
+    test('should persist attempts and list them newest first', () => {
+      recordTransfer({ callId: 'c1', leadId: 101, agent: ana, status: 'transferred', at: T0 });
+      recordTransfer({ callId: 'c2', leadId: 102, status: 'no-agent', error: 'nobody free', at: T0 + 1000 });
+
+      expect(saveState).toHaveBeenCalledWith('transfers', expect.any(Function));
+      expect(listTransfers().transfers.map((t) => t.callId)).toEqual(['c2', 'c1']);
+      expect(listTransfers({ status: 'no-agent' }).transfers[0]).toMatchObject({ leadId: '102', error: 'nobody free' });
+      expect(listTransfers({ leadId: 101 }).total).toBe(1);
+    });
+
+    test('should find the successful transfer for a call', () => {
+      recordTransfer({ callId: 'c1', agent: ana, status: 'failed', at: T0 });
+      expect(getCallTransfer('c1')).toBeNull();
+      recordTransfer({ callId: 'c1', agent: ben, status: 'transferred', at: T0 + 1000 });
+      expect(getCallTransfer('c1').agentName).toBe('Ben');
+    });
+  });
+});
@@ -0,0 +1,86 @@
+// alerts.js
+// Operational alerts (stuck calls, orphaned calls, ...). Every alert is emitted
+// on an EventEmitter for in-process listeners, kept in a short in-memory log for
+// the admin API, counted in /metrics and, when MORGAN_ALERT_WEBHOOK_URL is set,
+// posted there as JSON (best effort; a failed post never throws).
+
+const { EventEmitter } = require("events");
+const fetch = require("node-fetch");
+const { incCounter } = require("./metrics");
+const { logger } = require("./logger");
+
+const MAX_ALERTS = 500;
+
+const alertEvents = new EventEmitter();
+// Newest last
+const recentAlerts = [];
+let alertCounter = 0;
+
+async function postAlert(alert) {
+  const url = process.env.MORGAN_ALERT_WEBHOOK_URL;
+  if (!url) return;
+  try {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(alert),
+      timeout: 5000,
+    });
+    if (!response.ok) logger.error("[alerts] Alert webhook returned", response.status, "for", alert.type);
+  } catch (err) {
+    logger.error("[alerts] Alert webhook failed for", alert.type, err.message);
+  }
+}
+
+/**
+ * Raise an alert. type is a short slug ("stuck_call", "orphan_call", ...);
+ * severity is "warning" (default) or "critical".
+ */
+function emitAlert({ type, severity = "warning", message, details = {}, at = Date.now() }) {
+  if (!type) throw new Error("Alert type is required");
+  alertCounter += 1;
+  const alert = {
+    id: `alert-${at}-${alertCounter}`,
+    at: new Date(at).toISOString(),
+    type,
+    severity,
+    message: message || type,
+    details,
+  };
+  recentAlerts.push(alert);
+  if (recentAlerts.length > MAX_ALERTS) recentAlerts.splice(0, recentAlerts.length - MAX_ALERTS);
+
+  incCounter("morgan_alerts_total", { type, severity });
+  logger.warn(`[alerts] ${severity.toUpperCase()} ${type}: ${alert.message}`);
+  alertEvents.emit("alert", alert);
+  void postAlert(alert);
+  return alert;
+}
+
+function onAlert(listener) {
+  alertEvents.on("alert", listener);
+  return () => alertEvents.off("alert", listener);
+}
+
+// Newest first
+function listAlerts({ type, since, limit = 100 } = {}) {
+  const sinceMs = since ? Date.parse(since) : null;
+  const matches = recentAlerts.filter(
+    (a) => (!type || a.type === type) && (!sinceMs || Date.parse(a.at) >= sinceMs)
+  );
+  return { total: matches.length, alerts: matches.slice(-Math.max(1, limit)).reverse() };
+}
+
+// Test helper
+function resetAlerts() {
+  recentAlerts.length = 0;
+  alertCounter = 0;
+  alertEvents.removeAllListeners();
+}
+
+module.exports = {
+  emitAlert,
+  onAlert,
+  listAlerts,
+  resetAlerts,
+};
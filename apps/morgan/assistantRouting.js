@@ -0,0 +1,221 @@
+// assistantRouting.js
+// Picks the Vapi assistant, caller-ID number pool and call name for a lead.
+// An ordered routing table matches on list, state and lead age; the first
+// matching route splits its leads across weighted variants (A/B tests).
+// The split hashes the lead id, so a lead always lands on the same variant.
+
+const crypto = require("crypto");
+const { loadState, saveState } = require("./stateStore");
+const { resolveLeadState } = require("./callingWindows");
+
+const ROUTING_STATE_KEY = "assistant-routing";
+
+// Env-backed assistants; more can be registered at runtime with an assistantId
+const DEFAULT_ASSISTANTS = {
+  morgan: { name: "Morgan", env: "VAPI_MORGAN_ASSISTANT_ID" },
+  riley: { name: "Riley", env: "VAPI_RILEY_ASSISTANT_ID" },
+};
+const DEFAULT_ASSISTANT = "morgan";
+
+// { assistants: { [key]: { name, assistantId?, env? } },
+//   routes: [{ name, match: { listIds?, states?, minLeadAgeMinutes?, maxLeadAgeMinutes? },
+//              variants: [{ name, assistant, weight, phoneNumberIds?, callName? }] }] }
+let routing = null;
+
+function getRoutingConfig() {
+  if (!routing) {
+    const saved = loadState(ROUTING_STATE_KEY) || {};
+    routing = {
+      assistants: { ...DEFAULT_ASSISTANTS, ...(saved.assistants || {}) },
+      routes: Array.isArray(saved.routes) ? saved.routes : [],
+    };
+  }
+  return routing;
+}
+
+function getAssistant(key) {
+  if (!key) return null;
+  return getRoutingConfig().assistants[String(key).toLowerCase()] || null;
+}
+
+// Vapi assistant id for a registered assistant key (e.g. "morgan"), or null
+function getAssistantId(key) {
+  const assistant = getAssistant(key);
+  if (!assistant) return null;
+  return assistant.assistantId || (assistant.env ? process.env[assistant.env] : null) || null;
+}
+
+function validateStringList(value, label) {
+  if (value == null) return undefined;
+  if (!Array.isArray(value) || value.some((v) => v == null || !String(v).trim())) {
+    throw new Error(`${label} must be an array of non-empty values`);
+  }
+  return value.map((v) => String(v).trim());
+}
+
+function validateAssistants(patch, current) {
+  const next = { ...current };
+  for (const [rawKey, value] of Object.entries(patch || {})) {
+    const key = rawKey.toLowerCase();
+    if (value === null) {
+      if (DEFAULT_ASSISTANTS[key]) throw new Error(`Built-in assistant ${key} cannot be removed`);
+      delete next[key];
+      continue;
+    }
+    if (!value || typeof value !== "object") throw new Error(`assistants.${key} must be an object`);
+    const merged = { ...(next[key] || {}), ...value };
+    if (!merged.assistantId && !merged.env) {
+      throw new Error(`assistants.${key} needs an assistantId`);
+    }
+    merged.name = merged.name || rawKey;
+    next[key] = merged;
+  }
+  return next;
+}
+
+function validateRoutes(routes, assistants) {
+  if (!Array.isArray(routes)) throw new Error("routes must be an array");
+  const names = new Set();
+  return routes.map((route, i) => {
+    const label = `routes[${i}]`;
+    if (!route || !route.name || !String(route.name).trim()) throw new Error(`${label}.name is required`);
+    const name = String(route.name).trim();
+    if (names.has(name)) throw new Error(`Duplicate route name ${name}`);
+    names.add(name);
+
+    const match = route.match || {};
+    for (const key of ["minLeadAgeMinutes", "maxLeadAgeMinutes"]) {
+      if (match[key] !== undefined && (!Number.isFinite(match[key]) || match[key] < 0)) {
+        throw new Error(`${label}.match.${key} must be a non-negative number`);
+      }
+    }
+    const cleanMatch = {
+      listIds: validateStringList(match.listIds, `${label}.match.listIds`),
+      states: validateStringList(match.states, `${label}.match.states`)?.map((s) => s.toUpperCase()),
+      minLeadAgeMinutes: match.minLeadAgeMinutes,
+      maxLeadAgeMinutes: match.maxLeadAgeMinutes,
+    };
+
+    if (!Array.isArray(route.variants) || !route.variants.length) {
+      throw new Error(`${label}.variants must list at least one assistant`);
+    }
+    const variantNames = new Set();
+    const variants = route.variants.map((v, j) => {
+      const vLabel = `${label}.variants[${j}]`;
+      const assistant = String(v?.assistant || "").toLowerCase();
+      if (!assistants[assistant]) throw new Error(`${vLabel}.assistant ${v?.assistant} is not registered`);
+      const weight = v.weight === undefined ? 1 : v.weight;
+      if (!Number.isFinite(weight) || weight < 0) throw new Error(`${vLabel}.weight must be a non-negative number`);
+      const variantName = v.name ? String(v.name).trim() : assistant;
+      if (variantNames.has(variantName)) throw new Error(`${vLabel}: name the variants that share an assistant`);
+      variantNames.add(variantName);
+      return {
+        name: variantName,
+        assistant,
+        weight,
+        phoneNumberIds: validateStringList(v.phoneNumberIds, `${vLabel}.phoneNumberIds`) || null,
+        callName: v.callName ? String(v.callName) : null,
+      };
+    });
+    if (!variants.some((v) => v.weight > 0)) throw new Error(`${label}.variants need a positive weight`);
+
+    return { name, match: cleanMatch, variants };
+  });
+}
+
+/**
+ * patch: { assistants?: { [key]: { name, assistantId } | null }, routes?: [...] }.
+ * Routes replace the whole table (order matters: first match wins).
+ */
+function updateRoutingConfig(patch = {}) {
+  const current = getRoutingConfig();
+  const assistants = patch.assistants ? validateAssistants(patch.assistants, current.assistants) : current.assistants;
+  const routes = patch.routes !== undefined ? validateRoutes(patch.routes, assistants) : current.routes;
+  // Removing an assistant must not orphan a route that still uses it
+  validateRoutes(routes, assistants);
+
+  routing = { assistants, routes };
+  saveState(ROUTING_STATE_KEY, routing);
+  return routing;
+}
+
+function matchesRoute(match, { listId, state, ageMinutes }) {
+  if (match.listIds && !match.listIds.includes(String(listId))) return false;
+  if (match.states && !match.states.includes(state)) return false;
+  if (match.minLeadAgeMinutes !== undefined && (ageMinutes == null || ageMinutes < match.minLeadAgeMinutes)) {
+    return false;
+  }
+  if (match.maxLeadAgeMinutes !== undefined && (ageMinutes == null || ageMinutes > match.maxLeadAgeMinutes)) {
+    return false;
+  }
+  return true;
+}
+
+// Stable 0..1 bucket for a lead within a route
+function splitBucket(routeName, leadId) {
+  if (leadId == null) return Math.random();
+  const hash = crypto.createHash("sha1").update(`${routeName}:${leadId}`).digest();
+  return hash.readUInt32BE(0) / 0x100000000;
+}
+
+function pickVariant(route, leadId) {
+  const total = route.variants.reduce((sum, v) => sum + v.weight, 0);
+  let point = splitBucket(route.name, leadId) * total;
+  for (const variant of route.variants) {
+    if (variant.weight <= 0) continue;
+    if (point < variant.weight) return variant;
+    point -= variant.weight;
+  }
+  return route.variants.filter((v) => v.weight > 0).pop();
+}
+
+/**
+ * Route a lead. `createdAt` (ms) is when the lead came in, for age rules;
+ * `defaultAssistant` replaces Morgan when no route matches (a campaign's target).
+ * Returns { route, variant, assistant, agentName, assistantId, phoneNumberIds, callName }
+ * where phoneNumberIds null means any number in the slot pool.
+ */
+function routeLead(lead, { createdAt = null, now = Date.now(), defaultAssistant = null } = {}) {
+  const cfg = getRoutingConfig();
+  const facts = {
+    listId: lead?.list_id ?? lead?.raw?.list_id ?? null,
+    state: resolveLeadState(lead),
+    ageMinutes: createdAt != null ? Math.max(0, (now - createdAt) / 60000) : null,
+  };
+
+  const route = cfg.routes.find((r) => matchesRoute(r.match, facts));
+  const fallback = defaultAssistant && cfg.assistants[defaultAssistant] ? defaultAssistant : DEFAULT_ASSISTANT;
+  const variant = route ? pickVariant(route, lead?.id ?? null) : { assistant: fallback, phoneNumberIds: null };
+  const assistant = cfg.assistants[variant.assistant] || DEFAULT_ASSISTANTS[DEFAULT_ASSISTANT];
+
+  return {
+    route: route ? route.name : "default",
+    variant: route ? variant.name : variant.assistant,
+    assistant: variant.assistant,
+    agentName: assistant.name,
+    assistantId: getAssistantId(variant.assistant),
+    phoneNumberIds: variant.phoneNumberIds || null,
+    callName: variant.callName || null,
+  };
+}
+
+// Can a lead routed this way be dialed from this phone number?
+function routeAllowsNumber(decision, phoneNumberId) {
+  return !decision.phoneNumberIds || decision.phoneNumberIds.includes(phoneNumberId);
+}
+
+// Test helper: forget cached state so the next call reloads from the store
+function resetRoutingConfig() {
+  routing = null;
+}
+
+module.exports = {
+  DEFAULT_ASSISTANTS,
+  getRoutingConfig,
+  updateRoutingConfig,
+  getAssistant,
+  getAssistantId,
+  routeLead,
+  routeAllowsNumber,
+  resetRoutingConfig,
+};
@@ -0,0 +1,317 @@
+// cadencePolicy.js
+// Retry cadence for Morgan leads: attempt counting, minimum spacing, daily /
+// rolling-window / lifetime caps, with per-Convoso-list overrides. Leads that
+// are not due yet are held here (out of morganQueue) until they are.
+
+const { loadState, saveState } = require("./stateStore");
+
+const CADENCE_CONFIG_KEY = "cadence-policy";
+const CADENCE_LEADS_KEY = "cadence-leads";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+// Idle this long, a lead keeps only its attempt count, not the timestamps
+const RECORD_TTL_MS = 30 * DAY_MS;
+
+const DEFAULT_POLICY = {
+  minSpacingMinutes: 120, // between two dials of the same lead
+  maxPerDay: 2, // rolling 24h
+  maxPerWindow: 4, // rolling windowDays
+  windowDays: 3,
+  maxAttempts: 4, // lifetime; reaching it exhausts the lead
+  launchRetryMinutes: 5, // provider rejected the call before dialing
+  exhaustedStatus: "MX", // final Convoso disposition once attempts run out
+};
+
+let config = null;
+// leadId -> { listId, attempts: [ms], priorAttempts, lastAttemptAt, heldUntil, holdReason, lead, exhaustedAt }
+// priorAttempts counts attempts whose timestamps were pruned
+let records = null;
+
+// How long an idle lead's compacted record (attempt count or exhausted
+// tombstone) is kept before it is forgotten entirely
+function getRetentionMs() {
+  const days = Number(process.env.MORGAN_CADENCE_RETENTION_DAYS) || 365;
+  return days * DAY_MS;
+}
+
+function getCadenceConfig() {
+  if (!config) {
+    const saved = loadState(CADENCE_CONFIG_KEY) || {};
+    config = {
+      default: { ...DEFAULT_POLICY, ...(saved.default || {}) },
+      lists: saved.lists || {},
+    };
+  }
+  return config;
+}
+
+function validatePolicyPatch(patch, label) {
+  const out = {};
+  for (const [key, value] of Object.entries(patch || {})) {
+    if (!(key in DEFAULT_POLICY)) throw new Error(`Unknown cadence setting ${label}.${key}`);
+    if (key === "exhaustedStatus") {
+      if (typeof value !== "string" || !value.trim()) {
+        throw new Error(`${label}.exhaustedStatus must be a Convoso status code`);
+      }
+      out[key] = value.trim();
+      continue;
+    }
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`${label}.${key} must be a non-negative number`);
+    }
+    out[key] = value;
+  }
+  return out;
+}
+
+// patch: { default?: {...}, lists?: { [listId]: {...} | null } } (null removes a list rule)
+function updateCadenceConfig(patch = {}) {
+  const current = getCadenceConfig();
+  const next = { default: { ...current.default }, lists: { ...current.lists } };
+
+  if (patch.default) {
+    Object.assign(next.default, validatePolicyPatch(patch.default, "default"));
+  }
+  for (const [listId, rule] of Object.entries(patch.lists || {})) {
+    if (rule === null) {
+      delete next.lists[listId];
+    } else {
+      next.lists[listId] = { ...(next.lists[listId] || {}), ...validatePolicyPatch(rule, `lists.${listId}`) };
+    }
+  }
+
+  config = next;
+  saveState(CADENCE_CONFIG_KEY, config);
+  return config;
+}
+
+function getCadencePolicy(listId) {
+  const cfg = getCadenceConfig();
+  const listRule = listId != null ? cfg.lists[String(listId)] : null;
+  return { ...cfg.default, ...(listRule || {}) };
+}
+
+function getRecords() {
+  if (!records) {
+    records = new Map(loadState(CADENCE_LEADS_KEY, []) || []);
+  }
+  return records;
+}
+
+function persistRecords() {
+  saveState(CADENCE_LEADS_KEY, () => Array.from(getRecords().entries()));
+}
+
+function getRecord(lead) {
+  const id = String(lead.id);
+  let record = getRecords().get(id);
+  if (!record) {
+    record = {
+      listId: null,
+      attempts: [],
+      priorAttempts: 0,
+      lastAttemptAt: null,
+      heldUntil: null,
+      holdReason: null,
+      lead: null,
+      exhaustedAt: null,
+    };
+    getRecords().set(id, record);
+  }
+  const listId = lead.list_id ?? lead.raw?.list_id;
+  if (listId != null) record.listId = String(listId);
+  return record;
+}
+
+// Lifetime attempts, including those whose timestamps were pruned
+function countAttempts(record) {
+  return record ? (record.priorAttempts || 0) + record.attempts.length : 0;
+}
+
+function recordAttempt(lead, at = Date.now()) {
+  if (!lead || !lead.id) return null;
+  const record = getRecord(lead);
+  record.attempts.push(at);
+  record.lastAttemptAt = at;
+  record.heldUntil = null;
+  record.holdReason = null;
+  record.lead = null;
+  persistRecords();
+  return record;
+}
+
+/**
+ * Where does this lead stand against its cadence policy?
+ * Returns { due, exhausted, nextEligibleAt, attempts, reason, policy }.
+ */
+function evaluateCadence(lead, now = Date.now()) {
+  const record = lead && lead.id ? getRecords().get(String(lead.id)) : null;
+  const listId = lead?.list_id ?? lead?.raw?.list_id ?? record?.listId ?? null;
+  const policy = getCadencePolicy(listId);
+  const attempts = record ? record.attempts : [];
+  const lifetime = countAttempts(record);
+  const result = (fields) => ({ attempts: lifetime, policy, ...fields });
+
+  if (record?.exhaustedAt || lifetime >= policy.maxAttempts) {
+    return result({ due: false, exhausted: true, nextEligibleAt: null, reason: "max_attempts" });
+  }
+
+  const candidates = [];
+  const last = attempts[attempts.length - 1];
+  if (last != null) candidates.push([last + policy.minSpacingMinutes * MINUTE_MS, "min_spacing"]);
+
+  const inDay = attempts.filter((t) => t > now - DAY_MS);
+  if (inDay.length >= policy.maxPerDay) {
+    candidates.push([inDay[inDay.length - policy.maxPerDay] + DAY_MS, "daily_cap"]);
+  }
+
+  const windowMs = policy.windowDays * DAY_MS;
+  const inWindow = attempts.filter((t) => t > now - windowMs);
+  if (inWindow.length >= policy.maxPerWindow) {
+    candidates.push([inWindow[inWindow.length - policy.maxPerWindow] + windowMs, "window_cap"]);
+  }
+
+  if (record?.heldUntil) candidates.push([record.heldUntil, record.holdReason || "held"]);
+
+  let nextEligibleAt = null;
+  let reason = null;
+  for (const [at, why] of candidates) {
+    if (at > now && (nextEligibleAt == null || at > nextEligibleAt)) {
+      nextEligibleAt = at;
+      reason = why;
+    }
+  }
+
+  return result({ due: nextEligibleAt == null, exhausted: false, nextEligibleAt, reason });
+}
+
+function holdLead(lead, until, reason = "held") {
+  if (!lead || !lead.id) return null;
+  const record = getRecord(lead);
+  record.heldUntil = until;
+  record.holdReason = reason;
+  record.lead = lead;
+  persistRecords();
+  return record;
+}
+
+function isHeld(leadId, now = Date.now()) {
+  const record = getRecords().get(String(leadId));
+  return !!(record && record.lead && record.heldUntil && record.heldUntil > now);
+}
+
+function isExhausted(lead) {
+  return evaluateCadence(lead).exhausted;
+}
+
+function markExhausted(lead, at = Date.now()) {
+  if (!lead || !lead.id) return null;
+  const record = getRecord(lead);
+  record.exhaustedAt = at;
+  record.heldUntil = null;
+  record.lead = null;
+  persistRecords();
+  return record;
+}
+
+function lastTouchedAt(record) {
+  return Math.max(record.attempts[record.attempts.length - 1] || 0, record.lastAttemptAt || 0, record.exhaustedAt || 0);
+}
+
+// Idle for long: the attempt timestamps no longer matter, only how many there
+// were and, for exhausted leads, that they ran out
+function compact(record, lastTouched, exhausted) {
+  return {
+    listId: record.listId,
+    attempts: [],
+    priorAttempts: countAttempts(record),
+    lastAttemptAt: record.lastAttemptAt || record.attempts[record.attempts.length - 1] || null,
+    heldUntil: null,
+    holdReason: null,
+    lead: null,
+    exhaustedAt: exhausted ? record.exhaustedAt || lastTouched : null,
+  };
+}
+
+// Pull every held lead whose hold has expired; the caller puts them back in the queue
+function releaseDueLeads(now = Date.now()) {
+  const released = [];
+  let changed = false;
+  for (const [leadId, record] of getRecords().entries()) {
+    if (record.lead && record.heldUntil && record.heldUntil <= now) {
+      released.push(record.lead);
+      record.lead = null;
+      record.heldUntil = null;
+      record.holdReason = null;
+      changed = true;
+    }
+    // Leads we have not touched in a long time keep only their attempt count:
+    // the lifetime cap must survive a lead coming back (a new-lead webhook, a
+    // re-pull) months later. After the retention period they are forgotten.
+    const lastTouched = lastTouchedAt(record);
+    if (record.lead || !lastTouched) continue;
+    if (lastTouched < now - getRetentionMs()) {
+      getRecords().delete(leadId);
+      changed = true;
+    } else if (lastTouched < now - RECORD_TTL_MS && record.attempts.length) {
+      const exhausted = evaluateCadence({ id: leadId, list_id: record.listId }, now).exhausted;
+      getRecords().set(leadId, compact(record, lastTouched, exhausted));
+      changed = true;
+    }
+  }
+  if (changed) persistRecords();
+  return released;
+}
+
+function listHeldLeads() {
+  const held = [];
+  for (const [leadId, record] of getRecords().entries()) {
+    if (!record.lead) continue;
+    held.push({
+      leadId,
+      listId: record.listId,
+      heldUntil: new Date(record.heldUntil).toISOString(),
+      reason: record.holdReason,
+      attempts: countAttempts(record),
+    });
+  }
+  return held.sort((a, b) => a.heldUntil.localeCompare(b.heldUntil));
+}
+
+function getLeadCadence(leadId) {
+  const record = getRecords().get(String(leadId));
+  if (!record) return null;
+  return {
+    leadId: String(leadId),
+    listId: record.listId,
+    attempts: record.attempts.map((t) => new Date(t).toISOString()),
+    lifetimeAttempts: countAttempts(record),
+    heldUntil: record.heldUntil ? new Date(record.heldUntil).toISOString() : null,
+    holdReason: record.holdReason,
+    exhaustedAt: record.exhaustedAt ? new Date(record.exhaustedAt).toISOString() : null,
+  };
+}
+
+// Test helper: forget cached state so the next call reloads from the store
+function resetCadenceCache() {
+  config = null;
+  records = null;
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  getCadenceConfig,
+  updateCadenceConfig,
+  getCadencePolicy,
+  recordAttempt,
+  evaluateCadence,
+  holdLead,
+  isHeld,
+  isExhausted,
+  markExhausted,
+  releaseDueLeads,
+  listHeldLeads,
+  getLeadCadence,
+  resetCadenceCache,
+};
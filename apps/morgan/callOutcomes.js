@@ -0,0 +1,207 @@
+// callOutcomes.js
+// How a Morgan call ended, and what happens to the lead next. Every ended call
+// is classified (completed, transferred, hang-up, voicemail, no-answer, busy,
+// failed) and each class maps to a configurable Convoso status and retry
+// decision. Optional voicemail drop: Morgan leaves a short message on the
+// first voicemails it reaches for a lead instead of hanging up.
+
+const { loadState, saveState } = require("./stateStore");
+
+const OUTCOMES_CONFIG_KEY = "call-outcomes";
+
+const OUTCOME_CLASSES = ["completed", "transferred", "hang-up", "voicemail", "no-answer", "busy", "failed"];
+
+// Classes where nobody was reached: the lead is not done with yet
+const NOT_REACHED = new Set(["voicemail", "no-answer", "busy", "failed"]);
+
+// status: Convoso status set when Morgan stops calling the lead after this
+// outcome (null leaves it in MC, or the transfer status). retry: hold the lead
+// in MQ and call again on its cadence, at least retryDelayMinutes from now;
+// once its attempts run out it gets the cadence policy's exhaustedStatus.
+const DEFAULT_OUTCOME_POLICY = {
+  completed: { status: null, retry: false, retryDelayMinutes: null },
+  transferred: { status: null, retry: false, retryDelayMinutes: null },
+  "hang-up": { status: null, retry: false, retryDelayMinutes: null },
+  voicemail: { status: null, retry: true, retryDelayMinutes: null },
+  "no-answer": { status: null, retry: true, retryDelayMinutes: null },
+  busy: { status: null, retry: true, retryDelayMinutes: 15 },
+  failed: { status: null, retry: true, retryDelayMinutes: 5 },
+};
+
+const DEFAULT_VOICEMAIL_DROP = {
+  enabled: false,
+  message: "", // what Morgan says to the voicemail before hanging up
+  maxPerLead: 1, // voicemails a lead may get; later ones are hung up on silently
+};
+
+// Vapi ended reasons, by the class they settle on their own
+const ENDED_REASON_CLASSES = {
+  voicemail: "voicemail",
+  "customer-did-not-answer": "no-answer",
+  "customer-busy": "busy",
+  "twilio-failed-to-connect-call": "failed",
+  "vonage-failed-to-connect-call": "failed",
+  "assistant-forwarded-call": "transferred",
+};
+
+// Reasons where the call connected; the rest of the record says how it went
+const CONNECTED_REASONS = new Set([
+  "customer-ended-call",
+  "assistant-ended-call",
+  "assistant-said-end-call-phrase",
+  "exceeded-max-duration",
+  "manually-canceled",
+]);
+
+const MAX_MESSAGE_LENGTH = 1000;
+
+let config = null;
+
+function getOutcomeConfig() {
+  if (!config) {
+    const saved = loadState(OUTCOMES_CONFIG_KEY) || {};
+    const outcomes = {};
+    for (const name of OUTCOME_CLASSES) {
+      outcomes[name] = { ...DEFAULT_OUTCOME_POLICY[name], ...((saved.outcomes || {})[name] || {}) };
+    }
+    config = { outcomes, voicemailDrop: { ...DEFAULT_VOICEMAIL_DROP, ...(saved.voicemailDrop || {}) } };
+  }
+  return config;
+}
+
+function validateOutcomePatch(patch, label) {
+  const out = {};
+  for (const [key, value] of Object.entries(patch || {})) {
+    if (key === "status") {
+      if (value !== null && (typeof value !== "string" || !value.trim())) {
+        throw new Error(`${label}.status must be a Convoso status code or null`);
+      }
+      out.status = value === null ? null : value.trim();
+    } else if (key === "retry") {
+      if (typeof value !== "boolean") throw new Error(`${label}.retry must be true or false`);
+      out.retry = value;
+    } else if (key === "retryDelayMinutes") {
+      if (value !== null && (!Number.isFinite(value) || value < 0)) {
+        throw new Error(`${label}.retryDelayMinutes must be a non-negative number or null`);
+      }
+      out.retryDelayMinutes = value;
+    } else {
+      throw new Error(`Unknown outcome setting ${label}.${key}`);
+    }
+  }
+  return out;
+}
+
+function validateVoicemailDrop(patch) {
+  const out = {};
+  for (const [key, value] of Object.entries(patch || {})) {
+    if (key === "enabled") {
+      if (typeof value !== "boolean") throw new Error("voicemailDrop.enabled must be true or false");
+      out.enabled = value;
+    } else if (key === "message") {
+      if (typeof value !== "string" || value.length > MAX_MESSAGE_LENGTH) {
+        throw new Error(`voicemailDrop.message must be text of at most ${MAX_MESSAGE_LENGTH} characters`);
+      }
+      out.message = value.trim();
+    } else if (key === "maxPerLead") {
+      if (!Number.isInteger(value) || value < 0) throw new Error("voicemailDrop.maxPerLead must be a whole number");
+      out.maxPerLead = value;
+    } else {
+      throw new Error(`Unknown voicemailDrop setting ${key}`);
+    }
+  }
+  return out;
+}
+
+// patch: { outcomes?: { [class]: { status?, retry?, retryDelayMinutes? } }, voicemailDrop?: {...} }
+function updateOutcomeConfig(patch = {}) {
+  const current = getOutcomeConfig();
+  const next = {
+    outcomes: { ...current.outcomes },
+    voicemailDrop: { ...current.voicemailDrop },
+  };
+  for (const [name, rule] of Object.entries(patch.outcomes || {})) {
+    if (!OUTCOME_CLASSES.includes(name)) throw new Error(`Unknown call outcome ${name}`);
+    next.outcomes[name] = { ...next.outcomes[name], ...validateOutcomePatch(rule, `outcomes.${name}`) };
+  }
+  if (patch.voicemailDrop) {
+    Object.assign(next.voicemailDrop, validateVoicemailDrop(patch.voicemailDrop));
+  }
+  if (next.voicemailDrop.enabled && !next.voicemailDrop.message) {
+    throw new Error("voicemailDrop.message is required when voicemail drop is enabled");
+  }
+  config = next;
+  saveState(OUTCOMES_CONFIG_KEY, config);
+  return config;
+}
+
+// Class settled by the ended reason alone, or null when it depends on the conversation
+function classifyEndedReason(endedReason) {
+  const reason = String(endedReason || "");
+  if (ENDED_REASON_CLASSES[reason]) return ENDED_REASON_CLASSES[reason];
+  if (CONNECTED_REASONS.has(reason) || reason === "silence-timed-out") return null;
+  return reason ? "failed" : null;
+}
+
+/**
+ * Class of an ended call record (callRecords.js): its ended reason, then
+ * whether Morgan had a conversation (a summary or a note) or the line went
+ * quiet / was hung up before one.
+ */
+function classifyCallOutcome(record) {
+  if (!record) return null;
+  if (record.transfer?.status === "transferred") return "transferred";
+  const byReason = classifyEndedReason(record.endedReason);
+  if (byReason) return byReason;
+  const conversation = (record.summary && record.summary !== "NO_SUMMARY") || (record.notes || []).length > 0;
+  if (conversation) return "completed";
+  return record.endedReason === "silence-timed-out" ? "no-answer" : "hang-up";
+}
+
+// Did a call with this outcome class reach a person? (connects, in reports)
+function isReachedOutcome(outcome) {
+  return OUTCOME_CLASSES.includes(outcome) && !NOT_REACHED.has(outcome);
+}
+
+// Did the ended reason alone say nobody was reached? (for the stuck-call watchdog)
+function isNotReachedEndedReason(endedReason) {
+  return NOT_REACHED.has(classifyEndedReason(endedReason));
+}
+
+/**
+ * What to do with the lead after an ended call:
+ *  { outcome, reached, status, retry, retryDelayMinutes }, or null while the call is live.
+ */
+function planCallOutcome(record) {
+  if (!record || record.status !== "ended") return null;
+  const outcome = record.outcome && OUTCOME_CLASSES.includes(record.outcome) ? record.outcome : classifyCallOutcome(record);
+  return { outcome, reached: !NOT_REACHED.has(outcome), ...getOutcomeConfig().outcomes[outcome] };
+}
+
+/**
+ * Assistant overrides that make Morgan leave the voicemail drop message, or
+ * null when voicemail drop is off or the lead already got its messages.
+ */
+function getVoicemailDropOverrides(priorVoicemails = 0) {
+  const drop = getOutcomeConfig().voicemailDrop;
+  if (!drop.enabled || !drop.message || priorVoicemails >= drop.maxPerLead) return null;
+  return { voicemailMessage: drop.message };
+}
+
+// Test helper: forget cached state so the next call reloads from the store
+function resetOutcomeConfigCache() {
+  config = null;
+}
+
+module.exports = {
+  OUTCOME_CLASSES,
+  getOutcomeConfig,
+  updateOutcomeConfig,
+  classifyEndedReason,
+  classifyCallOutcome,
+  isNotReachedEndedReason,
+  isReachedOutcome,
+  planCallOutcome,
+  getVoicemailDropOverrides,
+  resetOutcomeConfigCache,
+};
@@ -0,0 +1,311 @@
+// callRecords.js
+// One persisted record per Morgan call: who was dialed, from which slot, how
+// the call ended (Vapi end-of-call report) and the notes Morgan posted.
+
+const { loadState, saveState } = require("./stateStore");
+const { OUTCOME_CLASSES, classifyCallOutcome } = require("./callOutcomes");
+
+const CALL_RECORDS_STATE_KEY = "call-records";
+const MAX_CALL_RECORDS = 20000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REPORT_TIMEZONE = "America/New_York";
+
+// callId -> record (insertion order = call start order)
+let records = null;
+
+function getRetentionMs() {
+  const days = Number(process.env.MORGAN_CALL_RECORD_RETENTION_DAYS) || 90;
+  return days * DAY_MS;
+}
+
+function getRecords() {
+  if (!records) {
+    records = new Map(loadState(CALL_RECORDS_STATE_KEY, []) || []);
+    // Records saved before calls were classified said "connected" / "no-contact"
+    for (const record of records.values()) {
+      if (record.status === "ended" && !OUTCOME_CLASSES.includes(record.outcome)) {
+        record.outcome = deriveOutcome(record);
+      }
+    }
+  }
+  return records;
+}
+
+function prune(now = Date.now()) {
+  const all = getRecords();
+  const cutoff = now - getRetentionMs();
+  for (const [callId, record] of all) {
+    if (all.size <= MAX_CALL_RECORDS && Date.parse(record.createdAt) >= cutoff) break;
+    all.delete(callId);
+  }
+}
+
+function persist() {
+  prune();
+  saveState(CALL_RECORDS_STATE_KEY, () => Array.from(getRecords().entries()));
+}
+
+function toIso(value) {
+  if (value == null || value === "") return null;
+  const ms = typeof value === "number" ? value : Date.parse(value);
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+function getOrCreate(callId, now) {
+  const id = String(callId);
+  let record = getRecords().get(id);
+  if (!record) {
+    record = {
+      callId: id,
+      provider: null,
+      source: null,
+      leadId: null,
+      listId: null,
+      phoneNumberId: null,
+      assistantId: null,
+      assistant: null,
+      route: null,
+      variant: null,
+      toNumber: null,
+      voicemailDrop: false,
+      status: "in-progress",
+      outcome: "in-progress",
+      startedAt: null,
+      endedAt: null,
+      durationSeconds: null,
+      endedReason: null,
+      summary: null,
+      transcript: null,
+      recordingUrl: null,
+      notes: [],
+      transfer: null,
+      createdAt: new Date().toISOString(), // retention clock
+      updatedAt: now,
+    };
+    getRecords().set(id, record);
+  }
+  return record;
+}
+
+// Fill only fields we don't know yet, so a late or partial event can't blank them
+function fillMissing(record, fields) {
+  for (const [key, value] of Object.entries(fields)) {
+    if (value != null && value !== "" && record[key] == null) record[key] = value;
+  }
+}
+
+// "in-progress" until the call has ended, then its class (see callOutcomes.js)
+function deriveOutcome(record) {
+  if (record.status !== "ended") return "in-progress";
+  return classifyCallOutcome(record);
+}
+
+function recordCallStarted({
+  callId,
+  provider = null,
+  source = null,
+  leadId = null,
+  listId = null,
+  phoneNumberId = null,
+  assistantId = null,
+  assistant = null,
+  route = null,
+  variant = null,
+  toNumber = null,
+  voicemailDrop = false,
+  at = Date.now(),
+}) {
+  if (!callId) return null;
+  const now = toIso(at);
+  const record = getOrCreate(callId, now);
+  fillMissing(record, {
+    provider,
+    source,
+    leadId: leadId != null ? String(leadId) : null,
+    listId: listId != null ? String(listId) : null,
+    phoneNumberId,
+    assistantId,
+    assistant,
+    route,
+    variant,
+    toNumber,
+    startedAt: now,
+  });
+  if (voicemailDrop) record.voicemailDrop = true;
+  record.updatedAt = now;
+  persist();
+  return record;
+}
+
+/**
+ * Apply a parsed end-of-call report (see voiceGateway.parseWebhook). Creates
+ * the record if the call was not started by this service (e.g. state lost).
+ */
+function recordCallEnded(event, { at = Date.now() } = {}) {
+  if (!event || !event.callId) return null;
+  const now = toIso(at);
+  const record = getOrCreate(event.callId, now);
+  const call = event.call || {};
+  const metadata = event.metadata || {};
+
+  fillMissing(record, {
+    leadId: event.leadId != null ? String(event.leadId) : null,
+    listId: metadata.convosoListId != null ? String(metadata.convosoListId) : null,
+    source: metadata.source || null,
+    phoneNumberId: call.phoneNumberId || null,
+    assistantId: call.assistantId || null,
+    assistant: metadata.assistant || null,
+    route: metadata.route || null,
+    variant: metadata.routeVariant || null,
+    toNumber: call.customer?.number || null,
+  });
+
+  record.status = "ended";
+  record.startedAt = toIso(event.startedAt) || record.startedAt;
+  record.endedAt = toIso(event.endedAt) || now;
+  record.durationSeconds =
+    event.durationSeconds != null
+      ? Number(event.durationSeconds)
+      : record.startedAt
+        ? Math.max(0, Math.round((Date.parse(record.endedAt) - Date.parse(record.startedAt)) / 1000))
+        : null;
+  record.endedReason = event.endedReason || null;
+  record.summary = event.summary || null;
+  record.transcript = event.transcript || null;
+  record.recordingUrl = event.recordingUrl || null;
+  record.outcome = deriveOutcome(record);
+  record.updatedAt = now;
+  persist();
+  return record;
+}
+
+// A note Morgan posted through the sendLeadNote tool during the call
+function addCallNote({ callId, leadId = null, note, at = Date.now() }) {
+  if (!callId || !note) return null;
+  const now = toIso(at);
+  const record = getOrCreate(callId, now);
+  fillMissing(record, { leadId: leadId != null ? String(leadId) : null });
+  record.notes.push({ at: now, text: String(note) });
+  record.outcome = deriveOutcome(record);
+  record.updatedAt = now;
+  persist();
+  return record;
+}
+
+// Latest warm-transfer attempt on the call (see warmTransfer.js)
+function recordCallTransfer({ callId, leadId = null, status, agentId = null, agentName = null, at = Date.now() }) {
+  if (!callId || !status) return null;
+  const now = toIso(at);
+  const record = getOrCreate(callId, now);
+  fillMissing(record, { leadId: leadId != null ? String(leadId) : null });
+  // A failed retry must not hide a transfer that already went through
+  if (record.transfer?.status !== "transferred") {
+    record.transfer = { status, agentId, agentName, at: now };
+  }
+  record.outcome = deriveOutcome(record);
+  record.updatedAt = now;
+  persist();
+  return record;
+}
+
+// The lead's cadence and status are settled once per call: the first of the
+// end-of-call report and the watchdog to get here does it. False after that.
+function claimCallOutcome(callId, { at = Date.now() } = {}) {
+  const record = getRecords().get(String(callId));
+  if (!record || record.outcomeAppliedAt) return false;
+  record.outcomeAppliedAt = toIso(at);
+  persist();
+  return true;
+}
+
+function getCallRecord(callId) {
+  return getRecords().get(String(callId)) || null;
+}
+
+// YYYY-MM-DD of an ISO timestamp in the reporting timezone
+function localDate(iso, timeZone = REPORT_TIMEZONE) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(new Date(iso));
+}
+
+/**
+ * Filter call records. `date` (YYYY-MM-DD) is a calendar day in `timezone`
+ * (Eastern by default); `since` / `until` are absolute timestamps.
+ * Newest first. Transcripts are left out unless `includeTranscript`.
+ */
+function queryCallRecords({
+  leadId,
+  listId,
+  outcome,
+  endedReason,
+  phoneNumberId,
+  assistant,
+  route,
+  variant,
+  date,
+  since,
+  until,
+  timezone = REPORT_TIMEZONE,
+  includeTranscript = false,
+  limit = 100,
+  offset = 0,
+} = {}) {
+  const sinceMs = since ? Date.parse(since) : null;
+  const untilMs = until ? Date.parse(until) : null;
+
+  const matches = Array.from(getRecords().values()).filter((r) => {
+    const at = r.startedAt || r.createdAt;
+    if (leadId != null && r.leadId !== String(leadId)) return false;
+    if (listId != null && r.listId !== String(listId)) return false;
+    if (outcome && r.outcome !== outcome) return false;
+    if (endedReason && r.endedReason !== endedReason) return false;
+    if (phoneNumberId && r.phoneNumberId !== phoneNumberId) return false;
+    if (assistant && r.assistant !== assistant) return false;
+    if (route && r.route !== route) return false;
+    if (variant && r.variant !== variant) return false;
+    if (date && localDate(at, timezone) !== date) return false;
+    if (sinceMs && Date.parse(at) < sinceMs) return false;
+    if (untilMs && Date.parse(at) >= untilMs) return false;
+    return true;
+  });
+
+  matches.reverse();
+  const page = matches.slice(offset, offset + limit);
+  return {
+    total: matches.length,
+    records: includeTranscript ? page : page.map(({ transcript, ...rest }) => rest),
+  };
+}
+
+// leadId -> { [outcome]: count } over finished calls, for queue scoring
+function getOutcomeCountsByLead() {
+  const counts = new Map();
+  for (const r of getRecords().values()) {
+    if (!r.leadId || r.outcome === "in-progress") continue;
+    const forLead = counts.get(r.leadId) || {};
+    forLead[r.outcome] = (forLead[r.outcome] || 0) + 1;
+    counts.set(r.leadId, forLead);
+  }
+  return counts;
+}
+
+// Test helper: forget cached state so the next call reloads from the store
+function resetCallRecordsCache() {
+  records = null;
+}
+
+module.exports = {
+  recordCallStarted,
+  recordCallEnded,
+  addCallNote,
+  recordCallTransfer,
+  claimCallOutcome,
+  getCallRecord,
+  queryCallRecords,
+  getOutcomeCountsByLead,
+  resetCallRecordsCache,
+};
@@ -0,0 +1,184 @@
+// callReports.js
+// Campaign performance for owners: dials, connects, talk time, outcomes,
+// notes posted, retries and DNC skips, grouped by day, hour of day, lead list,
+// assistant or phone-number slot. Built from the call records, the queue
+// event log and the suppression skip log; nothing here is stored.
+
+const { DateTime } = require("luxon");
+const { queryCallRecords, getCallRecord } = require("./callRecords");
+const { OUTCOME_CLASSES, isReachedOutcome } = require("./callOutcomes");
+const { getQueueEvents } = require("./queueEvents");
+const { getSkips } = require("./suppression");
+
+const REPORT_GROUPS = ["day", "hour", "list", "assistant", "slot"];
+const REPORT_TIMEZONE = "America/New_York";
+const DEFAULT_REPORT_DAYS = 7;
+const UNKNOWN_KEY = "unknown";
+
+/**
+ * Reporting window as absolute timestamps. `since` / `until` (ISO) win;
+ * otherwise `from` / `to` are calendar days (YYYY-MM-DD, inclusive) in
+ * `timezone`, defaulting to the last seven days.
+ */
+function resolveReportRange({ from, to, since, until, timezone = REPORT_TIMEZONE, now = Date.now() } = {}) {
+  const today = DateTime.fromMillis(now, { zone: timezone });
+  if (!today.isValid) throw new Error(`Unknown timezone ${timezone}`);
+
+  if (since || until) {
+    const start = since ? Date.parse(since) : now - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000;
+    const end = until ? Date.parse(until) : now;
+    if (!Number.isFinite(start) || !Number.isFinite(end)) throw new Error("since and until must be ISO timestamps");
+    if (start >= end) throw new Error("since must be before until");
+    return { since: new Date(start).toISOString(), until: new Date(end).toISOString() };
+  }
+
+  for (const [name, value] of [["from", from], ["to", to]]) {
+    if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) throw new Error(`${name} must be YYYY-MM-DD`);
+  }
+  const last = to ? DateTime.fromISO(to, { zone: timezone }) : today.startOf("day");
+  const first = from ? DateTime.fromISO(from, { zone: timezone }) : last.minus({ days: DEFAULT_REPORT_DAYS - 1 });
+  if (!first.isValid || !last.isValid) throw new Error("from and to must be real dates");
+  if (first > last) throw new Error("from must not be after to");
+  return {
+    since: first.startOf("day").toUTC().toISO(),
+    until: last.plus({ days: 1 }).startOf("day").toUTC().toISO(),
+  };
+}
+
+// Row key for one call or event; `call` supplies assistant and slot
+function groupKey(groupBy, { at, listId, call }, timezone) {
+  if (groupBy === "day") return DateTime.fromISO(at, { zone: timezone }).toISODate();
+  if (groupBy === "hour") return DateTime.fromISO(at, { zone: timezone }).toFormat("HH:00");
+  if (groupBy === "list") return listId || call?.listId || UNKNOWN_KEY;
+  if (groupBy === "assistant") return call?.assistant || UNKNOWN_KEY;
+  return call?.phoneNumberId || UNKNOWN_KEY;
+}
+
+function emptyRow(key) {
+  const outcomes = {};
+  for (const name of OUTCOME_CLASSES) outcomes[name] = 0;
+  return {
+    key,
+    dials: 0,
+    connects: 0,
+    connectRate: null,
+    talkSeconds: 0,
+    avgTalkSeconds: null,
+    outcomes,
+    inProgress: 0,
+    notes: 0,
+    retries: 0,
+    exhausted: 0,
+    dncSkips: 0,
+  };
+}
+
+function addCall(row, call) {
+  row.dials += 1;
+  row.notes += (call.notes || []).length;
+  if (OUTCOME_CLASSES.includes(call.outcome)) row.outcomes[call.outcome] += 1;
+  else row.inProgress += 1;
+  if (isReachedOutcome(call.outcome)) {
+    row.connects += 1;
+    row.talkSeconds += Math.round(Number(call.durationSeconds) || 0);
+  }
+}
+
+function finishRow(row) {
+  row.connectRate = row.dials ? Math.round((row.connects / row.dials) * 1000) / 1000 : null;
+  row.avgTalkSeconds = row.connects ? Math.round(row.talkSeconds / row.connects) : null;
+  return row;
+}
+
+/**
+ * Aggregate Morgan activity in the window into one row per group plus totals.
+ * Talk time counts calls that reached a person. Retries and exhaustions come
+ * from the queue event log and are credited to the call that caused them;
+ * DNC skips have no call, so they land under "unknown" by assistant or slot.
+ */
+function buildCallReport({ groupBy = "day", timezone = REPORT_TIMEZONE, ...range } = {}) {
+  if (!REPORT_GROUPS.includes(groupBy)) {
+    throw new Error(`groupBy must be one of ${REPORT_GROUPS.join(", ")}`);
+  }
+  const { since, until } = resolveReportRange({ ...range, timezone });
+
+  const rows = new Map();
+  const totals = emptyRow("total");
+  const rowFor = (key) => {
+    if (!rows.has(key)) rows.set(key, emptyRow(key));
+    return rows.get(key);
+  };
+
+  const { records } = queryCallRecords({ since, until, limit: Infinity });
+  for (const call of records) {
+    const at = call.startedAt || call.createdAt;
+    addCall(rowFor(groupKey(groupBy, { at, listId: call.listId, call }, timezone)), call);
+    addCall(totals, call);
+  }
+
+  for (const event of getQueueEvents({ since, until })) {
+    const call = event.callId ? getCallRecord(event.callId) : null;
+    const field = event.type === "retry" ? "retries" : "exhausted";
+    rowFor(groupKey(groupBy, { at: event.at, listId: event.listId, call }, timezone))[field] += 1;
+    totals[field] += 1;
+  }
+
+  for (const skip of getSkips({ since, until, reason: "dnc", limit: Infinity }).skips) {
+    rowFor(groupKey(groupBy, { at: skip.at, listId: skip.listId }, timezone)).dncSkips += 1;
+    totals.dncSkips += 1;
+  }
+
+  const ordered = Array.from(rows.values()).map(finishRow);
+  if (groupBy === "day" || groupBy === "hour") ordered.sort((a, b) => a.key.localeCompare(b.key));
+  else ordered.sort((a, b) => b.dials - a.dials || a.key.localeCompare(b.key));
+
+  return { groupBy, timezone, since, until, rows: ordered, totals: finishRow(totals) };
+}
+
+function csvField(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+// One line per row of a buildCallReport result, then the totals
+function reportToCsv(report) {
+  const header = [
+    report.groupBy,
+    "dials",
+    "connects",
+    "connect_rate",
+    "talk_seconds",
+    "avg_talk_seconds",
+    ...OUTCOME_CLASSES.map((name) => name.replace(/-/g, "_")),
+    "in_progress",
+    "notes",
+    "retries",
+    "exhausted",
+    "dnc_skips",
+  ];
+  const line = (row) =>
+    [
+      row.key,
+      row.dials,
+      row.connects,
+      row.connectRate,
+      row.talkSeconds,
+      row.avgTalkSeconds,
+      ...OUTCOME_CLASSES.map((name) => row.outcomes[name]),
+      row.inProgress,
+      row.notes,
+      row.retries,
+      row.exhausted,
+      row.dncSkips,
+    ]
+      .map(csvField)
+      .join(",");
+  return [header.join(","), ...report.rows.map(line), line(report.totals)].join("\n") + "\n";
+}
+
+module.exports = {
+  REPORT_GROUPS,
+  resolveReportRange,
+  buildCallReport,
+  reportToCsv,
+};
@@ -0,0 +1,255 @@
+// callbacks.js
+// Callbacks a prospect asked for during a Morgan call ("call me tomorrow after 3").
+// Times are read in the lead's local timezone and must land inside its calling
+// window. A scheduled callback keeps the lead out of the queue until it is due;
+// the dialer then puts it back and the queue scores it above ordinary leads.
+
+const { DateTime } = require("luxon");
+const { loadState, saveState } = require("./stateStore");
+const { getLeadTimezones, checkCallingWindow } = require("./callingWindows");
+
+const CALLBACKS_STATE_KEY = "callbacks";
+const MAX_FINISHED_CALLBACKS = 2000;
+const MIN_NOTICE_MINUTES = 5;
+const MAX_DAYS_AHEAD = 14;
+
+const WEEKDAYS = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+// Vague times of day, as local clock time
+const DAY_PARTS = { morning: [10, 0], noon: [12, 0], afternoon: [14, 0], evening: [18, 0] };
+const WINDOW_REASONS = {
+  not_calling_day: "we don't call on that day",
+  holiday: "that's a holiday",
+  blackout: "calls are paused then",
+  outside_window: "that's outside calling hours",
+};
+
+// leadId -> { id, leadId, lead, dueAt, requested, timezone, callId, note, status,
+//             createdAt, releasedAt, finishedAt }, status: scheduled | released | dialed | cancelled
+let callbacks = null;
+
+function getCallbacks() {
+  if (!callbacks) {
+    callbacks = new Map(loadState(CALLBACKS_STATE_KEY, []) || []);
+  }
+  return callbacks;
+}
+
+function persist() {
+  // Keep every open callback; cap the finished history
+  const finished = Array.from(getCallbacks().values()).filter((c) => c.status === "dialed" || c.status === "cancelled");
+  for (const c of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_CALLBACKS))) {
+    getCallbacks().delete(c.leadId);
+  }
+  saveState(CALLBACKS_STATE_KEY, () => Array.from(getCallbacks().entries()));
+}
+
+function parseClockTime(text) {
+  const match = text.match(/\b(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)?(?=\s|$|[,.])/);
+  if (!match) return null;
+  let hour = Number(match[1]);
+  const minute = Number(match[2] || 0);
+  if (hour > 23 || minute > 59) return null;
+  const meridiem = match[3] ? match[3][0] : null;
+  if (meridiem === "p" && hour < 12) hour += 12;
+  else if (meridiem === "a" && hour === 12) hour = 0;
+  // "after 3" on a sales call means the afternoon
+  else if (!meridiem && hour >= 1 && hour <= 7) hour += 12;
+  return { hour, minute };
+}
+
+/**
+ * Read a requested callback time in `zone`: an ISO timestamp (local time when
+ * it has no offset), "in 2 hours", or a day ("today", "tomorrow", "friday",
+ * "next monday") with a time ("after 3", "at 10:30am", "noon", "morning").
+ * Returns a DateTime or null when nothing could be understood.
+ */
+function parseCallbackTime(input, { zone, now = DateTime.now() } = {}) {
+  if (input == null || !String(input).trim()) return null;
+  const text = String(input).trim().toLowerCase();
+  const local = now.setZone(zone);
+
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+    const iso = DateTime.fromISO(String(input).trim(), { zone });
+    return iso.isValid ? iso : null;
+  }
+
+  const relative = text.match(/\bin\s+(an?|\d+)\s+(minute|min|hour|hr|day)s?\b/);
+  if (relative) {
+    const amount = /^an?$/.test(relative[1]) ? 1 : Number(relative[1]);
+    const unit = { minute: "minutes", min: "minutes", hour: "hours", hr: "hours", day: "days" }[relative[2]];
+    return local.plus({ [unit]: amount }).startOf("minute");
+  }
+
+  let day = null;
+  if (/\btoday\b|\btonight\b/.test(text)) day = local.startOf("day");
+  else if (/\btomorrow\b/.test(text)) day = local.plus({ days: 1 }).startOf("day");
+  else {
+    const weekday = WEEKDAYS.findIndex((name) => new RegExp(`\\b${name}\\b`).test(text));
+    if (weekday >= 0) {
+      // "friday" on a friday means next week
+      const ahead = ((weekday + 1 - local.weekday + 7) % 7) || 7;
+      day = local.plus({ days: ahead }).startOf("day");
+    }
+  }
+
+  let clock = parseClockTime(text);
+  if (!clock) {
+    const part = Object.keys(DAY_PARTS).find((name) => text.includes(name));
+    if (part) clock = { hour: DAY_PARTS[part][0], minute: DAY_PARTS[part][1] };
+    else if (/\btonight\b/.test(text)) clock = { hour: DAY_PARTS.evening[0], minute: 0 };
+  }
+
+  if (!day && !clock) return null;
+  if (!clock) clock = { hour: DAY_PARTS.morning[0], minute: 0 };
+  let at = (day || local.startOf("day")).set({ hour: clock.hour, minute: clock.minute });
+  // A bare time that has already passed today means tomorrow
+  if (!day && at <= local) at = at.plus({ days: 1 });
+  return at;
+}
+
+/**
+ * Parse and validate a callback time for a lead. Returns { at (DateTime), zone }
+ * or throws an Error whose message Morgan can relay to the caller.
+ */
+function resolveCallbackTime(lead, when, { now = DateTime.now() } = {}) {
+  const zone = getLeadTimezones(lead)[0];
+  const at = parseCallbackTime(when, { zone, now });
+  if (!at || !at.isValid) {
+    throw new Error(`Could not understand the callback time "${when}". Ask for a day and time.`);
+  }
+  if (at < now.plus({ minutes: MIN_NOTICE_MINUTES })) {
+    throw new Error("That callback time has already passed. Ask for a later time.");
+  }
+  if (at > now.plus({ days: MAX_DAYS_AHEAD })) {
+    throw new Error(`Callbacks can be scheduled up to ${MAX_DAYS_AHEAD} days ahead. Ask for a sooner time.`);
+  }
+  const window = checkCallingWindow(lead, at);
+  if (!window.allowed) {
+    const label = at.setZone(zone).toFormat("cccc h:mm a");
+    throw new Error(`${label} doesn't work because ${WINDOW_REASONS[window.reason] || window.reason}. Ask for another time.`);
+  }
+  return { at, zone };
+}
+
+/**
+ * Store a callback for a lead, replacing any open one. `at` is epoch ms.
+ */
+function scheduleCallback({
+  lead,
+  at,
+  requested = null,
+  timezone = null,
+  callId = null,
+  note = null,
+  now = Date.now(),
+}) {
+  if (!lead || !lead.id) throw new Error("lead is required");
+  if (!Number.isFinite(at)) throw new Error("at must be a timestamp");
+  const leadId = String(lead.id);
+  const entry = {
+    id: `cb-${leadId}-${at}`,
+    leadId,
+    lead,
+    dueAt: at,
+    requested,
+    timezone,
+    callId: callId ? String(callId) : null,
+    note,
+    status: "scheduled",
+    createdAt: now,
+    releasedAt: null,
+    finishedAt: null,
+  };
+  // Re-insert so map order stays oldest-first for pruning
+  getCallbacks().delete(leadId);
+  getCallbacks().set(leadId, entry);
+  persist();
+  return entry;
+}
+
+// Scheduled or released and not yet dialed: the lead belongs to the callback, not the normal queue
+function hasOpenCallback(leadId) {
+  const entry = getCallbacks().get(String(leadId));
+  return !!entry && (entry.status === "scheduled" || entry.status === "released");
+}
+
+// Due time of a released callback still waiting in the queue, for priority scoring
+function getDueCallbackAt(leadId) {
+  const entry = getCallbacks().get(String(leadId));
+  return entry && entry.status === "released" ? entry.dueAt : null;
+}
+
+// Callbacks whose time has come; the caller puts their leads back in the queue
+function releaseDueCallbacks(now = Date.now()) {
+  const due = [];
+  for (const entry of getCallbacks().values()) {
+    if (entry.status === "scheduled" && entry.dueAt <= now) {
+      entry.status = "released";
+      entry.releasedAt = now;
+      due.push(entry);
+    }
+  }
+  if (due.length) persist();
+  return due;
+}
+
+function finish(leadId, status, now) {
+  const entry = getCallbacks().get(String(leadId));
+  if (!entry || (entry.status !== "scheduled" && entry.status !== "released")) return null;
+  entry.status = status;
+  entry.finishedAt = now;
+  persist();
+  return entry;
+}
+
+// The callback call was placed
+function markCallbackDialed(leadId, now = Date.now()) {
+  return finish(leadId, "dialed", now);
+}
+
+function cancelCallback(leadId, now = Date.now()) {
+  return finish(leadId, "cancelled", now);
+}
+
+function toView(entry) {
+  const { lead, ...rest } = entry;
+  const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+  return {
+    ...rest,
+    listId: lead?.list_id ?? null,
+    dueAt: iso(entry.dueAt),
+    localDueAt: entry.timezone ? DateTime.fromMillis(entry.dueAt, { zone: entry.timezone }).toISO() : null,
+    createdAt: iso(entry.createdAt),
+    releasedAt: iso(entry.releasedAt),
+    finishedAt: iso(entry.finishedAt),
+  };
+}
+
+/**
+ * Callbacks soonest first. status defaults to the open ones (scheduled + released).
+ */
+function listCallbacks({ status, leadId, limit = 100 } = {}) {
+  const matches = Array.from(getCallbacks().values())
+    .filter((c) => (status ? c.status === status : c.status === "scheduled" || c.status === "released"))
+    .filter((c) => leadId == null || c.leadId === String(leadId))
+    .sort((a, b) => a.dueAt - b.dueAt);
+  return { total: matches.length, callbacks: matches.slice(0, limit).map(toView) };
+}
+
+// Test helper: forget cached state so the next call reloads from the store
+function resetCallbacks() {
+  callbacks = null;
+}
+
+module.exports = {
+  parseCallbackTime,
+  resolveCallbackTime,
+  scheduleCallback,
+  hasOpenCallback,
+  getDueCallbackAt,
+  releaseDueCallbacks,
+  markCallbackDialed,
+  cancelCallback,
+  listCallbacks,
+  resetCallbacks,
+};
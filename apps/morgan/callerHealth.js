@@ -0,0 +1,144 @@
+// callerHealth.js
+// Answer rate per outbound phoneNumberId. A caller ID that carriers have
+// labelled "Spam Likely" keeps dialing fine but stops getting answered, so a
+// number whose answer rate falls well below the rest of the pool is flagged
+// (and optionally drained out of rotation) before it burns through the lists.
+
+const { loadState, saveState } = require("./stateStore");
+const { queryCallRecords } = require("./callRecords");
+const { OUTCOME_CLASSES, isReachedOutcome } = require("./callOutcomes");
+
+const CALLER_HEALTH_CONFIG_KEY = "caller-health";
+
+const DEFAULT_CALLER_HEALTH = {
+  windowHours: 72, // how far back answer rates are measured
+  minCalls: 30, // calls a number needs in the window before it is judged
+  minAnswerRate: 0.08, // below this the number is suspect outright
+  poolRatio: 0.5, // ...or below this fraction of the pool's answer rate
+  autoRotate: false, // drain suspect numbers out of the slot pool
+};
+
+let config = null;
+// phoneNumberIds currently flagged, so each flag alerts once
+const flagged = new Set();
+
+function getCallerHealthConfig() {
+  if (!config) {
+    config = { ...DEFAULT_CALLER_HEALTH, ...(loadState(CALLER_HEALTH_CONFIG_KEY) || {}) };
+  }
+  return config;
+}
+
+function validateCallerHealthPatch(patch) {
+  const out = {};
+  for (const [key, value] of Object.entries(patch || {})) {
+    if (key === "windowHours") {
+      if (!Number.isFinite(value) || value <= 0) throw new Error("windowHours must be a positive number");
+      out.windowHours = value;
+    } else if (key === "minCalls") {
+      if (!Number.isInteger(value) || value < 1) throw new Error("minCalls must be a whole number of at least 1");
+      out.minCalls = value;
+    } else if (key === "minAnswerRate" || key === "poolRatio") {
+      if (!Number.isFinite(value) || value < 0 || value > 1) throw new Error(`${key} must be between 0 and 1`);
+      out[key] = value;
+    } else if (key === "autoRotate") {
+      if (typeof value !== "boolean") throw new Error("autoRotate must be true or false");
+      out.autoRotate = value;
+    } else {
+      throw new Error(`Unknown caller health setting ${key}`);
+    }
+  }
+  return out;
+}
+
+function updateCallerHealthConfig(patch = {}) {
+  config = { ...getCallerHealthConfig(), ...validateCallerHealthPatch(patch) };
+  saveState(CALLER_HEALTH_CONFIG_KEY, config);
+  return config;
+}
+
+function rate(answered, calls) {
+  return calls ? Math.round((answered / calls) * 1000) / 1000 : null;
+}
+
+/**
+ * Answer rate of each number over the configured window. Only ended calls
+ * count, minus "failed" (the carrier never rang anyone). countSince(id) may
+ * return an ISO time before which that number's calls are ignored, so a
+ * number an operator has put back into service starts with a clean slate.
+ *
+ * Returns { since, poolAnswerRate, numbers: [{ phoneNumberId, calls, answered,
+ * answerRate, status: "healthy" | "suspect" | "insufficient_data", reason }] }.
+ */
+function assessCallerNumbers(phoneNumberIds, { now = Date.now(), countSince = () => null } = {}) {
+  const { windowHours, minCalls, minAnswerRate, poolRatio } = getCallerHealthConfig();
+  const since = new Date(now - windowHours * 60 * 60 * 1000).toISOString();
+
+  const stats = new Map();
+  for (const id of phoneNumberIds) {
+    const cutoff = Date.parse(countSince(id) || "");
+    stats.set(id, { phoneNumberId: id, calls: 0, answered: 0, cutoff: Number.isFinite(cutoff) ? cutoff : null });
+  }
+
+  const { records } = queryCallRecords({ since, limit: Infinity });
+  for (const call of records) {
+    const entry = stats.get(call.phoneNumberId);
+    if (!entry || !OUTCOME_CLASSES.includes(call.outcome) || call.outcome === "failed") continue;
+    if (entry.cutoff != null && Date.parse(call.startedAt || call.createdAt) < entry.cutoff) continue;
+    entry.calls += 1;
+    if (isReachedOutcome(call.outcome)) entry.answered += 1;
+  }
+
+  let poolCalls = 0;
+  let poolAnswered = 0;
+  for (const entry of stats.values()) {
+    poolCalls += entry.calls;
+    poolAnswered += entry.answered;
+  }
+  const poolAnswerRate = rate(poolAnswered, poolCalls);
+
+  const numbers = Array.from(stats.values()).map(({ phoneNumberId, calls, answered }) => {
+    const answerRate = rate(answered, calls);
+    let status = "healthy";
+    let reason = null;
+    if (calls < minCalls) {
+      status = "insufficient_data";
+    } else if (answerRate < minAnswerRate) {
+      status = "suspect";
+      reason = "low_answer_rate";
+    } else if (poolAnswerRate && answerRate < poolAnswerRate * poolRatio) {
+      status = "suspect";
+      reason = "below_pool";
+    }
+    return { phoneNumberId, calls, answered, answerRate, status, reason };
+  });
+
+  return { since, poolAnswerRate, numbers };
+}
+
+// Track the numbers flagged right now; returns the ones newly flagged by this assessment
+function noteSuspectNumbers(numbers) {
+  const fresh = [];
+  for (const entry of numbers) {
+    if (entry.status === "suspect") {
+      if (!flagged.has(entry.phoneNumberId)) fresh.push(entry);
+      flagged.add(entry.phoneNumberId);
+    } else {
+      flagged.delete(entry.phoneNumberId);
+    }
+  }
+  return fresh;
+}
+
+function resetCallerHealthCache() {
+  config = null;
+  flagged.clear();
+}
+
+module.exports = {
+  getCallerHealthConfig,
+  updateCallerHealthConfig,
+  assessCallerNumbers,
+  noteSuspectNumbers,
+  resetCallerHealthCache,
+};
@@ -0,0 +1,335 @@
+// callingWindows.js
+// Per-lead calling windows: evaluated in the lead's local time (derived from the
+// lead's state), with a holiday/blackout calendar and per-state quiet-hour overrides.
+
+const { DateTime } = require("luxon");
+const { US_STATES } = require("../../packages/types/src/us-states");
+const { loadState, saveState } = require("./stateStore");
+
+const CALENDAR_STATE_KEY = "calling-calendar";
+
+const DEFAULT_CALENDAR = {
+  defaultTimezone: "America/New_York",
+  weekdays: [1, 2, 3, 4, 5], // luxon: 1 = Monday ... 7 = Sunday
+  windows: [
+    { start: "09:00", end: "13:00" },
+    { start: "14:30", end: "17:00" },
+  ],
+  federalHolidays: true,
+  holidays: [], // extra "YYYY-MM-DD" dates, lead-local
+  blackouts: [], // { start, end, reason, states? } as ISO instants
+  stateOverrides: {}, // { TX: { windows?, weekdays? } }
+};
+
+// States spanning several zones list every zone; a lead is only callable
+// when the window is open in all of them (most restrictive wins).
+const STATE_TIMEZONES = {
+  AL: ["America/Chicago"],
+  AK: ["America/Anchorage"],
+  AZ: ["America/Phoenix"],
+  AR: ["America/Chicago"],
+  CA: ["America/Los_Angeles"],
+  CO: ["America/Denver"],
+  CT: ["America/New_York"],
+  DE: ["America/New_York"],
+  DC: ["America/New_York"],
+  FL: ["America/New_York", "America/Chicago"],
+  GA: ["America/New_York"],
+  HI: ["Pacific/Honolulu"],
+  ID: ["America/Boise", "America/Los_Angeles"],
+  IL: ["America/Chicago"],
+  IN: ["America/Indiana/Indianapolis", "America/Chicago"],
+  IA: ["America/Chicago"],
+  KS: ["America/Chicago", "America/Denver"],
+  KY: ["America/New_York", "America/Chicago"],
+  LA: ["America/Chicago"],
+  ME: ["America/New_York"],
+  MD: ["America/New_York"],
+  MA: ["America/New_York"],
+  MI: ["America/Detroit", "America/Menominee"],
+  MN: ["America/Chicago"],
+  MS: ["America/Chicago"],
+  MO: ["America/Chicago"],
+  MT: ["America/Denver"],
+  NE: ["America/Chicago", "America/Denver"],
+  NV: ["America/Los_Angeles"],
+  NH: ["America/New_York"],
+  NJ: ["America/New_York"],
+  NM: ["America/Denver"],
+  NY: ["America/New_York"],
+  NC: ["America/New_York"],
+  ND: ["America/Chicago", "America/Denver"],
+  OH: ["America/New_York"],
+  OK: ["America/Chicago"],
+  OR: ["America/Los_Angeles", "America/Boise"],
+  PA: ["America/New_York"],
+  RI: ["America/New_York"],
+  SC: ["America/New_York"],
+  SD: ["America/Chicago", "America/Denver"],
+  TN: ["America/Chicago", "America/New_York"],
+  TX: ["America/Chicago", "America/Denver"],
+  UT: ["America/Denver"],
+  VT: ["America/New_York"],
+  VA: ["America/New_York"],
+  WA: ["America/Los_Angeles"],
+  WV: ["America/New_York"],
+  WI: ["America/Chicago"],
+  WY: ["America/Denver"],
+};
+
+const STATE_CODES_BY_NAME = new Map(US_STATES.map((s) => [s.name.toLowerCase(), s.code]));
+const STATE_CODES = new Set(US_STATES.map((s) => s.code));
+
+let calendar = null;
+
+function getCallingCalendar() {
+  if (!calendar) {
+    calendar = { ...DEFAULT_CALENDAR, ...(loadState(CALENDAR_STATE_KEY) || {}) };
+  }
+  return calendar;
+}
+
+// Validates and stores a partial update; unknown keys are ignored
+function updateCallingCalendar(patch = {}) {
+  const next = { ...getCallingCalendar() };
+
+  if (patch.defaultTimezone !== undefined) {
+    if (!DateTime.now().setZone(patch.defaultTimezone).isValid) {
+      throw new Error(`Invalid defaultTimezone: ${patch.defaultTimezone}`);
+    }
+    next.defaultTimezone = patch.defaultTimezone;
+  }
+  if (patch.weekdays !== undefined) next.weekdays = validateWeekdays(patch.weekdays, "weekdays");
+  if (patch.windows !== undefined) next.windows = validateWindows(patch.windows, "windows");
+  if (patch.federalHolidays !== undefined) next.federalHolidays = !!patch.federalHolidays;
+  if (patch.holidays !== undefined) {
+    if (!Array.isArray(patch.holidays) || patch.holidays.some((d) => !/^\d{4}-\d{2}-\d{2}$/.test(d))) {
+      throw new Error("holidays must be an array of YYYY-MM-DD dates");
+    }
+    next.holidays = patch.holidays.slice();
+  }
+  if (patch.blackouts !== undefined) next.blackouts = validateBlackouts(patch.blackouts);
+  if (patch.stateOverrides !== undefined) {
+    if (!patch.stateOverrides || typeof patch.stateOverrides !== "object") {
+      throw new Error("stateOverrides must be an object keyed by state code");
+    }
+    const overrides = {};
+    for (const [code, override] of Object.entries(patch.stateOverrides)) {
+      const state = String(code).toUpperCase();
+      if (!STATE_CODES.has(state)) throw new Error(`Unknown state in stateOverrides: ${code}`);
+      overrides[state] = {};
+      if (override.windows !== undefined) {
+        overrides[state].windows = validateWindows(override.windows, `stateOverrides.${state}.windows`);
+      }
+      if (override.weekdays !== undefined) {
+        overrides[state].weekdays = validateWeekdays(override.weekdays, `stateOverrides.${state}.weekdays`);
+      }
+    }
+    next.stateOverrides = overrides;
+  }
+
+  calendar = next;
+  saveState(CALENDAR_STATE_KEY, calendar);
+  return calendar;
+}
+
+function resetCallingCalendar() {
+  calendar = null;
+}
+
+function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 24 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+function validateWindows(windows, label) {
+  if (!Array.isArray(windows) || !windows.length) {
+    throw new Error(`${label} must be a non-empty array of { start, end }`);
+  }
+  return windows.map((w) => {
+    const start = parseClock(w && w.start);
+    const end = parseClock(w && w.end);
+    if (start == null || end == null || end <= start) {
+      throw new Error(`${label} entries need HH:mm start < end`);
+    }
+    return { start: w.start, end: w.end };
+  });
+}
+
+function validateWeekdays(weekdays, label) {
+  if (!Array.isArray(weekdays) || weekdays.some((d) => !Number.isInteger(d) || d < 1 || d > 7)) {
+    throw new Error(`${label} must be an array of integers 1 (Mon) to 7 (Sun)`);
+  }
+  return weekdays.slice();
+}
+
+function validateBlackouts(blackouts) {
+  if (!Array.isArray(blackouts)) throw new Error("blackouts must be an array");
+  return blackouts.map((b) => {
+    const start = DateTime.fromISO(String(b && b.start));
+    const end = DateTime.fromISO(String(b && b.end));
+    if (!start.isValid || !end.isValid || end <= start) {
+      throw new Error("blackouts entries need ISO start < end");
+    }
+    return {
+      start: b.start,
+      end: b.end,
+      reason: b.reason || null,
+      states: Array.isArray(b.states) ? b.states.map((s) => String(s).toUpperCase()) : null,
+    };
+  });
+}
+
+function resolveLeadState(lead) {
+  const raw = lead?.state ?? lead?.raw?.state;
+  if (!raw) return null;
+  const value = String(raw).trim();
+  const upper = value.toUpperCase();
+  if (STATE_CODES.has(upper)) return upper;
+  return STATE_CODES_BY_NAME.get(value.toLowerCase()) || null;
+}
+
+function getLeadTimezones(lead) {
+  const state = resolveLeadState(lead);
+  return (state && STATE_TIMEZONES[state]) || [getCallingCalendar().defaultTimezone];
+}
+
+// nth weekday (1 = Mon) of a month; n = -1 for the last one
+function nthWeekday(year, month, weekday, n) {
+  if (n > 0) {
+    const first = DateTime.fromObject({ year, month, day: 1 });
+    const offset = (weekday - first.weekday + 7) % 7;
+    return first.plus({ days: offset + (n - 1) * 7 });
+  }
+  const last = DateTime.fromObject({ year, month, day: 1 }).endOf("month").startOf("day");
+  const offset = (last.weekday - weekday + 7) % 7;
+  return last.minus({ days: offset });
+}
+
+// Fixed-date holidays falling on a weekend are observed Friday / Monday
+function observed(date) {
+  if (date.weekday === 6) return date.minus({ days: 1 });
+  if (date.weekday === 7) return date.plus({ days: 1 });
+  return date;
+}
+
+const federalHolidayCache = new Map();
+
+function getFederalHolidays(year) {
+  if (federalHolidayCache.has(year)) return federalHolidayCache.get(year);
+  const fixed = (month, day) => observed(DateTime.fromObject({ year, month, day }));
+  const dates = [
+    fixed(1, 1), // New Year's Day
+    nthWeekday(year, 1, 1, 3), // Martin Luther King Jr. Day
+    nthWeekday(year, 2, 1, 3), // Washington's Birthday
+    nthWeekday(year, 5, 1, -1), // Memorial Day
+    fixed(6, 19), // Juneteenth
+    fixed(7, 4), // Independence Day
+    nthWeekday(year, 9, 1, 1), // Labor Day
+    nthWeekday(year, 10, 1, 2), // Columbus Day
+    fixed(11, 11), // Veterans Day
+    nthWeekday(year, 11, 4, 4), // Thanksgiving
+    fixed(12, 25), // Christmas Day
+  ];
+  const set = new Set(dates.map((d) => d.toISODate()));
+  federalHolidayCache.set(year, set);
+  return set;
+}
+
+function checkZone(local, state, cal) {
+  const override = (state && cal.stateOverrides[state]) || {};
+  const weekdays = override.weekdays || cal.weekdays;
+  const windows = override.windows || cal.windows;
+
+  if (!weekdays.includes(local.weekday)) return "not_calling_day";
+
+  const date = local.toISODate();
+  if (cal.holidays.includes(date)) return "holiday";
+  if (cal.federalHolidays && getFederalHolidays(local.year).has(date)) return "holiday";
+
+  const minutes = local.hour * 60 + local.minute;
+  const open = windows.some((w) => minutes >= parseClock(w.start) && minutes < parseClock(w.end));
+  return open ? null : "outside_window";
+}
+
+/**
+ * Can this lead be dialed right now?
+ * Returns { allowed, reason, state, timezones } where reason is one of
+ * not_calling_day | holiday | blackout | outside_window (null when allowed).
+ */
+function checkCallingWindow(lead, now = DateTime.now()) {
+  const cal = getCallingCalendar();
+  const state = resolveLeadState(lead);
+  const timezones = getLeadTimezones(lead);
+  const result = (reason) => ({ allowed: !reason, reason: reason || null, state, timezones });
+
+  const instant = now.toUTC();
+  for (const b of cal.blackouts) {
+    // State-scoped blackouts only apply to leads we can place in one of those states
+    if (b.states && !b.states.includes(state)) continue;
+    if (instant >= DateTime.fromISO(b.start) && instant < DateTime.fromISO(b.end)) {
+      return result("blackout");
+    }
+  }
+
+  for (const zone of timezones) {
+    const reason = checkZone(now.setZone(zone), state, cal);
+    if (reason) return result(reason);
+  }
+  return result(null);
+}
+
+function isLeadCallableNow(lead, now) {
+  return checkCallingWindow(lead, now).allowed;
+}
+
+/**
+ * Outer bound for the dialer and the pulls: is the window open for a lead in
+ * any state (or with no state, in the default timezone)? Whether a given lead
+ * may be dialed is still decided per lead by checkCallingWindow.
+ */
+function isAnyCallingWindowOpen(now = DateTime.now()) {
+  if (isLeadCallableNow({}, now)) return true;
+  return Object.keys(STATE_TIMEZONES).some((state) => isLeadCallableNow({ state }, now));
+}
+
+/**
+ * Minutes left before the lead's current calling window closes (the soonest
+ * across its zones), or null when the lead cannot be called right now.
+ */
+function getWindowMinutesRemaining(lead, now = DateTime.now()) {
+  if (!checkCallingWindow(lead, now).allowed) return null;
+  const cal = getCallingCalendar();
+  const state = resolveLeadState(lead);
+  const windows = (state && cal.stateOverrides[state]?.windows) || cal.windows;
+
+  let remaining = null;
+  for (const zone of getLeadTimezones(lead)) {
+    const local = now.setZone(zone);
+    const minutes = local.hour * 60 + local.minute;
+    const open = windows.find((w) => minutes >= parseClock(w.start) && minutes < parseClock(w.end));
+    if (!open) continue;
+    const left = parseClock(open.end) - minutes;
+    if (remaining == null || left < remaining) remaining = left;
+  }
+  return remaining;
+}
+
+module.exports = {
+  DEFAULT_CALENDAR,
+  STATE_TIMEZONES,
+  getCallingCalendar,
+  updateCallingCalendar,
+  resetCallingCalendar,
+  resolveLeadState,
+  getLeadTimezones,
+  getFederalHolidays,
+  checkCallingWindow,
+  isLeadCallableNow,
+  isAnyCallingWindowOpen,
+  getWindowMinutesRemaining,
+};
@@ -0,0 +1,269 @@
+// campaigns.js
+// Morgan campaigns: which Convoso lists Morgan pulls leads from, how, how many,
+// on what schedule, and which assistant calls them. Edited through the admin
+// API and persisted; with nothing saved, the defaults reproduce the original
+// hardcoded jobs (call-now pull every minute, yesterday pull at 9:15 ET).
+// Every pull is logged per campaign.
+//
+// Strategies (all search leads by created_at and skip MC/MQ and Member ID leads):
+//   new                 created today, never dialed
+//   call-count          created today, Convoso called_count in `callCounts`
+//   yesterday-non-sale  created on the prior working day (or `daysBack` days ago)
+
+const cron = require("node-cron");
+const { loadState, saveState } = require("./stateStore");
+const { getAssistant } = require("./assistantRouting");
+
+const CAMPAIGNS_STATE_KEY = "campaigns";
+const PULLS_STATE_KEY = "campaign-pulls";
+const MAX_PULLS = 5000;
+
+const STRATEGIES = ["new", "call-count", "yesterday-non-sale"];
+const DEFAULT_TIMEZONE = "America/New_York";
+const DEFAULT_LIST_IDS = ["28001", "15857", "27223", "10587", "12794", "12793"];
+
+const DEFAULT_CAMPAIGNS = [
+  {
+    name: "call-now",
+    enabled: true,
+    listIds: DEFAULT_LIST_IDS,
+    strategy: "call-count",
+    callCounts: [2, 5],
+    daysBack: null,
+    limit: 50,
+    schedule: { cron: "* * * * *", timezone: DEFAULT_TIMEZONE },
+    assistant: null,
+  },
+  {
+    name: "yesterday",
+    enabled: true,
+    listIds: DEFAULT_LIST_IDS,
+    strategy: "yesterday-non-sale",
+    callCounts: null,
+    daysBack: null,
+    limit: null,
+    schedule: { cron: "15 9 * * *", timezone: DEFAULT_TIMEZONE },
+    assistant: null,
+  },
+];
+
+let campaigns = null;
+// Newest last: { id, campaign, strategy, trigger, startedAt, finishedAt, fetched, queued, error }
+let pulls = null;
+
+function getCampaigns() {
+  if (!campaigns) {
+    const saved = loadState(CAMPAIGNS_STATE_KEY);
+    campaigns = Array.isArray(saved) ? saved : DEFAULT_CAMPAIGNS.map((c) => ({ ...c }));
+  }
+  return campaigns;
+}
+
+function getCampaign(name) {
+  return getCampaigns().find((c) => c.name === name) || null;
+}
+
+// Every list an enabled campaign pulls from (MQ hydration and merges search these)
+function getCampaignListIds() {
+  const ids = new Set();
+  for (const campaign of getCampaigns()) {
+    if (campaign.enabled) campaign.listIds.forEach((id) => ids.add(id));
+  }
+  return [...ids];
+}
+
+// First enabled campaign that pulls from a list, for its target assistant
+function findCampaignForList(listId) {
+  if (listId == null) return null;
+  return getCampaigns().find((c) => c.enabled && c.listIds.includes(String(listId))) || null;
+}
+
+function validatePositiveInt(value, label) {
+  if (value == null) return null;
+  if (!Number.isInteger(value) || value < 1) throw new Error(`${label} must be a positive integer`);
+  return value;
+}
+
+function validateTimezone(zone, label) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: zone });
+  } catch (err) {
+    throw new Error(`${label} ${zone} is not a valid timezone`);
+  }
+  return zone;
+}
+
+function validateCampaign(campaign, label) {
+  if (!campaign || typeof campaign !== "object") throw new Error(`${label} must be an object`);
+  const name = String(campaign.name || "").trim();
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(name)) {
+    throw new Error(`${label}.name must be lowercase letters, digits and dashes`);
+  }
+
+  if (!Array.isArray(campaign.listIds) || !campaign.listIds.length) {
+    throw new Error(`${label}.listIds must list at least one Convoso list id`);
+  }
+  const listIds = campaign.listIds.map((id) => String(id).trim());
+  if (listIds.some((id) => !/^\d+$/.test(id))) throw new Error(`${label}.listIds must be numeric Convoso list ids`);
+
+  if (!STRATEGIES.includes(campaign.strategy)) {
+    throw new Error(`${label}.strategy must be one of: ${STRATEGIES.join(", ")}`);
+  }
+
+  let callCounts = null;
+  if (campaign.strategy === "call-count") {
+    if (!Array.isArray(campaign.callCounts) || !campaign.callCounts.length) {
+      throw new Error(`${label}.callCounts must list the Convoso call counts to pull`);
+    }
+    if (campaign.callCounts.some((n) => !Number.isInteger(n) || n < 0)) {
+      throw new Error(`${label}.callCounts must be non-negative integers`);
+    }
+    callCounts = [...campaign.callCounts];
+  }
+
+  let daysBack = null;
+  if (campaign.strategy === "yesterday-non-sale" && campaign.daysBack != null) {
+    daysBack = validatePositiveInt(campaign.daysBack, `${label}.daysBack`);
+  }
+
+  let schedule = null;
+  if (campaign.schedule) {
+    const expr = String(campaign.schedule.cron || "").trim();
+    if (!cron.validate(expr)) throw new Error(`${label}.schedule.cron is not a valid cron expression`);
+    schedule = {
+      cron: expr,
+      timezone: validateTimezone(campaign.schedule.timezone || DEFAULT_TIMEZONE, `${label}.schedule.timezone`),
+    };
+  }
+
+  const assistant = campaign.assistant ? String(campaign.assistant).toLowerCase() : null;
+  if (assistant && !getAssistant(assistant)) throw new Error(`${label}.assistant ${campaign.assistant} is not registered`);
+
+  return {
+    name,
+    enabled: campaign.enabled !== false,
+    listIds,
+    strategy: campaign.strategy,
+    callCounts,
+    daysBack,
+    limit: validatePositiveInt(campaign.limit, `${label}.limit`),
+    schedule,
+    assistant,
+  };
+}
+
+/**
+ * Replace the campaign list. Each campaign:
+ *  { name, enabled?, listIds, strategy, callCounts? (call-count), daysBack? (yesterday-non-sale),
+ *    limit?, schedule?: { cron, timezone? }, assistant? }
+ * A campaign without a schedule only runs when pulled through the API.
+ */
+function updateCampaigns(next) {
+  if (!Array.isArray(next)) throw new Error("campaigns must be an array");
+  const names = new Set();
+  const validated = next.map((c, i) => {
+    const campaign = validateCampaign(c, `campaigns[${i}]`);
+    if (names.has(campaign.name)) throw new Error(`Duplicate campaign name ${campaign.name}`);
+    names.add(campaign.name);
+    return campaign;
+  });
+  campaigns = validated;
+  saveState(CAMPAIGNS_STATE_KEY, campaigns);
+  return campaigns;
+}
+
+// Which created_at day a pull searches: 0 = today in the campaign timezone
+function getPullDaysBack(campaign, now = new Date()) {
+  if (campaign.strategy !== "yesterday-non-sale") return 0;
+  if (campaign.daysBack) return campaign.daysBack;
+  const zone = campaign.schedule?.timezone || DEFAULT_TIMEZONE;
+  const weekday = new Intl.DateTimeFormat("en-US", { timeZone: zone, weekday: "short" }).format(now);
+  // Monday pulls Friday's leads
+  return weekday === "Mon" ? 3 : 1;
+}
+
+function isMorganStatus(lead) {
+  const raw = lead.raw || {};
+  return ["MC", "MQ"].includes(raw.status) || ["MC", "MQ"].includes(raw.status_name);
+}
+
+// Why a campaign passes over a normalized Convoso search row, or null when it takes it:
+// no phone, already with Morgan (MC/MQ), a Member ID, or the strategy's call-count rule
+function getCampaignSkipReason(campaign, lead) {
+  if (!lead || !lead.phone) return "no_phone";
+  if (isMorganStatus(lead)) return "morgan_status";
+  if (lead.member_id != null) return "member_id";
+  if (campaign.strategy === "call-count") {
+    if (typeof lead.call_count !== "number" || !campaign.callCounts.includes(lead.call_count)) return "call_count";
+  }
+  if (campaign.strategy === "new" && lead.call_count) return "call_count";
+  return null;
+}
+
+// Leads a campaign takes from normalized Convoso search rows, capped at the campaign limit
+function selectCampaignLeads(campaign, leads) {
+  const selected = leads.filter((lead) => !getCampaignSkipReason(campaign, lead));
+  return campaign.limit ? selected.slice(0, campaign.limit) : selected;
+}
+
+function getPulls() {
+  if (!pulls) {
+    pulls = loadState(PULLS_STATE_KEY, []) || [];
+  }
+  return pulls;
+}
+
+function recordCampaignPull({ campaign, trigger, startedAt, finishedAt = Date.now(), fetched = 0, queued = 0, error = null }) {
+  const list = getPulls();
+  const entry = {
+    id: `${campaign.name}-${startedAt}`,
+    campaign: campaign.name,
+    strategy: campaign.strategy,
+    trigger,
+    startedAt: new Date(startedAt).toISOString(),
+    finishedAt: new Date(finishedAt).toISOString(),
+    fetched,
+    queued,
+    error,
+  };
+  list.push(entry);
+  if (list.length > MAX_PULLS) list.splice(0, list.length - MAX_PULLS);
+  saveState(PULLS_STATE_KEY, () => getPulls());
+  return entry;
+}
+
+// Newest first
+function listCampaignPulls({ campaign, limit = 50 } = {}) {
+  const matches = getPulls().filter((p) => !campaign || p.campaign === campaign);
+  return { total: matches.length, pulls: matches.slice(-Math.max(1, limit)).reverse() };
+}
+
+function getLastCampaignPull(name) {
+  const list = getPulls();
+  for (let i = list.length - 1; i >= 0; i--) {
+    if (list[i].campaign === name) return list[i];
+  }
+  return null;
+}
+
+// Test helper: forget cached state so the next call reloads from the store
+function resetCampaigns() {
+  campaigns = null;
+  pulls = null;
+}
+
+module.exports = {
+  STRATEGIES,
+  getCampaigns,
+  getCampaign,
+  getCampaignListIds,
+  findCampaignForList,
+  updateCampaigns,
+  getPullDaysBack,
+  getCampaignSkipReason,
+  selectCampaignLeads,
+  recordCampaignPull,
+  listCampaignPulls,
+  getLastCampaignPull,
+  resetCampaigns,
+};
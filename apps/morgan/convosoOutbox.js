@@ -0,0 +1,323 @@
+// convosoOutbox.js
+// Durable outbox for Convoso lead mutations (status MQ/MC/..., notes). Entries
+// survive restarts, are retried with exponential backoff on transient errors,
+// and end up in a dead-letter list an operator can inspect and replay.
+// A circuit breaker trips after repeated transient failures so the dialer can
+// stop making calls whose Convoso status would never be written.
+// Updates to one lead go out in the order they were queued: a later update
+// waits while an earlier one is in flight or backing off, so a retry never
+// overwrites a newer value.
+
+const { loadState, saveState } = require("./stateStore");
+const { incCounter } = require("./metrics");
+const { logger } = require("./logger");
+
+const OUTBOX_STATE_KEY = "convoso-outbox";
+const MAX_ATTEMPTS = 10;
+const BASE_RETRY_MS = 1000;
+const MAX_RETRY_MS = 5 * 60 * 1000;
+const MAX_DEAD_ENTRIES = 1000;
+const DELIVERED_KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+const BREAKER_THRESHOLD = 5; // consecutive transient failures
+const BREAKER_BASE_COOLDOWN_MS = 30 * 1000;
+const BREAKER_MAX_COOLDOWN_MS = 10 * 60 * 1000;
+
+// { entries: [{ id, key, leadId, fields, status: "pending"|"dead", inFlight, attempts, nextAttemptAt, lastError, createdAt, updatedAt }],
+//   delivered: [[key, deliveredAt]] }
+let outbox = null;
+let seq = 0;
+let breaker = null;
+
+function freshBreaker() {
+  return { state: "closed", consecutiveFailures: 0, openedAt: null, openUntil: null, cooldownMs: BREAKER_BASE_COOLDOWN_MS };
+}
+
+function getOutbox() {
+  if (!outbox) {
+    const saved = loadState(OUTBOX_STATE_KEY) || {};
+    // A send cut short by a restart is simply due again
+    const entries = Array.isArray(saved.entries) ? saved.entries : [];
+    for (const entry of entries) entry.inFlight = false;
+    outbox = {
+      entries,
+      delivered: new Map(saved.delivered || []),
+    };
+  }
+  return outbox;
+}
+
+function getBreaker() {
+  if (!breaker) breaker = freshBreaker();
+  return breaker;
+}
+
+function persist() {
+  saveState(OUTBOX_STATE_KEY, () => ({
+    entries: getOutbox().entries,
+    delivered: Array.from(getOutbox().delivered.entries()),
+  }));
+}
+
+// Same lead + same fields collapse into one pending entry (the latest values win),
+// which is what Convoso ends up with anyway since every update overwrites.
+// Only the lead's last pending entry takes new values, so per-lead order holds.
+function defaultKey(leadId, fields) {
+  return `lead:${leadId}:${Object.keys(fields).sort().join(",")}`;
+}
+
+/**
+ * Queue a lead mutation. `key` is an idempotency key: while an entry with the
+ * same key is pending its fields are replaced, and an explicit key that was
+ * delivered in the last 24h is not sent again (e.g. a tool call Vapi retried).
+ * An entry already being sent, or followed by other updates to the same lead,
+ * is not touched: the newer fields get an entry of their own, sent after it.
+ */
+function enqueueOutbox({ leadId, fields, key = null, now = Date.now() }) {
+  if (!leadId) throw new Error("leadId is required for a Convoso update");
+  const cleanFields = {};
+  for (const [k, v] of Object.entries(fields || {})) {
+    if (["lead_id", "leadId", "leadID", "id"].includes(k) || v === undefined || v === null) continue;
+    cleanFields[k] = v;
+  }
+
+  const box = getOutbox();
+  const idempotencyKey = key || defaultKey(leadId, cleanFields);
+  if (key && box.delivered.has(key)) return { duplicate: true, key };
+
+  const pending = findLast(box.entries, (e) => e.status === "pending" && e.leadId === String(leadId));
+  if (pending && !pending.inFlight && pending.key === idempotencyKey) {
+    pending.fields = cleanFields;
+    pending.updatedAt = now;
+    persist();
+    return pending;
+  }
+
+  const entry = {
+    id: `${now.toString(36)}-${(seq++).toString(36)}`,
+    key: idempotencyKey,
+    explicitKey: !!key,
+    leadId: String(leadId),
+    fields: cleanFields,
+    status: "pending",
+    inFlight: false,
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  box.entries.push(entry);
+  persist();
+  return entry;
+}
+
+// 429, 5xx, timeouts and network errors are worth retrying; other 4xx are not
+function isTransientError(err) {
+  if (err && typeof err.transient === "boolean") return err.transient;
+  const status = err?.statusCode ?? err?.response?.status;
+  if (status == null) return true;
+  return status === 408 || status === 429 || status >= 500;
+}
+
+function retryDelayMs(attempts) {
+  const base = Math.min(MAX_RETRY_MS, BASE_RETRY_MS * Math.pow(2, attempts - 1));
+  return base + Math.floor(Math.random() * Math.min(1000, base / 2));
+}
+
+function recordBreakerSuccess() {
+  const b = getBreaker();
+  if (b.state !== "closed") logger.info("[ConvosoOutbox] Circuit closed: Convoso is responding again");
+  breaker = freshBreaker();
+}
+
+function recordBreakerFailure(now) {
+  const b = getBreaker();
+  b.consecutiveFailures++;
+  if (b.state === "half-open" || (b.state === "closed" && b.consecutiveFailures >= BREAKER_THRESHOLD)) {
+    // A failed trial doubles the cooldown
+    if (b.state === "half-open") b.cooldownMs = Math.min(BREAKER_MAX_COOLDOWN_MS, b.cooldownMs * 2);
+    b.state = "open";
+    b.openedAt = now;
+    b.openUntil = now + b.cooldownMs;
+    logger.warn(
+      `[ConvosoOutbox] Circuit open after ${b.consecutiveFailures} failures; retrying in ${Math.round(b.cooldownMs / 1000)}s`
+    );
+  }
+}
+
+// open -> half-open once the cooldown has passed
+function getCircuitState(now = Date.now()) {
+  const b = getBreaker();
+  if (b.state === "open" && now >= b.openUntil) b.state = "half-open";
+  return { ...b };
+}
+
+// Dialing should pause while the circuit is open (half-open lets a trial through)
+function isConvosoCircuitOpen(now = Date.now()) {
+  return getCircuitState(now).state === "open";
+}
+
+function pruneDelivered(now) {
+  for (const [key, at] of getOutbox().delivered) {
+    if (at < now - DELIVERED_KEY_TTL_MS) getOutbox().delivered.delete(key);
+  }
+}
+
+function deadLetter(entry, now) {
+  entry.status = "dead";
+  entry.deadAt = now;
+  incCounter("morgan_convoso_updates_total", { result: "dead" });
+  logger.error(`[ConvosoOutbox] Dead-lettered update ${entry.id} for lead ${entry.leadId}: ${entry.lastError}`);
+  const dead = getOutbox().entries.filter((e) => e.status === "dead");
+  if (dead.length > MAX_DEAD_ENTRIES) {
+    const drop = new Set(dead.slice(0, dead.length - MAX_DEAD_ENTRIES));
+    getOutbox().entries = getOutbox().entries.filter((e) => !drop.has(e));
+  }
+}
+
+function findLast(entries, predicate) {
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (predicate(entries[i])) return entries[i];
+  }
+  return null;
+}
+
+// A later pending update to the same lead sets every field this one does
+function isSuperseded(entry) {
+  const entries = getOutbox().entries;
+  return entries.slice(entries.indexOf(entry) + 1).some(
+    (e) => e.status === "pending" && e.leadId === entry.leadId && Object.keys(entry.fields).every((k) => k in e.fields)
+  );
+}
+
+// Oldest due entry whose lead has no earlier update still pending
+function nextDueEntry(now) {
+  const waiting = new Set();
+  for (const entry of getOutbox().entries) {
+    if (entry.status !== "pending" || waiting.has(entry.leadId)) continue;
+    if (!entry.inFlight && entry.nextAttemptAt <= now) return entry;
+    waiting.add(entry.leadId);
+  }
+  return null;
+}
+
+/**
+ * Send the oldest due entry with `send(leadId, fields)`, keeping each lead's
+ * updates in order. Returns true when an entry was attempted (the caller
+ * rate-limits and calls again), false when nothing is due or the circuit is open.
+ */
+async function processNextOutboxEntry(send, now = Date.now()) {
+  if (isConvosoCircuitOpen(now)) return false;
+  const box = getOutbox();
+  const entry = nextDueEntry(now);
+  if (!entry) return false;
+
+  entry.attempts++;
+  entry.inFlight = true;
+  try {
+    await send(entry.leadId, entry.fields);
+    entry.inFlight = false;
+    box.entries = box.entries.filter((e) => e !== entry);
+    if (entry.explicitKey) box.delivered.set(entry.key, now);
+    pruneDelivered(now);
+    incCounter("morgan_convoso_updates_total", { result: "ok" });
+    recordBreakerSuccess();
+  } catch (err) {
+    entry.inFlight = false;
+    entry.lastError = err?.message || String(err);
+    entry.updatedAt = now;
+    incCounter("morgan_convoso_updates_total", { result: "error" });
+    if (isSuperseded(entry)) {
+      // A newer update covering the same fields was queued meanwhile; retrying this one would undo it
+      box.entries = box.entries.filter((e) => e !== entry);
+      if (isTransientError(err)) recordBreakerFailure(now);
+    } else if (!isTransientError(err)) {
+      deadLetter(entry, now);
+    } else {
+      recordBreakerFailure(now);
+      if (entry.attempts >= MAX_ATTEMPTS) {
+        deadLetter(entry, now);
+      } else {
+        entry.nextAttemptAt = now + retryDelayMs(entry.attempts);
+        incCounter("morgan_convoso_update_retries_total");
+      }
+    }
+  }
+  persist();
+  return true;
+}
+
+function listOutbox({ status, leadId, limit = 200 } = {}) {
+  const entries = getOutbox().entries.filter((e) => {
+    if (status && e.status !== status) return false;
+    if (leadId != null && e.leadId !== String(leadId)) return false;
+    return true;
+  });
+  return {
+    total: entries.length,
+    entries: entries.slice(0, limit).map((e) => ({
+      ...e,
+      nextAttemptAt: e.status === "pending" ? new Date(e.nextAttemptAt).toISOString() : null,
+      createdAt: new Date(e.createdAt).toISOString(),
+      updatedAt: new Date(e.updatedAt).toISOString(),
+      deadAt: e.deadAt ? new Date(e.deadAt).toISOString() : null,
+    })),
+  };
+}
+
+function getOutboxStats(now = Date.now()) {
+  const entries = getOutbox().entries;
+  return {
+    pending: entries.filter((e) => e.status === "pending").length,
+    dead: entries.filter((e) => e.status === "dead").length,
+    circuit: getCircuitState(now),
+  };
+}
+
+// Put dead-lettered entries back in the queue (all of them when no id is given)
+function replayDeadLetters(id = null, now = Date.now()) {
+  let replayed = 0;
+  for (const entry of getOutbox().entries) {
+    if (entry.status !== "dead" || (id && entry.id !== id)) continue;
+    entry.status = "pending";
+    entry.attempts = 0;
+    entry.nextAttemptAt = now;
+    entry.deadAt = null;
+    entry.updatedAt = now;
+    replayed++;
+  }
+  if (replayed) persist();
+  return replayed;
+}
+
+function discardOutboxEntry(id) {
+  const box = getOutbox();
+  const before = box.entries.length;
+  box.entries = box.entries.filter((e) => e.id !== id);
+  if (box.entries.length === before) return false;
+  persist();
+  return true;
+}
+
+// Test helper: forget cached state so the next call reloads from the store
+function resetConvosoOutbox() {
+  outbox = null;
+  breaker = null;
+  seq = 0;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  BREAKER_THRESHOLD,
+  enqueueOutbox,
+  processNextOutboxEntry,
+  isTransientError,
+  isConvosoCircuitOpen,
+  getCircuitState,
+  getOutboxStats,
+  listOutbox,
+  replayDeadLetters,
+  discardOutboxEntry,
+  resetConvosoOutbox,
+};
@@ -3,37 +3,216 @@
 // Main Express backend:
 //  - Convoso webhook -> start Morgan
 //  - Simple debug/test endpoint
-//  - Uses voiceGateway for outbound calls (Vapi)
+//  - Uses voiceGateway for outbound calls (Vapi, or the local simulator via VOICE_PROVIDER)
 
 const express = require("express");
 const cors = require("cors");
 const fetch = require("node-fetch");
 const axios = require("axios");
 const cron = require("node-cron");
-const { startOutboundCall } = require("./voiceGateway");
-const { isMorganEnabled } = require("./morganToggle");
-const { isBusinessHours } = require("./timeUtils");
+const {
+  startOutboundCall,
+  getCall: getVoiceCall,
+  transferCall,
+  hangUpCall,
+  listCalls: listVoiceCalls,
+  parseWebhook,
+} = require("./voiceGateway");
+const {
+  isMorganEnabled,
+  setMorganEnabled,
+  getMorganToggleStatus,
+  getMorganToggleAudit,
+  resetMorganToggle,
+} = require("./morganToggle");
+const {
+  checkCallingWindow,
+  isLeadCallableNow,
+  isAnyCallingWindowOpen,
+  resolveLeadState,
+  getCallingCalendar,
+  updateCallingCalendar,
+  resetCallingCalendar,
+} = require("./callingWindows");
 const { getLastVapi429At } = require("./rateLimitState");
+const { loadState, saveState, flushState, checkStateDir } = require("./stateStore");
+const {
+  getSuppression,
+  addSuppression,
+  removeSuppression,
+  listSuppressions,
+  importSuppressionFile,
+  wantsDoNotCall,
+  recordSkip,
+  getSkips,
+  resetSuppressionCache,
+} = require("./suppression");
+const {
+  getCadenceConfig,
+  updateCadenceConfig,
+  getCadencePolicy,
+  recordAttempt,
+  evaluateCadence,
+  holdLead,
+  isHeld,
+  markExhausted,
+  releaseDueLeads,
+  listHeldLeads,
+  getLeadCadence,
+  resetCadenceCache,
+} = require("./cadencePolicy");
+const {
+  recordCallStarted,
+  recordCallEnded,
+  addCallNote,
+  recordCallTransfer,
+  claimCallOutcome,
+  getCallRecord,
+  queryCallRecords,
+  getOutcomeCountsByLead,
+  resetCallRecordsCache,
+} = require("./callRecords");
+const {
+  getOutcomeConfig,
+  updateOutcomeConfig,
+  planCallOutcome,
+  getVoicemailDropOverrides,
+  resetOutcomeConfigCache,
+} = require("./callOutcomes");
+const { recordQueueEvent, resetQueueEventsCache } = require("./queueEvents");
+const { REPORT_GROUPS, buildCallReport, reportToCsv } = require("./callReports");
+const { getPriorityConfig, updatePriorityConfig, getLeadCreatedAt, rankLeads, resetPriorityConfig } = require("./queuePriority");
+const {
+  getRoutingConfig,
+  updateRoutingConfig,
+  getAssistant,
+  routeLead,
+  routeAllowsNumber,
+  resetRoutingConfig,
+} = require("./assistantRouting");
+const {
+  requireVapiSecret,
+  requireConvosoSecret,
+  requireAdminToken,
+  requireMetricsToken,
+  describeCaller,
+  getRejectedRequests,
+  captureRawBody,
+  resetRejectionsCache,
+} = require("./requestAuth");
+const {
+  initSlotPool,
+  getPhoneNumberIds,
+  getSlotControl,
+  getDialerControl,
+  setSlotMode,
+  setDialerMode,
+  addPhoneNumber,
+  removePhoneNumber,
+  isSlotDialable,
+  settleSlotPool,
+  resetSlotPool,
+} = require("./slotPool");
+const { incCounter, timeJob, registerGauge, renderMetrics } = require("./metrics");
+const {
+  enqueueOutbox,
+  processNextOutboxEntry,
+  isConvosoCircuitOpen,
+  getOutboxStats,
+  listOutbox,
+  replayDeadLetters,
+  discardOutboxEntry,
+  resetConvosoOutbox,
+} = require("./convosoOutbox");
+const { isOpsApiConfigured, opsApiRequest } = require("./opsApiClient");
+const {
+  buildOpsCallPayload,
+  queueOpsCallLog,
+  flushOpsCallLogs,
+  listOpsCallLogs,
+  getOpsCallLogStats,
+  replayOpsCallLogs,
+  resetOpsCallLog,
+} = require("./opsCallLog");
+const { emitAlert, listAlerts } = require("./alerts");
+const {
+  getCallerHealthConfig,
+  updateCallerHealthConfig,
+  assessCallerNumbers,
+  noteSuspectNumbers,
+  resetCallerHealthCache,
+} = require("./callerHealth");
+const {
+  getCampaigns,
+  getCampaign,
+  getCampaignListIds,
+  findCampaignForList,
+  updateCampaigns,
+  getPullDaysBack,
+  recordCampaignPull,
+  listCampaignPulls,
+  getLastCampaignPull,
+  resetCampaigns,
+} = require("./campaigns");
+const {
+  getMemberIdValue,
+  getLeadListId,
+  normalizeConvosoLead,
+  extractSearchEntries,
+  planLeadIntake,
+  planCampaignPull,
+  invalidPhoneUpdate,
+  dncUpdate,
+} = require("./leadIntake");
+const { validatePhoneNumber } = require("./phoneNumbers");
+const {
+  getInstanceId,
+  isLeader,
+  onLeadershipChange,
+  startLeaderElection,
+  stopLeaderElection,
+  getLeaderStatus,
+  checkInstanceUrl,
+} = require("./leaderElection");
+const { forwardToLeader } = require("./leaderProxy");
+const { startSharedState, pullSharedState, flushSharedState } = require("./sharedState");
+const { getMaxCallMs, planSlotRepair, findOrphanCalls } = require("./slotWatchdog");
+const { refreshCatalog, describeEligibility, checkProductEligibility, resetProductCatalog } = require("./productEligibility");
+const {
+  resolveCallbackTime,
+  scheduleCallback,
+  hasOpenCallback,
+  getDueCallbackAt,
+  releaseDueCallbacks,
+  markCallbackDialed,
+  cancelCallback,
+  listCallbacks,
+  resetCallbacks,
+} = require("./callbacks");
+const {
+  getLicensedAgents,
+  pickTransferAgent,
+  recordTransfer,
+  getCallTransfer,
+  listTransfers,
+  resetWarmTransfer,
+} = require("./warmTransfer");
+const {
+  QUEUE_STATE_KEY,
+  snapshotQueueState,
+  restoreQueueState,
+  reconcileQueueState,
+} = require("./queueState");
+const {
+  logger,
+  getLogLevel,
+  setLogLevel,
+  withLogContext,
+  addLogContext,
+  requestLogContext,
+} = require("./logger");
 
-const LOG_LEVEL = process.env.LOG_LEVEL || "info";
-const LOG_LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
-
-const logger = {
-  error: (...args) => {
-    if (LOG_LEVELS[LOG_LEVEL] >= LOG_LEVELS.error) console.error(...args);
-  },
-  warn: (...args) => {
-    if (LOG_LEVELS[LOG_LEVEL] >= LOG_LEVELS.warn) console.warn(...args);
-  },
-  info: (...args) => {
-    if (LOG_LEVELS[LOG_LEVEL] >= LOG_LEVELS.info) console.log(...args);
-  },
-  debug: (...args) => {
-    if (LOG_LEVELS[LOG_LEVEL] >= LOG_LEVELS.debug) console.log(...args);
-  },
-};
 const CONVOSO_AUTH_TOKEN = process.env.CONVOSO_AUTH_TOKEN;
-const VAPI_API_KEY = process.env.VAPI_API_KEY;
 
 // ----- MORGAN OUTBOUND QUEUE -----
 const MORGAN_MAX_CONCURRENT = 3;
@@ -46,30 +225,59 @@ const VAPI_429_BACKOFF_MS = 10000; // 10 seconds
 // Track when each ID was added for cleanup
 const morganQueuedIdsTimestamps = new Map();
 
-// Morgan slot management: 1 slot per phoneNumberId (Twilio number)
+// Morgan slot management: 1 slot per phoneNumberId (Twilio number).
+// VAPI_PHONE_NUMBER_IDS seeds the pool; operators add/remove/pause numbers at runtime.
 const MORGAN_PHONE_NUMBER_IDS = process.env.VAPI_PHONE_NUMBER_IDS
   ? process.env.VAPI_PHONE_NUMBER_IDS.split(",").map(s => s.trim()).filter(Boolean)
   : [];
 
-if (MORGAN_PHONE_NUMBER_IDS.length !== 3) {
-  logger.warn(
-    "[MorganSlots] Expected exactly 3 VAPI_PHONE_NUMBER_IDS for Morgan slots, got:",
-    MORGAN_PHONE_NUMBER_IDS.length
-  );
+initSlotPool(MORGAN_PHONE_NUMBER_IDS);
+
+if (getPhoneNumberIds().length === 0) {
+  logger.warn("[MorganSlots] No phone numbers in the Morgan slot pool; nothing will be dialed.");
 }
 
-// Map: phoneNumberId -> { busy, callId, startedAt }
+// Map: phoneNumberId -> { busy, callId, startedAt, leadId }
 const morganSlots = new Map();
 // Map: callId -> phoneNumberId
 const morganCallToSlot = new Map();
+// Map: leadId -> lead. Dequeued (already MC) but the call has not started yet;
+// persisted so a crash mid-launch puts the lead back in MQ on the next boot.
+const morganInflight = new Map();
+// Ticks wait until the persisted state has been restored and reconciled
+let morganStateRestored = false;
+
+// Add slots for numbers new to the pool; drop idle slots for numbers taken out of it
+function syncMorganSlotsWithPool() {
+  const ids = getPhoneNumberIds();
+  for (const id of ids) {
+    if (!morganSlots.has(id)) {
+      morganSlots.set(id, { busy: false, callId: null, startedAt: null, leadId: null });
+    }
+  }
+  for (const [id, slot] of morganSlots.entries()) {
+    if (!ids.includes(id) && !slot.busy) morganSlots.delete(id);
+  }
+}
 
-for (const id of MORGAN_PHONE_NUMBER_IDS) {
-  morganSlots.set(id, { busy: false, callId: null, startedAt: null });
+syncMorganSlotsWithPool();
+
+// Queue, dedupe set, slots and in-flight leads are written to disk on every change
+function persistMorganQueueState() {
+  saveState(QUEUE_STATE_KEY, () =>
+    snapshotQueueState({
+      queue: morganQueue,
+      queuedIdsTimestamps: morganQueuedIdsTimestamps,
+      slots: morganSlots,
+      inflight: morganInflight,
+    })
+  );
 }
 
+// Free = idle, and neither the slot nor the dialer is paused or draining
 function getFreeMorganSlotId() {
   for (const [id, slot] of morganSlots.entries()) {
-    if (!slot.busy) return id;
+    if (!slot.busy && isSlotDialable(id)) return id;
   }
   return null;
 }
@@ -77,20 +285,38 @@ function getFreeMorganSlotId() {
 function getFreeMorganSlots() {
   const free = [];
   for (const [id, slot] of morganSlots.entries()) {
-    if (!slot.busy) free.push(id);
+    if (!slot.busy && isSlotDialable(id)) free.push(id);
   }
   return free;
 }
 
-function markMorganSlotBusy(phoneNumberId, callId) {
+// Flip finished drains to paused (or out of the pool) and keep morganSlots in step
+function settleMorganSlotPool() {
+  const busyIds = Array.from(morganSlots.entries())
+    .filter(([, slot]) => slot.busy)
+    .map(([id]) => id);
+  const settled = settleSlotPool(busyIds);
+  if (settled.removed.length) {
+    syncMorganSlotsWithPool();
+    persistMorganQueueState();
+  }
+  if (settled.paused.length || settled.removed.length || settled.dialerPaused) {
+    logger.info("[MorganSlots] Drain finished:", settled);
+  }
+  return settled;
+}
+
+function markMorganSlotBusy(phoneNumberId, callId, leadId = null, startedAt = Date.now()) {
   const slot = morganSlots.get(phoneNumberId);
   if (!slot) return;
   slot.busy = true;
   slot.callId = callId || null;
-  slot.startedAt = Date.now();
+  slot.startedAt = startedAt;
+  slot.leadId = leadId;
   if (callId) {
     morganCallToSlot.set(callId, phoneNumberId);
   }
+  persistMorganQueueState();
 }
 
 function freeMorganSlot(phoneNumberId) {
@@ -102,6 +328,8 @@ function freeMorganSlot(phoneNumberId) {
   slot.busy = false;
   slot.callId = null;
   slot.startedAt = null;
+  slot.leadId = null;
+  persistMorganQueueState();
   logger.debug("[MorganSlots] Freed slot", phoneNumberId);
   return true;
 }
@@ -114,60 +342,147 @@ function freeMorganSlotByCallId(callId) {
   slot.busy = false;
   slot.callId = null;
   slot.startedAt = null;
+  slot.leadId = null;
   morganCallToSlot.delete(callId);
+  persistMorganQueueState();
   logger.debug("[MorganSlots] Freed slot", phoneNumberId, "for callId", callId);
   return true;
 }
 
-async function enqueueMorganLead(lead) {
-  if (!lead || !lead.id) return;
+// Skips worth keeping in the compliance skip log (the rest are routine)
+const LOGGED_INTAKE_SKIPS = new Set(["member_id", "invalid_phone", "dnc", "attempts_exhausted"]);
 
-  const memberId = getMemberIdValue(lead);
-  if (memberId) {
-    logger.info(`[MorganQueue] Skipping lead ${lead.id} due to Member ID: ${memberId}`);
-    return;
-  }
+// A lead whose number can't be dialed: log the skip and tell Convoso why
+async function skipInvalidPhone(lead, phoneCheck, { path, listId = getLeadListId(lead) }) {
+  logger.info(`[MorganQueue] Not dialing lead ${lead.id}: ${phoneCheck.message} (${phoneCheck.reason})`);
+  recordSkip({ leadId: lead.id, listId, phone: lead.phone, reason: "invalid_phone", path, detail: phoneCheck.reason });
+  if (!lead.id) return;
+  await enqueueConvosoUpdate(lead.id, invalidPhoneUpdate(lead.id, phoneCheck)).catch((err) => {
+    logger.error("[MorganQueue] Failed to report invalid phone for", lead.id, err);
+  });
+}
 
-  // In-memory dedupe
-  if (morganQueuedIds.has(lead.id)) {
-    logger.debug("[MorganQueue] Skipping duplicate lead", lead.id);
-    return;
+/**
+ * Queue (or hold) a lead after the intake checks. Leads read back from
+ * Convoso's MQ status pass inConvosoMQ so they aren't marked MQ again.
+ * Resolves to the intake plan, or null for a lead without an id.
+ */
+async function enqueueMorganLead(lead, { path = "enqueue", inConvosoMQ = false } = {}) {
+  if (!lead || !lead.id) return null;
+
+  // Same decision a dry-run pull reports
+  const plan = planLeadIntake(lead, { isQueued: (id) => morganQueuedIds.has(id) });
+
+  if (plan.action === "skip") {
+    // Kill switch and duplicates leave the lead in Convoso untouched, without a skip entry
+    if (LOGGED_INTAKE_SKIPS.has(plan.reason)) {
+      logger.info(`[MorganQueue] Skipping lead ${lead.id}: ${plan.reason}${plan.detail ? ` (${plan.detail})` : ""}`);
+      recordSkip({
+        leadId: lead.id,
+        listId: getLeadListId(lead),
+        phone: lead.phone,
+        reason: plan.reason,
+        path,
+        detail: plan.detail,
+      });
+      if (plan.convosoUpdate) {
+        await enqueueConvosoUpdate(lead.id, plan.convosoUpdate).catch((err) => {
+          logger.error(`[MorganQueue] Failed to report ${plan.reason} for`, lead.id, err);
+        });
+      }
+    } else {
+      logger.debug(`[MorganQueue] Not queueing lead ${lead.id}: ${plan.reason}`);
+    }
+    return plan;
   }
 
-  // Memory leak prevention: enforce max size with LRU eviction
-  if (morganQueuedIds.size >= MAX_QUEUED_IDS) {
-    cleanupOldQueuedIds();
-  }
+  if (plan.action === "hold") {
+    // Not due yet: hold outside morganQueue until the cadence allows another dial
+    holdLead(lead, plan.until, plan.reason);
+    logger.debug(
+      "[MorganQueue] Holding lead", lead.id, "until", new Date(plan.until).toISOString(),
+      `(${plan.reason})`
+    );
+  } else {
+    // Memory leak prevention: enforce max size with LRU eviction
+    if (morganQueuedIds.size >= MAX_QUEUED_IDS) {
+      cleanupOldQueuedIds();
+    }
 
-  morganQueue.push(lead);
-  morganQueuedIds.add(lead.id);
-  morganQueuedIdsTimestamps.set(lead.id, Date.now());
+    morganQueue.push(lead);
+    morganQueuedIds.add(lead.id);
+    morganQueuedIdsTimestamps.set(lead.id, Date.now());
+    persistMorganQueueState();
+  }
 
   // Persist in Convoso: mark as queued for Morgan
-  if (isMorganEnabled()) {
-    await enqueueConvosoUpdate(lead.id, {
-      lead_id: lead.id,
-      status: "MQ"
-    }).catch((err) => {
+  if (!inConvosoMQ) {
+    await enqueueConvosoUpdate(lead.id, plan.convosoUpdate).catch((err) => {
       logger.error("[MorganQueue] Failed to set MQ status for", lead.id, err);
     });
-  } else {
-    logger?.info?.(`[Morgan] Disabled: skipping disposition for lead ${lead.id}`);
   }
 
   logger.debug("[MorganQueue] Enqueued lead", lead.id, "Queue length:", morganQueue.length);
+  return plan;
+}
+
+// Run MQ rows from Convoso through intake; resolves to counts per intake action
+async function enqueueMQLeads(leads, path) {
+  const counts = { queue: 0, hold: 0, skip: 0 };
+  for (const lead of leads) {
+    const plan = await enqueueMorganLead(lead, { path, inConvosoMQ: true });
+    if (plan) counts[plan.action] += 1;
+  }
+  return counts;
 }
 
-async function getNextMorganLead() {
-  const lead = morganQueue.shift();
+// Queue in dial order: highest priority score first, FIFO among equal scores
+function rankMorganQueue(now = Date.now()) {
+  return rankLeads(morganQueue, {
+    now,
+    getQueuedAt: (lead) => morganQueuedIdsTimestamps.get(lead.id) || null,
+    outcomesByLead: getOutcomeCountsByLead(),
+    getCallbackAt: (lead) => getDueCallbackAt(lead.id),
+  });
+}
+
+// Assistant, caller-ID pool and call name for a lead (see assistantRouting.js)
+function routeMorganLead(lead, now = Date.now()) {
+  const created = getLeadCreatedAt(lead, morganQueuedIdsTimestamps.get(lead?.id) || now);
+  const campaign = findCampaignForList(getLeadListId(lead));
+  return routeLead(lead, { createdAt: created ? created.at : null, now, defaultAssistant: campaign?.assistant });
+}
+
+// Sent with the call so end-of-call reports can be attributed to the route
+function routingMetadata(routing) {
+  return { assistant: routing.assistant, route: routing.route, routeVariant: routing.variant };
+}
+
+// Takes the best-scoring queued lead that passes `isEligible` (default: any lead).
+// Ineligible leads stay queued. A tick filling several slots ranks the queue
+// once and passes the same `ranked` list to each call; the pick is removed from it.
+async function getNextMorganLead({ isEligible, ranked = rankMorganQueue() } = {}) {
+  let lead = null;
+  for (let i = 0; i < ranked.length; i++) {
+    const candidate = ranked[i].lead;
+    if (isEligible && !isEligible(candidate)) continue;
+    const index = morganQueue.indexOf(candidate);
+    if (index === -1) continue; // left the queue since it was ranked
+    ranked.splice(i, 1);
+    [lead] = morganQueue.splice(index, 1);
+    break;
+  }
   if (!lead) return null;
 
   if (lead.id) {
     morganQueuedIds.delete(lead.id);
     morganQueuedIdsTimestamps.delete(lead.id);
+    morganInflight.set(lead.id, lead);
+    markCallbackDialed(lead.id);
+    persistMorganQueueState();
 
     // Mark as moved from queue into active calling state
-    if (isMorganEnabled()) {
+    if (isMorganEnabled(getLeadListId(lead))) {
       await enqueueConvosoUpdate(lead.id, {
         lead_id: lead.id,
         status: "MC",
@@ -175,7 +490,7 @@ async function getNextMorganLead() {
         logger.error("[MorganQueue] Failed to set MC status for", lead.id, err);
       });
     } else {
-      logger?.info?.(`[Morgan] Disabled: skipping disposition for lead ${lead.id}`);
+      logger.info(`[Morgan] Disabled: skipping disposition for lead ${lead.id}`);
     }
   }
 
@@ -204,24 +519,133 @@ function cleanupOldQueuedIds() {
     }
   }
 
+  persistMorganQueueState();
   logger.info(`[MorganQueue] Cleaned up ${removed} old queued IDs to prevent memory leak`);
 }
 
+// Held leads whose retry time has come go back to the end of the queue
+function releaseHeldMorganLeads() {
+  const released = releaseDueLeads();
+  let added = 0;
+  for (const lead of released) {
+    // A lead with a callback pending waits for the callback time instead
+    if (!lead?.id || morganQueuedIds.has(lead.id) || hasOpenCallback(lead.id)) continue;
+    morganQueue.push(lead);
+    morganQueuedIds.add(lead.id);
+    morganQueuedIdsTimestamps.set(lead.id, Date.now());
+    added++;
+  }
+  if (added) {
+    persistMorganQueueState();
+    logger.info(`[MorganCadence] Released ${added} held leads back into the queue`);
+  }
+}
+
+// Callbacks whose time has come go back in the queue, where they score above other leads
+async function releaseDueCallbackLeads() {
+  for (const callback of releaseDueCallbacks()) {
+    const lead = callback.lead;
+    if (getSuppression(lead.phone)) {
+      cancelCallback(lead.id);
+      logger.info(`[MorganCallbacks] Callback for lead ${lead.id} cancelled: number is on the DNC list`);
+      continue;
+    }
+    if (!morganQueuedIds.has(lead.id)) {
+      morganQueue.push(lead);
+      morganQueuedIds.add(lead.id);
+      morganQueuedIdsTimestamps.set(lead.id, Date.now());
+      persistMorganQueueState();
+    }
+    logger.info(`[MorganCallbacks] Callback for lead ${lead.id} is due; queued for dialing`);
+
+    if (isMorganEnabled(getLeadListId(lead))) {
+      await enqueueConvosoUpdate(lead.id, { lead_id: lead.id, status: "MQ" }).catch((err) => {
+        logger.error("[MorganCallbacks] Failed to set MQ status for", lead.id, err);
+      });
+    }
+  }
+}
+
+// Retry per the lead's cadence policy, or give Convoso its final disposition
+// once attempts are exhausted. Used after launch failures and unanswered calls;
+// callId names the call that led here, for the campaign reports.
+async function scheduleMorganRetry(lead, { reason, delayMinutes = null, callId = null } = {}) {
+  if (!lead?.id) return null;
+
+  const listId = getLeadListId(lead);
+  const cadence = evaluateCadence(lead);
+  if (cadence.exhausted) {
+    markExhausted(lead);
+    recordQueueEvent({ type: "exhausted", leadId: lead.id, listId, callId, reason });
+    logger.info(`[MorganCadence] Lead ${lead.id} exhausted after ${cadence.attempts} attempts (${reason})`);
+    if (isMorganEnabled(listId)) {
+      await enqueueConvosoUpdate(lead.id, {
+        lead_id: lead.id,
+        status: cadence.policy.exhaustedStatus,
+      }).catch((err) => {
+        logger.error("[MorganCadence] Failed to set exhausted status for", lead.id, err);
+      });
+    }
+    return { exhausted: true };
+  }
+
+  const minimum = delayMinutes != null ? Date.now() + delayMinutes * 60 * 1000 : Date.now();
+  const until = Math.max(cadence.nextEligibleAt || 0, minimum);
+  incCounter("morgan_calls_requeued_total", { reason });
+  recordQueueEvent({ type: "retry", leadId: lead.id, listId, callId, reason });
+  holdLead(lead, until, reason);
+  logger.info(`[MorganCadence] Lead ${lead.id} held until ${new Date(until).toISOString()} (${reason})`);
+
+  // Back to MQ: the lead is waiting on Morgan again, not on an active call
+  if (isMorganEnabled(listId)) {
+    await enqueueConvosoUpdate(lead.id, { lead_id: lead.id, status: "MQ" }).catch((err) => {
+      logger.error("[MorganCadence] Failed to set MQ status for", lead.id, err);
+    });
+  }
+  return { exhausted: false, heldUntil: until };
+}
+
+// Act on how a call ended: retry the lead on its cadence or give Convoso the
+// outcome's status. A pending callback or a DNC request takes precedence.
+async function applyCallOutcome(event, record) {
+  const plan = planCallOutcome(record);
+  if (!plan || !claimCallOutcome(record.callId)) return null;
+  incCounter("morgan_call_outcomes_total", { outcome: plan.outcome });
+  if (!event.leadId || hasOpenCallback(event.leadId)) return plan;
+
+  const lead = leadFromCallEvent(event);
+  if (getSuppression(lead.phone)) return plan;
+
+  if (plan.retry) {
+    await scheduleMorganRetry(lead, {
+      reason: plan.outcome,
+      delayMinutes: plan.retryDelayMinutes,
+      callId: event.callId,
+    });
+  } else if (plan.status && isMorganEnabled(getLeadListId(lead))) {
+    await enqueueConvosoUpdate(lead.id, { lead_id: lead.id, status: plan.status }).catch((err) => {
+      logger.error(`[MorganOutcomes] Failed to set ${plan.status} status for`, lead.id, err);
+    });
+  }
+  logger.info(`[MorganOutcomes] Call ${event.callId} for lead ${lead.id}: ${plan.outcome}`);
+  return plan;
+}
+
 // ---- Convoso helpers (use original working pattern) ----
 
-const convosoRequestQueue = [];
 let convosoQueueRunning = false;
 const CONVOSO_REQUESTS_PER_SECOND = 3;
 const CONVOSO_INTERVAL_MS = Math.floor(1000 / CONVOSO_REQUESTS_PER_SECOND);
-const MAX_RETRIES_429 = 5;
-const BASE_DELAY_MS_429 = 500;
 
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-// Generic lead update: uses GET with auth_token in query string
-async function updateConvosoLead(leadIdOrPayload, fields = {}, attempt = 1) {
+// Generic lead update: uses GET with auth_token in query string.
+// Single attempt; retries and backoff belong to the outbox (convosoOutbox.js).
+async function updateConvosoLead(leadIdOrPayload, fields = {}) {
   if (!CONVOSO_AUTH_TOKEN) {
-    throw new Error("Missing CONVOSO_AUTH_TOKEN env var");
+    const error = new Error("Missing CONVOSO_AUTH_TOKEN env var");
+    error.transient = false;
+    throw error;
   }
 
   let leadId = leadIdOrPayload;
@@ -238,7 +662,9 @@ async function updateConvosoLead(leadIdOrPayload, fields = {}, attempt = 1) {
   }
 
   if (!leadId) {
-    throw new Error("leadId is required for updateConvosoLead");
+    const error = new Error("leadId is required for updateConvosoLead");
+    error.transient = false;
+    throw error;
   }
 
   const params = new URLSearchParams({
@@ -265,56 +691,42 @@ async function updateConvosoLead(leadIdOrPayload, fields = {}, attempt = 1) {
   } catch (err) {
     const statusCode = err?.response?.status;
 
-    if (statusCode === 429) {
-      if (attempt >= MAX_RETRIES_429) {
-        logger.error(`[updateConvosoLead] 429 for lead ${leadId} after ${attempt} attempts`);
-        throw new Error("Convoso lead update failed");
-      }
-
-      const delay = BASE_DELAY_MS_429 * Math.pow(2, attempt - 1) + Math.floor(Math.random() * 100);
-      logger.warn(
-        `[updateConvosoLead] 429 for lead ${leadId}, attempt ${attempt}, retrying in ${delay}ms`
-      );
-      await sleep(delay);
-      return updateConvosoLead(leadId, payloadFields, attempt + 1);
-    }
-
     logger.error(
       `[updateConvosoLead] Convoso error for lead ${leadId} (status ${statusCode || "unknown"}):`,
       err?.message || "Unknown error",
       maskedUrl
     );
-    throw new Error("Convoso lead update failed");
+    const error = new Error(`Convoso lead update failed (status ${statusCode || "unknown"})`);
+    error.statusCode = statusCode;
+    throw error;
   }
 }
 
-function enqueueConvosoUpdate(leadId, payload) {
-  return new Promise((resolve, reject) => {
-    convosoRequestQueue.push({ leadId, payload, resolve, reject });
-    if (!convosoQueueRunning) {
-      void processConvosoQueue();
-    }
-  });
+// Durable: the update is persisted in the outbox before this resolves, and
+// delivered (with retries) by processConvosoQueue. `key` is an optional idempotency key.
+async function enqueueConvosoUpdate(leadId, payload, { key = null } = {}) {
+  const entry = enqueueOutbox({ leadId, fields: payload, key });
+  void processConvosoQueue();
+  return entry;
 }
 
 async function processConvosoQueue() {
+  if (convosoQueueRunning) return;
   convosoQueueRunning = true;
-
-  while (convosoRequestQueue.length > 0) {
-    const { leadId, payload, resolve, reject } = convosoRequestQueue.shift();
-    try {
-      const res = await updateConvosoLead(leadId, payload);
-      resolve(res);
-    } catch (err) {
-      reject(err);
+  try {
+    while (await processNextOutboxEntry(updateConvosoLead)) {
+      await sleep(CONVOSO_INTERVAL_MS);
     }
-
-    await sleep(CONVOSO_INTERVAL_MS);
+  } catch (err) {
+    logger.error("[ConvosoOutbox] processing error:", err);
+  } finally {
+    convosoQueueRunning = false;
   }
-
-  convosoQueueRunning = false;
 }
 
+// Picks up retries whose backoff has elapsed and entries restored from disk
+setInterval(processConvosoQueue, 5000);
+
 function normalizeConvosoNote(text, maxLen = 255) {
   if (!text) return "";
 
@@ -331,51 +743,13 @@ function normalizeConvosoNote(text, maxLen = 255) {
   return singleLine.slice(0, maxLen);
 }
 
-// "Add note" just means: update the lead's notes field
-async function addLeadNote(leadId, note) {
+// "Add note" just means: update the lead's notes field (queued through the outbox)
+async function addLeadNote(leadId, note, { key = null } = {}) {
   // Normalize + cap at 255 chars for Convoso Notes field
   const safeNote = normalizeConvosoNote(note, 255);
 
   // This overwrites the Notes field in Convoso for that lead.
-  return updateConvosoLead(leadId, { notes: safeNote });
-}
-
-const MORGAN_LIST_IDS = [28001, 15857, 27223, 10587, 12794, 12793];
-
-function getMemberIdValue(obj) {
-  const v =
-    obj?.member_id ?? obj?.Member_ID ?? obj?.memberId ?? obj?.memberID ?? obj?.field_2;
-
-  if (v == null) return null;
-
-  const str = String(v).trim();
-  return str === "" ? null : str;
-}
-
-function normalizeConvosoLead(convosoLead) {
-  if (!convosoLead) return null;
-  const rawCalled = convosoLead.called_count;
-  const callCount =
-    rawCalled == null || rawCalled === ""
-      ? null
-      : Number(rawCalled);
-
-  const memberId = getMemberIdValue(convosoLead);
-
-  return {
-    id: convosoLead.lead_id || convosoLead.id,
-    list_id: convosoLead.list_id,
-    first_name: convosoLead.first_name,
-    last_name: convosoLead.last_name,
-    phone: convosoLead.phone_number,
-    phone_number: convosoLead.phone_number,
-    state: convosoLead.state,
-    call_count: callCount,
-    member_id: memberId,
-    Member_ID: convosoLead.Member_ID ?? memberId,
-    field_2: convosoLead.field_2,
-    raw: convosoLead,
-  };
+  return enqueueConvosoUpdate(leadId, { notes: safeNote }, { key });
 }
 
 async function convosoSearchAllPages(basePayload, maxPages = 50) {
@@ -474,13 +848,26 @@ async function convosoSearchAllPages(basePayload, maxPages = 50) {
   return results;
 }
 
+// MQ leads on the lists Morgan campaigns pull from. With no campaign enabled
+// there is nothing to search (an empty list_id would match every list).
+async function searchMorganMQ() {
+  const listIds = getCampaignListIds();
+  if (!listIds.length) return [];
+  return convosoSearchAllPages({
+    auth_token: CONVOSO_AUTH_TOKEN,
+    status: "MQ",
+    list_id: listIds,
+    limit: 200,
+  });
+}
+
 async function hydrateMorganQueueFromConvoso() {
-  if (!isBusinessHours()) {
-    console.log("[MorganQueue] Outside business hours; skipping hydration.");
+  if (!isAnyCallingWindowOpen()) {
+    logger.info("[MorganQueue] No calling window is open; skipping hydration.");
     return;
   }
   if (!isMorganEnabled()) {
-    logger?.info?.('[Morgan] Disabled: hydrateMorganQueueFromConvoso skipped');
+    logger.info('[Morgan] Disabled: hydrateMorganQueueFromConvoso skipped');
     return;
   }
 
@@ -491,54 +878,27 @@ async function hydrateMorganQueueFromConvoso() {
 
   logger.info("[MorganQueue] Hydrating from Convoso MQ status (no date filter)...");
 
-  // Reset in-memory state
-  morganQueue.length = 0;
-  morganQueuedIds.clear();
-  morganQueuedIdsTimestamps.clear();
-
+  // Queue restored from disk is kept; MQ leads it doesn't know about are appended
   try {
     // Working MQ search call
-    const raw = await convosoSearchAllPages({
-      auth_token: CONVOSO_AUTH_TOKEN,
-      status: "MQ",
-      list_id: MORGAN_LIST_IDS,
-      limit: 200,
-    });
+    const raw = await searchMorganMQ();
 
     logger.debug("[MorganQueue] Raw MQ rows from Convoso:", raw.length);
 
     const normalized = raw.map(normalizeConvosoLead).filter(Boolean);
-    const memberFiltered = normalized.filter(hasEmptyMemberId);
-    const filteredMemberCount = normalized.length - memberFiltered.length;
-
-    let added = 0;
-    let missingPhone = 0;
-
-    for (const lead of memberFiltered) {
-      if (!lead.id) continue;
-
-      if (!lead.phone) {
-        missingPhone++;
-        continue;
-      }
 
-      if (morganQueuedIds.has(lead.id)) continue;
-
-      morganQueue.push(lead);
-      morganQueuedIds.add(lead.id);
-      morganQueuedIdsTimestamps.set(lead.id, Date.now());
-      added++;
-    }
+    // Same intake checks as every other path: list toggle, member id, phone, DNC, cadence
+    const counts = await enqueueMQLeads(normalized, "hydrate");
 
     logger.info(
       "[MorganQueue] Hydrated queue length from MQ:",
-      added,
+      counts.queue,
       "Raw MQ rows:",
       raw.length,
-      "Skipped member id:",
-      filteredMemberCount,
-      "Skipped missing phone:",
-      missingPhone
+      "Held:",
+      counts.hold,
+      "Skipped:",
+      counts.skip
     );
 
   } catch (err) {
@@ -546,6 +906,63 @@ async function hydrateMorganQueueFromConvoso() {
   }
 }
 
+// Boot: reload the persisted queue/slots, then reconcile them against Convoso
+// MQ status and Vapi call status before the first tick runs.
+async function restoreMorganQueueState() {
+  const restored = restoreQueueState(loadState(QUEUE_STATE_KEY), getPhoneNumberIds());
+
+  let mqLeadIds = null;
+  if (CONVOSO_AUTH_TOKEN && getCampaignListIds().length) {
+    try {
+      const raw = await searchMorganMQ();
+      mqLeadIds = new Set(raw.map((r) => String(r.lead_id || r.id)));
+    } catch (err) {
+      logger.warn("[MorganQueue] Could not load MQ statuses for reconciliation; trusting saved queue:", err.message);
+    }
+  }
+
+  const result = await reconcileQueueState(restored, { mqLeadIds, getCallStatus: getVoiceCall });
+
+  morganQueue.length = 0;
+  morganQueuedIds.clear();
+  morganQueuedIdsTimestamps.clear();
+  morganInflight.clear();
+  morganCallToSlot.clear();
+
+  for (const lead of result.queue) {
+    morganQueue.push(lead);
+    morganQueuedIds.add(lead.id);
+    morganQueuedIdsTimestamps.set(lead.id, restored.queuedIds.get(lead.id) || Date.now());
+  }
+
+  for (const saved of result.busySlots) {
+    const slot = morganSlots.get(saved.phoneNumberId);
+    if (!slot) continue;
+    slot.busy = true;
+    slot.callId = saved.callId;
+    slot.startedAt = saved.startedAt;
+    slot.leadId = saved.leadId;
+    morganCallToSlot.set(saved.callId, saved.phoneNumberId);
+  }
+
+  // Leads that were moved to MC but never got a call go back to MQ
+  for (const lead of result.requeued) {
+    if (isMorganEnabled(getLeadListId(lead))) {
+      await enqueueConvosoUpdate(lead.id, { lead_id: lead.id, status: "MQ" }).catch((err) => {
+        logger.error("[MorganQueue] Failed to restore MQ status for", lead.id, err);
+      });
+    }
+  }
+
+  persistMorganQueueState();
+
+  logger.info(
+    `[MorganQueue] Restored state: queue ${morganQueue.length}, ` +
+    `re-queued ${result.requeued.length}, dropped ${result.dropped.length} (no longer MQ), ` +
+    `busy slots ${result.busySlots.length}, freed slots ${result.freedSlots.length}`
+  );
+}
+
 async function debugFetchMQLeads() {
   if (!CONVOSO_AUTH_TOKEN) {
     logger.warn("[MorganQueue] debugFetchMQLeads: missing CONVOSO_AUTH_TOKEN");
@@ -555,12 +972,7 @@ async function debugFetchMQLeads() {
   logger.debug("[MorganQueue] DEBUG: Fetching MQ leads from Convoso...");
 
   try {
-    const raw = await convosoSearchAllPages({
-      auth_token: CONVOSO_AUTH_TOKEN,
-      status: "MQ",
-      list_id: MORGAN_LIST_IDS,
-      limit: 200,
-    });
+    const raw = await searchMorganMQ();
 
     logger.debug("[MorganQueue] DEBUG: Raw MQ rows from Convoso:", raw.length);
 
@@ -597,12 +1009,7 @@ async function debugFetchMQRaw() {
   logger.debug("[MorganQueue] DEBUG RAW: Fetching MQ leads from Convoso...");
 
   try {
-    const raw = await convosoSearchAllPages({
-      auth_token: CONVOSO_AUTH_TOKEN,
-      status: "MQ",
-      list_id: MORGAN_LIST_IDS,
-      limit: 200,
-    });
+    const raw = await searchMorganMQ();
 
     logger.debug("[MorganQueue] DEBUG RAW: Raw MQ rows from Convoso:", raw.length);
 
@@ -627,12 +1034,12 @@ async function debugFetchMQRaw() {
 }
 
 async function mergeMorganQueueFromMQ() {
-  if (!isBusinessHours()) {
-    console.log("[MorganQueue] Outside business hours; skipping hydration.");
+  if (!isAnyCallingWindowOpen()) {
+    logger.info("[MorganQueue] No calling window is open; skipping hydration.");
     return;
   }
   if (!isMorganEnabled()) {
-    logger?.info?.('[Morgan] Disabled: mergeMorganQueueFromMQ skipped');
+    logger.info('[Morgan] Disabled: mergeMorganQueueFromMQ skipped');
     return;
   }
 
@@ -644,33 +1051,13 @@ async function mergeMorganQueueFromMQ() {
   logger.info("[MorganQueue] Merging MQ leads from Convoso...");
 
   try {
-    const raw = await convosoSearchAllPages({
-      auth_token: CONVOSO_AUTH_TOKEN,
-      status: "MQ",
-      list_id: MORGAN_LIST_IDS,
-      limit: 200,
-    });
-
-    let added = 0;
+    const raw = await searchMorganMQ();
 
     const normalized = raw.map(normalizeConvosoLead).filter(Boolean);
-    const memberFiltered = normalized.filter(hasEmptyMemberId);
-    const filteredMemberCount = normalized.length - memberFiltered.length;
-
-    const leads = memberFiltered.filter((lead) => lead.phone);
-
-    for (const lead of leads) {
-      if (!lead || !lead.id) continue;
-      if (morganQueuedIds.has(lead.id)) continue;
-
-      morganQueue.push(lead);
-      morganQueuedIds.add(lead.id);
-      morganQueuedIdsTimestamps.set(lead.id, Date.now());
-      added += 1;
-    }
+    const counts = await enqueueMQLeads(normalized, "mq-merge");
 
     logger.info(
-      `[MorganQueue] MQ merge complete. Added ${added} leads. Queue length: ${morganQueue.length}. Skipped member id: ${filteredMemberCount}`
+      `[MorganQueue] MQ merge complete. Added ${counts.queue} leads, held ${counts.hold}, skipped ${counts.skip}. Queue length: ${morganQueue.length}`
     );
   } catch (err) {
     logger.error("[MorganQueue] Failed to merge MQ leads from Convoso:", err);
@@ -742,7 +1129,7 @@ async function convosoSearchPage({ authToken, listId, startStr, endStr, offset =
     throw new Error("Convoso search failed");
   }
   const data = await res.json();
-  const entries = data?.data?.entries || data?.entries || data?.data || [];
+  const entries = extractSearchEntries(data);
   const total = Number(data?.data?.total ?? entries.length ?? 0);
   return { entries, total };
 }
@@ -770,108 +1157,100 @@ async function convosoSearchAllListsByCreated({ authToken, listIds, startStr, en
   return out;
 }
 
-// Helper for Member_ID emptiness (handles common shapes)
-function hasEmptyMemberId(obj) {
-  const v = getMemberIdValue(obj);
-  return v == null;
-}
-
-// Pull Call Nows — created_at = TODAY (keep Node-side Member_ID rule)
-async function findLeadsForMorganByCallCount({ limit = 50, timezone = "America/New_York" } = {}) {
+// Raw Convoso rows for one campaign: created_at on the campaign's day (today, or
+// the prior working day for yesterday pulls) across its lists. Filtering happens
+// in Node (reliable handling of empty/null Member_ID)
+async function fetchCampaignEntries(campaign) {
   if (!CONVOSO_AUTH_TOKEN) throw new Error("Missing CONVOSO_AUTH_TOKEN env var");
 
-  const { start, end } = getDayWindowStrings(timezone, 0);
-  console.log("[Morgan/pull-leads] created_at window:", { start, end, tz: timezone });
+  const timezone = campaign.schedule?.timezone || "America/New_York";
+  const { start, end } = getDayWindowStrings(timezone, getPullDaysBack(campaign));
 
   // Fetch everything in the window across lists; API uses form-encoded fields
   const raw = await convosoSearchAllListsByCreated({
     authToken: CONVOSO_AUTH_TOKEN,
-    listIds: MORGAN_LIST_IDS,
+    listIds: campaign.listIds,
     startStr: start,
     endStr: end,
   });
-  console.log("[Morgan/pull-leads] raw rows:", raw.length);
-
-  // Apply business rules in Node (reliable handling of empty/null Member_ID)
-  let rows = raw.filter(
-    (r) =>
-      r.status !== "MC" &&
-      r.status_name !== "MC" &&
-      r.status !== "MQ" &&
-      r.status_name !== "MQ"
-  );
-
-  // Apply business rules in Node (reliable handling of empty/null Member_ID)
-  rows = rows.filter(hasEmptyMemberId);
-
-  rows = rows
-    .map(normalizeConvosoLead)
-    .filter(Boolean)
-    .filter((r) => typeof r.call_count === "number" && (r.call_count === 2 || r.call_count === 5));
-
-  const leads = rows.filter((l) => l.phone);
-
-  const final = leads.slice(0, Number(limit) || 50); // keep route's limit behavior
-  console.log("[Morgan/pull-leads] final:", { filtered: leads.length, returned: final.length });
-  return final;
-}
-
-// Pull Yesterday — created_at = PRIOR WORKING DAY (Mon→Fri, else→yesterday)
-async function findYesterdayNonSaleLeads({ timezone = "America/New_York" } = {}) {
-  if (!CONVOSO_AUTH_TOKEN) throw new Error("Missing CONVOSO_AUTH_TOKEN env var");
-
-  const weekday = new Intl.DateTimeFormat("en-US", { timeZone: timezone, weekday: "short" }).format(
-    new Date()
-  );
-  const daysBack = weekday === "Mon" ? 3 : 1;
-  const { start, end } = getDayWindowStrings(timezone, daysBack);
-  console.log("[Morgan/pull-yesterday] created_at window:", { start, end, tz: timezone, weekday, daysBack });
-
-  const raw = await convosoSearchAllListsByCreated({
-    authToken: CONVOSO_AUTH_TOKEN,
-    listIds: MORGAN_LIST_IDS,
-    startStr: start,
-    endStr: end,
+  logger.info(`[Morgan/campaign ${campaign.name}] created_at window:`, { start, end, tz: timezone }, {
+    raw: raw.length,
   });
-  console.log("[Morgan/pull-yesterday] raw rows:", raw.length);
-
-  const leads = raw
-    .filter(
-      (r) =>
-        r.status !== "MC" &&
-        r.status_name !== "MC" &&
-        r.status !== "MQ" &&
-        r.status_name !== "MQ"
-    )
-    .filter(hasEmptyMemberId) // Member_ID empty/null only
-    .map(normalizeConvosoLead)
-    .filter(Boolean)
-    .filter((l) => l.phone);
+  return raw;
+}
 
-  console.log("[Morgan/pull-yesterday] final:", { filtered: leads.length });
-  return leads;
+// Plan a pull from a live Convoso search, or from `entries` when replaying a recorded one
+async function planMorganCampaignPull(campaign, { limit = null, entries = null, now = Date.now() } = {}) {
+  const raw = entries || (await fetchCampaignEntries(campaign));
+  return planCampaignPull(campaign, raw, { isQueued: (id) => morganQueuedIds.has(id), limit, now });
 }
 
-async function runMorganPullYesterdayJob({ timezone = "America/New_York" } = {}) {
-  console.log("[Morgan/pull-yesterday] starting job at", new Date().toISOString());
+/**
+ * Pull one campaign into the queue and log the pull in its history.
+ * With dryRun (or replayed `entries`) nothing is queued, sent to Convoso or
+ * logged: the result lists the leads the pull would queue and hold, the ones
+ * it would skip and why, and the Convoso updates it would send. Dry runs
+ * ignore calling windows; the result reports whether any is open.
+ */
+async function runCampaignPull(campaign, { trigger = "manual", limit = null, dryRun = false, entries = null, now } = {}) {
+  if (dryRun || entries) {
+    const plan = await planMorganCampaignPull(campaign, { limit, entries, now });
+    return {
+      campaign: campaign.name,
+      success: true,
+      dryRun: true,
+      callingWindowOpen: isAnyCallingWindowOpen(),
+      raw: plan.raw,
+      fetched: plan.leads.length,
+      queue: plan.queue,
+      hold: plan.hold,
+      skipped: plan.skipped,
+      convosoUpdates: plan.convosoUpdates,
+    };
+  }
 
-  if (!isBusinessHours()) {
-    console.log("[MorganJobs] Outside business hours; skipping manual pull.");
-    return { success: false, reason: "outside_business_hours" };
+  if (!isAnyCallingWindowOpen()) {
+    logger.info(`[Morgan/campaign ${campaign.name}] No calling window is open; skipping pull.`);
+    return { campaign: campaign.name, success: false, reason: "outside_calling_windows" };
   }
   if (!isMorganEnabled()) {
-    return { success: true, skipped: true, reason: 'MORGAN_ENABLED=false' };
+    return { campaign: campaign.name, success: true, skipped: true, reason: "MORGAN_ENABLED=false" };
   }
 
-  const leads = await findYesterdayNonSaleLeads({ timezone });
-  for (const lead of leads) {
-    await enqueueMorganLead(lead);
+  const startedAt = Date.now();
+  try {
+    const { leads } = await timeJob(`pull:${campaign.name}`, () => planMorganCampaignPull(campaign, { limit }));
+    let queued = 0;
+    for (const lead of leads) {
+      const known = morganQueuedIds.has(lead.id) || isHeld(lead.id);
+      lead.campaign = campaign.name;
+      await enqueueMorganLead(lead);
+      if (!known && (morganQueuedIds.has(lead.id) || isHeld(lead.id))) queued += 1;
+    }
+    recordCampaignPull({ campaign, trigger, startedAt, fetched: leads.length, queued });
+    return { campaign: campaign.name, success: true, fetched: leads.length, queued };
+  } catch (err) {
+    recordCampaignPull({ campaign, trigger, startedAt, error: err.message });
+    throw err;
   }
+}
 
+// Run every enabled campaign that passes `filter`; one failing campaign doesn't stop the rest
+async function runCampaignPulls(filter, options = {}) {
+  const results = [];
+  for (const campaign of getCampaigns().filter((c) => c.enabled && filter(c))) {
+    try {
+      results.push(await runCampaignPull(campaign, options));
+    } catch (err) {
+      logger.error(`[Morgan/campaign ${campaign.name}] pull failed:`, err);
+      results.push({ campaign: campaign.name, success: false, error: err.message });
+    }
+  }
   return {
-    success: true,
-    fetched: leads.length,
+    success: results.every((r) => r.success !== false),
+    fetched: results.reduce((sum, r) => sum + (r.fetched || 0), 0),
     queue_length: morganQueue.length,
+    campaigns: results,
   };
 }
 
@@ -879,16 +1258,39 @@ function getTimezoneDate(timeZone) {
   return new Date(new Date().toLocaleString("en-US", { timeZone }));
 }
 
-// export not used in this file, but leaving for consistency
-module.exports = { updateConvosoLead, addLeadNote };
-
 // ----- BASIC SETUP -----
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+app.use(requestLogContext);
 app.use(cors());
-app.use(express.urlencoded({ extended: true }));
-app.use(express.json());
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
+app.use(express.json({ verify: captureRawBody }));
+
+// ----- AUTH -----
+app.use(["/webhooks/vapi", "/tools"], requireVapiSecret);
+app.use("/webhooks/convoso", requireConvosoSecret);
+app.use(["/jobs", "/debug", "/admin"], requireAdminToken);
+
+// ----- LEADER FORWARDING -----
+// Standbys hold no live state: webhooks, tool calls, pull jobs and admin
+// requests are handled by the leader (leaderProxy.js). Leader status stays
+// per instance.
+app.use(["/webhooks", "/tools", "/jobs", "/admin"], (req, res, next) => {
+  if (req.originalUrl.startsWith("/admin/morgan/leader")) return next();
+  return forwardToLeader(req, res, next);
+});
+
+// Tag everything logged for a Vapi webhook or tool call with its call and lead
+app.use(["/webhooks/vapi", "/tools"], (req, res, next) => {
+  const body = req.body || {};
+  const call = body.message?.call || body.call || {};
+  addLogContext({
+    callId: call.id || body.message?.callId || body.callId || undefined,
+    leadId: call.metadata?.convosoLeadId || undefined,
+  });
+  next();
+});
 
 // ----- HEALTHCHECK -----
 app.get("/", (req, res) => {
@@ -896,52 +1298,163 @@ app.get("/", (req, res) => {
 });
 
 app.get("/health", (req, res) => {
-  res.status(200).json({ ok: true, env: "ai-calling-backend", version: "v3-voice-gateway" });
+  res.status(200).json({
+    ok: true,
+    env: "ai-calling-backend",
+    version: "v3-voice-gateway",
+    instanceId: getInstanceId(),
+    leader: isLeader(),
+  });
+});
+
+// ----- METRICS (Prometheus) -----
+function countSlotsBy(predicate) {
+  return Array.from(morganSlots.keys()).filter(predicate).length;
+}
+
+registerGauge("morgan_queue_depth", "Leads waiting in the Morgan queue", () => morganQueue.length);
+registerGauge("morgan_held_leads", "Leads held back by the retry cadence", () => listHeldLeads().length);
+registerGauge("morgan_callbacks_scheduled", "Callbacks waiting for their time", () =>
+  listCallbacks({ status: "scheduled" }).total
+);
+registerGauge("morgan_inflight_leads", "Leads dequeued whose call has not started yet", () => morganInflight.size);
+registerGauge("morgan_slots", "Morgan dialing slots by state", () => [
+  { labels: { state: "busy" }, value: countSlotsBy((id) => morganSlots.get(id).busy) },
+  { labels: { state: "free" }, value: getFreeMorganSlots().length },
+  { labels: { state: "paused" }, value: countSlotsBy((id) => getSlotControl(id).mode === "paused") },
+  { labels: { state: "draining" }, value: countSlotsBy((id) => getSlotControl(id).mode === "draining") },
+]);
+registerGauge("morgan_dialer_active", "1 when the dialer is active (not paused or draining)", () =>
+  getDialerControl().mode === "active" ? 1 : 0
+);
+registerGauge("morgan_caller_number_answer_rate", "Answer rate of each caller number over the health window", () =>
+  assessMorganCallerNumbers()
+    .numbers.filter((entry) => entry.answerRate != null)
+    .map((entry) => ({ labels: { phone_number_id: entry.phoneNumberId }, value: entry.answerRate }))
+);
+registerGauge("morgan_leader", "1 while this instance is the leader that pulls and dials", () => (isLeader() ? 1 : 0));
+registerGauge("morgan_enabled", "1 when the Morgan kill switch allows dialing", () => (isMorganEnabled() ? 1 : 0));
+registerGauge("morgan_vapi_last_429_timestamp_seconds", "Unix time of the last Vapi 429", () =>
+  Math.floor(getLastVapi429At() / 1000)
+);
+registerGauge("morgan_vapi_backoff_remaining_seconds", "Seconds left in the Vapi 429 backoff", () =>
+  Math.max(0, (getLastVapi429At() + VAPI_429_BACKOFF_MS - Date.now()) / 1000)
+);
+registerGauge("morgan_convoso_update_queue_length", "Convoso lead updates waiting to be sent", () =>
+  getOutboxStats().pending
+);
+registerGauge("morgan_convoso_outbox_dead", "Convoso lead updates in the dead-letter list", () =>
+  getOutboxStats().dead
+);
+registerGauge("morgan_ops_call_log_pending", "Ended calls waiting to be pushed to the ops-api call log", () =>
+  getOpsCallLogStats().pending
+);
+registerGauge("morgan_convoso_circuit_open", "1 while the Convoso circuit breaker is open", () =>
+  isConvosoCircuitOpen() ? 1 : 0
+);
+
+app.get("/metrics", requireMetricsToken, (req, res) => {
+  res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.send(renderMetrics());
 });
 
 // ----- MORGAN JOBS -----
+
+// Every pull job takes dryRun (body or ?dryRun=true): report what the pull would do, change nothing
+function isDryRun(req) {
+  return req.body?.dryRun === true || req.query.dryRun === "true";
+}
+
+// Runs the same-day campaigns (new and call-count). Body: { limit?, campaign?, dryRun? }
 app.post("/jobs/morgan/pull-leads", async (req, res) => {
   try {
-    if (!isBusinessHours()) {
-      console.log("[MorganJobs] Outside business hours; skipping manual pull.");
-      return res.json({ success: false, reason: "outside_business_hours" });
+    const dryRun = isDryRun(req);
+    if (!dryRun && !isAnyCallingWindowOpen()) {
+      logger.info("[MorganJobs] No calling window is open; skipping manual pull.");
+      return res.json({ success: false, reason: "outside_calling_windows" });
     }
-    if (!isMorganEnabled()) {
+    if (!dryRun && !isMorganEnabled()) {
       return res.json({ success: true, skipped: true, reason: 'MORGAN_ENABLED=false' });
     }
 
-    const limit = Number(req.body?.limit) || 50;
-
-    const leads = await findLeadsForMorganByCallCount({ limit });
-    for (const lead of leads) {
-      await enqueueMorganLead(lead);
-    }
-
-    return res.json({
-      success: true,
-      fetched: leads.length,
-      queue_length: morganQueue.length,
-    });
+    const limit = Number(req.body?.limit) || null;
+    const only = req.body?.campaign || null;
+    const result = await runCampaignPulls(
+      (c) => (only ? c.name === only : c.strategy !== "yesterday-non-sale"),
+      { trigger: "manual", limit, dryRun }
+    );
+    return res.json(result);
   } catch (err) {
-    console.error("[/jobs/morgan/pull-leads] error:", err);
+    logger.error("[/jobs/morgan/pull-leads] error:", err);
     res.status(500).json({ success: false, error: err.message || "Failed to pull leads" });
   }
 });
 
+// Runs the yesterday non-sale campaigns. Body: { dryRun? }
 app.post("/jobs/morgan/pull-yesterday", async (req, res) => {
   try {
-    const timezone = req.body?.timezone || "America/New_York";
-    const result = await runMorganPullYesterdayJob({ timezone });
-
+    const result = await runCampaignPulls((c) => c.strategy === "yesterday-non-sale", {
+      trigger: "manual",
+      dryRun: isDryRun(req),
+    });
     return res.json(result);
   } catch (err) {
-    console.error("[/jobs/morgan/pull-yesterday] error:", err);
+    logger.error("[/jobs/morgan/pull-yesterday] error:", err);
     res
       .status(500)
       .json({ success: false, error: err.message || "Failed to pull yesterday leads" });
   }
 });
 
+// Body: { limit?, dryRun? }
+app.post("/jobs/morgan/campaigns/:name/pull", async (req, res) => {
+  const campaign = getCampaign(req.params.name);
+  if (!campaign) {
+    return res.status(404).json({ success: false, error: "Campaign not found" });
+  }
+  try {
+    const result = await runCampaignPull(campaign, {
+      trigger: "manual",
+      limit: Number(req.body?.limit) || null,
+      dryRun: isDryRun(req),
+    });
+    return res.json({ ...result, queue_length: morganQueue.length });
+  } catch (err) {
+    logger.error(`[/jobs/morgan/campaigns/${campaign.name}/pull] error:`, err);
+    return res.status(500).json({ success: false, error: err.message || "Failed to pull campaign" });
+  }
+});
+
+// Replays recorded Convoso search responses through the campaign's pull, always as a dry run.
+// Body: { responses: [<leads/search response body>, ...] | entries: [<lead row>, ...], limit?, now? }
+// `now` (ISO) evaluates cadence and calling windows as of the recording.
+app.post("/jobs/morgan/campaigns/:name/replay", async (req, res) => {
+  const campaign = getCampaign(req.params.name);
+  if (!campaign) {
+    return res.status(404).json({ success: false, error: "Campaign not found" });
+  }
+  const { responses, entries, limit, now } = req.body || {};
+  if (!Array.isArray(responses) && !Array.isArray(entries)) {
+    return res.status(400).json({ success: false, error: "Send responses (search response bodies) or entries (lead rows)" });
+  }
+  const at = now ? Date.parse(now) : Date.now();
+  if (Number.isNaN(at)) {
+    return res.status(400).json({ success: false, error: "now must be an ISO timestamp" });
+  }
+  try {
+    const result = await runCampaignPull(campaign, {
+      trigger: "replay",
+      limit: Number(limit) || null,
+      entries: Array.isArray(entries) ? entries : responses.flatMap(extractSearchEntries),
+      now: at,
+    });
+    return res.json(result);
+  } catch (err) {
+    logger.error(`[/jobs/morgan/campaigns/${campaign.name}/replay] error:`, err);
+    return res.status(500).json({ success: false, error: err.message || "Failed to replay campaign pull" });
+  }
+});
+
 // ----- WEBHOOK: CONVOSO → MORGAN OUTBOUND -----
 app.post("/webhooks/convoso/new-lead", async (req, res) => {
   try {
@@ -949,8 +1462,7 @@ app.post("/webhooks/convoso/new-lead", async (req, res) => {
       return res.json({ success: true, skipped: true, reason: 'MORGAN_ENABLED=false' });
     }
 
-    console.log("[Convoso webhook] headers:", req.headers);
-    console.log("[Convoso webhook] raw body:", req.body);
+    logger.debug("[Convoso webhook] raw body:", req.body);
 
     let body = req.body || {};
 
@@ -962,10 +1474,10 @@ app.post("/webhooks/convoso/new-lead", async (req, res) => {
       if (onlyKey.trim().startsWith("{")) {
         try {
           const parsed = JSON.parse(onlyKey);
-          console.log("[Convoso webhook] parsed lone JSON key:", parsed);
+          logger.debug("[Convoso webhook] parsed lone JSON key:", parsed);
           body = parsed;
         } catch (e) {
-          console.error("[Convoso webhook] failed to parse lone JSON key:", e);
+          logger.error("[Convoso webhook] failed to parse lone JSON key:", e);
         }
       }
     }
@@ -973,19 +1485,28 @@ app.post("/webhooks/convoso/new-lead", async (req, res) => {
     if (body.params && typeof body.params === "string") {
       try {
         const parsedParams = JSON.parse(body.params);
-        console.log("[Convoso webhook] parsed body.params JSON:", parsedParams);
+        logger.debug("[Convoso webhook] parsed body.params JSON:", parsedParams);
         body = { ...body, ...parsedParams };
       } catch (e) {
-        console.error("[Convoso webhook] failed to parse body.params JSON:", e);
+        logger.error("[Convoso webhook] failed to parse body.params JSON:", e);
       }
     }
 
+    addLogContext({ leadId: body.lead_id || body.id || undefined });
+
     const memberId = getMemberIdValue(body);
     if (memberId) {
       body.member_id = memberId;
       logger.info(
         `[Convoso webhook] Skipping lead ${body.lead_id || body.id || "(unknown)"} due to Member ID: ${memberId}`
       );
+      recordSkip({
+        leadId: body.lead_id || body.id || null,
+        listId: body.list_id ?? null,
+        phone: body.phone || body.phone_number || body.phoneNumber || null,
+        reason: "member_id",
+        path: "convoso-webhook",
+      });
       return res.json({ success: true, skipped: true, reason: "member_id_present" });
     }
 
@@ -997,43 +1518,161 @@ app.post("/webhooks/convoso/new-lead", async (req, res) => {
       null;
 
     if (!rawPhone) {
-      console.error("[Convoso webhook] Missing phone number. Body was:", body);
+      logger.error("[Convoso webhook] Missing phone number. Body was:", body);
       return res
         .status(400)
         .json({ error: "Missing phone/phone_number in Convoso payload" });
     }
 
-    let customerNumber = String(rawPhone).trim().replace(/\D/g, "");
-    if (!customerNumber) {
-      return res
-        .status(400)
-        .json({ error: "Phone in Convoso payload had no digits" });
-    }
-    if (!customerNumber.startsWith("+")) {
-      customerNumber = "+1" + customerNumber;
+    if (!isMorganEnabled(body.list_id)) {
+      logger.info(`[Convoso webhook] Morgan disabled for list ${body.list_id}; not dialing`);
+      return res.json({ success: true, skipped: true, reason: "list_disabled" });
     }
 
-    const metadata = {
-      source: "convoso",
-      convosoLeadId: body.lead_id || body.id || null,
-      convosoListId: body.list_id || null,
-      convosoMemberId: memberId,
-      convosoRaw: body,
-    };
+    const phoneCheck = validatePhoneNumber(rawPhone);
+    if (!phoneCheck.valid) {
+      const leadId = body.lead_id || body.id || null;
+      await skipInvalidPhone({ id: leadId, phone: rawPhone }, phoneCheck, {
+        path: "convoso-webhook",
+        listId: body.list_id ?? null,
+      });
+      return res.json({ success: true, skipped: true, reason: "invalid_phone", detail: phoneCheck.reason });
+    }
+    const customerNumber = phoneCheck.e164;
+
+    const dnc = getSuppression(customerNumber);
+    if (dnc) {
+      logger.info(`[Convoso webhook] Skipping lead ${body.lead_id || body.id || "(unknown)"}: number is on the DNC list`);
+      recordSkip({
+        leadId: body.lead_id || body.id || null,
+        listId: body.list_id ?? null,
+        phone: customerNumber,
+        reason: "dnc",
+        path: "convoso-webhook",
+        detail: dnc.source,
+      });
+      return res.json({ success: true, skipped: true, reason: "dnc" });
+    }
 
-    console.log(
-      "[Convoso webhook] starting Morgan call to:",
-      customerNumber,
+    const lead = normalizeConvosoLead({ ...body, phone_number: customerNumber });
+
+    // Cadence applies to webhook leads too: exhausted leads are skipped,
+    // leads dialed too recently are held by enqueueMorganLead
+    const cadence = lead?.id ? evaluateCadence(lead) : null;
+    if (cadence?.exhausted) {
+      recordSkip({
+        leadId: lead.id,
+        listId: body.list_id ?? null,
+        phone: customerNumber,
+        reason: "attempts_exhausted",
+        path: "convoso-webhook",
+      });
+      return res.json({ success: true, skipped: true, reason: "attempts_exhausted" });
+    }
+    if (cadence && !cadence.due) {
+      await enqueueMorganLead(lead);
+      return res.json({ success: true, queued: true, reason: cadence.reason });
+    }
+
+    // Outside the lead's local calling window: queue it instead of dialing now
+    const callingWindow = checkCallingWindow(body);
+    if (!callingWindow.allowed) {
+      if (!lead?.id) {
+        logger.info(`[Convoso webhook] Outside calling window (${callingWindow.reason}) and no lead_id; not dialing`);
+        return res.json({ success: true, skipped: true, reason: callingWindow.reason });
+      }
+      await enqueueMorganLead(lead);
+      logger.info(`[Convoso webhook] Lead ${lead.id} outside calling window (${callingWindow.reason}); queued`);
+      return res.json({ success: true, queued: true, reason: callingWindow.reason });
+    }
+
+    // Same as the queue tick: while Convoso isn't taking updates, a call's
+    // status would never be written, so the lead waits in the queue instead
+    if (isConvosoCircuitOpen()) {
+      if (!lead?.id) {
+        logger.warn("[Convoso webhook] Convoso circuit open and no lead_id; not dialing");
+        return res.json({ success: true, skipped: true, reason: "convoso_circuit_open" });
+      }
+      await enqueueMorganLead(lead);
+      logger.warn(`[Convoso webhook] Convoso circuit open; lead ${lead.id} queued`);
+      return res.json({ success: true, queued: true, reason: "convoso_circuit_open" });
+    }
+
+    // Dial on a free, active slot from the route's number pool so paused/draining
+    // numbers and the concurrency limit are respected; otherwise the queue picks
+    // the lead up when a slot frees
+    const routing = routeMorganLead(lead);
+    const slotId = getFreeMorganSlots().find((id) => routeAllowsNumber(routing, id)) || null;
+    if (!slotId) {
+      if (!lead?.id) {
+        logger.info("[Convoso webhook] No free Morgan slot and no lead_id; not dialing");
+        return res.json({ success: true, skipped: true, reason: "no_free_slot" });
+      }
+      await enqueueMorganLead(lead);
+      logger.info(`[Convoso webhook] No free Morgan slot; lead ${lead.id} queued`);
+      return res.json({ success: true, queued: true, reason: "no_free_slot" });
+    }
+
+    const metadata = {
+      source: "convoso",
+      convosoLeadId: body.lead_id || body.id || null,
+      convosoListId: body.list_id || null,
+      convosoMemberId: memberId,
+      convosoLead: body,
+      ...routingMetadata(routing),
+    };
+
+    logger.info(
+      `[Convoso webhook] starting ${routing.agentName} call (route ${routing.route}) to:`,
+      customerNumber,
       "metadata:",
-      metadata
+      { ...metadata, convosoLead: undefined }
     );
 
-    const voiceResult = await startOutboundCall({
-      agentType: "morgan",
-      agentName: "Morgan",
+    // Reserve the slot before the await so a queue tick can't take it meanwhile
+    markMorganSlotBusy(slotId, null, lead?.id || null);
+    const assistantOverrides = voicemailDropFor(metadata.convosoLeadId);
+    let voiceResult;
+    try {
+      voiceResult = await startOutboundCall({
+        agentType: "morgan",
+        agentName: routing.agentName,
+        assistantId: routing.assistantId,
+        assistantOverrides,
+        toNumber: customerNumber,
+        metadata,
+        callName: routing.callName || `${routing.agentName} Outbound Qualifier`,
+        phoneNumberId: slotId,
+      });
+    } catch (err) {
+      freeMorganSlot(slotId);
+      incCounter("morgan_calls_failed_total", {
+        path: "convoso",
+        reason: err?.statusCode === 429 ? "rate_limited" : "error",
+      });
+      throw err;
+    }
+
+    if (voiceResult?.callId) {
+      markMorganSlotBusy(slotId, voiceResult.callId, lead?.id || null);
+      incCounter("morgan_calls_launched_total", { path: "convoso" });
+    } else {
+      freeMorganSlot(slotId);
+    }
+    if (voiceResult?.callId && lead?.id) recordAttempt(lead);
+    recordCallStarted({
+      callId: voiceResult?.callId,
+      provider: voiceResult?.provider,
+      source: "convoso",
+      leadId: metadata.convosoLeadId,
+      listId: metadata.convosoListId,
+      phoneNumberId: voiceResult?.phoneNumberId,
+      assistantId: voiceResult?.assistantId,
+      assistant: routing.assistant,
+      route: routing.route,
+      variant: routing.variant,
       toNumber: customerNumber,
-      metadata,
-      callName: "Morgan Outbound Qualifier",
+      voicemailDrop: !!assistantOverrides,
     });
 
     return res.json({
@@ -1042,7 +1681,7 @@ app.post("/webhooks/convoso/new-lead", async (req, res) => {
       call_id: voiceResult.callId,
     });
   } catch (err) {
-    console.error("[Convoso webhook] error:", err);
+    logger.error("[Convoso webhook] error:", err);
     res.status(500).json({ error: "Failed to trigger Morgan outbound call" });
   }
 });
@@ -1054,7 +1693,8 @@ app.post("/debug/test-call", async (req, res) => {
       return res.json({ success: true, skipped: true, reason: 'MORGAN_ENABLED=false' });
     }
 
-    const { phone } = req.body || {};
+    // list_id / state are optional and only used to pick a route from the routing table
+    const { phone, list_id: listId = null, state = null } = req.body || {};
 
     if (!phone) {
       return res.status(400).json({
@@ -1063,17 +1703,32 @@ app.post("/debug/test-call", async (req, res) => {
       });
     }
 
-    let customerNumber = String(phone).trim().replace(/\D/g, "");
-    if (!customerNumber.startsWith("+")) {
-      customerNumber = "+1" + customerNumber;
+    const phoneCheck = validatePhoneNumber(phone);
+    if (!phoneCheck.valid) {
+      return res.status(400).json({ success: false, error: `Invalid phone: ${phoneCheck.message}`, reason: phoneCheck.reason });
     }
+    const customerNumber = phoneCheck.e164;
 
+    const routing = routeMorganLead({ list_id: listId, state });
     const result = await startOutboundCall({
       agentType: "morgan",
-      agentName: "Morgan",
+      agentName: routing.agentName,
+      assistantId: routing.assistantId,
+      toNumber: customerNumber,
+      metadata: { source: "debug-test-call", ...routingMetadata(routing) },
+      callName: `${routing.agentName} Debug Test`,
+      phoneNumberId: routing.phoneNumberIds ? routing.phoneNumberIds[0] : undefined,
+    });
+    recordCallStarted({
+      callId: result.callId,
+      provider: result.provider,
+      source: "debug-test-call",
+      phoneNumberId: result.phoneNumberId,
+      assistantId: result.assistantId,
+      assistant: routing.assistant,
+      route: routing.route,
+      variant: routing.variant,
       toNumber: customerNumber,
-      metadata: { source: "debug-test-call" },
-      callName: "Morgan Debug Test",
     });
 
     return res.json({
@@ -1084,7 +1739,7 @@ app.post("/debug/test-call", async (req, res) => {
       raw: result.raw,
     });
   } catch (err) {
-    console.error("[DEBUG /debug/test-call] error:", err);
+    logger.error("[DEBUG /debug/test-call] error:", err);
     return res.status(500).json({
       success: false,
       error: err.message || "Unknown error"
@@ -1110,7 +1765,7 @@ app.post("/debug/hydrate-mq", async (req, res) => {
       sample,
     });
   } catch (err) {
-    console.error("[/debug/hydrate-mq] error:", err);
+    logger.error("[/debug/hydrate-mq] error:", err);
     return res.status(500).json({
       success: false,
       error: err.message || "Failed to debug fetch MQ leads",
@@ -1128,7 +1783,7 @@ app.post("/debug/hydrate-mq-raw", async (req, res) => {
       sample: mq.slice(0, 50), // capped sample
     });
   } catch (err) {
-    console.error("[/debug/hydrate-mq-raw] error:", err);
+    logger.error("[/debug/hydrate-mq-raw] error:", err);
     return res.status(500).json({
       success: false,
       error: err.message || "Failed to debug fetch raw MQ leads",
@@ -1136,13 +1791,595 @@ app.post("/debug/hydrate-mq-raw", async (req, res) => {
   }
 });
 
+// ----- ADMIN: LOG LEVEL -----
+// Applies to this instance until it restarts; LOG_LEVEL sets the starting level
+app.get("/admin/morgan/log-level", (req, res) => {
+  res.json({ success: true, level: getLogLevel() });
+});
+
+app.put("/admin/morgan/log-level", (req, res) => {
+  try {
+    const previous = getLogLevel();
+    const level = setLogLevel(req.body?.level);
+    logger.warn(`[MorganLogs] Log level ${previous} -> ${level}`);
+    return res.json({ success: true, level, instanceId: getInstanceId() });
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+// ----- ADMIN: CALLING WINDOWS / HOLIDAY CALENDAR -----
+app.get("/admin/morgan/calling-windows", (req, res) => {
+  const calendar = getCallingCalendar();
+  const state = req.query?.state;
+  return res.json({
+    success: true,
+    calendar,
+    check: state ? checkCallingWindow({ state }) : undefined,
+  });
+});
+
+app.put("/admin/morgan/calling-windows", (req, res) => {
+  try {
+    const calendar = updateCallingCalendar(req.body || {});
+    logger.info("[CallingWindows] Calendar updated");
+    return res.json({ success: true, calendar });
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+// ----- ADMIN: DO-NOT-CALL / SUPPRESSION -----
+app.get("/admin/morgan/suppression", (req, res) => {
+  const phone = req.query?.phone;
+  if (phone) {
+    return res.json({ success: true, phone, suppressed: getSuppression(phone) });
+  }
+  const limit = Math.min(Number(req.query?.limit) || 500, 5000);
+  const offset = Number(req.query?.offset) || 0;
+  return res.json({ success: true, ...listSuppressions({ source: req.query?.source, limit, offset }) });
+});
+
+app.post("/admin/morgan/suppression", (req, res) => {
+  const { phone, reason } = req.body || {};
+  const entry = addSuppression({ phone, reason: reason || null, source: "internal" });
+  if (!entry) {
+    return res.status(400).json({ success: false, error: "A valid 10-digit US phone number is required" });
+  }
+  return res.json({ success: true, entry });
+});
+
+app.delete("/admin/morgan/suppression/:phone", (req, res) => {
+  const removed = removeSuppression(req.params.phone);
+  return res.status(removed ? 200 : 404).json({ success: removed });
+});
+
+// Body: raw CSV / text (Content-Type text/plain or text/csv), or JSON { content, source }
+app.post(
+  "/admin/morgan/suppression/import",
+  express.text({ type: ["text/plain", "text/csv"], limit: "20mb" }),
+  (req, res) => {
+    const isText = typeof req.body === "string";
+    const content = isText ? req.body : req.body?.content;
+    if (!content) {
+      return res.status(400).json({ success: false, error: "No DNC file content provided" });
+    }
+    const source = `import:${(isText ? req.query?.source : req.body?.source) || "file"}`;
+    const result = importSuppressionFile(content, { source });
+    logger.info(`[Suppression] Imported DNC file (${source}):`, result);
+    return res.json({ success: true, source, ...result });
+  }
+);
+
+app.get("/admin/morgan/suppression/skips", (req, res) => {
+  const { since, until, reason } = req.query || {};
+  const limit = Math.min(Number(req.query?.limit) || 500, 5000);
+  return res.json({ success: true, ...getSkips({ since, until, reason, limit }) });
+});
+
+// Rebuild the queue lead from the Convoso row Morgan attached to the call metadata
+function leadFromCallEvent(event) {
+  const metadata = event.metadata || {};
+  const lead = normalizeConvosoLead(metadata.convosoLead) || {};
+  lead.id = lead.id || event.leadId;
+  lead.list_id = lead.list_id ?? metadata.convosoListId ?? null;
+  lead.phone = lead.phone || event.call?.customer?.number || null;
+  lead.phone_number = lead.phone_number || lead.phone;
+  lead.raw = lead.raw || metadata.convosoLead || null;
+  return lead;
+}
+
+// ----- ADMIN: RETRY CADENCE -----
+app.get("/admin/morgan/cadence", (req, res) => {
+  return res.json({ success: true, config: getCadenceConfig(), held: listHeldLeads() });
+});
+
+app.put("/admin/morgan/cadence", (req, res) => {
+  try {
+    const config = updateCadenceConfig(req.body || {});
+    logger.info("[MorganCadence] Policy updated");
+    return res.json({ success: true, config });
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+app.get("/admin/morgan/cadence/leads/:leadId", (req, res) => {
+  const record = getLeadCadence(req.params.leadId);
+  if (!record) {
+    return res.status(404).json({ success: false, error: "No cadence history for this lead" });
+  }
+  const evaluation = evaluateCadence({ id: req.params.leadId, list_id: record.listId });
+  return res.json({
+    success: true,
+    ...record,
+    due: evaluation.due,
+    exhausted: evaluation.exhausted,
+    nextEligibleAt: evaluation.nextEligibleAt ? new Date(evaluation.nextEligibleAt).toISOString() : null,
+    reason: evaluation.reason,
+  });
+});
+
+// ----- ADMIN: CALL OUTCOMES / VOICEMAIL DROP -----
+app.get("/admin/morgan/call-outcomes", (req, res) => {
+  return res.json({ success: true, config: getOutcomeConfig() });
+});
+
+app.put("/admin/morgan/call-outcomes", (req, res) => {
+  try {
+    const config = updateOutcomeConfig(req.body || {});
+    logger.info("[MorganOutcomes] Outcome handling updated");
+    return res.json({ success: true, config });
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+// ----- ADMIN: CALLER NUMBER HEALTH -----
+app.get("/admin/morgan/caller-health", (req, res) => {
+  return res.json({ success: true, config: getCallerHealthConfig(), ...assessMorganCallerNumbers() });
+});
+
+// Body: { windowHours?, minCalls?, minAnswerRate?, poolRatio?, autoRotate? }
+app.put("/admin/morgan/caller-health", (req, res) => {
+  try {
+    const config = updateCallerHealthConfig(req.body || {});
+    logger.info("[MorganCallerHealth] Caller health settings updated");
+    return res.json({ success: true, config, ...assessMorganCallerNumbers() });
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+// Flag (and with autoRotate, drain) suspect numbers now instead of waiting for the next check
+app.post("/admin/morgan/caller-health/check", (req, res) => {
+  return res.json({ success: true, ...checkCallerNumberHealth(), slots: describeMorganSlots() });
+});
+
+// ----- ADMIN: QUEUE PRIORITY -----
+app.get("/admin/morgan/queue-priority", (req, res) => {
+  return res.json({ success: true, config: getPriorityConfig() });
+});
+
+app.put("/admin/morgan/queue-priority", (req, res) => {
+  try {
+    const config = updatePriorityConfig(req.body || {});
+    logger.info("[MorganQueue] Priority scoring updated");
+    return res.json({ success: true, config });
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+// Current dial order with each lead's score breakdown; query: limit, offset
+app.get("/admin/morgan/queue", (req, res) => {
+  const limit = Math.min(Number(req.query?.limit) || 100, 1000);
+  const offset = Number(req.query?.offset) || 0;
+  const ranked = rankMorganQueue();
+  const leads = ranked.slice(offset, offset + limit).map((r, i) => {
+    const callingWindow = checkCallingWindow(r.lead);
+    const listEnabled = isMorganEnabled(getLeadListId(r.lead));
+    const queuedAt = morganQueuedIdsTimestamps.get(r.lead.id);
+    return {
+      rank: offset + i + 1,
+      leadId: r.lead.id,
+      listId: getLeadListId(r.lead),
+      state: callingWindow.state,
+      queuedAt: queuedAt ? new Date(queuedAt).toISOString() : null,
+      eligible: callingWindow.allowed && listEnabled,
+      blockedBy: !callingWindow.allowed ? callingWindow.reason : listEnabled ? null : "list_disabled",
+      route: routeMorganLead(r.lead),
+      score: r.score,
+      factors: r.factors,
+    };
+  });
+  return res.json({ success: true, total: ranked.length, leads });
+});
+
+// ----- ADMIN: ASSISTANT ROUTING -----
+app.get("/admin/morgan/routing", (req, res) => {
+  return res.json({ success: true, config: getRoutingConfig() });
+});
+
+// body: { assistants?: { [key]: { name, assistantId } | null }, routes?: [...] } (routes replace the table)
+app.put("/admin/morgan/routing", (req, res) => {
+  try {
+    const config = updateRoutingConfig(req.body || {});
+    logger.info(`[MorganRouting] Routing table updated: ${config.routes.length} routes`);
+    return res.json({ success: true, config });
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+// ----- ADMIN: CAMPAIGNS -----
+function describeCampaigns() {
+  return getCampaigns().map((campaign) => ({ ...campaign, lastPull: getLastCampaignPull(campaign.name) }));
+}
+
+app.get("/admin/morgan/campaigns", (req, res) => {
+  return res.json({ success: true, campaigns: describeCampaigns() });
+});
+
+// body: { campaigns: [...] } (replaces the whole list)
+app.put("/admin/morgan/campaigns", (req, res) => {
+  try {
+    const campaigns = updateCampaigns(req.body?.campaigns);
+    scheduleMorganCampaigns();
+    logger.info(`[MorganCampaigns] Campaigns updated: ${campaigns.map((c) => c.name).join(", ") || "none"}`);
+    return res.json({ success: true, campaigns: describeCampaigns() });
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+// Query: limit
+app.get("/admin/morgan/campaigns/:name/pulls", (req, res) => {
+  if (!getCampaign(req.params.name)) {
+    return res.status(404).json({ success: false, error: "Campaign not found" });
+  }
+  const limit = Math.min(Number(req.query?.limit) || 50, 500);
+  return res.json({ success: true, ...listCampaignPulls({ campaign: req.params.name, limit }) });
+});
+
+// ----- ADMIN: KILL SWITCH -----
+app.get("/admin/morgan/toggle", (req, res) => {
+  const limit = Math.min(Number(req.query?.limit) || 100, 1000);
+  return res.json({ success: true, ...getMorganToggleStatus(), audit: getMorganToggleAudit({ limit }) });
+});
+
+// Body: { enabled: true|false|null, listId?, changedBy, reason } (null clears the override).
+// changedBy is self-reported; the audit also keeps the caller the auth guard saw.
+app.put("/admin/morgan/toggle", (req, res) => {
+  const { enabled, listId = null, changedBy, reason } = req.body || {};
+  const caller = describeCaller(req);
+  try {
+    const status = setMorganEnabled({ enabled, listId, changedBy, reason, caller });
+    logger.warn(
+      `[Morgan] Kill switch: ${listId != null ? `list ${listId}` : "global"} -> ${enabled} by ${changedBy} ` +
+        `(self-reported; ${caller.guard} token from ${caller.ip}) (${reason})`
+    );
+    return res.json({ success: true, ...status });
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+// ----- ADMIN: SLOTS / DIALER -----
+function describeMorganSlots() {
+  const now = Date.now();
+  return getPhoneNumberIds().map((phoneNumberId) => {
+    const slot = morganSlots.get(phoneNumberId) || {};
+    const control = getSlotControl(phoneNumberId);
+    return {
+      phoneNumberId,
+      mode: control.mode,
+      reason: control.reason,
+      modeChangedAt: control.changedAt,
+      removing: !!control.removing,
+      busy: !!slot.busy,
+      callId: slot.callId || null,
+      leadId: slot.leadId || null,
+      startedAt: slot.startedAt ? new Date(slot.startedAt).toISOString() : null,
+      ageSeconds: slot.startedAt ? Math.round((now - slot.startedAt) / 1000) : null,
+    };
+  });
+}
+
+const SLOT_ACTIONS = { pause: "paused", resume: "active", drain: "draining" };
+
+app.get("/admin/morgan/slots", (req, res) => {
+  return res.json({
+    success: true,
+    dialer: getDialerControl(),
+    slots: describeMorganSlots(),
+    queueLength: morganQueue.length,
+  });
+});
+
+// Body: { phoneNumberId }
+app.post("/admin/morgan/slots", (req, res) => {
+  try {
+    const id = addPhoneNumber(req.body?.phoneNumberId);
+    syncMorganSlotsWithPool();
+    persistMorganQueueState();
+    logger.info(`[MorganSlots] Added ${id} to the slot pool`);
+    return res.json({ success: true, slots: describeMorganSlots() });
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+// Idle numbers leave the pool now; busy ones drain and leave when their call ends
+app.delete("/admin/morgan/slots/:phoneNumberId", (req, res) => {
+  const { phoneNumberId } = req.params;
+  const result = removePhoneNumber(phoneNumberId, { busy: !!morganSlots.get(phoneNumberId)?.busy });
+  if (!result) {
+    return res.status(404).json({ success: false, error: "Unknown phoneNumberId" });
+  }
+  syncMorganSlotsWithPool();
+  persistMorganQueueState();
+  logger.info(`[MorganSlots] Remove ${phoneNumberId}: ${result}`);
+  return res.json({ success: true, result, slots: describeMorganSlots() });
+});
+
+// :action = pause | resume | drain; body: { reason? }
+app.post("/admin/morgan/slots/:phoneNumberId/:action", (req, res) => {
+  const mode = SLOT_ACTIONS[req.params.action];
+  if (!mode) {
+    return res.status(404).json({ success: false, error: "Action must be pause, resume or drain" });
+  }
+  try {
+    setSlotMode(req.params.phoneNumberId, mode, req.body?.reason || null);
+    settleMorganSlotPool();
+    logger.info(`[MorganSlots] ${req.params.phoneNumberId} -> ${mode}`);
+    return res.json({ success: true, slots: describeMorganSlots() });
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+app.post("/admin/morgan/dialer/:action", (req, res) => {
+  const mode = SLOT_ACTIONS[req.params.action];
+  if (!mode) {
+    return res.status(404).json({ success: false, error: "Action must be pause, resume or drain" });
+  }
+  setDialerMode(mode, req.body?.reason || null);
+  settleMorganSlotPool();
+  logger.info(`[MorganSlots] Dialer -> ${mode}`);
+  return res.json({ success: true, dialer: getDialerControl(), slots: describeMorganSlots() });
+});
+
+// ----- ADMIN: WATCHDOG / ALERTS -----
+// Query: type (stuck_call | orphan_call | ...), since (ISO), limit
+app.get("/admin/morgan/alerts", (req, res) => {
+  const { type, since } = req.query || {};
+  if (since && Number.isNaN(Date.parse(since))) {
+    return res.status(400).json({ success: false, error: "since must be an ISO timestamp" });
+  }
+  const limit = Math.min(Number(req.query?.limit) || 100, 500);
+  return res.json({ success: true, maxCallMinutes: getMaxCallMs() / 60000, ...listAlerts({ type, since, limit }) });
+});
+
+// Run the stuck-call watchdog now instead of waiting for the next sweep
+app.post("/admin/morgan/watchdog/run", async (req, res) => {
+  try {
+    const result = await runSlotWatchdog();
+    if (!result) {
+      return res.status(409).json({ success: false, error: "Watchdog is already running or state is not restored" });
+    }
+    return res.json({ success: true, ...result, slots: describeMorganSlots() });
+  } catch (err) {
+    logger.error("[MorganWatchdog] Manual run failed:", err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ----- ADMIN: LEADER -----
+// Which instance pulls and dials; standbys forward everything else to it
+app.get("/admin/morgan/leader", async (req, res) => {
+  return res.json({ success: true, ...(await getLeaderStatus()) });
+});
+
+// ----- ADMIN: CONVOSO OUTBOX -----
+// Query: status (pending | dead), leadId, limit
+app.get("/admin/morgan/convoso-outbox", (req, res) => {
+  const { status, leadId } = req.query || {};
+  if (status && status !== "pending" && status !== "dead") {
+    return res.status(400).json({ success: false, error: "status must be pending or dead" });
+  }
+  const limit = Math.min(Number(req.query?.limit) || 200, 1000);
+  return res.json({ success: true, stats: getOutboxStats(), ...listOutbox({ status, leadId, limit }) });
+});
+
+// Re-queue every dead-lettered update
+app.post("/admin/morgan/convoso-outbox/replay", (req, res) => {
+  const replayed = replayDeadLetters();
+  logger.info(`[ConvosoOutbox] Replaying ${replayed} dead-lettered updates`);
+  void processConvosoQueue();
+  return res.json({ success: true, replayed, stats: getOutboxStats() });
+});
+
+app.post("/admin/morgan/convoso-outbox/:id/replay", (req, res) => {
+  const replayed = replayDeadLetters(req.params.id);
+  if (!replayed) {
+    return res.status(404).json({ success: false, error: "No dead-lettered update with that id" });
+  }
+  logger.info(`[ConvosoOutbox] Replaying update ${req.params.id}`);
+  void processConvosoQueue();
+  return res.json({ success: true, replayed, stats: getOutboxStats() });
+});
+
+app.delete("/admin/morgan/convoso-outbox/:id", (req, res) => {
+  if (!discardOutboxEntry(req.params.id)) {
+    return res.status(404).json({ success: false, error: "Update not found" });
+  }
+  logger.info(`[ConvosoOutbox] Discarded update ${req.params.id}`);
+  return res.json({ success: true, stats: getOutboxStats() });
+});
+
+// ----- ADMIN: OPS CALL LOG -----
+app.get("/admin/morgan/ops-call-logs", (req, res) => {
+  const { status } = req.query || {};
+  if (status && status !== "pending" && status !== "dead") {
+    return res.status(400).json({ success: false, error: "status must be pending or dead" });
+  }
+  const limit = Math.min(Number(req.query?.limit) || 200, 1000);
+  return res.json({
+    success: true,
+    configured: isOpsApiConfigured(),
+    stats: getOpsCallLogStats(),
+    ...listOpsCallLogs({ status, limit }),
+  });
+});
+
+// Body: { callId? } (all given-up pushes when omitted)
+app.post("/admin/morgan/ops-call-logs/replay", (req, res) => {
+  const replayed = replayOpsCallLogs(req.body?.callId || null);
+  if (replayed) void sendCallLogsToOps();
+  return res.json({ success: true, replayed });
+});
+
+// ----- ADMIN: CALLBACKS -----
+app.get("/admin/morgan/callbacks", (req, res) => {
+  const { status, leadId } = req.query || {};
+  const limit = Math.min(Number(req.query?.limit) || 100, 1000);
+  return res.json({ success: true, ...listCallbacks({ status, leadId, limit }) });
+});
+
+app.delete("/admin/morgan/callbacks/:leadId", (req, res) => {
+  const cancelled = cancelCallback(req.params.leadId);
+  if (!cancelled) {
+    return res.status(404).json({ success: false, error: "No open callback for this lead" });
+  }
+  logger.info(`[MorganCallbacks] Callback for lead ${req.params.leadId} cancelled by admin`);
+  return res.json({ success: true });
+});
+
+// ----- ADMIN: PRODUCT ELIGIBILITY -----
+// What checkProductEligibility tells Morgan for a state, e.g. ?state=TX
+app.get("/admin/morgan/products/eligibility", async (req, res) => {
+  try {
+    return res.json({ success: true, ...(await checkProductEligibility(String(req.query?.state || ""))) });
+  } catch (err) {
+    return res.status(err.statusCode ? 502 : 400).json({ success: false, error: err.message });
+  }
+});
+
+// ----- ADMIN: WARM TRANSFERS -----
+app.get("/admin/morgan/transfers", (req, res) => {
+  const { leadId, status, agentId } = req.query || {};
+  const limit = Math.min(Number(req.query?.limit) || 100, 1000);
+  return res.json({ success: true, ...listTransfers({ leadId, status, agentId, limit }) });
+});
+
+// ----- ADMIN: REJECTED REQUESTS -----
+app.get("/admin/morgan/auth/rejections", (req, res) => {
+  const { since, guard } = req.query || {};
+  const limit = Math.min(Number(req.query?.limit) || 500, 2000);
+  return res.json({ success: true, ...getRejectedRequests({ since, guard, limit }) });
+});
+
+// ----- ADMIN: CALL RECORDS -----
+function parseCallRecordQuery(query = {}) {
+  return {
+    leadId: query.leadId || undefined,
+    listId: query.listId || undefined,
+    outcome: query.outcome || undefined,
+    endedReason: query.endedReason || undefined,
+    phoneNumberId: query.phoneNumberId || undefined,
+    assistant: query.assistant || undefined,
+    route: query.route || undefined,
+    variant: query.variant || undefined,
+    date: query.date || undefined,
+    since: query.since || undefined,
+    until: query.until || undefined,
+    timezone: query.timezone || undefined,
+    includeTranscript: query.includeTranscript === "true",
+    limit: Math.min(Number(query.limit) || 100, 1000),
+    offset: Number(query.offset) || 0,
+  };
+}
+
+// Query: leadId, listId, outcome, endedReason, phoneNumberId, assistant, route, variant,
+// date (YYYY-MM-DD, Eastern unless timezone=...), since/until (ISO), includeTranscript, limit, offset
+app.get("/admin/morgan/calls", (req, res) => {
+  if (req.query?.date && !/^\d{4}-\d{2}-\d{2}$/.test(req.query.date)) {
+    return res.status(400).json({ success: false, error: "date must be YYYY-MM-DD" });
+  }
+  try {
+    return res.json({ success: true, ...queryCallRecords(parseCallRecordQuery(req.query)) });
+  } catch (err) {
+    // Intl rejects unknown timezones
+    return res.status(400).json({ success: false, error: err.message });
+  }
+});
+
+app.get("/admin/morgan/calls/:callId", (req, res) => {
+  const record = getCallRecord(req.params.callId);
+  if (!record) {
+    return res.status(404).json({ success: false, error: "Call not found" });
+  }
+  return res.json({ success: true, record });
+});
+
+app.get("/admin/morgan/leads/:leadId/calls", (req, res) => {
+  const query = { ...parseCallRecordQuery(req.query), leadId: req.params.leadId };
+  return res.json({ success: true, ...queryCallRecords(query) });
+});
+
+// ----- ADMIN: CAMPAIGN REPORTS -----
+// Query: groupBy (day, hour, list, assistant, slot), from/to (YYYY-MM-DD,
+// inclusive, Eastern unless timezone=...) or since/until (ISO); default last 7 days
+function sendCallReport(req, res, format) {
+  const query = req.query || {};
+  let report;
+  try {
+    report = buildCallReport({
+      groupBy: query.groupBy || undefined,
+      from: query.from || undefined,
+      to: query.to || undefined,
+      since: query.since || undefined,
+      until: query.until || undefined,
+      timezone: query.timezone || undefined,
+    });
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message, groups: REPORT_GROUPS });
+  }
+  if (format === "csv") {
+    res.set("Content-Disposition", `attachment; filename="morgan-calls-by-${report.groupBy}.csv"`);
+    return res.type("text/csv").send(reportToCsv(report));
+  }
+  return res.json({ success: true, ...report });
+}
+
+app.get("/admin/morgan/reports", (req, res) => sendCallReport(req, res, "json"));
+app.get("/admin/morgan/reports.csv", (req, res) => sendCallReport(req, res, "csv"));
+
+// ----- OPS-API CALL LOG -----
+// Ended calls go to the ops-api call log so the AI audit scores Morgan like a human agent
+function sendCallLogsToOps() {
+  return flushOpsCallLogs((payload) => opsApiRequest("/webhooks/morgan/calls", { method: "POST", body: payload }))
+    .catch((err) => {
+      logger.error("[OpsCallLog] flush error:", err);
+    });
+}
+
+function pushCallToOps(record) {
+  if (!isOpsApiConfigured()) return;
+  const assistant = getAssistant(record?.assistant);
+  if (queueOpsCallLog(buildOpsCallPayload(record, { assistantName: assistant?.name }))) void sendCallLogsToOps();
+}
+
+// Retries whose backoff has elapsed and pushes restored from disk
+setInterval(() => {
+  if (isOpsApiConfigured()) void sendCallLogsToOps();
+}, 60 * 1000);
+
 app.post("/webhooks/vapi", async (req, res) => {
   try {
-    const body = req.body || {};
-    const msg = body.message || body;
-    const type = msg.type;
-    const call = msg.call || body.call || {};
-    const callId = call.id || msg.callId || body.callId;
+    const event = parseWebhook(req.body || {});
+    const { type, callId, leadId, summary } = event;
 
     if (!callId) {
       return res.status(200).json({ ok: true });
@@ -1150,81 +2387,131 @@ app.post("/webhooks/vapi", async (req, res) => {
 
     if (type === "end-of-call-report") {
       const freed = freeMorganSlotByCallId(callId);
-      console.log("[VapiWebhook] end-of-call-report for callId", callId, "freed slot:", freed);
-
-      const metadata = call.metadata || msg.metadata || body.metadata || {};
-      const leadId =
-        metadata.convosoLeadId ||
-        metadata.lead_id ||
-        metadata.leadId ||
-        call.lead_id ||
-        call.leadId ||
-        null;
-
-      // Try to grab the call summary from the webhook payload
-      const rawSummary =
-        (body && (body.summary || body.call_summary)) ||
-        (msg && msg.summary) ||
-        (call && call.summary) ||
-        null;
-      const summary = (rawSummary || "").trim();
+      logger.info("[VapiWebhook] end-of-call-report for callId", callId, "freed slot:", freed);
+      const record = recordCallEnded(event);
+      pushCallToOps(record);
+
+      const structured = event.structuredData || {};
+      if (wantsDoNotCall(structured.doNotCall, summary)) {
+        const entry = addSuppression({
+          phone: event.call?.customer?.number || event.metadata?.convosoLead?.phone_number || null,
+          source: "end-of-call",
+          reason: "Lead asked not to be called (end-of-call report)",
+          leadId,
+        });
+        logger.info(`[VapiWebhook] DNC request on call ${callId}; number suppressed: ${!!entry}`);
+      }
+
+      // Voicemail, no answer, busy, failed...: retry on the lead's cadence instead of parking it in MC
+      await applyCallOutcome(event, record);
 
       if (!summary || summary === "NO_SUMMARY") {
-        console.log(
+        logger.info(
           "[logCallOutcome] No live contact or NO_SUMMARY flag; skipping Convoso note."
         );
         return res.json({ success: true, skipped: true });
       }
 
       if (leadId) {
-        const idStr = String(leadId);
-        console.log(
-          `[MorganQueue] end-of-call-report for Convoso lead ${idStr}; leaving status as MC.`
-        );
-
-        console.log(
+        // The lead's status was settled by applyCallOutcome (MC unless its outcome says otherwise)
+        logger.debug(
           "[MorganQueue] end-of-call summary ignored (notes only posted via sendLeadNote tool).",
-          {
-            convosoLeadId: leadId,
-            callId,
-            summary,
-          }
+          { summaryLength: String(summary).length }
         );
-
-        // IMPORTANT: Do NOT change the Convoso status here.
-        // We want the lead to remain in MC to prevent re-pulling.
       }
     }
 
     return res.status(200).json({ ok: true });
   } catch (err) {
-    console.error("[/webhooks/vapi] error:", err);
+    logger.error("[/webhooks/vapi] error:", err);
     return res.status(200).json({ ok: true });
   }
 });
 
+// Voicemail drop message for this lead while it has voicemails left to get
+function voicemailDropFor(leadId) {
+  const prior = leadId ? getOutcomeCountsByLead().get(String(leadId))?.voicemail || 0 : 0;
+  return getVoicemailDropOverrides(prior);
+}
+
 // ----- MORGAN QUEUE PROCESSOR -----
 // Helper to launch a single call for a slot
 async function launchCallForSlot(freeSlotId, lead) {
   logger.debug("[MorganQueue] Using slot", freeSlotId, "for lead", lead.id);
 
+  // Last check before dialing: the number may have been suppressed since it was queued
+  const dnc = getSuppression(lead.phone);
+  if (dnc) {
+    if (lead.id) morganInflight.delete(lead.id);
+    persistMorganQueueState();
+    logger.info(`[MorganQueue] Not dialing lead ${lead.id}: number is on the DNC list (${dnc.source})`);
+    recordSkip({
+      leadId: lead.id,
+      listId: getLeadListId(lead),
+      phone: lead.phone,
+      reason: "dnc",
+      path: "launch",
+      detail: dnc.source,
+    });
+    // Dequeuing already set MC; the lead was never dialed, so say why
+    if (lead.id) {
+      await enqueueConvosoUpdate(lead.id, dncUpdate(lead.id, dnc)).catch((err) => {
+        logger.error("[MorganQueue] Failed to set DNC status for", lead.id, err);
+      });
+    }
+    return { success: false, slotId: freeSlotId, skipped: true, reason: "dnc" };
+  }
+
+  // Not every path into the queue goes through intake, so check the number here too
+  const phoneCheck = validatePhoneNumber(lead.phone);
+  if (!phoneCheck.valid) {
+    if (lead.id) morganInflight.delete(lead.id);
+    persistMorganQueueState();
+    await skipInvalidPhone(lead, phoneCheck, { path: "launch" });
+    return { success: false, slotId: freeSlotId, skipped: true, reason: "invalid_phone" };
+  }
+
+  const routing = routeMorganLead(lead);
+  const assistantOverrides = voicemailDropFor(lead.id);
   try {
     const result = await startOutboundCall({
       agentType: "morgan",
-      agentName: "Morgan",
+      agentName: routing.agentName,
+      assistantId: routing.assistantId,
+      assistantOverrides,
       toNumber: lead.phone,
       metadata: {
         convosoLeadId: lead.id || null,
         convosoListId: lead.raw?.list_id || null,
         source: "morgan-queue",
-        convosoRaw: lead.raw || null,
+        convosoLead: lead.raw || null,
+        ...routingMetadata(routing),
       },
-      callName: "Morgan Outbound (Queue)",
+      callName: routing.callName || `${routing.agentName} Outbound (Queue)`,
       phoneNumberId: freeSlotId,
     });
 
+    if (lead.id) morganInflight.delete(lead.id);
+
     if (result && result.callId) {
-      markMorganSlotBusy(freeSlotId, result.callId);
+      addLogContext({ callId: result.callId });
+      markMorganSlotBusy(freeSlotId, result.callId, lead.id || null);
+      recordAttempt(lead);
+      incCounter("morgan_calls_launched_total", { path: "queue" });
+      recordCallStarted({
+        callId: result.callId,
+        provider: result.provider,
+        source: "morgan-queue",
+        leadId: lead.id || null,
+        listId: getLeadListId(lead),
+        phoneNumberId: result.phoneNumberId || freeSlotId,
+        assistantId: result.assistantId,
+        assistant: routing.assistant,
+        route: routing.route,
+        variant: routing.variant,
+        toNumber: lead.phone,
+        voicemailDrop: !!assistantOverrides,
+      });
       logger.debug(
         "[MorganQueue] Call started with callId",
         result.callId,
@@ -1234,11 +2521,14 @@ async function launchCallForSlot(freeSlotId, lead) {
       return { success: true, slotId: freeSlotId, callId: result.callId };
     } else {
       logger.warn("[MorganQueue] startOutboundCall returned no callId; re-queueing lead");
+      incCounter("morgan_calls_failed_total", { path: "queue", reason: "no_call_id" });
+      incCounter("morgan_calls_requeued_total", { reason: "no_call_id" });
       morganQueue.unshift(lead);
       if (lead.id) {
         morganQueuedIds.add(lead.id);
         morganQueuedIdsTimestamps.set(lead.id, Date.now());
-        if (isMorganEnabled()) {
+        persistMorganQueueState();
+        if (isMorganEnabled(getLeadListId(lead))) {
           await enqueueConvosoUpdate(lead.id, {
             lead_id: lead.id,
             status: "MQ",
@@ -1256,23 +2546,18 @@ async function launchCallForSlot(freeSlotId, lead) {
     }
   } catch (err) {
     logger.error("[launchCallForSlot] error starting call:", err);
+    incCounter("morgan_calls_failed_total", {
+      path: "queue",
+      reason: err?.statusCode === 429 ? "rate_limited" : "error",
+    });
+    if (lead.id) morganInflight.delete(lead.id);
+    persistMorganQueueState();
 
-    // Try to revert status to MQ so the lead is not stuck in MC
-    if (isMorganEnabled()) {
-      await enqueueConvosoUpdate(lead.id, {
-        lead_id: lead.id,
-        status: "MQ",
-      }).catch((e) => {
-        logger.error(
-          "[launchCallForSlot] failed to revert status to MQ for lead",
-          lead.id,
-          e
-        );
-      });
-    }
-
-    // Re-enqueue the lead so it can be retried later
-    await enqueueMorganLead(lead);
+    // Hold the lead for a short back-off (status reverts to MQ so it is not stuck in MC)
+    await scheduleMorganRetry(lead, {
+      reason: "launch_failed",
+      delayMinutes: getCadencePolicy(getLeadListId(lead)).launchRetryMinutes,
+    });
 
     return { success: false, slotId: freeSlotId, error: err };
   }
@@ -1280,14 +2565,31 @@ async function launchCallForSlot(freeSlotId, lead) {
 
 async function processMorganQueueTick() {
   try {
-    if (!isBusinessHours()) {
-      logger.debug("[MorganQueue] Outside business hours; skipping tick.");
+    if (!isLeader()) return;
+    if (!morganStateRestored) {
+      logger.debug("[MorganQueue] Waiting for state restore; skipping tick.");
+      return;
+    }
+    releaseHeldMorganLeads();
+    await releaseDueCallbackLeads();
+    settleMorganSlotPool();
+    // Each lead is still checked against its own window below
+    if (!isAnyCallingWindowOpen()) {
+      logger.debug("[MorganQueue] No calling window is open; skipping tick.");
+      return;
+    }
+    if (getDialerControl().mode !== "active") {
+      logger.debug(`[MorganQueue] Dialer ${getDialerControl().mode}; skipping tick.`);
       return;
     }
     if (!isMorganEnabled()) {
       logger.debug('[MorganQueue] Disabled: tick skipped');
       return;
     }
+    if (isConvosoCircuitOpen()) {
+      logger.warn("[MorganQueue] Convoso circuit open; skipping tick.");
+      return;
+    }
 
     const now = Date.now();
     const lastVapi429At = getLastVapi429At();
@@ -1304,18 +2606,39 @@ async function processMorganQueueTick() {
 
     // FIX: Process ALL free slots, not just one
     const callPromises = [];
+    // Rank once per tick; the window check is per lead, not per slot, so it is cached too
+    const ranked = rankMorganQueue();
+    const callable = new Map();
+    const isCallable = (l) => {
+      if (!callable.has(l)) callable.set(l, isLeadCallableNow(l));
+      return callable.get(l);
+    };
     for (const freeSlotId of freeSlots) {
       // Check if we have leads to process
       if (morganQueue.length === 0) break;
 
-      const lead = await getNextMorganLead();
-      if (!lead || !lead.phone) {
+      // Skip leads outside their local calling window, on a paused list, or routed
+      // to a number pool this slot is not in; they stay queued
+      const lead = await getNextMorganLead({
+        ranked,
+        isEligible: (l) =>
+          isCallable(l) &&
+          isMorganEnabled(getLeadListId(l)) &&
+          routeAllowsNumber(routeMorganLead(l), freeSlotId),
+      });
+      if (!lead) {
+        logger.debug("[MorganQueue] No queued leads for this slot inside their calling window on an enabled list.");
+        // Another slot may serve a different route's number pool
+        continue;
+      }
+      if (!lead.phone) {
         logger.warn("[MorganQueue] Got lead without phone from queue");
+        if (lead.id) morganInflight.delete(lead.id);
         continue;
       }
 
       // Launch call for this slot (async, non-blocking)
-      callPromises.push(launchCallForSlot(freeSlotId, lead));
+      callPromises.push(withLogContext({ leadId: lead.id }, () => launchCallForSlot(freeSlotId, lead)));
     }
 
     // Wait for all calls to be launched (or fail)
@@ -1337,84 +2660,213 @@ async function processMorganQueueTick() {
 
 setInterval(processMorganQueueTick, 2000); // 2 seconds between ticks
 
-// ----- AUTO PULL MORGAN LEADS EVERY 60 SECONDS -----
-async function autoPullMorganLeads() {
-  if (!isBusinessHours()) {
-    console.log("[AutoPullMorganLeads] Outside business hours; skipping auto-pull.");
-    return;
-  }
-  if (!isMorganEnabled()) {
-    logger?.info?.('[Morgan] Disabled: autoPullMorganLeads skipped');
-    return;
+// ----- CAMPAIGN SCHEDULES -----
+// One cron task per enabled, scheduled campaign; rebuilt whenever campaigns change
+const campaignTasks = new Map();
+
+function scheduleMorganCampaigns() {
+  for (const task of campaignTasks.values()) task.stop();
+  campaignTasks.clear();
+
+  for (const campaign of getCampaigns()) {
+    if (!campaign.enabled || !campaign.schedule) continue;
+    const task = cron.schedule(
+      campaign.schedule.cron,
+      async () => {
+        if (!isLeader()) return;
+        // Re-read so a run never uses a campaign edited since it was scheduled
+        const current = getCampaign(campaign.name);
+        if (!current || !current.enabled) return;
+        try {
+          const result = await runCampaignPull(current, { trigger: "schedule" });
+          if (result.fetched) {
+            logger.info(`[Morgan/campaign ${current.name}] Pulled:`, result.fetched, "Queue:", morganQueue.length);
+          }
+        } catch (err) {
+          logger.error(`[Morgan/campaign ${current.name}] scheduled pull failed:`, err);
+        }
+      },
+      { timezone: campaign.schedule.timezone }
+    );
+    campaignTasks.set(campaign.name, task);
   }
+}
 
-  try {
-    const response = await fetch(`http://localhost:${PORT}/jobs/morgan/pull-leads`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({})
+scheduleMorganCampaigns();
+
+// ----- SLOT WATCHDOG -----
+// Slots are freed by the end-of-call-report webhook. When one never arrives the
+// watchdog reconciles the slot against the provider: ended calls are freed,
+// calls past MORGAN_MAX_CALL_MINUTES are hung up and freed, and the lead goes
+// back to MQ when nobody was reached. Live provider calls on pool numbers that
+// no slot tracks are reported and adopted so their number isn't double-dialed.
+
+// The lead behind a stuck call goes back on the cadence (or to MQ when we only know its id)
+async function requeueWatchdogLead(event) {
+  if (!event.leadId || hasOpenCallback(event.leadId)) return;
+  const lead = leadFromCallEvent(event);
+  if (getSuppression(lead.phone)) return;
+  if (lead.phone) {
+    await scheduleMorganRetry(lead, { reason: "watchdog", callId: event.callId });
+  } else if (isMorganEnabled(getLeadListId(lead))) {
+    await enqueueConvosoUpdate(lead.id, { lead_id: lead.id, status: "MQ" }).catch((err) => {
+      logger.error("[MorganWatchdog] Failed to set MQ status for", lead.id, err);
     });
-
-    const data = await response.json();
-    console.log("[AutoPullMorganLeads] Pulled:", data.fetched, "Queue:", data.queue_length);
-  } catch (err) {
-    console.error("[AutoPullMorganLeads] ERROR:", err);
   }
 }
 
-setInterval(autoPullMorganLeads, 60 * 1000);
+async function repairMorganSlot(phoneNumberId, slot, now) {
+  let providerCall = null;
+  if (slot.callId) {
+    providerCall = await getVoiceCall(slot.callId).catch((err) => {
+      logger.warn("[MorganWatchdog] Provider lookup failed for", slot.callId, err.message);
+      return null;
+    });
+  }
+
+  const plan = planSlotRepair(slot, providerCall, { now, maxCallMs: getMaxCallMs() });
+  if (plan.action === "keep") return null;
 
-async function getVapiCall(callId) {
-  if (!VAPI_API_KEY) return null;
-  const resp = await fetch(`https://api.vapi.ai/call/${callId}`, {
-    headers: { Authorization: `Bearer ${VAPI_API_KEY}` },
+  const { callId, leadId } = slot;
+  if (plan.action === "hang_up_and_free") {
+    await hangUpCall({ callId, call: providerCall }).catch((err) => {
+      logger.warn("[MorganWatchdog] Hang-up failed for", callId, err.message);
+    });
+  }
+  freeMorganSlot(phoneNumberId);
+  incCounter("morgan_watchdog_actions_total", { action: plan.action, reason: plan.reason });
+
+  // Same shape as an end-of-call-report so the call record and lead repair match the webhook path
+  const event = parseWebhook({
+    message: {
+      type: "end-of-call-report",
+      call: providerCall || { id: callId, phoneNumberId, metadata: { convosoLeadId: leadId } },
+      endedReason: plan.reason === "provider_ended" ? providerCall.endedReason : "watchdog-timeout",
+    },
   });
-  if (!resp.ok) {
-    console.error("[getVapiCall] Error fetching call", callId, resp.status);
-    return null;
+  const record = callId ? recordCallEnded(event, { at: now }) : null;
+  if (record) pushCallToOps(record);
+  // The provider says how the call ended; otherwise all we know is whether anyone answered
+  if (plan.reason === "provider_ended" && record) await applyCallOutcome(event, record);
+  else if (plan.requeueLead) await requeueWatchdogLead(event);
+
+  if (plan.reason !== "provider_ended") {
+    emitAlert({
+      type: "stuck_call",
+      severity: "critical",
+      message: `Freed slot ${phoneNumberId} after ${Math.round(plan.ageMs / 60000)} min (${plan.reason})`,
+      details: { phoneNumberId, callId, leadId, ...plan, providerStatus: providerCall?.status || null },
+      at: now,
+    });
   }
-  return resp.json();
+  logger.info("[MorganWatchdog] Slot", phoneNumberId, "call", callId, "->", plan.action, plan.reason);
+  return { phoneNumberId, callId, leadId, ...plan };
 }
 
-setInterval(async () => {
-  try {
-    for (const [callId, phoneNumberId] of morganCallToSlot.entries()) {
-      const slot = morganSlots.get(phoneNumberId);
-      if (!slot || !slot.busy) continue;
-
-      const data = await getVapiCall(callId);
-      if (!data) continue;
+async function adoptOrphanCalls(now) {
+  const since = now - 2 * getMaxCallMs();
+  const calls = await listVoiceCalls({ createdAfter: since });
+  const orphans = findOrphanCalls(calls, {
+    knownCallIds: new Set(morganCallToSlot.keys()),
+    phoneNumberIds: getPhoneNumberIds(),
+  }).filter((call) => call.metadata?.source !== "debug-test-call");
+
+  return orphans.map((call) => {
+    const slot = morganSlots.get(call.phoneNumberId);
+    const adopted = !!slot && !slot.busy;
+    const leadId = call.metadata?.convosoLeadId || null;
+    if (adopted) {
+      markMorganSlotBusy(call.phoneNumberId, call.id, leadId, Date.parse(call.createdAt) || now);
+    }
+    incCounter("morgan_watchdog_actions_total", { action: adopted ? "adopt" : "report", reason: "orphan_call" });
+    emitAlert({
+      type: "orphan_call",
+      message: `Provider call ${call.id} on ${call.phoneNumberId} is not tracked by Morgan${adopted ? "; slot taken" : ""}`,
+      details: { callId: call.id, phoneNumberId: call.phoneNumberId, leadId, status: call.status, adopted },
+      at: now,
+    });
+    return { callId: call.id, phoneNumberId: call.phoneNumberId, leadId, adopted };
+  });
+}
 
-      const status = data.status;
-      const endedReason = data.endedReason;
+let watchdogRunning = false;
 
-      if (status === "ended" || endedReason) {
-        const freed = freeMorganSlotByCallId(callId);
-        console.log("[VapiPoll] Call", callId, "status:", status, "endedReason:", endedReason, "freed slot:", freed);
-      }
+async function runSlotWatchdog({ now = Date.now() } = {}) {
+  if (!isLeader() || !morganStateRestored || watchdogRunning) return null;
+  watchdogRunning = true;
+  try {
+    const repaired = [];
+    for (const [phoneNumberId, slot] of Array.from(morganSlots.entries())) {
+      if (!slot.busy) continue;
+      const result = await repairMorganSlot(phoneNumberId, { ...slot }, now);
+      if (result) repaired.push(result);
     }
-  } catch (err) {
-    console.error("[VapiPoll] sweep error:", err);
+    const orphans = await adoptOrphanCalls(now).catch((err) => {
+      logger.warn("[MorganWatchdog] Could not list provider calls:", err.message);
+      return [];
+    });
+    return { repaired, orphans };
+  } finally {
+    watchdogRunning = false;
   }
+}
+
+setInterval(() => {
+  runSlotWatchdog().catch((err) => {
+    logger.error("[MorganWatchdog] sweep error:", err);
+  });
 }, 30000);
 
-setInterval(mergeMorganQueueFromMQ, 30 * 60 * 1000); // every 30 minutes
+// A number an operator has paused or drained and then resumed is judged only
+// on calls placed since, so putting a rotated-out number back starts it fresh
+function assessMorganCallerNumbers(now = Date.now()) {
+  return assessCallerNumbers(getPhoneNumberIds(), {
+    now,
+    countSince: (id) => {
+      const control = getSlotControl(id);
+      return control.mode === "active" ? control.changedAt : null;
+    },
+  });
+}
 
-// Runs every day at 9:15 AM America/New_York
-cron.schedule(
-  "15 9 * * *",
-  async () => {
-    try {
-      console.log("[Morgan/pull-yesterday] cron trigger (9:15 AM ET)");
-      await runMorganPullYesterdayJob({ timezone: "America/New_York" });
-    } catch (err) {
-      console.error("[Morgan/pull-yesterday] ERROR in cron job:", err);
+function checkCallerNumberHealth(now = Date.now()) {
+  const assessment = assessMorganCallerNumbers(now);
+  const { autoRotate } = getCallerHealthConfig();
+  for (const entry of noteSuspectNumbers(assessment.numbers)) {
+    const { phoneNumberId } = entry;
+    const rotate = autoRotate && getSlotControl(phoneNumberId).mode === "active";
+    if (rotate) {
+      setSlotMode(phoneNumberId, "draining", "spam_suspected");
+      settleMorganSlotPool();
     }
-  },
-  {
-    timezone: "America/New_York",
+    emitAlert({
+      type: "caller_number_suspect",
+      message:
+        `Caller number ${phoneNumberId} answered ${entry.answered}/${entry.calls} calls ` +
+        `(pool ${Math.round((assessment.poolAnswerRate || 0) * 100)}%)${rotate ? "; draining it" : ""}`,
+      details: { ...entry, poolAnswerRate: assessment.poolAnswerRate, rotated: rotate },
+      at: now,
+    });
   }
-);
+  return assessment;
+}
+
+setInterval(() => {
+  if (!isLeader()) return;
+  try {
+    checkCallerNumberHealth();
+  } catch (err) {
+    logger.error("[MorganCallerHealth] check error:", err);
+  }
+}, 15 * 60 * 1000); // every 15 minutes
+
+setInterval(() => {
+  if (!isLeader()) return;
+  timeJob("merge-mq", mergeMorganQueueFromMQ).catch((err) => {
+    logger.error("[MorganQueue] mergeMorganQueueFromMQ error:", err);
+  });
+}, 30 * 60 * 1000); // every 30 minutes
+
 
 
 // --------------------------------------------------------------------------
@@ -1426,27 +2878,27 @@ cron.schedule(
 app.post("/tools/sendLeadNote", async (req, res) => {
   try {
     const body = req.body || {};
-    console.log("[sendLeadNote] incoming body:", JSON.stringify(body).slice(0, 1000));
+    logger.debug("[sendLeadNote] incoming body:", body);
 
     // 1) Try to find the Vapi "message" object if present
     const message = body.message || body || {};
     const call = message.call || body.call || {};
     const metadata = call.metadata || body.metadata || {};
-    const convosoRaw = metadata.convosoRaw || {};
+    const convosoLead = metadata.convosoLead || {};
 
     const callId = call.id || message.callId || body.callId || null;
 
     // 2) Resolve lead id from multiple places
     let convosoLeadId =
       metadata.convosoLeadId ||
-      convosoRaw.lead_id ||
+      convosoLead.lead_id ||
       body.lead_id ||
       body.id ||
       null;
 
     if (!convosoLeadId && callId) {
       try {
-        const callData = await getVapiCall(callId);
+        const callData = await getVoiceCall(callId);
         const meta = callData?.metadata || {};
         convosoLeadId =
           meta.convosoLeadId ||
@@ -1455,19 +2907,19 @@ app.post("/tools/sendLeadNote", async (req, res) => {
           null;
 
         if (!convosoLeadId) {
-          console.error(
-            "[sendLeadNote] getVapiCall succeeded but no convosoLeadId in metadata for call",
+          logger.error(
+            "[sendLeadNote] getVoiceCall succeeded but no convosoLeadId in metadata for call",
             callId
           );
         }
       } catch (e) {
-        console.error("[sendLeadNote] Error calling getVapiCall for callId", callId, e);
+        logger.error("[sendLeadNote] Error calling getVoiceCall for callId", callId, e);
       }
     }
 
     if (!convosoLeadId) {
-      console.error(
-        "[sendLeadNote] No lead_id available (convosoLeadId/lead_id/id all missing, even after getVapiCall)"
+      logger.error(
+        "[sendLeadNote] No lead_id available (convosoLeadId/lead_id/id all missing, even after getVoiceCall)"
       );
       return res.status(200).json({
         results: [
@@ -1506,7 +2958,7 @@ app.post("/tools/sendLeadNote", async (req, res) => {
       try {
         toolArgs = JSON.parse(toolArgs);
       } catch (e) {
-        console.error("[sendLeadNote] Failed to parse args JSON string:", e);
+        logger.error("[sendLeadNote] Failed to parse args JSON string:", e);
         toolArgs = {};
       }
     }
@@ -1520,16 +2972,28 @@ app.post("/tools/sendLeadNote", async (req, res) => {
       body.notes ||
       null;
 
+    // Prospect asked not to be called again: suppress the number right away
+    if (wantsDoNotCall(toolArgs.doNotCall, noteFromMorgan)) {
+      const dncPhone = (call.customer && call.customer.number) || convosoLead.phone_number || null;
+      const entry = addSuppression({
+        phone: dncPhone,
+        source: "morgan-note",
+        reason: "Lead asked not to be called (sendLeadNote)",
+        leadId: convosoLeadId,
+      });
+      logger.info(`[sendLeadNote] DNC request for lead ${convosoLeadId}; number suppressed: ${!!entry}`);
+    }
+
     // 5) Fallback note if Morgan didn't send any
     if (!noteFromMorgan) {
       const callerNumber =
         (call.customer && call.customer.number) ||
-        convosoRaw.phone_number ||
+        convosoLead.phone_number ||
         "Unknown number";
 
-      const firstName = convosoRaw.first_name || "Unknown";
-      const lastName = convosoRaw.last_name || "";
-      const state = convosoRaw.state || "";
+      const firstName = convosoLead.first_name || "Unknown";
+      const lastName = convosoLead.last_name || "";
+      const state = convosoLead.state || "";
 
       const displayName =
         lastName && lastName !== "test"
@@ -1541,28 +3005,30 @@ app.post("/tools/sendLeadNote", async (req, res) => {
         `phone ${callerNumber}, Convoso lead_id ${convosoLeadId}. ` +
         `Call completed but no detailed summary was provided by the AI.`;
 
-      console.warn("[sendLeadNote] No note from Morgan; using fallback note.");
+      logger.warn("[sendLeadNote] No note from Morgan; using fallback note.");
     }
 
-    console.log("[sendLeadNote] Adding note for lead:", convosoLeadId);
-    console.log("[sendLeadNote] Note content:", noteFromMorgan);
-
-    await addLeadNote(convosoLeadId, noteFromMorgan);
-    console.log("[sendLeadNote] Added note for lead", convosoLeadId, "callId", callId);
+    addLogContext({ leadId: convosoLeadId });
+    logger.info(`[sendLeadNote] Adding note for lead ${convosoLeadId} (${String(noteFromMorgan).length} characters)`);
 
     const toolCallId = firstCall.id || body.toolCallId || "unknown";
 
+    // Keyed on the tool call so a Vapi retry does not write the note twice
+    await addLeadNote(convosoLeadId, noteFromMorgan, { key: `note:${callId}:${toolCallId}` });
+    logger.info("[sendLeadNote] Queued note for lead", convosoLeadId, "callId", callId);
+    addCallNote({ callId, leadId: convosoLeadId, note: noteFromMorgan });
+
     return res.status(200).json({
       results: [
         {
           name: "sendLeadNote",
           toolCallId,
-          result: "Lead note successfully added to Convoso.",
+          result: "Lead note saved and queued for Convoso.",
         },
       ],
     });
   } catch (err) {
-    console.error("[sendLeadNote] Unexpected error:", err);
+    logger.error("[sendLeadNote] Unexpected error:", err);
 
     return res.status(200).json({
       results: [
@@ -1577,36 +3043,341 @@ app.post("/tools/sendLeadNote", async (req, res) => {
 });
 
 
+// First tool call in a Vapi tool-calls message: { toolCallId, args } (args parsed from JSON)
+function readToolCall(body = {}) {
+  const message = body.message || body;
+  const toolCalls = message.toolCalls || message.toolCallList || body.toolCalls || body.toolCallList || [];
+  const firstCall = (Array.isArray(toolCalls) && toolCalls[0]) || body.toolCall || {};
+  let args = (firstCall.function && firstCall.function.arguments) || firstCall.args || firstCall.arguments || {};
+  if (typeof args === "string") {
+    try {
+      args = JSON.parse(args);
+    } catch (e) {
+      logger.error("[tools] Failed to parse args JSON string:", e);
+      args = {};
+    }
+  }
+  return { toolCallId: firstCall.id || body.toolCallId || "unknown", args: args || {} };
+}
+
+// ----- TOOL: transferToAgent -----
+// Called by Vapi when Morgan has qualified the lead and wants a licensed agent
+// on the line. Morgan stays on the call if nobody can take it and says so.
+const MORGAN_TRANSFER_STATUS = process.env.MORGAN_TRANSFER_STATUS || "MT";
+
+app.post("/tools/transferToAgent", async (req, res) => {
+  const reply = (toolCallId, result) =>
+    res.status(200).json({ results: [{ name: "transferToAgent", toolCallId, result }] });
+  const NO_AGENT_RESULT =
+    "No licensed agent is available right now. Let the caller know an agent will call them back shortly.";
+
+  try {
+    const body = req.body || {};
+    const message = body.message || body || {};
+    const call = message.call || body.call || {};
+    const metadata = call.metadata || body.metadata || {};
+    const convosoLead = metadata.convosoLead || {};
+    const callId = call.id || message.callId || body.callId || null;
+
+    const { toolCallId, args: toolArgs } = readToolCall(body);
+
+    if (!callId) {
+      logger.error("[transferToAgent] No callId in tool call; cannot transfer");
+      return reply(toolCallId, NO_AGENT_RESULT);
+    }
+
+    // A retried tool call must not bridge the caller to a second agent
+    const existing = getCallTransfer(callId);
+    if (existing) {
+      return reply(toolCallId, `The caller is already being transferred to ${existing.agentName || "an agent"}.`);
+    }
+
+    const leadId = metadata.convosoLeadId || convosoLead.lead_id || null;
+    const lead = { id: leadId, state: toolArgs.state || convosoLead.state || null, raw: convosoLead };
+    const attempt = { callId, leadId, state: resolveLeadState(lead) || lead.state };
+
+    let agents;
+    try {
+      agents = await getLicensedAgents(lead);
+    } catch (err) {
+      logger.warn(`[transferToAgent] No roster for call ${callId}: ${err.message}`);
+      recordTransfer({ ...attempt, status: "no-agent", error: err.message });
+      recordCallTransfer({ callId, leadId, status: "no-agent" });
+      incCounter("morgan_transfers_total", { result: "no-agent" });
+      return reply(toolCallId, NO_AGENT_RESULT);
+    }
+
+    const pick = pickTransferAgent(agents);
+    if (!pick) {
+      logger.info(`[transferToAgent] No free licensed agent in ${attempt.state} for call ${callId}`);
+      recordTransfer({ ...attempt, status: "no-agent", error: `No free agent among ${agents.length} licensed` });
+      recordCallTransfer({ callId, leadId, status: "no-agent" });
+      incCounter("morgan_transfers_total", { result: "no-agent" });
+      return reply(toolCallId, NO_AGENT_RESULT);
+    }
+
+    const { agent, destination } = pick;
+    const displayName = [convosoLead.first_name, convosoLead.last_name].filter(Boolean).join(" ") || "a caller";
+    const handoff =
+      toolArgs.summary || toolArgs.reason || `Morgan has ${displayName} from ${attempt.state || "an unknown state"} on the line.`;
+
+    try {
+      await transferCall({
+        callId,
+        call,
+        destination,
+        message: `Incoming transfer from Morgan. ${handoff}`.slice(0, 500),
+        content: toolArgs.content || "Please hold while I connect you with a licensed agent.",
+      });
+    } catch (err) {
+      logger.error(`[transferToAgent] Transfer of call ${callId} to ${agent.name} failed:`, err.message);
+      recordTransfer({ ...attempt, agent, destination, status: "failed", error: err.message });
+      recordCallTransfer({ callId, leadId, status: "failed", agentId: agent.id, agentName: agent.name });
+      incCounter("morgan_transfers_total", { result: "failed" });
+      return reply(toolCallId, NO_AGENT_RESULT);
+    }
+
+    recordTransfer({ ...attempt, agent, destination, status: "transferred" });
+    recordCallTransfer({ callId, leadId, status: "transferred", agentId: agent.id, agentName: agent.name });
+    incCounter("morgan_transfers_total", { result: "transferred" });
+    logger.info(`[transferToAgent] Call ${callId} (lead ${leadId}) transferred to ${agent.name}`);
+
+    if (leadId) {
+      await enqueueConvosoUpdate(
+        leadId,
+        { lead_id: leadId, status: MORGAN_TRANSFER_STATUS },
+        { key: `transfer:${callId}` }
+      ).catch((err) => {
+        logger.error(`[transferToAgent] Failed to queue Convoso status for lead ${leadId}:`, err.message);
+      });
+    }
+
+    return reply(toolCallId, `Transferring the caller to ${agent.name}, a licensed agent.`);
+  } catch (err) {
+    logger.error("[transferToAgent] Unexpected error:", err);
+    return res.status(200).json({
+      results: [
+        {
+          name: "transferToAgent",
+          toolCallId: "unknown",
+          error: "Unexpected error in transferToAgent route",
+        },
+      ],
+    });
+  }
+});
+
+// ----- TOOL: scheduleCallback -----
+// Called by Vapi when the prospect asks to be called back later. The time is
+// read in the lead's timezone; when it can't be used Morgan gets the reason
+// back and asks for another time.
+app.post("/tools/scheduleCallback", async (req, res) => {
+  const reply = (toolCallId, result) =>
+    res.status(200).json({ results: [{ name: "scheduleCallback", toolCallId, result }] });
+
+  try {
+    const body = req.body || {};
+    const event = parseWebhook(body);
+    const { toolCallId, args } = readToolCall(body);
+    const lead = leadFromCallEvent(event);
+    const when = args.when || args.time || args.callbackTime || null;
+
+    if (!lead.id) {
+      logger.error("[scheduleCallback] No lead_id in call metadata for call", event.callId);
+      return reply(toolCallId, "No lead_id available, so the callback was not scheduled.");
+    }
+    if (!when) {
+      return reply(toolCallId, "No callback time given. Ask the caller for a day and time.");
+    }
+
+    let resolved;
+    try {
+      resolved = resolveCallbackTime(lead, when);
+    } catch (err) {
+      logger.info(`[scheduleCallback] Rejected "${when}" for lead ${lead.id}: ${err.message}`);
+      return reply(toolCallId, err.message);
+    }
+
+    const note = args.note ? String(args.note) : null;
+    scheduleCallback({
+      lead,
+      at: resolved.at.toMillis(),
+      requested: String(when),
+      timezone: resolved.zone,
+      callId: event.callId,
+      note,
+    });
+
+    const label = resolved.at.setZone(resolved.zone).toFormat("cccc, LLLL d 'at' h:mm a ZZZZ");
+    addCallNote({ callId: event.callId, leadId: lead.id, note: `Callback scheduled for ${label}${note ? `: ${note}` : ""}` });
+    logger.info(`[scheduleCallback] Lead ${lead.id} callback at ${resolved.at.toUTC().toISO()} (${resolved.zone})`);
+
+    return reply(toolCallId, `Callback scheduled for ${label}. Confirm this time with the caller.`);
+  } catch (err) {
+    logger.error("[scheduleCallback] Unexpected error:", err);
+    return res.status(200).json({
+      results: [
+        {
+          name: "scheduleCallback",
+          toolCallId: "unknown",
+          error: "Unexpected error in scheduleCallback route",
+        },
+      ],
+    });
+  }
+});
+
+// ----- TOOL: checkProductEligibility -----
+// Called by Vapi before Morgan pitches: which products, bundle add-ons and
+// fallbacks are sold in the caller's state. Served from the cached catalog.
+app.post("/tools/checkProductEligibility", async (req, res) => {
+  const reply = (toolCallId, result) =>
+    res.status(200).json({ results: [{ name: "checkProductEligibility", toolCallId, result }] });
+
+  const body = req.body || {};
+  const { toolCallId, args } = readToolCall(body);
+  try {
+    const event = parseWebhook(body);
+    const lead = leadFromCallEvent(event);
+    const state = args.state || lead.state || lead.raw?.state || null;
+    if (!state) {
+      return reply(toolCallId, "The caller's state is unknown. Ask which state they live in, then check again.");
+    }
+
+    const eligibility = await checkProductEligibility(String(state));
+    logger.info(
+      `[checkProductEligibility] ${eligibility.state}: ${eligibility.products.length} products for call ${event.callId}`
+    );
+    return reply(toolCallId, describeEligibility(eligibility));
+  } catch (err) {
+    logger.warn("[checkProductEligibility] Lookup failed:", err.message);
+    const result = /state is unknown/.test(err.message)
+      ? "That state was not recognised. Ask which US state the caller lives in, then check again."
+      : "Product availability can't be checked right now. Do not quote a specific product; offer to have a licensed agent follow up.";
+    return reply(toolCallId, result);
+  }
+});
+
 // --------------------------------------------------------------------------
 // -------------------------- END OF INSERTED ROUTES -------------------------
 // --------------------------------------------------------------------------
 
-// ----- START SERVER -----
-const server = app.listen(PORT, async () => {
-  console.log(`Server listening on port ${PORT}`);
-  await hydrateMorganQueueFromConvoso();
+// ----- LEADERSHIP -----
+// Drop every module's cached state so the next read comes from the state dir
+function reloadPersistedState() {
+  resetMorganToggle();
+  resetCallingCalendar();
+  resetSuppressionCache();
+  resetCadenceCache();
+  resetCallRecordsCache();
+  resetOutcomeConfigCache();
+  resetQueueEventsCache();
+  resetPriorityConfig();
+  resetRoutingConfig();
+  resetRejectionsCache();
+  resetConvosoOutbox();
+  resetOpsCallLog();
+  resetCallerHealthCache();
+  resetCampaigns();
+  resetProductCatalog();
+  resetCallbacks();
+  resetWarmTransfer();
+  resetSlotPool();
+  initSlotPool(MORGAN_PHONE_NUMBER_IDS);
+  syncMorganSlotsWithPool();
+}
+
+// The leader takes the state the previous leader mirrored to Postgres, restores
+// the persisted queue and slots, adopts calls a previous leader left running
+// (watchdog orphan pass) and hydrates from Convoso before its first tick. A
+// standby forwards webhooks, tools and admin routes to the leader.
+async function becomeMorganLeader() {
+  try {
+    await pullSharedState();
+  } catch (err) {
+    logger.error("[SharedState] Could not pull the shared state; restoring from local files:", err.message);
+    emitAlert({
+      type: "shared_state_pull_failed",
+      severity: "critical",
+      message: `New leader ${getInstanceId()} restored from its own state files: ${err.message}`,
+    });
+  }
+  reloadPersistedState();
+  try {
+    await restoreMorganQueueState();
+  } catch (err) {
+    logger.error("[MorganQueue] Failed to restore persisted state:", err);
+  } finally {
+    morganStateRestored = true;
+  }
+  await runSlotWatchdog().catch((err) => {
+    logger.error("[MorganWatchdog] Takeover sweep error:", err);
+  });
+  await timeJob("hydrate", hydrateMorganQueueFromConvoso).catch((err) => {
+    logger.error("[MorganQueue] hydrateMorganQueueFromConvoso error:", err);
+  });
+}
+
+onLeadershipChange((leading) => {
+  if (leading) {
+    void becomeMorganLeader();
+  } else {
+    // Restore again if leadership comes back; another instance may have dialed meanwhile
+    morganStateRestored = false;
+    flushState();
+  }
 });
 
+// ----- START SERVER -----
+let server = null;
+
+function startServer() {
+  server = app.listen(PORT, async () => {
+    logger.info(`Server listening on port ${PORT}`);
+    checkStateDir();
+    checkInstanceUrl();
+    // Warm the product catalog so the first eligibility check on a call is instant
+    if (isOpsApiConfigured()) {
+      refreshCatalog().catch((err) => logger.warn("[ProductEligibility] Initial catalog load failed:", err.message));
+    }
+    startSharedState();
+    startLeaderElection();
+  });
+}
+
 function gracefulShutdown(signal) {
-  console.log(`[${signal}] received. Shutting down server...`);
+  logger.info(`[${signal}] received. Shutting down server...`);
+
+  // Make sure the last queue/slot mutations hit disk before we exit
+  flushState();
+
+  // Mirror the last writes to Postgres, then hand the leader lock over now
+  // instead of when the connection drops
+  const handoff = flushSharedState().then(() => stopLeaderElection());
 
   // Stop accepting new connections and wait for existing ones to finish
   server.close((err) => {
     if (err) {
-      console.error("Error while closing the server during shutdown:", err);
+      logger.error("Error while closing the server during shutdown:", err);
       process.exit(1);
     }
 
-    console.log("HTTP server closed. Exiting process.");
-    process.exit(0);
+    logger.info("HTTP server closed. Exiting process.");
+    void handoff.finally(() => process.exit(0));
   });
 
   // Fallback in case server.close hangs
   setTimeout(() => {
-    console.warn("Force exiting after graceful shutdown timeout.");
+    logger.warn("Force exiting after graceful shutdown timeout.");
     process.exit(0);
   }, 10000).unref();
 }
 
-process.on("SIGTERM", () => gracefulShutdown("SIGTERM"));
-process.on("SIGINT", () => gracefulShutdown("SIGINT"));
+// Tests require the app without starting the server
+if (require.main === module) {
+  startServer();
+  process.on("SIGTERM", () => gracefulShutdown("SIGTERM"));
+  process.on("SIGINT", () => gracefulShutdown("SIGINT"));
+}
+
+module.exports = { app, updateConvosoLead, addLeadNote, hydrateMorganQueueFromConvoso, mergeMorganQueueFromMQ };
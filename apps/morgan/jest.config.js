@@ -4,12 +4,14 @@ module.exports = {
   collectCoverageFrom: [
     '*.js',
     '!jest.config.js',
+    '!jest.setup.js',
     '!coverage/**',
   ],
   testMatch: [
     '**/__tests__/**/*.test.js',
     '**/?(*.)+(spec|test).js'
   ],
+  setupFilesAfterEnv: ['<rootDir>/jest.setup.js'],
   testTimeout: 10000,
   verbose: true,
 };
@@ -0,0 +1,15 @@
+// jest.setup.js
+// Modules keep their state through stateStore; unit tests get an in-memory
+// stand-in (loadState answers the fallback, writes go nowhere) so they never
+// touch disk. Suites that exercise the real store call jest.unmock('../stateStore').
+
+jest.mock('./stateStore', () => ({
+  loadState: jest.fn((name, fallback) => fallback),
+  saveState: jest.fn(),
+  writeStateNow: jest.fn(),
+  flushState: jest.fn(),
+  checkStateDir: jest.fn(() => true),
+  onStateWritten: jest.fn(() => () => {}),
+  listStateNames: jest.fn(() => []),
+  getStateDir: jest.fn(() => '/tmp/morgan-state'),
+}));
@@ -0,0 +1,187 @@
+// leadIntake.js
+// What Morgan does with leads coming in from Convoso, decided without side
+// effects: index.js applies the decisions on a real pull, and dry runs and
+// replays of recorded Convoso search responses report them instead.
+//
+// A pull runs in two stages. The campaign filter (campaigns.js) drops rows the
+// campaign doesn't take; the intake check then skips, holds (cadence not due
+// yet) or queues each remaining lead. Held and queued leads are set to MQ in
+// Convoso. Calling windows are checked at dial time, not at intake, so a plan
+// reports them on queued leads without skipping anyone for them.
+
+const { DateTime } = require("luxon");
+const { isMorganEnabled } = require("./morganToggle");
+const { getSuppression } = require("./suppression");
+const { evaluateCadence, isHeld } = require("./cadencePolicy");
+const { hasOpenCallback } = require("./callbacks");
+const { checkCallingWindow } = require("./callingWindows");
+const { getCampaignSkipReason } = require("./campaigns");
+const { validatePhoneNumber } = require("./phoneNumbers");
+
+function getMemberIdValue(obj) {
+  const v =
+    obj?.member_id ?? obj?.Member_ID ?? obj?.memberId ?? obj?.memberID ?? obj?.field_2;
+
+  if (v == null) return null;
+
+  const str = String(v).trim();
+  return str === "" ? null : str;
+}
+
+function getLeadListId(lead) {
+  return lead?.list_id ?? lead?.raw?.list_id ?? null;
+}
+
+function normalizeConvosoLead(convosoLead) {
+  if (!convosoLead) return null;
+  const rawCalled = convosoLead.called_count;
+  const callCount =
+    rawCalled == null || rawCalled === ""
+      ? null
+      : Number(rawCalled);
+
+  const memberId = getMemberIdValue(convosoLead);
+
+  return {
+    id: convosoLead.lead_id || convosoLead.id,
+    list_id: convosoLead.list_id,
+    first_name: convosoLead.first_name,
+    last_name: convosoLead.last_name,
+    phone: convosoLead.phone_number,
+    phone_number: convosoLead.phone_number,
+    state: convosoLead.state,
+    call_count: callCount,
+    member_id: memberId,
+    Member_ID: convosoLead.Member_ID ?? memberId,
+    field_2: convosoLead.field_2,
+    raw: convosoLead,
+  };
+}
+
+// Rows from one /v1/leads/search response body (the shape varies by endpoint version)
+function extractSearchEntries(body) {
+  const candidates = [body?.data?.entries, body?.entries, body?.data];
+  return candidates.find((c) => Array.isArray(c)) || [];
+}
+
+/**
+ * Intake decision for one lead, in the order enqueueing applies the checks:
+ *  { action: "skip", reason: morgan_disabled | member_id | invalid_phone | dnc | duplicate | attempts_exhausted, detail }
+ *    (invalid_phone skips carry the Convoso update that reports the bad number)
+ *  { action: "hold", reason: <cadence reason>, until }  (cadence not due yet)
+ *  { action: "queue" }
+ * Held and queued leads carry the Convoso update that marks them MQ.
+ * isQueued(leadId) reports leads already in the dial queue.
+ */
+function planLeadIntake(lead, { isQueued = () => false, now = Date.now() } = {}) {
+  const skip = (reason, detail = null) => ({ action: "skip", reason, detail });
+
+  const listId = getLeadListId(lead);
+  if (!isMorganEnabled(listId)) return skip("morgan_disabled", listId == null ? null : String(listId));
+
+  const memberId = getMemberIdValue(lead);
+  if (memberId) return skip("member_id", memberId);
+
+  const phoneCheck = validatePhoneNumber(lead.phone);
+  if (!phoneCheck.valid) {
+    return { ...skip("invalid_phone", phoneCheck.reason), convosoUpdate: invalidPhoneUpdate(lead.id, phoneCheck) };
+  }
+
+  const dnc = getSuppression(lead.phone);
+  if (dnc) return skip("dnc", dnc.source);
+
+  // Held leads and leads waiting on a callback count as already queued
+  if (isQueued(lead.id) || isHeld(lead.id, now) || hasOpenCallback(lead.id)) return skip("duplicate");
+
+  const cadence = evaluateCadence(lead, now);
+  if (cadence.exhausted) return skip("attempts_exhausted", `${cadence.attempts} attempts`);
+
+  const convosoUpdate = { lead_id: lead.id, status: "MQ" };
+  if (!cadence.due) {
+    return { action: "hold", reason: cadence.reason, until: cadence.nextEligibleAt, convosoUpdate };
+  }
+  return { action: "queue", convosoUpdate };
+}
+
+// Convoso status for leads whose number Morgan won't dial (invalid, premium, international)
+function getInvalidPhoneStatus() {
+  return process.env.MORGAN_INVALID_PHONE_STATUS || "WN";
+}
+
+// Convoso update that parks a lead with a bad number and says why in its notes
+function invalidPhoneUpdate(leadId, phoneCheck) {
+  return {
+    lead_id: leadId,
+    status: getInvalidPhoneStatus(),
+    notes: `Morgan did not dial: ${phoneCheck.message} (${phoneCheck.reason})`,
+  };
+}
+
+// Convoso status for leads dequeued but not dialed because the number is suppressed
+function getDncStatus() {
+  return process.env.MORGAN_DNC_STATUS || "DNC";
+}
+
+function dncUpdate(leadId, entry) {
+  return {
+    lead_id: leadId,
+    status: getDncStatus(),
+    notes: `Morgan did not dial: number is on the do-not-call list (${entry.source})`,
+  };
+}
+
+function describeLead(lead) {
+  return { leadId: lead?.id ?? null, listId: getLeadListId(lead), phone: lead?.phone ?? null, state: lead?.state ?? null };
+}
+
+/**
+ * Everything a campaign pull would do with a set of raw Convoso search rows:
+ *  { raw, leads, queue, hold, skipped, convosoUpdates }
+ * `leads` are the normalized leads that pass the campaign filter and limit, in
+ * the order a real pull enqueues them. Skipped entries say which stage
+ * (campaign or intake) passed them over.
+ */
+function planCampaignPull(campaign, entries, { isQueued = () => false, limit = null, now = Date.now() } = {}) {
+  const cap = limit || campaign.limit || null;
+  const plan = { raw: entries.length, leads: [], queue: [], hold: [], skipped: [], convosoUpdates: [] };
+  // A lead found on two lists is only enqueued once
+  const planned = new Set();
+
+  for (const lead of entries.map(normalizeConvosoLead).filter(Boolean)) {
+    const campaignReason = getCampaignSkipReason(campaign, lead) || (cap && plan.leads.length >= cap ? "limit" : null);
+    if (campaignReason) {
+      plan.skipped.push({ ...describeLead(lead), stage: "campaign", reason: campaignReason });
+      continue;
+    }
+    plan.leads.push(lead);
+
+    const decision = planLeadIntake(lead, { isQueued: (id) => planned.has(id) || isQueued(id), now });
+    if (decision.action === "skip") {
+      plan.skipped.push({ ...describeLead(lead), stage: "intake", reason: decision.reason, detail: decision.detail });
+      if (decision.convosoUpdate) plan.convosoUpdates.push(decision.convosoUpdate);
+      continue;
+    }
+    planned.add(lead.id);
+    plan.convosoUpdates.push(decision.convosoUpdate);
+    if (decision.action === "hold") {
+      plan.hold.push({ ...describeLead(lead), reason: decision.reason, until: new Date(decision.until).toISOString() });
+    } else {
+      const window = checkCallingWindow(lead, DateTime.fromMillis(now));
+      plan.queue.push({ ...describeLead(lead), callableNow: window.allowed, windowReason: window.reason });
+    }
+  }
+  return plan;
+}
+
+module.exports = {
+  getMemberIdValue,
+  getLeadListId,
+  normalizeConvosoLead,
+  getInvalidPhoneStatus,
+  invalidPhoneUpdate,
+  getDncStatus,
+  dncUpdate,
+  extractSearchEntries,
+  planLeadIntake,
+  planCampaignPull,
+};
@@ -0,0 +1,310 @@
+// leaderElection.js
+// Only one Morgan instance may pull and dial. With MORGAN_LEADER_DATABASE_URL
+// (or DATABASE_URL) set, instances compete for a Postgres session advisory lock:
+// the holder is the leader, the others stay on standby (forwarding webhooks,
+// tools and admin calls to it, see leaderProxy.js) and retry every MORGAN_LEADER_CHECK_MS. The lock lives as long as the
+// leader's connection, so a crashed or partitioned leader loses it and a standby
+// takes over on its next check. Without a database every instance leads, as before.
+//
+// A leader only trusts its lock while checks keep succeeding: after two missed
+// check intervals it steps down on its own, before a standby can win the lock.
+//
+// On taking the lock the leader records its MORGAN_INSTANCE_URL in
+// morgan_leaders, which is how standbys know where to forward requests and
+// what fences shared-state writes (sharedState.js) to the current leader.
+
+const os = require("os");
+const { EventEmitter } = require("events");
+const { logger } = require("./logger");
+
+// First half of the two-int advisory lock key ("MOR"); the second half is
+// MORGAN_LEADER_LOCK_ID so environments sharing a database don't contend
+const LOCK_NAMESPACE = 0x4d4f52;
+const DEFAULT_CHECK_MS = 5000;
+
+const leaderEvents = new EventEmitter();
+
+let client = null;
+let leader = false;
+let leaderSince = null;
+let lastCheckOkAt = null;
+let lastError = null;
+let timer = null;
+let checking = null;
+let registered = false;
+
+function getDatabaseUrl() {
+  return process.env.MORGAN_LEADER_DATABASE_URL || process.env.DATABASE_URL || null;
+}
+
+function getInstanceId() {
+  return process.env.MORGAN_INSTANCE_ID || process.env.RAILWAY_REPLICA_ID || `${os.hostname()}-${process.pid}`;
+}
+
+// Address the other replicas reach this instance at (private network)
+function getInstanceUrl() {
+  const url = process.env.MORGAN_INSTANCE_URL;
+  return url ? url.replace(/\/+$/, "") : null;
+}
+
+function getLockId() {
+  const id = Number(process.env.MORGAN_LEADER_LOCK_ID);
+  return Number.isInteger(id) ? id : 1;
+}
+
+function getCheckMs() {
+  const ms = Number(process.env.MORGAN_LEADER_CHECK_MS);
+  return Number.isFinite(ms) && ms >= 1000 ? ms : DEFAULT_CHECK_MS;
+}
+
+function getMode() {
+  return getDatabaseUrl() ? "postgres" : "single";
+}
+
+function setLeader(value, now = Date.now()) {
+  if (leader === value) return;
+  leader = value;
+  if (!value) registered = false;
+  leaderSince = value ? now : null;
+  logger.info(`[MorganLeader] ${getInstanceId()} ${value ? "is now the leader" : "stepped down to standby"}`);
+  leaderEvents.emit("change", value);
+}
+
+async function dropClient() {
+  const old = client;
+  client = null;
+  if (old) await old.end().catch(() => {});
+}
+
+async function connect() {
+  const { Client } = require("pg");
+  const next = new Client({
+    connectionString: getDatabaseUrl(),
+    // Shows up in pg_stat_activity, which is how standbys name the leader
+    application_name: `morgan:${getInstanceId()}`.slice(0, 63),
+    keepAlive: true,
+    connectionTimeoutMillis: getCheckMs(),
+    query_timeout: getCheckMs(),
+  });
+  // A dropped connection releases the lock server-side; step down right away
+  next.on("error", (err) => {
+    lastError = err.message;
+    if (client === next) {
+      client = null;
+      setLeader(false);
+    }
+  });
+  await next.connect();
+  client = next;
+}
+
+// Tell standbys where to forward. Until this succeeds standbys can't forward
+// and shared-state writes are fenced off, so every check retries it.
+async function registerLeader() {
+  try {
+    await client.query(
+      `INSERT INTO morgan_leaders (lock_id, instance_id, url, since) VALUES ($1, $2, $3, now())
+       ON CONFLICT (lock_id) DO UPDATE SET instance_id = EXCLUDED.instance_id, url = EXCLUDED.url, since = EXCLUDED.since`,
+      [getLockId(), getInstanceId(), getInstanceUrl()]
+    );
+    registered = true;
+  } catch (err) {
+    registered = false;
+    logger.error("[MorganLeader] Could not record the leader address:", err.message);
+  }
+  return registered;
+}
+
+/**
+ * A fenced shared-state write found another instance registered as leader.
+ * Re-register while this session still holds the lock; otherwise step down
+ * now rather than at the next check. Resolves to whether this instance leads.
+ */
+async function reassertLeadership() {
+  if (getMode() === "single") return true;
+  if (!client || !leader) return false;
+  try {
+    const { rows } = await client.query(
+      `SELECT 1 FROM pg_locks
+        WHERE pid = pg_backend_pid() AND locktype = 'advisory' AND granted
+          AND classid::bigint = $1 AND objid::bigint = $2 AND objsubid = 2`,
+      [LOCK_NAMESPACE, getLockId()]
+    );
+    if (rows.length) return await registerLeader();
+  } catch (err) {
+    // Can't tell; the regular check decides
+    lastError = err.message;
+    logger.error("[MorganLeader] Could not confirm the leader lock:", err.message);
+    return leader;
+  }
+  logger.error(`[MorganLeader] ${getInstanceId()} no longer holds the leader lock; stepping down`);
+  setLeader(false);
+  await dropClient();
+  return false;
+}
+
+/**
+ * With a database, standbys forward to the address the leader registers; an
+ * instance without MORGAN_INSTANCE_URL can lead but nothing can be forwarded
+ * to it (standbys answer 503 and Vapi's end-of-call reports are lost).
+ */
+function checkInstanceUrl() {
+  if (getMode() === "single" || getInstanceUrl()) return true;
+  logger.error(
+    `[MorganLeader] MORGAN_INSTANCE_URL is not set; while ${getInstanceId()} leads, standbys can't forward ` +
+      "webhooks or tool calls to it. Set it to this replica's private-network address."
+  );
+  return false;
+}
+
+/**
+ * One election round: keep the lock alive when leading, try to take it when
+ * not. Resolves to the current leadership. Never throws.
+ */
+function checkLeadership({ now = Date.now() } = {}) {
+  if (getMode() === "single") {
+    lastCheckOkAt = now;
+    setLeader(true, now);
+    return Promise.resolve(true);
+  }
+  if (checking) return checking;
+
+  checking = (async () => {
+    try {
+      if (!client) await connect();
+      if (leader) {
+        await client.query("SELECT 1");
+        if (!registered) await registerLeader();
+      } else {
+        const { rows } = await client.query("SELECT pg_try_advisory_lock($1, $2) AS acquired", [
+          LOCK_NAMESPACE,
+          getLockId(),
+        ]);
+        if (rows[0] && rows[0].acquired) {
+          await registerLeader();
+          setLeader(true, now);
+        }
+      }
+      lastCheckOkAt = now;
+      lastError = null;
+    } catch (err) {
+      lastError = err.message;
+      logger.error("[MorganLeader] Leadership check failed:", err.message);
+      setLeader(false, now);
+      await dropClient();
+    } finally {
+      checking = null;
+    }
+    return leader;
+  })();
+  return checking;
+}
+
+// True while this instance holds the lock and has confirmed it recently
+function isLeader(now = Date.now()) {
+  if (!leader) return false;
+  if (getMode() === "single") return true;
+  return lastCheckOkAt != null && now - lastCheckOkAt <= 2 * getCheckMs();
+}
+
+function onLeadershipChange(listener) {
+  leaderEvents.on("change", listener);
+  return () => leaderEvents.off("change", listener);
+}
+
+function startLeaderElection() {
+  if (timer) return;
+  void checkLeadership();
+  timer = setInterval(() => {
+    // Checks stalled: step down and drop the session so the lock frees for a standby
+    if (leader && !isLeader() && !checking) {
+      setLeader(false);
+      void dropClient();
+    }
+    void checkLeadership();
+  }, getCheckMs());
+  if (timer.unref) timer.unref();
+}
+
+// Release the lock on shutdown so a standby takes over without waiting out a check
+async function stopLeaderElection() {
+  if (timer) clearInterval(timer);
+  timer = null;
+  if (client && leader) {
+    await client.query("SELECT pg_advisory_unlock($1, $2)", [LOCK_NAMESPACE, getLockId()]).catch(() => {});
+  }
+  setLeader(false);
+  await dropClient();
+}
+
+// Who holds the lock, as seen from the database (null when nobody does). url
+// is only trusted when the lock holder is the instance that recorded it.
+async function findLeader() {
+  if (getMode() === "single") return { instanceId: getInstanceId(), connectedAt: null, url: getInstanceUrl() };
+  if (!client) return null;
+  const { rows } = await client.query(
+    `SELECT a.application_name, a.backend_start, ml.url
+       FROM pg_locks l JOIN pg_stat_activity a ON a.pid = l.pid
+       LEFT JOIN morgan_leaders ml
+         ON ml.lock_id = $2 AND left('morgan:' || ml.instance_id, 63) = a.application_name
+      WHERE l.locktype = 'advisory' AND l.granted
+        AND l.classid::bigint = $1 AND l.objid::bigint = $2 AND l.objsubid = 2`,
+    [LOCK_NAMESPACE, getLockId()]
+  );
+  if (!rows.length) return null;
+  return {
+    instanceId: String(rows[0].application_name || "").replace(/^morgan:/, "") || null,
+    connectedAt: rows[0].backend_start ? new Date(rows[0].backend_start).toISOString() : null,
+    url: rows[0].url || null,
+  };
+}
+
+async function getLeaderStatus({ now = Date.now() } = {}) {
+  let currentLeader = null;
+  let lookupError = null;
+  try {
+    currentLeader = await findLeader();
+  } catch (err) {
+    lookupError = err.message;
+  }
+  return {
+    instanceId: getInstanceId(),
+    mode: getMode(),
+    isLeader: isLeader(now),
+    leaderSince: leaderSince ? new Date(leaderSince).toISOString() : null,
+    lastCheckAt: lastCheckOkAt ? new Date(lastCheckOkAt).toISOString() : null,
+    lastError: lastError || lookupError,
+    leader: currentLeader,
+  };
+}
+
+// Test helper
+function resetLeaderElection() {
+  if (timer) clearInterval(timer);
+  timer = null;
+  client = null;
+  leader = false;
+  leaderSince = null;
+  lastCheckOkAt = null;
+  lastError = null;
+  checking = null;
+  registered = false;
+  leaderEvents.removeAllListeners();
+}
+
+module.exports = {
+  getDatabaseUrl,
+  getInstanceId,
+  getInstanceUrl,
+  getLockId,
+  checkLeadership,
+  reassertLeadership,
+  checkInstanceUrl,
+  isLeader,
+  onLeadershipChange,
+  startLeaderElection,
+  stopLeaderElection,
+  findLeader,
+  getLeaderStatus,
+  resetLeaderElection,
+};
@@ -0,0 +1,112 @@
+// leaderProxy.js
+// Only the leader's state is live, so a standby must not act on a webhook,
+// tool call or admin write itself: a DNC request, callback or kill-switch flip
+// it applied would never reach the leader, and a call outcome it applied would
+// be judged against an empty cadence history. forwardToLeader relays such
+// requests, raw body and auth headers unchanged, to the address the leader
+// recorded (MORGAN_INSTANCE_URL), and relays the answer back.
+
+const fetch = require("node-fetch");
+const { isLeader, findLeader, getInstanceId, getInstanceUrl } = require("./leaderElection");
+const { incCounter } = require("./metrics");
+const { logger } = require("./logger");
+
+const FORWARDED_HEADER = "x-morgan-forwarded-by";
+const LEADER_CACHE_MS = 5000;
+const FORWARD_TIMEOUT_MS = 15000;
+// Hop-by-hop headers and ones fetch sets itself
+const SKIP_HEADERS = new Set(["host", "connection", "content-length", "transfer-encoding", "keep-alive", "accept-encoding"]);
+
+let cachedLeader = null; // { url, at }
+
+async function getLeaderUrl(now = Date.now()) {
+  if (cachedLeader && now - cachedLeader.at < LEADER_CACHE_MS) return cachedLeader.url;
+  const leader = await findLeader().catch((err) => {
+    logger.warn("[LeaderProxy] Leader lookup failed:", err.message);
+    return null;
+  });
+  const url = leader?.url && leader.url !== getInstanceUrl() ? leader.url : null;
+  cachedLeader = { url, at: now };
+  return url;
+}
+
+function forwardHeaders(req) {
+  const headers = {};
+  for (const [name, value] of Object.entries(req.headers)) {
+    if (!SKIP_HEADERS.has(name)) headers[name] = value;
+  }
+  headers[FORWARDED_HEADER] = getInstanceId();
+  return headers;
+}
+
+// The global json/urlencoded parsers keep req.rawBody. Any other content type
+// (a text/csv DNC import, parsed only by its own route) is still unread on the
+// request stream when it reaches the proxy.
+function readRawBody(req) {
+  if (req.method === "GET" || req.method === "HEAD") return Promise.resolve(undefined);
+  if (req.rawBody !== undefined || req._body) return Promise.resolve(req.rawBody);
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+function noLeader(res, error) {
+  incCounter("morgan_forwarded_requests_total", { result: "no_leader" });
+  return res.status(503).json({ success: false, error, instanceId: getInstanceId() });
+}
+
+/**
+ * Express middleware: pass through on the leader, forward on a standby. Answers
+ * 503 when no leader address is known (mid-failover) or the request was
+ * already forwarded once, 502 when the leader can't be reached.
+ */
+async function forwardToLeader(req, res, next) {
+  if (isLeader()) return next();
+  if (req.headers[FORWARDED_HEADER]) {
+    return noLeader(res, "Forwarded to an instance that is not the leader");
+  }
+
+  const url = await getLeaderUrl();
+  if (!url) return noLeader(res, "No Morgan leader to forward to");
+
+  let body;
+  try {
+    body = await readRawBody(req);
+  } catch (err) {
+    return res.status(400).json({ success: false, error: "Could not read request body", instanceId: getInstanceId() });
+  }
+
+  try {
+    const response = await fetch(`${url}${req.originalUrl}`, {
+      method: req.method,
+      headers: forwardHeaders(req),
+      body,
+      timeout: FORWARD_TIMEOUT_MS,
+    });
+    const answer = await response.buffer();
+    incCounter("morgan_forwarded_requests_total", { result: "ok" });
+    const contentType = response.headers.get("content-type");
+    if (contentType) res.set("Content-Type", contentType);
+    return res.status(response.status).send(answer);
+  } catch (err) {
+    // The leader may have changed; look it up again next time
+    cachedLeader = null;
+    incCounter("morgan_forwarded_requests_total", { result: "error" });
+    logger.error(`[LeaderProxy] Forwarding ${req.method} ${req.originalUrl.split("?")[0]} to ${url} failed:`, err.message);
+    return res.status(502).json({ success: false, error: "Morgan leader unreachable", instanceId: getInstanceId() });
+  }
+}
+
+// Test helper
+function resetLeaderProxy() {
+  cachedLeader = null;
+}
+
+module.exports = {
+  FORWARDED_HEADER,
+  forwardToLeader,
+  resetLeaderProxy,
+};
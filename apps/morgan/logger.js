@@ -0,0 +1,180 @@
+// logger.js
+// Structured JSON logging for the Morgan service. Every entry is one JSON line
+// with the level, a scope taken from the "[Tag]" message prefix, the request
+// and call correlation IDs in effect, and any extra arguments. Phone numbers,
+// names, emails, addresses and auth tokens are masked before anything is
+// written, whether they arrive as object fields or inside a message string.
+// The level starts at LOG_LEVEL and can be changed at runtime.
+
+const { AsyncLocalStorage } = require("async_hooks");
+const crypto = require("crypto");
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const MAX_DEPTH = 6;
+const MAX_STRING = 2000;
+
+const context = new AsyncLocalStorage();
+let level = LEVELS[process.env.LOG_LEVEL] != null ? process.env.LOG_LEVEL : "info";
+
+// Field names whose values are never logged as-is
+const SECRET_KEY = /authorization|cookie|token|secret|password|passwd|api[_-]?key|signature/i;
+const PHONE_KEY = /phone|^(to|from)_?number$|^number$|caller_?id|^ani$|^dnis$/i;
+const EMAIL_KEY = /e-?mail/i;
+const NAME_KEY = /^(first|last|middle|full|display|customer|caller)_?name$|^name$/i;
+const ID_KEY = /number_?ids?$/i; // phoneNumberId is a provider ID, not a number
+const ADDRESS_KEY = /address|street|^city$|^zip|postal|^dob$|birth|^ssn$/i;
+
+const PHONE_PATTERN = /(?<![\w.:/-])(?:\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}(?![\w])/g;
+const EMAIL_PATTERN = /[\w.+-]+@([\w-]+\.)+[a-z]{2,}/gi;
+const BEARER_PATTERN = /\b(Bearer|Basic)\s+[\w.~+/=-]+/gi;
+const QUERY_SECRET_PATTERN = /([?&](?:api_key|auth_token|token|secret)=)[^&\s"']+/gi;
+
+function maskPhone(value) {
+  const digits = String(value).replace(/\D/g, "");
+  return digits.length >= 4 ? `***${digits.slice(-4)}` : "***";
+}
+
+function maskEmail(value) {
+  const at = String(value).lastIndexOf("@");
+  return at > 0 ? `***${String(value).slice(at)}` : "***";
+}
+
+function maskString(value) {
+  const text = value.length > MAX_STRING ? `${value.slice(0, MAX_STRING)}...` : value;
+  return text
+    .replace(BEARER_PATTERN, "$1 [redacted]")
+    .replace(QUERY_SECRET_PATTERN, "$1[redacted]")
+    .replace(EMAIL_PATTERN, (match) => maskEmail(match))
+    .replace(PHONE_PATTERN, (match) => maskPhone(match));
+}
+
+function redactField(key, value, depth, seen) {
+  if (value == null || value === "") return value;
+  if (SECRET_KEY.test(key)) return "[redacted]";
+  if (typeof value !== "object") {
+    if (PHONE_KEY.test(key) && !ID_KEY.test(key)) return maskPhone(value);
+    if (EMAIL_KEY.test(key)) return maskEmail(value);
+    if (NAME_KEY.test(key) || ADDRESS_KEY.test(key)) return "[redacted]";
+  }
+  return redact(value, depth + 1, seen);
+}
+
+/**
+ * Copy of `value` that is safe to log: sensitive fields are masked by name,
+ * phone numbers, emails and tokens are masked inside strings, and deep or
+ * circular structures are cut off.
+ */
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === "string") return maskString(value);
+  if (value == null || typeof value !== "object") return value;
+  if (value instanceof Error) return describeError(value);
+  if (value instanceof Date) return value.toISOString();
+  if (seen.has(value)) return "[circular]";
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? "[array]" : "[object]";
+  seen.add(value);
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1, seen));
+  const out = {};
+  for (const [key, item] of Object.entries(value)) {
+    out[key] = redactField(key, item, depth, seen);
+  }
+  return out;
+}
+
+function describeError(err) {
+  const out = { name: err.name, message: maskString(String(err.message || "")) };
+  if (err.code != null) out.code = err.code;
+  if (err.statusCode != null) out.statusCode = err.statusCode;
+  if (err.stack) out.stack = maskString(err.stack);
+  return out;
+}
+
+// Turn console-style arguments into { scope, msg, err, data }
+function buildEntry(args) {
+  const words = [];
+  const data = [];
+  let err = null;
+  for (const arg of args) {
+    if (arg instanceof Error && !err) err = describeError(arg);
+    else if (arg !== null && typeof arg === "object") data.push(redact(arg));
+    else if (arg !== undefined) words.push(maskString(String(arg)));
+  }
+  let msg = words.join(" ");
+  let scope;
+  const tag = /^\[([^\]]+)\]\s*/.exec(msg);
+  if (tag) {
+    scope = tag[1];
+    msg = msg.slice(tag[0].length);
+  }
+  return { scope, msg, err, data: data.length === 0 ? undefined : data.length === 1 ? data[0] : data };
+}
+
+function write(entryLevel, args) {
+  if (LEVELS[entryLevel] > LEVELS[level]) return;
+  const { scope, msg, err, data } = buildEntry(args);
+  const entry = {
+    time: new Date().toISOString(),
+    level: entryLevel,
+    scope,
+    msg,
+    ...redact(context.getStore() || {}),
+    data,
+    err: err || undefined,
+  };
+  const line = JSON.stringify(entry);
+  if (entryLevel === "error") console.error(line);
+  else if (entryLevel === "warn") console.warn(line);
+  else console.log(line);
+}
+
+const logger = {
+  error: (...args) => write("error", args),
+  warn: (...args) => write("warn", args),
+  info: (...args) => write("info", args),
+  debug: (...args) => write("debug", args),
+};
+
+function getLogLevel() {
+  return level;
+}
+
+function setLogLevel(next) {
+  const value = String(next || "").trim().toLowerCase();
+  if (LEVELS[value] == null) {
+    throw new Error(`level must be one of ${Object.keys(LEVELS).join(", ")}`);
+  }
+  level = value;
+  return level;
+}
+
+// Run `fn` with extra correlation fields (e.g. { leadId }) on every entry it logs
+function withLogContext(fields, fn) {
+  return context.run({ ...(context.getStore() || {}), ...fields }, fn);
+}
+
+// Add correlation fields to the current request or job once they are known
+function addLogContext(fields) {
+  const store = context.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+/**
+ * Express middleware: give each request an ID (the caller's x-request-id when
+ * it sent a sane one), echo it back and attach it to everything logged while
+ * the request is handled.
+ */
+function requestLogContext(req, res, next) {
+  const incoming = req.get("x-request-id");
+  const requestId = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("x-request-id", requestId);
+  context.run({ requestId }, next);
+}
+
+module.exports = {
+  logger,
+  redact,
+  getLogLevel,
+  setLogLevel,
+  withLogContext,
+  addLogContext,
+  requestLogContext,
+};
@@ -0,0 +1,152 @@
+// metrics.js
+// Minimal Prometheus registry for the Morgan dialer (text exposition format 0.0.4).
+// Counters and histograms are declared here so every metric name lives in one
+// place; gauges are read from live state at scrape time via registerGauge.
+
+const COUNTERS = {
+  morgan_calls_launched_total: { help: "Outbound calls started, by code path", labels: ["path"] },
+  morgan_calls_failed_total: { help: "Outbound call launches that failed", labels: ["path", "reason"] },
+  morgan_calls_requeued_total: { help: "Leads put back to wait for another dial", labels: ["reason"] },
+  morgan_call_outcomes_total: { help: "Ended calls, by outcome class (completed, voicemail, no-answer, ...)", labels: ["outcome"] },
+  morgan_vapi_rate_limited_total: { help: "Vapi 429 responses when creating calls", labels: [] },
+  morgan_convoso_updates_total: { help: "Convoso lead update attempts, by result (ok, error, dead)", labels: ["result"] },
+  morgan_convoso_update_retries_total: { help: "Convoso lead update retries after a transient error", labels: [] },
+  morgan_ops_call_logs_total: { help: "Ended calls pushed to the ops-api call log, by result (ok, error, dead)", labels: ["result"] },
+  morgan_transfers_total: { help: "Warm transfers to a licensed agent, by result (transferred, failed, no-agent)", labels: ["result"] },
+  morgan_leads_skipped_total: { help: "Leads Morgan did not dial", labels: ["reason"] },
+  morgan_watchdog_actions_total: { help: "Slots the stuck-call watchdog repaired, by action and reason", labels: ["action", "reason"] },
+  morgan_alerts_total: { help: "Operational alerts raised, by type and severity", labels: ["type", "severity"] },
+  morgan_pull_job_failures_total: { help: "Lead pull jobs that threw", labels: ["job"] },
+  morgan_forwarded_requests_total: { help: "Requests a standby forwarded to the leader, by result (ok, no_leader, error)", labels: ["result"] },
+};
+
+const HISTOGRAMS = {
+  morgan_pull_job_duration_seconds: {
+    help: "Lead pull job duration, by job",
+    buckets: [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300],
+  },
+};
+
+// name -> Map(labelKey -> { labels, value })
+const counterValues = new Map();
+// name -> Map(labelKey -> { labels, buckets: number[], sum, count })
+const histogramValues = new Map();
+// name -> { help, collect: () => number | Array<{ labels, value }> }
+const gauges = new Map();
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map((k) => [k, String(labels[k])]));
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return "";
+  const body = entries
+    .map(([k, v]) => `${k}="${String(v).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n")}"`)
+    .join(",");
+  return `{${body}}`;
+}
+
+function incCounter(name, labels = {}, by = 1) {
+  if (!COUNTERS[name]) throw new Error(`Unknown counter ${name}`);
+  if (!counterValues.has(name)) counterValues.set(name, new Map());
+  const series = counterValues.get(name);
+  const key = labelKey(labels);
+  const entry = series.get(key) || { labels, value: 0 };
+  entry.value += by;
+  series.set(key, entry);
+}
+
+function observeHistogram(name, labels, value) {
+  const def = HISTOGRAMS[name];
+  if (!def) throw new Error(`Unknown histogram ${name}`);
+  if (!histogramValues.has(name)) histogramValues.set(name, new Map());
+  const series = histogramValues.get(name);
+  const key = labelKey(labels);
+  const entry = series.get(key) || { labels, buckets: def.buckets.map(() => 0), sum: 0, count: 0 };
+  def.buckets.forEach((le, i) => {
+    if (value <= le) entry.buckets[i]++;
+  });
+  entry.sum += value;
+  entry.count++;
+  series.set(key, entry);
+}
+
+// Run an async pull job, recording its duration (and a failure if it throws)
+async function timeJob(job, fn) {
+  const started = process.hrtime.bigint();
+  try {
+    return await fn();
+  } catch (err) {
+    incCounter("morgan_pull_job_failures_total", { job });
+    throw err;
+  } finally {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    observeHistogram("morgan_pull_job_duration_seconds", { job }, seconds);
+  }
+}
+
+function registerGauge(name, help, collect) {
+  gauges.set(name, { help, collect });
+}
+
+function renderMetrics() {
+  const lines = [];
+
+  for (const [name, def] of Object.entries(COUNTERS)) {
+    lines.push(`# HELP ${name} ${def.help}`, `# TYPE ${name} counter`);
+    const series = counterValues.get(name);
+    if (!series || series.size === 0) {
+      // Unlabelled counters start at 0 so alerts can use rate() from the first scrape
+      if (!def.labels.length) lines.push(`${name} 0`);
+      continue;
+    }
+    for (const { labels, value } of series.values()) {
+      lines.push(`${name}${formatLabels(labels)} ${value}`);
+    }
+  }
+
+  for (const [name, def] of Object.entries(HISTOGRAMS)) {
+    lines.push(`# HELP ${name} ${def.help}`, `# TYPE ${name} histogram`);
+    for (const { labels, buckets, sum, count } of (histogramValues.get(name) || new Map()).values()) {
+      def.buckets.forEach((le, i) => {
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le })} ${buckets[i]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+      lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+    }
+  }
+
+  for (const [name, { help, collect }] of gauges.entries()) {
+    let value;
+    try {
+      value = collect();
+    } catch (err) {
+      continue; // a broken collector must not take down the whole scrape
+    }
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`);
+    const series = Array.isArray(value) ? value : [{ labels: {}, value }];
+    for (const s of series) {
+      lines.push(`${name}${formatLabels(s.labels || {})} ${Number(s.value) || 0}`);
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+// Test helper: drop recorded values and registered gauges
+function resetMetrics() {
+  counterValues.clear();
+  histogramValues.clear();
+  gauges.clear();
+}
+
+module.exports = {
+  incCounter,
+  observeHistogram,
+  timeJob,
+  registerGauge,
+  renderMetrics,
+  resetMetrics,
+};
@@ -1,6 +1,118 @@
-function isMorganEnabled() {
-  const v = (process.env.MORGAN_ENABLED || 'true').toLowerCase();
-  return v === 'true' || v === '1' || v === 'yes';
+// morganToggle.js
+// Morgan kill switch. MORGAN_ENABLED is the default; operators can override it
+// at runtime (globally or per Convoso list) through the admin API. Every change
+// is kept in an audit trail with who made it and why. `changedBy` is whatever
+// name the operator gave (self-reported: the admin token is shared); `caller`
+// is what the request's authentication showed (guard, IP, user agent).
+
+const { loadState, saveState } = require("./stateStore");
+
+const TOGGLE_STATE_KEY = "morgan-toggle";
+const MAX_AUDIT_ENTRIES = 1000;
+
+// { enabled: true|false|null (null = follow env), lists: { [listId]: { enabled, changedBy, reason, changedAt } }, audit: [] }
+let state = null;
+
+function getState() {
+  if (!state) {
+    const saved = loadState(TOGGLE_STATE_KEY) || {};
+    state = {
+      enabled: typeof saved.enabled === "boolean" ? saved.enabled : null,
+      changedBy: saved.changedBy || null,
+      caller: saved.caller || null,
+      reason: saved.reason || null,
+      changedAt: saved.changedAt || null,
+      lists: saved.lists || {},
+      audit: saved.audit || [],
+    };
+  }
+  return state;
+}
+
+function isEnabledByEnv() {
+  const v = (process.env.MORGAN_ENABLED || "true").toLowerCase();
+  return v === "true" || v === "1" || v === "yes";
+}
+
+/**
+ * Is Morgan allowed to dial? With a listId, the list must not be paused either.
+ * Read on every call, so a change applies from the next queue tick.
+ */
+function isMorganEnabled(listId = null) {
+  const s = getState();
+  const globalEnabled = s.enabled !== null ? s.enabled : isEnabledByEnv();
+  if (!globalEnabled) return false;
+  if (listId != null) {
+    const rule = s.lists[String(listId)];
+    if (rule && rule.enabled === false) return false;
+  }
+  return true;
+}
+
+/**
+ * Flip the switch. `enabled: null` clears the override (back to MORGAN_ENABLED
+ * globally, or back to following the global switch for a list).
+ */
+function setMorganEnabled({ enabled, listId = null, changedBy, reason, caller = null }) {
+  if (enabled !== true && enabled !== false && enabled !== null) {
+    throw new Error("enabled must be true, false or null");
+  }
+  if (!changedBy || !String(changedBy).trim()) throw new Error("changedBy is required");
+  if (!reason || !String(reason).trim()) throw new Error("reason is required");
+
+  const s = getState();
+  const at = new Date().toISOString();
+  const scope = listId != null ? `list:${listId}` : "global";
+  const previous = listId != null ? s.lists[String(listId)]?.enabled ?? null : s.enabled;
+
+  if (listId != null) {
+    if (enabled === null) {
+      delete s.lists[String(listId)];
+    } else {
+      s.lists[String(listId)] = { enabled, changedBy, caller, reason, changedAt: at };
+    }
+  } else {
+    s.enabled = enabled;
+    s.changedBy = changedBy;
+    s.caller = caller;
+    s.reason = reason;
+    s.changedAt = at;
+  }
+
+  s.audit.push({ at, scope, enabled, previous, changedBy, caller, reason });
+  if (s.audit.length > MAX_AUDIT_ENTRIES) s.audit.splice(0, s.audit.length - MAX_AUDIT_ENTRIES);
+  saveState(TOGGLE_STATE_KEY, () => getState());
+  return getMorganToggleStatus();
+}
+
+function getMorganToggleStatus() {
+  const s = getState();
+  return {
+    enabled: isMorganEnabled(),
+    source: s.enabled !== null ? "runtime" : "env",
+    env: isEnabledByEnv(),
+    changedBy: s.changedBy,
+    caller: s.caller,
+    reason: s.reason,
+    changedAt: s.changedAt,
+    lists: s.lists,
+  };
+}
+
+// Newest first
+function getMorganToggleAudit({ limit = 100 } = {}) {
+  return getState().audit.slice(-limit).reverse();
+}
+
+// Test helper: forget cached state so the next call reloads from the store
+function resetMorganToggle() {
+  state = null;
 }
 
-module.exports = { isMorganEnabled };
+module.exports = {
+  isMorganEnabled,
+  setMorganEnabled,
+  getMorganToggleStatus,
+  getMorganToggleAudit,
+  resetMorganToggle,
+};
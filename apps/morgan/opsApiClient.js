@@ -0,0 +1,54 @@
+// opsApiClient.js
+// Thin client for the ops-api (agent roster, product catalog, call logs).
+// OPS_API_URL is the ops-api origin; OPS_SERVICE_TOKEN is the shared service
+// secret ops-api checks in x-service-token (a session JWT would expire after 12h).
+
+const fetch = require("node-fetch");
+
+const OPS_API_TIMEOUT_MS = 5000;
+
+function isOpsApiConfigured() {
+  return !!process.env.OPS_API_URL;
+}
+
+function getBaseUrl() {
+  return String(process.env.OPS_API_URL || "").replace(/\/+$/, "");
+}
+
+/**
+ * Call an ops-api route under /api, e.g. opsApiRequest("/agents/licensed?state=TX").
+ * Resolves with the parsed JSON body; throws an Error with statusCode on non-2xx.
+ */
+async function opsApiRequest(path, { method = "GET", body, timeoutMs = OPS_API_TIMEOUT_MS } = {}) {
+  if (!isOpsApiConfigured()) {
+    const error = new Error("Missing OPS_API_URL env var");
+    error.transient = false;
+    throw error;
+  }
+
+  const headers = { Accept: "application/json" };
+  if (process.env.OPS_SERVICE_TOKEN) headers["x-service-token"] = process.env.OPS_SERVICE_TOKEN;
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+
+  const response = await fetch(`${getBaseUrl()}/api${path}`, {
+    method,
+    headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+    timeout: timeoutMs,
+  });
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => "");
+    const error = new Error(`ops-api ${method} ${path} failed (status ${response.status}): ${text.slice(0, 200)}`);
+    error.statusCode = response.status;
+    throw error;
+  }
+
+  if (response.status === 204) return null;
+  return response.json();
+}
+
+module.exports = {
+  isOpsApiConfigured,
+  opsApiRequest,
+};
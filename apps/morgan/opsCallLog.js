@@ -0,0 +1,193 @@
+// opsCallLog.js
+// Pushes every ended Morgan call to the ops-api call log (POST
+// /api/webhooks/morgan/calls), where each assistant is a virtual agent and the
+// call goes through the same transcription, AI scoring and CallAudit pipeline
+// as human agents' Convoso calls. Pending pushes are persisted and retried
+// with backoff; ops-api dedupes on the call id, so a retry never logs twice.
+// A call the stuck-call watchdog ended is pushed again when the provider's
+// end-of-call report arrives; ops-api fills in its recording and audits it then.
+// Calls without a Convoso list (debug test calls) are not pushed.
+
+const { loadState, saveState } = require("./stateStore");
+const { incCounter } = require("./metrics");
+const { isTransientError } = require("./convosoOutbox");
+const { logger } = require("./logger");
+
+const STATE_KEY = "ops-call-log";
+const MAX_ATTEMPTS = 12;
+const BASE_RETRY_MS = 30 * 1000;
+const MAX_RETRY_MS = 60 * 60 * 1000;
+const MAX_DEAD_ENTRIES = 1000;
+
+// [{ callId, payload, status: "pending"|"dead", attempts, nextAttemptAt, lastError, createdAt, deadAt }]
+let entries = null;
+let flushing = null;
+
+function getEntries() {
+  if (!entries) {
+    entries = loadState(STATE_KEY, []) || [];
+  }
+  return entries;
+}
+
+function persist() {
+  saveState(STATE_KEY, () => getEntries());
+}
+
+function toSeconds(value) {
+  return value == null || !Number.isFinite(Number(value)) ? undefined : Math.max(0, Math.round(Number(value)));
+}
+
+/**
+ * ops-api body for an ended call record (callRecords.js), or null when the
+ * call has no lead list to file it under.
+ */
+function buildOpsCallPayload(record, { assistantName = null } = {}) {
+  if (!record || !record.callId || record.status !== "ended" || !record.listId) return null;
+  const assistant = record.assistant || "morgan";
+  const payload = {
+    call_id: record.callId,
+    assistant,
+    assistant_name: assistantName || undefined,
+    list_id: String(record.listId),
+    lead_id: record.leadId != null ? String(record.leadId) : undefined,
+    lead_phone: record.toNumber || undefined,
+    recording_url: record.recordingUrl || undefined,
+    call_duration_seconds: toSeconds(record.durationSeconds),
+    call_timestamp: record.startedAt || record.endedAt || undefined,
+    // ops-api only audits calls that reached someone
+    outcome: record.outcome || undefined,
+  };
+  // JSON drops undefined; keep the stored entry the same shape as what is sent
+  return JSON.parse(JSON.stringify(payload));
+}
+
+// Queue a push; a call already waiting is replaced with the latest record
+function queueOpsCallLog(payload, now = Date.now()) {
+  if (!payload) return null;
+  const list = getEntries();
+  const existing = list.find((e) => e.callId === payload.call_id && e.status === "pending");
+  if (existing) {
+    existing.payload = payload;
+    existing.nextAttemptAt = now;
+    persist();
+    return existing;
+  }
+  const entry = {
+    callId: payload.call_id,
+    payload,
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    createdAt: now,
+    deadAt: null,
+  };
+  list.push(entry);
+  persist();
+  return entry;
+}
+
+function retryDelayMs(attempts) {
+  return Math.min(MAX_RETRY_MS, BASE_RETRY_MS * Math.pow(2, attempts - 1));
+}
+
+function deadLetter(entry, now) {
+  entry.status = "dead";
+  entry.deadAt = now;
+  incCounter("morgan_ops_call_logs_total", { result: "dead" });
+  logger.error(`[OpsCallLog] Gave up pushing call ${entry.callId}: ${entry.lastError}`);
+  const dead = getEntries().filter((e) => e.status === "dead");
+  if (dead.length > MAX_DEAD_ENTRIES) {
+    const drop = new Set(dead.slice(0, dead.length - MAX_DEAD_ENTRIES));
+    entries = getEntries().filter((e) => !drop.has(e));
+  }
+}
+
+/**
+ * Send every due push with `send(payload)`, oldest first. Overlapping calls
+ * share one run. Resolves to { sent, failed }.
+ */
+function flushOpsCallLogs(send, { now = Date.now() } = {}) {
+  if (flushing) return flushing;
+  flushing = (async () => {
+    let sent = 0;
+    let failed = 0;
+    for (const entry of getEntries().filter((e) => e.status === "pending" && e.nextAttemptAt <= now)) {
+      entry.attempts++;
+      try {
+        await send(entry.payload);
+        entries = getEntries().filter((e) => e !== entry);
+        incCounter("morgan_ops_call_logs_total", { result: "ok" });
+        sent++;
+      } catch (err) {
+        entry.lastError = err?.message || String(err);
+        failed++;
+        if (!isTransientError(err) || entry.attempts >= MAX_ATTEMPTS) {
+          deadLetter(entry, now);
+        } else {
+          entry.nextAttemptAt = now + retryDelayMs(entry.attempts);
+          incCounter("morgan_ops_call_logs_total", { result: "error" });
+        }
+      }
+    }
+    if (sent || failed) persist();
+    return { sent, failed };
+  })().finally(() => {
+    flushing = null;
+  });
+  return flushing;
+}
+
+function listOpsCallLogs({ status, limit = 200 } = {}) {
+  const matches = getEntries().filter((e) => !status || e.status === status);
+  return {
+    total: matches.length,
+    entries: matches.slice(0, limit).map((e) => ({
+      ...e,
+      nextAttemptAt: e.status === "pending" ? new Date(e.nextAttemptAt).toISOString() : null,
+      createdAt: new Date(e.createdAt).toISOString(),
+      deadAt: e.deadAt ? new Date(e.deadAt).toISOString() : null,
+    })),
+  };
+}
+
+function getOpsCallLogStats() {
+  const list = getEntries();
+  return {
+    pending: list.filter((e) => e.status === "pending").length,
+    dead: list.filter((e) => e.status === "dead").length,
+  };
+}
+
+// Put given-up pushes back in the queue (all of them when no call id is given)
+function replayOpsCallLogs(callId = null, now = Date.now()) {
+  let replayed = 0;
+  for (const entry of getEntries()) {
+    if (entry.status !== "dead" || (callId && entry.callId !== callId)) continue;
+    entry.status = "pending";
+    entry.attempts = 0;
+    entry.nextAttemptAt = now;
+    entry.deadAt = null;
+    replayed++;
+  }
+  if (replayed) persist();
+  return replayed;
+}
+
+// Test helper: forget cached state so the next call reloads from the store
+function resetOpsCallLog() {
+  entries = null;
+  flushing = null;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  buildOpsCallPayload,
+  queueOpsCallLog,
+  flushOpsCallLogs,
+  listOpsCallLogs,
+  getOpsCallLogStats,
+  replayOpsCallLogs,
+  resetOpsCallLog,
+};
@@ -0,0 +1,77 @@
+// phoneNumbers.js
+// NANP validation for the numbers Morgan dials. Leads arrive from Convoso in
+// every shape ("(512) 555-0100", "15125550100", "+1 512 555 0100 x12", ...);
+// this turns the good ones into E.164 and says why the rest can't be dialed,
+// so a bad number is reported back to Convoso instead of becoming a bad dial.
+
+// Caribbean and Atlantic NANP area codes outside the US and its territories:
+// billed as international and the usual targets of one-ring scams
+const NON_DOMESTIC_AREA_CODES = new Set([
+  "242", "246", "264", "268", "284", "345", "441", "473", "649", "658", "664",
+  "721", "758", "767", "784", "809", "829", "849", "868", "869", "876",
+]);
+
+// Premium-rate: 900 area code and the 976 exchange in any area code
+const PREMIUM_AREA_CODES = new Set(["900"]);
+const PREMIUM_EXCHANGES = new Set(["976"]);
+
+const INVALID_PHONE_REASONS = {
+  missing: "no phone number",
+  missing_area_code: "7-digit number without an area code",
+  bad_length: "not a 10-digit NANP number",
+  international: "international or non-US NANP number",
+  invalid_area_code: "area code does not exist",
+  invalid_exchange: "exchange (digits 4-6) does not exist",
+  premium: "premium-rate number",
+};
+
+// "x12", "ext. 12", "extension 12" at the end of the number
+const EXTENSION_PATTERN = /\s*(?:x|ext\.?|extension)\s*\d+\s*$/i;
+
+function invalid(reason) {
+  return { valid: false, reason, message: INVALID_PHONE_REASONS[reason] };
+}
+
+// N11 codes (211, 311, ... 911) are service codes, never an area code or exchange
+function isServiceCode(code) {
+  return code[1] === "1" && code[2] === "1";
+}
+
+/**
+ * Check a phone number against the NANP numbering rules:
+ *  { valid: true, e164: "+15125550100", national: "5125550100" }
+ *  { valid: false, reason, message }  (reason is a key of INVALID_PHONE_REASONS)
+ */
+function validatePhoneNumber(raw) {
+  const text = raw == null ? "" : String(raw).trim().replace(EXTENSION_PATTERN, "");
+  let digits = text.replace(/\D/g, "");
+  if (!digits) return invalid("missing");
+
+  // +44..., or 011 (the US international dialing prefix)
+  if ((text.startsWith("+") && !digits.startsWith("1")) || text.startsWith("011")) return invalid("international");
+  if (digits.length === 7) return invalid("missing_area_code");
+  if (digits.length === 11 && digits.startsWith("1")) digits = digits.slice(1);
+  if (digits.length !== 10) return invalid("bad_length");
+
+  const areaCode = digits.slice(0, 3);
+  const exchange = digits.slice(3, 6);
+  // Area codes are [2-9][0-8][0-9]: a 9 in the middle is reserved for expansion
+  if (!/^[2-9][0-8]\d$/.test(areaCode) || isServiceCode(areaCode)) return invalid("invalid_area_code");
+  if (!/^[2-9]\d\d$/.test(exchange) || isServiceCode(exchange)) return invalid("invalid_exchange");
+  if (NON_DOMESTIC_AREA_CODES.has(areaCode)) return invalid("international");
+  if (PREMIUM_AREA_CODES.has(areaCode) || PREMIUM_EXCHANGES.has(exchange)) return invalid("premium");
+
+  return { valid: true, e164: `+1${digits}`, national: digits };
+}
+
+// E.164 form of a dialable number, or null
+function toE164(raw) {
+  const result = validatePhoneNumber(raw);
+  return result.valid ? result.e164 : null;
+}
+
+module.exports = {
+  INVALID_PHONE_REASONS,
+  validatePhoneNumber,
+  toE164,
+};
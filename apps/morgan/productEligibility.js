@@ -0,0 +1,164 @@
+// productEligibility.js
+// Which products Morgan may pitch in a caller's state, from the ops-api product
+// catalog (GET /api/products: state availability, required bundle add-ons and
+// fallback add-ons). The catalog is cached and persisted; a stale copy is served
+// while a refresh runs in the background so a live call never waits on ops-api.
+// Availability follows payroll: a product is sold in a state only when that
+// state is in its availability list.
+
+const { loadState, saveState } = require("./stateStore");
+const { resolveLeadState } = require("./callingWindows");
+const { opsApiRequest } = require("./opsApiClient");
+const { logger } = require("./logger");
+
+const CATALOG_STATE_KEY = "product-catalog";
+const CATALOG_TTL_MS = 5 * 60 * 1000;
+// First load with nothing cached: how long a call may wait for ops-api
+const CATALOG_FETCH_TIMEOUT_MS = 2500;
+
+// { products: [...], fetchedAt } or null
+let catalog;
+let refreshing = null;
+
+function getCachedCatalog() {
+  if (catalog === undefined) {
+    catalog = loadState(CATALOG_STATE_KEY, null) || null;
+  }
+  return catalog;
+}
+
+// Only what eligibility needs; commission settings stay in the ops platform
+function slimProduct(p) {
+  return {
+    id: p.id,
+    name: p.name,
+    type: p.type || "CORE",
+    notes: p.notes || null,
+    requiredBundleAddon: p.requiredBundleAddon ? { id: p.requiredBundleAddon.id, name: p.requiredBundleAddon.name } : null,
+    fallbackAddons: (p.fallbackAddons || [])
+      .map((f) => f.fallbackProduct)
+      .filter(Boolean)
+      .map((f) => ({ id: f.id, name: f.name })),
+    states: (p.stateAvailability || []).map((s) => String(s.stateCode).toUpperCase()),
+  };
+}
+
+async function fetchCatalog() {
+  const products = await opsApiRequest("/products", { timeoutMs: CATALOG_FETCH_TIMEOUT_MS });
+  if (!Array.isArray(products)) throw new Error("ops-api /products did not return a list");
+  return products.filter((p) => p.active !== false).map(slimProduct);
+}
+
+function refreshCatalog({ now = Date.now(), fetchProducts = fetchCatalog } = {}) {
+  if (!refreshing) {
+    refreshing = fetchProducts()
+      .then((products) => {
+        catalog = { products, fetchedAt: now };
+        saveState(CATALOG_STATE_KEY, catalog);
+        return catalog;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+}
+
+/**
+ * The product catalog: fresh from cache, stale from cache (refreshing in the
+ * background), or fetched when nothing is cached. Throws only in the last case.
+ */
+async function getProductCatalog({ now = Date.now(), fetchProducts = fetchCatalog } = {}) {
+  const cached = getCachedCatalog();
+  if (cached && now - cached.fetchedAt < CATALOG_TTL_MS) return cached;
+  if (cached) {
+    refreshCatalog({ now, fetchProducts }).catch((err) => {
+      logger.warn("[productEligibility] Catalog refresh failed; serving cached catalog:", err.message);
+    });
+    return cached;
+  }
+  return refreshCatalog({ now, fetchProducts });
+}
+
+/**
+ * Products sellable in a state. Each core product lists the bundle add-on to
+ * pair it with: the required add-on when sold there, otherwise the fallback
+ * add-ons that are (bundleAvailable false when none is).
+ * Returns { state, products: [...], addons: [...] }.
+ */
+function getEligibleProducts(products, stateCode) {
+  const state = String(stateCode || "").toUpperCase();
+  const soldHere = (p) => p.states.includes(state);
+  const byId = new Map(products.map((p) => [p.id, p]));
+  const available = (ref) => {
+    const product = ref && byId.get(ref.id);
+    return !!product && soldHere(product);
+  };
+
+  const eligible = [];
+  const addons = [];
+  for (const product of products.filter(soldHere)) {
+    if (product.type === "ADDON" || product.type === "AD_D") {
+      addons.push({ id: product.id, name: product.name, type: product.type });
+      continue;
+    }
+
+    let bundle = null;
+    if (product.requiredBundleAddon) {
+      const requiredHere = available(product.requiredBundleAddon);
+      const fallbacks = requiredHere ? [] : product.fallbackAddons.filter(available);
+      bundle = {
+        required: requiredHere ? product.requiredBundleAddon : null,
+        fallbacks,
+        bundleAvailable: requiredHere || fallbacks.length > 0,
+      };
+    }
+    eligible.push({ id: product.id, name: product.name, type: product.type, notes: product.notes, bundle });
+  }
+
+  return { state, products: eligible, addons };
+}
+
+// One-paragraph answer for the assistant to read mid-call
+function describeEligibility({ state, products, addons }) {
+  if (!products.length && !addons.length) {
+    return `No products are available in ${state}. Do not quote a product; offer to have a licensed agent follow up.`;
+  }
+  const lines = products.map((p) => {
+    if (!p.bundle) return p.name;
+    if (p.bundle.required) return `${p.name} (bundle with ${p.bundle.required.name})`;
+    if (p.bundle.fallbacks.length) return `${p.name} (bundle with ${p.bundle.fallbacks.map((f) => f.name).join(" or ")})`;
+    return `${p.name} (its bundle add-on is not sold in ${state})`;
+  });
+  const parts = [`Products available in ${state}: ${lines.length ? lines.join("; ") : "none"}.`];
+  if (addons.length) parts.push(`Add-ons available in ${state}: ${addons.map((a) => a.name).join(", ")}.`);
+  parts.push("Only pitch products from this list.");
+  return parts.join(" ");
+}
+
+/**
+ * Eligibility for a lead (or a state code / name). Returns
+ * { state, products, addons, catalogFetchedAt } or throws when the state is
+ * unknown or no catalog could be loaded.
+ */
+async function checkProductEligibility(leadOrState, options = {}) {
+  const state = resolveLeadState(typeof leadOrState === "string" ? { state: leadOrState } : leadOrState);
+  if (!state) throw new Error("Lead state is unknown, cannot check product availability");
+  const { products, fetchedAt } = await getProductCatalog(options);
+  return { ...getEligibleProducts(products, state), catalogFetchedAt: new Date(fetchedAt).toISOString() };
+}
+
+// Test helper: forget cached state so the next call reloads from the store
+function resetProductCatalog() {
+  catalog = undefined;
+  refreshing = null;
+}
+
+module.exports = {
+  getProductCatalog,
+  refreshCatalog,
+  getEligibleProducts,
+  describeEligibility,
+  checkProductEligibility,
+  resetProductCatalog,
+};
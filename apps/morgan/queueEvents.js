@@ -0,0 +1,78 @@
+// queueEvents.js
+// Persisted log of what the Morgan queue did with a lead after a call or a
+// failed launch: held for a retry, or given up on once its attempts ran out.
+// Feeds the campaign reports (callReports.js) next to the call records.
+
+const { loadState, saveState } = require("./stateStore");
+
+const QUEUE_EVENTS_STATE_KEY = "queue-events";
+const MAX_QUEUE_EVENTS = 20000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EVENT_TYPES = ["retry", "exhausted"];
+
+// Oldest first
+let events = null;
+
+function getEvents() {
+  if (!events) {
+    events = loadState(QUEUE_EVENTS_STATE_KEY, []) || [];
+  }
+  return events;
+}
+
+// Same retention as call records, so reports never see one without the other
+function getRetentionMs() {
+  const days = Number(process.env.MORGAN_CALL_RECORD_RETENTION_DAYS) || 90;
+  return days * DAY_MS;
+}
+
+function prune(now) {
+  const log = getEvents();
+  const cutoff = now - getRetentionMs();
+  let drop = Math.max(0, log.length - MAX_QUEUE_EVENTS);
+  while (drop < log.length && Date.parse(log[drop].at) < cutoff) drop++;
+  if (drop > 0) log.splice(0, drop);
+}
+
+/**
+ * Record a queue decision. `callId` ties a retry to the call that caused it,
+ * so reports can credit it to that call's assistant and slot.
+ */
+function recordQueueEvent({ type, leadId = null, listId = null, callId = null, reason = null, at = Date.now() }) {
+  if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown queue event ${type}`);
+  const now = typeof at === "number" ? at : Date.parse(at);
+  getEvents().push({
+    at: new Date(now).toISOString(),
+    type,
+    leadId: leadId != null ? String(leadId) : null,
+    listId: listId != null ? String(listId) : null,
+    callId: callId || null,
+    reason,
+  });
+  prune(now);
+  saveState(QUEUE_EVENTS_STATE_KEY, () => getEvents());
+}
+
+// Events in [since, until), oldest first
+function getQueueEvents({ since, until, type } = {}) {
+  const sinceMs = since ? Date.parse(since) : null;
+  const untilMs = until ? Date.parse(until) : null;
+  return getEvents().filter((e) => {
+    const at = Date.parse(e.at);
+    if (sinceMs && at < sinceMs) return false;
+    if (untilMs && at >= untilMs) return false;
+    if (type && e.type !== type) return false;
+    return true;
+  });
+}
+
+// Test helper: forget cached state so the next call reloads from the store
+function resetQueueEventsCache() {
+  events = null;
+}
+
+module.exports = {
+  recordQueueEvent,
+  getQueueEvents,
+  resetQueueEventsCache,
+};
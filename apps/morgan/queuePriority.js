@@ -0,0 +1,205 @@
+// queuePriority.js
+// Scores queued Morgan leads so the freshest, most promising ones are dialed
+// first instead of strict FIFO. Every score is the sum of named factors
+// (freshness, Convoso dial count, list priority, calling window, prior Morgan
+// outcomes, requested callbacks) so the admin API can show why a lead sits where it does.
+
+const { DateTime } = require("luxon");
+const { loadState, saveState } = require("./stateStore");
+const { getWindowMinutesRemaining } = require("./callingWindows");
+
+const PRIORITY_CONFIG_KEY = "queue-priority";
+const CONVOSO_TIMEZONE = "America/New_York"; // Convoso created_at is account-local
+
+const DEFAULT_PRIORITY = {
+  freshnessPoints: 50, // a brand-new lead; halves every freshnessHalfLifeMinutes
+  freshnessHalfLifeMinutes: 120,
+  calledCountPenalty: 5, // per Convoso dial already made (called_count)
+  maxCalledCountPenalty: 40,
+  windowClosingMinutes: 30, // the lead's local calling window closes within this
+  windowClosingPoints: 15,
+  // per earlier Morgan call, by outcome (see callOutcomes.js)
+  outcomePoints: { completed: 10, "hang-up": -5, voicemail: -5, "no-answer": -5, busy: -2 },
+  callbackPoints: 100, // the prospect asked to be called back now
+  lists: {}, // { [listId]: points }
+};
+
+// Outcome names used before calls were classified, and the classes they covered
+const LEGACY_OUTCOMES = {
+  connected: ["completed"],
+  "no-contact": ["hang-up", "voicemail", "no-answer", "busy", "failed"],
+};
+
+let config = null;
+
+function migrateOutcomePoints(saved = {}) {
+  const out = {};
+  for (const [outcome, points] of Object.entries(saved)) {
+    for (const name of LEGACY_OUTCOMES[outcome] || [outcome]) {
+      if (!(name in out) || !LEGACY_OUTCOMES[outcome]) out[name] = points;
+    }
+  }
+  return out;
+}
+
+function getPriorityConfig() {
+  if (!config) {
+    const saved = loadState(PRIORITY_CONFIG_KEY) || {};
+    config = {
+      ...DEFAULT_PRIORITY,
+      ...saved,
+      outcomePoints: { ...DEFAULT_PRIORITY.outcomePoints, ...migrateOutcomePoints(saved.outcomePoints || {}) },
+      lists: { ...(saved.lists || {}) },
+    };
+  }
+  return config;
+}
+
+function validatePointsMap(map, label) {
+  if (!map || typeof map !== "object" || Array.isArray(map)) {
+    throw new Error(`${label} must be an object of points`);
+  }
+  for (const [key, value] of Object.entries(map)) {
+    if (value !== null && !Number.isFinite(value)) {
+      throw new Error(`${label}.${key} must be a number (or null to remove it)`);
+    }
+  }
+  return map;
+}
+
+function mergePoints(current, patch) {
+  const next = { ...current };
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) delete next[key];
+    else next[key] = value;
+  }
+  return next;
+}
+
+// Partial update; lists / outcomePoints entries set to null are removed
+function updatePriorityConfig(patch = {}) {
+  const next = { ...getPriorityConfig() };
+  for (const [key, value] of Object.entries(patch || {})) {
+    if (!(key in DEFAULT_PRIORITY)) throw new Error(`Unknown priority setting ${key}`);
+    if (key === "lists" || key === "outcomePoints") {
+      next[key] = mergePoints(next[key], validatePointsMap(value, key));
+      continue;
+    }
+    if (!Number.isFinite(value)) throw new Error(`${key} must be a number`);
+    if (key === "freshnessHalfLifeMinutes" && value <= 0) {
+      throw new Error("freshnessHalfLifeMinutes must be positive");
+    }
+    next[key] = value;
+  }
+  config = next;
+  saveState(PRIORITY_CONFIG_KEY, config);
+  return config;
+}
+
+// When the lead came in: Convoso created_at when we have it, else when it was queued
+function getLeadCreatedAt(lead, queuedAt = null) {
+  const raw = lead?.created_at ?? lead?.raw?.created_at;
+  if (raw) {
+    const value = String(raw).trim();
+    let parsed = DateTime.fromSQL(value, { zone: CONVOSO_TIMEZONE });
+    if (!parsed.isValid) parsed = DateTime.fromISO(value, { zone: CONVOSO_TIMEZONE });
+    if (parsed.isValid) return { at: parsed.toMillis(), source: "created_at" };
+  }
+  return queuedAt ? { at: queuedAt, source: "queued_at" } : null;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Score one lead. context: { now (ms), queuedAt (ms), outcomes: { [outcome]: count },
+ * callbackAt (ms, a due callback the prospect asked for) }.
+ * Returns { score, factors: [{ factor, points, detail }] }.
+ */
+function scoreLead(lead, { now = Date.now(), queuedAt = null, outcomes = null, callbackAt = null } = {}) {
+  const cfg = getPriorityConfig();
+  const factors = [];
+  const add = (factor, points, detail) => {
+    if (points) factors.push({ factor, points: round(points), detail });
+  };
+
+  const created = getLeadCreatedAt(lead, queuedAt);
+  if (created && cfg.freshnessPoints) {
+    const ageMinutes = Math.max(0, (now - created.at) / 60000);
+    add(
+      "freshness",
+      cfg.freshnessPoints * Math.pow(0.5, ageMinutes / cfg.freshnessHalfLifeMinutes),
+      `${Math.round(ageMinutes)} min since ${created.source === "created_at" ? "created" : "queued"}`
+    );
+  }
+
+  const calledCount = Number(lead?.call_count ?? lead?.raw?.called_count);
+  if (Number.isFinite(calledCount) && calledCount > 0) {
+    add(
+      "called_count",
+      -Math.min(cfg.maxCalledCountPenalty, calledCount * cfg.calledCountPenalty),
+      `dialed ${calledCount} times in Convoso`
+    );
+  }
+
+  const listId = lead?.list_id ?? lead?.raw?.list_id;
+  if (listId != null && cfg.lists[String(listId)] != null) {
+    add("list", cfg.lists[String(listId)], `list ${listId}`);
+  }
+
+  const minutesLeft = getWindowMinutesRemaining(lead, DateTime.fromMillis(now));
+  if (minutesLeft != null && minutesLeft <= cfg.windowClosingMinutes) {
+    add("window_closing", cfg.windowClosingPoints, `local calling window closes in ${minutesLeft} min`);
+  }
+
+  if (callbackAt != null && callbackAt <= now) {
+    add("callback", cfg.callbackPoints, `callback requested for ${new Date(callbackAt).toISOString()}`);
+  }
+
+  for (const [outcome, count] of Object.entries(outcomes || {})) {
+    const per = cfg.outcomePoints[outcome];
+    if (per) add("prior_outcome", per * count, `${count} earlier ${outcome} call${count === 1 ? "" : "s"}`);
+  }
+
+  const score = round(factors.reduce((sum, f) => sum + f.points, 0));
+  return { score, factors };
+}
+
+/**
+ * Order leads best first. Ties keep queue order, so equal scores are FIFO.
+ * context: { now, getQueuedAt(lead) -> ms, outcomesByLead: Map(leadId -> counts),
+ *            getCallbackAt(lead) -> ms }
+ */
+function rankLeads(
+  leads,
+  { now = Date.now(), getQueuedAt = () => null, outcomesByLead = new Map(), getCallbackAt = () => null } = {}
+) {
+  return leads
+    .map((lead, index) => ({
+      lead,
+      index,
+      ...scoreLead(lead, {
+        now,
+        queuedAt: getQueuedAt(lead),
+        outcomes: outcomesByLead.get(String(lead.id)),
+        callbackAt: getCallbackAt(lead),
+      }),
+    }))
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+}
+
+// Test helper: forget cached state so the next call reloads from the store
+function resetPriorityConfig() {
+  config = null;
+}
+
+module.exports = {
+  DEFAULT_PRIORITY,
+  getPriorityConfig,
+  updatePriorityConfig,
+  getLeadCreatedAt,
+  scoreLead,
+  rankLeads,
+  resetPriorityConfig,
+};
@@ -0,0 +1,120 @@
+// queueState.js
+// Snapshot / restore / boot reconciliation for Morgan's queue and slot state.
+// Pure helpers: index.js owns the live structures and the Convoso/Vapi calls.
+
+const QUEUE_STATE_KEY = "morgan-queue";
+const SNAPSHOT_VERSION = 1;
+
+function snapshotQueueState({ queue, queuedIdsTimestamps, slots, inflight }) {
+  return {
+    version: SNAPSHOT_VERSION,
+    savedAt: Date.now(),
+    queue: queue.slice(),
+    queuedIds: Array.from(queuedIdsTimestamps.entries()),
+    slots: Array.from(slots.entries()).map(([phoneNumberId, slot]) => ({
+      phoneNumberId,
+      busy: !!slot.busy,
+      callId: slot.callId || null,
+      startedAt: slot.startedAt || null,
+      leadId: slot.leadId || null,
+    })),
+    inflight: Array.from(inflight.values()),
+  };
+}
+
+// Turns a saved snapshot back into plain structures. Slots for phone numbers
+// that are no longer configured are dropped; new numbers start free.
+function restoreQueueState(snapshot, phoneNumberIds = []) {
+  const empty = { queue: [], queuedIds: new Map(), slots: [], inflight: [] };
+  if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) return empty;
+
+  const queue = Array.isArray(snapshot.queue) ? snapshot.queue.filter((l) => l && l.id) : [];
+  const queuedIds = new Map(
+    (Array.isArray(snapshot.queuedIds) ? snapshot.queuedIds : []).filter(
+      (entry) => Array.isArray(entry) && entry[0] != null
+    )
+  );
+  // Every queued lead must be in the dedupe set, even if the snapshot lost it
+  for (const lead of queue) {
+    if (!queuedIds.has(lead.id)) queuedIds.set(lead.id, snapshot.savedAt || Date.now());
+  }
+
+  const configured = new Set(phoneNumberIds);
+  const slots = (Array.isArray(snapshot.slots) ? snapshot.slots : []).filter(
+    (s) => s && configured.has(s.phoneNumberId)
+  );
+  const inflight = (Array.isArray(snapshot.inflight) ? snapshot.inflight : []).filter(
+    (l) => l && l.id
+  );
+
+  return { queue, queuedIds, slots, inflight };
+}
+
+/**
+ * Reconcile restored state against Convoso and the voice provider.
+ *  - mqLeadIds: Set of lead ids Convoso still shows as MQ, or null when unknown
+ *    (Convoso unreachable) in which case the restored queue is trusted as-is.
+ *  - getCallStatus(callId): resolves provider call data, or null when unknown.
+ *
+ * Returns what the caller should apply:
+ *  - queue: restored leads still MQ, with interrupted launches at the front
+ *  - requeued: leads dequeued (already MC) whose call never started -> back to MQ
+ *  - dropped: queued leads Convoso no longer shows as MQ
+ *  - busySlots: slots with a live call to keep busy
+ *  - freedSlots: slots whose call has ended or never started
+ */
+async function reconcileQueueState({ queue, slots, inflight }, { mqLeadIds = null, getCallStatus }) {
+  const requeued = inflight.slice();
+  const requeuedIds = new Set(requeued.map((l) => l.id));
+
+  const kept = [];
+  const dropped = [];
+  for (const lead of queue) {
+    if (requeuedIds.has(lead.id)) continue;
+    if (mqLeadIds && !mqLeadIds.has(String(lead.id))) {
+      dropped.push(lead);
+      continue;
+    }
+    kept.push(lead);
+  }
+
+  const busySlots = [];
+  const freedSlots = [];
+  for (const slot of slots) {
+    if (!slot.busy) continue;
+
+    if (!slot.callId) {
+      freedSlots.push({ ...slot, reason: "no_call_id" });
+      continue;
+    }
+
+    let call = null;
+    try {
+      call = await getCallStatus(slot.callId);
+    } catch (err) {
+      call = null;
+    }
+
+    if (call && (call.status === "ended" || call.endedReason)) {
+      freedSlots.push({ ...slot, reason: call.endedReason || "ended" });
+    } else {
+      // Still live, or the provider could not tell us: keep it busy and let the sweep decide
+      busySlots.push(slot);
+    }
+  }
+
+  return {
+    queue: [...requeued, ...kept],
+    requeued,
+    dropped,
+    busySlots,
+    freedSlots,
+  };
+}
+
+module.exports = {
+  QUEUE_STATE_KEY,
+  snapshotQueueState,
+  restoreQueueState,
+  reconcileQueueState,
+};
@@ -0,0 +1,173 @@
+// requestAuth.js
+// Express middleware guarding Morgan's public endpoints:
+//  - Vapi webhooks / tool calls: shared secret or HMAC signature (VAPI_WEBHOOK_SECRET)
+//  - Convoso webhook: shared secret like ops-api's requireWebhookSecret (CONVOSO_WEBHOOK_SECRET)
+//  - jobs / debug / admin routes: admin token (MORGAN_ADMIN_TOKEN)
+//  - /metrics: a scrape-only token (MORGAN_METRICS_TOKEN) or the admin token
+// Every rejected request is logged and kept in a persisted audit list.
+
+const crypto = require("crypto");
+const { loadState, saveState } = require("./stateStore");
+const { logger } = require("./logger");
+
+const REJECTIONS_STATE_KEY = "auth-rejections";
+const MAX_REJECTIONS = 2000;
+
+let rejections = null;
+
+function getRejections() {
+  if (!rejections) {
+    rejections = loadState(REJECTIONS_STATE_KEY, []) || [];
+  }
+  return rejections;
+}
+
+function safeEqual(a, b) {
+  if (typeof a !== "string" || typeof b !== "string") return false;
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function getBearerToken(req) {
+  const header = req.headers.authorization;
+  return header && header.startsWith("Bearer ") ? header.slice(7) : null;
+}
+
+function recordRejection(req, { guard, reason }) {
+  // originalUrl keeps the mount prefix; drop the query so ?api_key= is never stored
+  const path = (req.originalUrl || req.url || "").split("?")[0];
+  const entry = {
+    at: new Date().toISOString(),
+    guard,
+    reason,
+    method: req.method,
+    path,
+    ip: req.ip || null,
+    userAgent: req.headers["user-agent"] || null,
+  };
+  const list = getRejections();
+  list.push(entry);
+  if (list.length > MAX_REJECTIONS) list.splice(0, list.length - MAX_REJECTIONS);
+  saveState(REJECTIONS_STATE_KEY, () => getRejections());
+  logger.warn(`[Auth] Rejected ${req.method} ${path} (${guard}: ${reason}) from ${entry.ip}`);
+  return entry;
+}
+
+/**
+ * Who made an authenticated request, as far as the guard can tell: the guard
+ * that let it through and where it came from. The admin token is shared, so
+ * this never names a person.
+ */
+function describeCaller(req) {
+  return { guard: req.authGuard || null, ip: req.ip || null, userAgent: req.headers["user-agent"] || null };
+}
+
+function accept(req, guard, next) {
+  req.authGuard = guard;
+  return next();
+}
+
+function reject(req, res, { guard, reason, status = 401, error }) {
+  recordRejection(req, { guard, reason });
+  return res.status(status).json({ success: false, error });
+}
+
+// HMAC-SHA256 of the raw request body, hex encoded (optionally "sha256=" prefixed)
+function verifyVapiSignature(rawBody, signature, secret) {
+  if (!rawBody || !signature) return false;
+  const expected = crypto.createHmac("sha256", secret).update(rawBody).digest("hex");
+  return safeEqual(String(signature).replace(/^sha256=/, ""), expected);
+}
+
+/**
+ * Vapi server messages and tool calls. Accepts the assistant's server secret
+ * (x-vapi-secret header or Bearer credential) or an x-vapi-signature HMAC of
+ * the raw body. Needs express.json({ verify }) to keep req.rawBody.
+ */
+function requireVapiSecret(req, res, next) {
+  const secret = process.env.VAPI_WEBHOOK_SECRET;
+  if (!secret) {
+    return reject(req, res, { guard: "vapi", reason: "not_configured", status: 500, error: "Webhook secret not configured" });
+  }
+  const provided = req.headers["x-vapi-secret"] || getBearerToken(req);
+  if (provided && safeEqual(String(provided), secret)) return next();
+  if (verifyVapiSignature(req.rawBody, req.headers["x-vapi-signature"], secret)) return next();
+
+  const reason = provided || req.headers["x-vapi-signature"] ? "invalid_secret" : "missing_secret";
+  return reject(req, res, { guard: "vapi", reason, error: "Invalid webhook secret" });
+}
+
+// Same contract as ops-api: x-webhook-secret header or ?api_key=
+function requireConvosoSecret(req, res, next) {
+  const secret = process.env.CONVOSO_WEBHOOK_SECRET;
+  if (!secret) {
+    return reject(req, res, { guard: "convoso", reason: "not_configured", status: 500, error: "Webhook secret not configured" });
+  }
+  const provided = req.headers["x-webhook-secret"] || req.query?.api_key;
+  if (typeof provided === "string" && safeEqual(provided, secret)) return next();
+
+  const reason = provided ? "invalid_secret" : "missing_secret";
+  return reject(req, res, { guard: "convoso", reason, error: "Invalid webhook secret" });
+}
+
+// Bearer token or x-admin-token header
+function requireAdminToken(req, res, next) {
+  const token = process.env.MORGAN_ADMIN_TOKEN;
+  if (!token) {
+    return reject(req, res, { guard: "admin", reason: "not_configured", status: 500, error: "Admin token not configured" });
+  }
+  const provided = getBearerToken(req) || req.headers["x-admin-token"];
+  if (typeof provided === "string" && safeEqual(provided, token)) return accept(req, "admin", next);
+
+  const reason = provided ? "invalid_token" : "missing_token";
+  return reject(req, res, { guard: "admin", reason, error: "Unauthorized" });
+}
+
+// Prometheus scrapers get their own token so they don't need admin rights
+function requireMetricsToken(req, res, next) {
+  const tokens = [process.env.MORGAN_METRICS_TOKEN, process.env.MORGAN_ADMIN_TOKEN].filter(Boolean);
+  if (!tokens.length) {
+    return reject(req, res, { guard: "metrics", reason: "not_configured", status: 500, error: "Metrics token not configured" });
+  }
+  const provided = getBearerToken(req);
+  if (typeof provided === "string" && tokens.some((token) => safeEqual(provided, token))) return next();
+
+  const reason = provided ? "invalid_token" : "missing_token";
+  return reject(req, res, { guard: "metrics", reason, error: "Unauthorized" });
+}
+
+function getRejectedRequests({ since, guard, limit = 500 } = {}) {
+  const sinceMs = since ? Date.parse(since) : null;
+  const filtered = getRejections().filter((r) => {
+    if (sinceMs && Date.parse(r.at) < sinceMs) return false;
+    if (guard && r.guard !== guard) return false;
+    return true;
+  });
+  return {
+    total: filtered.length,
+    rejections: filtered.slice(-limit).reverse(),
+  };
+}
+
+// express.json({ verify }) hook so signature checks see the exact bytes Vapi signed
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+// Test helper: forget cached state so the next call reloads from the store
+function resetRejectionsCache() {
+  rejections = null;
+}
+
+module.exports = {
+  requireVapiSecret,
+  requireConvosoSecret,
+  requireAdminToken,
+  requireMetricsToken,
+  describeCaller,
+  verifyVapiSignature,
+  getRejectedRequests,
+  captureRawBody,
+  resetRejectionsCache,
+};
@@ -0,0 +1,166 @@
+// sharedState.js
+// With several replicas, state kept only in each instance's MORGAN_STATE_DIR
+// goes stale on the standbys: a standby that takes over would restore an old
+// queue, old cadence history and an old kill switch. So while this instance
+// leads, every state write is mirrored into Postgres (morgan_state, in the
+// database that holds the leader lock), and a new leader pulls the mirror into
+// its state dir before restoring anything. Standbys never write the mirror;
+// their webhooks, tools and admin calls are forwarded to the leader instead
+// (leaderProxy.js). Without a database this module does nothing.
+
+const { Pool } = require("pg");
+const { onStateWritten, writeStateNow, loadState, listStateNames, flushState } = require("./stateStore");
+const { getDatabaseUrl, getInstanceId, getLockId, isLeader, reassertLeadership } = require("./leaderElection");
+const { logger } = require("./logger");
+
+const RETRY_MS = 5000;
+
+let pool = null;
+let unsubscribe = null;
+// name -> JSON waiting to be mirrored (only the latest write per name matters)
+const pending = new Map();
+let draining = null;
+let retryTimer = null;
+let pulling = false;
+
+function isSharedStateEnabled() {
+  return !!getDatabaseUrl();
+}
+
+function getPool() {
+  if (!pool) {
+    pool = new Pool({
+      connectionString: getDatabaseUrl(),
+      max: 2,
+      application_name: `morgan-state:${getInstanceId()}`.slice(0, 63),
+      connectionTimeoutMillis: 5000,
+      query_timeout: 10000,
+    });
+    pool.on("error", (err) => logger.warn("[SharedState] Idle connection error:", err.message));
+  }
+  return pool;
+}
+
+// A deposed leader that hasn't noticed yet can't overwrite what its successor
+// saved: the update only applies while this instance is the registered leader
+async function upsertState(name, json) {
+  const { rowCount } = await getPool().query(
+    `INSERT INTO morgan_state (lock_id, name, data, updated_by, updated_at)
+     VALUES ($1, $2, $3::jsonb, $4, now())
+     ON CONFLICT (lock_id, name) DO UPDATE
+       SET data = EXCLUDED.data, updated_by = EXCLUDED.updated_by, updated_at = EXCLUDED.updated_at
+       WHERE EXISTS (SELECT 1 FROM morgan_leaders ml WHERE ml.lock_id = $1 AND ml.instance_id = $4)`,
+    [getLockId(), name, json, getInstanceId()]
+  );
+  if (!rowCount) {
+    const err = new Error(`${getInstanceId()} is not the registered leader`);
+    err.fenced = true;
+    throw err;
+  }
+}
+
+function drain() {
+  if (draining) return draining;
+  draining = (async () => {
+    while (pending.size) {
+      const [name, json] = pending.entries().next().value;
+      pending.delete(name);
+      try {
+        await upsertState(name, json);
+      } catch (err) {
+        logger.error(`[SharedState] Failed to mirror ${name}:`, err.message);
+        if (err.fenced && !(await reassertLeadership())) {
+          // Deposed: the new leader owns the mirror, nothing here may go in
+          pending.clear();
+          break;
+        }
+        // Keep it unless a newer write arrived meanwhile, and try again shortly
+        if (!pending.has(name)) pending.set(name, json);
+        if (!retryTimer) {
+          retryTimer = setTimeout(() => {
+            retryTimer = null;
+            void drain();
+          }, RETRY_MS);
+          if (retryTimer.unref) retryTimer.unref();
+        }
+        break;
+      }
+    }
+  })().finally(() => {
+    draining = null;
+  });
+  return draining;
+}
+
+function queueMirror(name, json) {
+  if (pulling || !isLeader()) return;
+  pending.set(name, json);
+  void drain();
+}
+
+function startSharedState() {
+  if (!isSharedStateEnabled() || unsubscribe) return;
+  unsubscribe = onStateWritten(queueMirror);
+}
+
+/**
+ * Replace the local state files with the mirror (call right after winning the
+ * lock, then drop every module's cached state). When the mirror is still
+ * empty this instance's files seed it. Resolves to { pulled, seeded }.
+ */
+async function pullSharedState() {
+  if (!isSharedStateEnabled()) return { pulled: 0, seeded: 0 };
+  const { rows } = await getPool().query("SELECT name, data FROM morgan_state WHERE lock_id = $1", [getLockId()]);
+
+  if (!rows.length) {
+    const names = listStateNames();
+    for (const name of names) {
+      const data = loadState(name);
+      if (data != null) pending.set(name, JSON.stringify(data));
+    }
+    await drain();
+    logger.info(`[SharedState] Mirror was empty; seeded ${names.length} state files from ${getInstanceId()}`);
+    return { pulled: 0, seeded: names.length };
+  }
+
+  pulling = true;
+  try {
+    // Whatever this instance had waiting to save is older than the mirror
+    flushState();
+    for (const row of rows) writeStateNow(row.name, row.data);
+  } finally {
+    pulling = false;
+  }
+  logger.info(`[SharedState] Pulled ${rows.length} state entries from Postgres`);
+  return { pulled: rows.length, seeded: 0 };
+}
+
+// Resolves once everything written so far is mirrored (or failed). Never throws.
+async function flushSharedState() {
+  if (retryTimer) {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+  }
+  if (draining) await draining;
+  if (pending.size) await drain();
+}
+
+// Test helper
+function resetSharedState() {
+  if (unsubscribe) unsubscribe();
+  unsubscribe = null;
+  if (retryTimer) clearTimeout(retryTimer);
+  retryTimer = null;
+  pool = null;
+  pending.clear();
+  draining = null;
+  pulling = false;
+}
+
+module.exports = {
+  isSharedStateEnabled,
+  startSharedState,
+  pullSharedState,
+  flushSharedState,
+  resetSharedState,
+};
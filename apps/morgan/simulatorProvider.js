@@ -0,0 +1,263 @@
+// simulatorProvider.js
+// Local voice provider that fakes call timelines so the queue, slot and webhook
+// logic can be exercised end-to-end without a Vapi account.
+//
+// Enable with VOICE_PROVIDER=simulator. Each call rings, then plays out one of
+// the outcomes below and posts a Vapi-shaped end-of-call-report to
+// VOICE_SIMULATOR_WEBHOOK_URL (default http://localhost:$PORT/webhooks/vapi).
+
+const fetch = require("node-fetch");
+const vapiProvider = require("./vapiProvider");
+const { logger } = require("./logger");
+
+// ringMs/talkMs are at time scale 1; VOICE_SIMULATOR_TIME_SCALE shrinks or stretches them
+const OUTCOMES = {
+  answered: {
+    ringMs: 4000,
+    talkMs: 45000,
+    endedReason: "customer-ended-call",
+    summary: "Simulated conversation: prospect answered and discussed coverage options.",
+  },
+  voicemail: {
+    ringMs: 15000,
+    talkMs: 8000,
+    endedReason: "voicemail",
+    summary: "NO_SUMMARY",
+  },
+  "no-answer": {
+    ringMs: 30000,
+    talkMs: 0,
+    endedReason: "customer-did-not-answer",
+    summary: "",
+  },
+  busy: {
+    ringMs: 1000,
+    talkMs: 0,
+    endedReason: "customer-busy",
+    summary: "",
+  },
+  "hang-up": {
+    ringMs: 5000,
+    talkMs: 3000,
+    endedReason: "customer-ended-call",
+    summary: "NO_SUMMARY",
+  },
+};
+
+const DEFAULT_WEIGHTS = "answered:40,voicemail:25,no-answer:20,busy:5,hang-up:10";
+
+// callId -> simulated call
+const simulatedCalls = new Map();
+let callCounter = 0;
+
+function getTimeScale() {
+  const scale = Number(process.env.VOICE_SIMULATOR_TIME_SCALE);
+  return Number.isFinite(scale) && scale >= 0 ? scale : 1;
+}
+
+function getWebhookUrl() {
+  return (
+    process.env.VOICE_SIMULATOR_WEBHOOK_URL ||
+    `http://localhost:${process.env.PORT || 3000}/webhooks/vapi`
+  );
+}
+
+function parseOutcomeWeights(spec = process.env.VOICE_SIMULATOR_OUTCOMES || DEFAULT_WEIGHTS) {
+  const weights = [];
+  for (const part of String(spec).split(",")) {
+    const [name, weight] = part.split(":").map((s) => s.trim());
+    const w = Number(weight);
+    if (OUTCOMES[name] && Number.isFinite(w) && w > 0) weights.push([name, w]);
+  }
+  return weights.length ? weights : parseOutcomeWeights(DEFAULT_WEIGHTS);
+}
+
+function pickOutcome(metadata = {}, random = Math.random) {
+  if (metadata.simulatorOutcome && OUTCOMES[metadata.simulatorOutcome]) {
+    return metadata.simulatorOutcome;
+  }
+  const weights = parseOutcomeWeights();
+  const total = weights.reduce((sum, [, w]) => sum + w, 0);
+  let roll = random() * total;
+  for (const [name, w] of weights) {
+    roll -= w;
+    if (roll < 0) return name;
+  }
+  return weights[weights.length - 1][0];
+}
+
+function schedule(fn, ms) {
+  const timer = setTimeout(fn, ms);
+  if (timer.unref) timer.unref();
+  return timer;
+}
+
+function assertConfigured() {}
+
+async function createCall({ assistantId, phoneNumberId, customerNumber, metadata = {}, name, assistantOverrides = null }) {
+  callCounter += 1;
+  const id = `sim-${Date.now()}-${callCounter}`;
+  const outcome = pickOutcome(metadata);
+  const plan = OUTCOMES[outcome];
+  const scale = getTimeScale();
+
+  const call = {
+    id,
+    type: "outboundPhoneCall",
+    status: "queued",
+    assistantId,
+    phoneNumberId,
+    customer: { number: customerNumber },
+    metadata,
+    name,
+    assistantOverrides,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    endedAt: null,
+    endedReason: null,
+    simulatorOutcome: outcome,
+  };
+  simulatedCalls.set(id, call);
+
+  call.timers = [
+    schedule(() => {
+      call.status = "ringing";
+    }, 0),
+    schedule(() => {
+      if (plan.talkMs > 0) {
+        call.status = "in-progress";
+        call.startedAt = new Date().toISOString();
+      }
+    }, plan.ringMs * scale),
+    schedule(() => {
+      void endCall(id);
+    }, (plan.ringMs + plan.talkMs) * scale),
+  ];
+
+  logger.info("[voiceSimulator] Created call", id, "outcome:", outcome, "slot:", phoneNumberId);
+
+  return { callId: id, raw: publicView(call) };
+}
+
+async function endCall(callId, { endedReason } = {}) {
+  const call = simulatedCalls.get(callId);
+  if (!call || call.status === "ended") return null;
+
+  const plan = OUTCOMES[call.simulatorOutcome];
+  (call.timers || []).forEach(clearTimeout);
+  call.status = "ended";
+  call.endedAt = new Date().toISOString();
+  call.endedReason = endedReason || plan.endedReason;
+
+  const report = buildEndOfCallReport(call, plan);
+  try {
+    await fetch(getWebhookUrl(), {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        // Same server secret Vapi would send, so the webhook auth check passes
+        ...(process.env.VAPI_WEBHOOK_SECRET ? { "x-vapi-secret": process.env.VAPI_WEBHOOK_SECRET } : {}),
+      },
+      body: JSON.stringify(report),
+    });
+  } catch (err) {
+    logger.error("[voiceSimulator] Failed to post end-of-call-report for", callId, err.message);
+  }
+  return report;
+}
+
+function buildTranscript(call, connected) {
+  const voicemailMessage = call.assistantOverrides?.voicemailMessage;
+  if (call.endedReason === "voicemail" && voicemailMessage) return `AI: ${voicemailMessage}`;
+  return connected ? "AI: Hi, this is Morgan.\nUser: (simulated)" : "";
+}
+
+function buildEndOfCallReport(call, plan) {
+  const start = call.startedAt ? Date.parse(call.startedAt) : null;
+  const durationSeconds = start ? Math.round((Date.parse(call.endedAt) - start) / 1000) : 0;
+  const connected = call.startedAt !== null;
+
+  return {
+    message: {
+      type: "end-of-call-report",
+      call: publicView(call),
+      endedReason: call.endedReason,
+      summary: plan.summary,
+      transcript: buildTranscript(call, connected),
+      recordingUrl: connected ? `https://simulator.local/recordings/${call.id}.wav` : null,
+      startedAt: call.startedAt,
+      endedAt: call.endedAt,
+      durationSeconds,
+    },
+  };
+}
+
+function publicView(call) {
+  const { timers, ...rest } = call;
+  return { ...rest };
+}
+
+async function getCall(callId) {
+  const call = simulatedCalls.get(callId);
+  return call ? publicView(call) : null;
+}
+
+// Pretend the caller was handed to the agent; the AI leg ends as Vapi's does
+async function transferCall({ callId, destination }) {
+  const call = simulatedCalls.get(callId);
+  if (!call || call.status === "ended") {
+    const error = new Error(`No live simulated call ${callId}`);
+    error.statusCode = 409;
+    throw error;
+  }
+  call.transferredTo = destination;
+  logger.info("[voiceSimulator] Transferred call", callId, "to", destination.number, destination.extension || "");
+  schedule(() => {
+    void endCall(callId, { endedReason: "assistant-forwarded-call" });
+  }, 0);
+  return { transferred: true };
+}
+
+async function hangUpCall({ callId }) {
+  const call = simulatedCalls.get(callId);
+  if (!call || call.status === "ended") {
+    const error = new Error(`No live simulated call ${callId}`);
+    error.statusCode = 409;
+    throw error;
+  }
+  await endCall(callId, { endedReason: "manually-canceled" });
+  return { ended: true };
+}
+
+async function listCalls({ createdAfter } = {}) {
+  const after = createdAfter ? new Date(createdAfter).getTime() : 0;
+  return [...simulatedCalls.values()]
+    .filter((call) => Date.parse(call.createdAt) > after)
+    .map(publicView)
+    .reverse();
+}
+
+function resetSimulator() {
+  for (const call of simulatedCalls.values()) {
+    (call.timers || []).forEach(clearTimeout);
+  }
+  simulatedCalls.clear();
+  callCounter = 0;
+}
+
+module.exports = {
+  name: "simulator",
+  assertConfigured,
+  createCall,
+  getCall,
+  transferCall,
+  hangUpCall,
+  listCalls,
+  // Simulated reports use the Vapi payload shape
+  parseWebhook: vapiProvider.parseWebhook,
+  defaultAssistantId: (agentName) => `simulator-${(agentName || "agent").toLowerCase()}`,
+  endCall,
+  pickOutcome,
+  resetSimulator,
+  OUTCOMES,
+};
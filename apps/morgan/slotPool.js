@@ -0,0 +1,188 @@
+// slotPool.js
+// Runtime control of Morgan's dialing slots (one per Vapi phoneNumberId):
+// which numbers are in the pool, and whether each slot - and the dialer as a
+// whole - is active, paused or draining. index.js owns the live busy/callId
+// state; this module only decides what may be dialed and persists operator changes.
+//
+// Modes:
+//  - active:   takes new calls
+//  - paused:   takes no new calls; a call already in progress is left alone
+//  - draining: takes no new calls and flips to paused once its calls have ended
+
+const { loadState, saveState } = require("./stateStore");
+
+const SLOT_POOL_STATE_KEY = "slot-pool";
+const MODES = ["active", "paused", "draining"];
+
+// { added: [id], removed: [id], slots: { [id]: { mode, reason, changedAt, removing } }, dialer: { mode, reason, changedAt } }
+let pool = null;
+let envPhoneNumberIds = [];
+
+function emptyPool() {
+  return { added: [], removed: [], slots: {}, dialer: { mode: "active", reason: null, changedAt: null } };
+}
+
+function getPool() {
+  if (!pool) {
+    const saved = loadState(SLOT_POOL_STATE_KEY) || {};
+    pool = { ...emptyPool(), ...saved, dialer: { ...emptyPool().dialer, ...(saved.dialer || {}) } };
+  }
+  return pool;
+}
+
+function persist() {
+  saveState(SLOT_POOL_STATE_KEY, () => getPool());
+}
+
+/**
+ * Seed the pool with the numbers from VAPI_PHONE_NUMBER_IDS. Numbers added or
+ * removed at runtime are kept as a diff against this list, so a redeploy that
+ * changes the env still takes effect while operator changes survive restarts.
+ */
+function initSlotPool(phoneNumberIds = []) {
+  envPhoneNumberIds = phoneNumberIds.slice();
+  getPool();
+  return getPhoneNumberIds();
+}
+
+function getPhoneNumberIds() {
+  const { added, removed } = getPool();
+  const removedSet = new Set(removed);
+  const ids = [];
+  for (const id of [...envPhoneNumberIds, ...added]) {
+    if (!removedSet.has(id) && !ids.includes(id)) ids.push(id);
+  }
+  return ids;
+}
+
+function assertMode(mode) {
+  if (!MODES.includes(mode)) {
+    throw new Error(`mode must be one of ${MODES.join(", ")}`);
+  }
+}
+
+function getSlotControl(phoneNumberId) {
+  return getPool().slots[phoneNumberId] || { mode: "active", reason: null, changedAt: null, removing: false };
+}
+
+function getDialerControl() {
+  return getPool().dialer;
+}
+
+function setSlotMode(phoneNumberId, mode, reason = null) {
+  assertMode(mode);
+  if (!getPhoneNumberIds().includes(phoneNumberId)) {
+    throw new Error(`Unknown phoneNumberId ${phoneNumberId}`);
+  }
+  const current = getSlotControl(phoneNumberId);
+  if (current.removing && mode === "active") {
+    throw new Error(`${phoneNumberId} is being removed; add it again instead`);
+  }
+  getPool().slots[phoneNumberId] = {
+    ...current,
+    mode,
+    reason,
+    changedAt: new Date().toISOString(),
+  };
+  persist();
+  return getPool().slots[phoneNumberId];
+}
+
+function setDialerMode(mode, reason = null) {
+  assertMode(mode);
+  getPool().dialer = { mode, reason, changedAt: new Date().toISOString() };
+  persist();
+  return getPool().dialer;
+}
+
+function addPhoneNumber(phoneNumberId) {
+  const id = String(phoneNumberId || "").trim();
+  if (!id) throw new Error("phoneNumberId is required");
+  const p = getPool();
+  p.removed = p.removed.filter((r) => r !== id);
+  if (!envPhoneNumberIds.includes(id) && !p.added.includes(id)) p.added.push(id);
+  delete p.slots[id];
+  persist();
+  return id;
+}
+
+/**
+ * Take a number out of the pool. An idle number goes immediately; a busy one
+ * drains first and is dropped by settleSlotPool once its call ends.
+ * Returns "removed", "draining" or null when the number is unknown.
+ */
+function removePhoneNumber(phoneNumberId, { busy = false } = {}) {
+  if (!getPhoneNumberIds().includes(phoneNumberId)) return null;
+  const p = getPool();
+  if (busy) {
+    p.slots[phoneNumberId] = {
+      ...getSlotControl(phoneNumberId),
+      mode: "draining",
+      reason: "removed",
+      changedAt: new Date().toISOString(),
+      removing: true,
+    };
+    persist();
+    return "draining";
+  }
+  p.added = p.added.filter((a) => a !== phoneNumberId);
+  if (envPhoneNumberIds.includes(phoneNumberId) && !p.removed.includes(phoneNumberId)) {
+    p.removed.push(phoneNumberId);
+  }
+  delete p.slots[phoneNumberId];
+  persist();
+  return "removed";
+}
+
+// May a new call be placed on this slot right now?
+function isSlotDialable(phoneNumberId) {
+  return getDialerControl().mode === "active" && getSlotControl(phoneNumberId).mode === "active";
+}
+
+/**
+ * Finish drains once their calls are done. `busyIds` are the phoneNumberIds
+ * that still have a live call. Returns { paused: [ids], removed: [ids], dialerPaused }.
+ */
+function settleSlotPool(busyIds = []) {
+  const busy = new Set(busyIds);
+  const result = { paused: [], removed: [], dialerPaused: false };
+
+  for (const [id, control] of Object.entries(getPool().slots)) {
+    if (control.mode !== "draining" || busy.has(id)) continue;
+    if (control.removing) {
+      removePhoneNumber(id);
+      result.removed.push(id);
+    } else {
+      setSlotMode(id, "paused", control.reason);
+      result.paused.push(id);
+    }
+  }
+
+  const dialer = getDialerControl();
+  if (dialer.mode === "draining" && busy.size === 0) {
+    setDialerMode("paused", dialer.reason);
+    result.dialerPaused = true;
+  }
+  return result;
+}
+
+// Test helper: forget cached state so the next call reloads from the store
+function resetSlotPool() {
+  pool = null;
+  envPhoneNumberIds = [];
+}
+
+module.exports = {
+  MODES,
+  initSlotPool,
+  getPhoneNumberIds,
+  getSlotControl,
+  getDialerControl,
+  setSlotMode,
+  setDialerMode,
+  addPhoneNumber,
+  removePhoneNumber,
+  isSlotDialable,
+  settleSlotPool,
+  resetSlotPool,
+};
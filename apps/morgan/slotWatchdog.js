@@ -0,0 +1,86 @@
+// slotWatchdog.js
+// Decides what to do with busy Morgan slots and with provider calls Morgan has
+// no slot for. Pure helpers: index.js owns the slots and does the provider,
+// Convoso and alert calls, like queueState.js.
+//
+// A busy slot is normally freed by the end-of-call-report webhook. When that
+// never arrives, the watchdog asks the provider: an ended call frees the slot,
+// and a call older than the maximum duration is hung up (if still live) and
+// freed either way, so capacity can't leak.
+
+const { isNotReachedEndedReason } = require("./callOutcomes");
+
+const LIVE_STATUSES = new Set(["queued", "ringing", "in-progress", "forwarding"]);
+
+function getMaxCallMs() {
+  const minutes = Number(process.env.MORGAN_MAX_CALL_MINUTES);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : 20) * 60 * 1000;
+}
+
+function isCallEnded(call) {
+  return !!call && (call.status === "ended" || !!call.endedReason);
+}
+
+function isCallLive(call) {
+  return !!call && !isCallEnded(call) && LIVE_STATUSES.has(call.status);
+}
+
+/**
+ * What to do with one busy slot.
+ *  - slot: { callId, startedAt, leadId }
+ *  - providerCall: the provider's call object, or null when unknown / lookup failed
+ * Returns { action, reason, requeueLead, ageMs } where action is
+ *  "keep" | "free" | "hang_up_and_free", and requeueLead says the lead never
+ * reached a person so Convoso should put it back to MQ.
+ */
+function planSlotRepair(slot, providerCall, { now = Date.now(), maxCallMs = getMaxCallMs() } = {}) {
+  const ageMs = slot.startedAt ? now - slot.startedAt : null;
+
+  if (isCallEnded(providerCall)) {
+    return {
+      action: "free",
+      reason: "provider_ended",
+      requeueLead: isNotReachedEndedReason(providerCall.endedReason),
+      ageMs,
+    };
+  }
+
+  // Too young to judge, or no start time to judge by (restored from an old snapshot)
+  if (ageMs == null || ageMs <= maxCallMs) {
+    return { action: "keep", reason: null, requeueLead: false, ageMs };
+  }
+
+  if (isCallLive(providerCall)) {
+    // Still ringing after the limit means nobody picked up
+    return {
+      action: "hang_up_and_free",
+      reason: "max_duration",
+      requeueLead: providerCall.status !== "in-progress",
+      ageMs,
+    };
+  }
+
+  // The provider doesn't know the call (or kept failing): assume nobody was reached
+  return { action: "free", reason: slot.callId ? "provider_unknown" : "no_call_id", requeueLead: true, ageMs };
+}
+
+/**
+ * Live provider calls from one of our numbers that no slot tracks.
+ *  - providerCalls: recent calls from provider.listCalls
+ *  - knownCallIds: Set of call ids Morgan holds a slot for
+ *  - phoneNumberIds: numbers in the Morgan pool
+ */
+function findOrphanCalls(providerCalls, { knownCallIds, phoneNumberIds }) {
+  const pool = new Set(phoneNumberIds);
+  return (providerCalls || []).filter(
+    (call) => call && call.id && isCallLive(call) && pool.has(call.phoneNumberId) && !knownCallIds.has(call.id)
+  );
+}
+
+module.exports = {
+  getMaxCallMs,
+  isCallEnded,
+  isCallLive,
+  planSlotRepair,
+  findOrphanCalls,
+};
@@ -0,0 +1,125 @@
+// stateStore.js
+// Small file-backed JSON store so Morgan state survives restarts/redeploys.
+// Point MORGAN_STATE_DIR at a mounted Railway volume in production.
+
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+const SAVE_DEBOUNCE_MS = 250;
+
+const pendingWrites = new Map(); // name -> { data, timer }
+const writeListeners = new Set();
+
+function getStateDir() {
+  return process.env.MORGAN_STATE_DIR || path.join(__dirname, ".state");
+}
+
+// The default dir is on the container filesystem, which Railway wipes on every
+// redeploy: exactly the state loss this store exists to prevent. Deployed
+// instances must point MORGAN_STATE_DIR at a mounted volume; returns false
+// (after logging an error) when one is running without it.
+function checkStateDir(env = process.env) {
+  if (env.MORGAN_STATE_DIR) return true;
+  if (env.NODE_ENV !== "production" && !env.RAILWAY_ENVIRONMENT) return true;
+  logger.error(
+    `[stateStore] MORGAN_STATE_DIR is not set; state is kept in ${getStateDir()} and is lost on every redeploy. ` +
+      "Mount a volume and point MORGAN_STATE_DIR at it."
+  );
+  return false;
+}
+
+function getStatePath(name) {
+  return path.join(getStateDir(), `${name}.json`);
+}
+
+function loadState(name, fallback = null) {
+  const file = getStatePath(name);
+  try {
+    if (!fs.existsSync(file)) return fallback;
+    const raw = fs.readFileSync(file, "utf8");
+    if (!raw.trim()) return fallback;
+    return JSON.parse(raw);
+  } catch (err) {
+    logger.error(`[stateStore] Failed to load ${name}:`, err.message);
+    return fallback;
+  }
+}
+
+// Write-then-rename so a crash mid-write never leaves a truncated file behind
+function writeStateNow(name, data) {
+  const dir = getStateDir();
+  const file = getStatePath(name);
+  const tmp = `${file}.${process.pid}.tmp`;
+  try {
+    const json = JSON.stringify(data);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(tmp, json);
+    fs.renameSync(tmp, file);
+    for (const listener of writeListeners) listener(name, json);
+    return true;
+  } catch (err) {
+    logger.error(`[stateStore] Failed to save ${name}:`, err.message);
+    return false;
+  }
+}
+
+// listener(name, json) after every successful write (sharedState mirrors them to Postgres)
+function onStateWritten(listener) {
+  writeListeners.add(listener);
+  return () => writeListeners.delete(listener);
+}
+
+// Names of everything saved in the state dir
+function listStateNames() {
+  try {
+    return fs
+      .readdirSync(getStateDir())
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => file.slice(0, -".json".length));
+  } catch (err) {
+    return [];
+  }
+}
+
+// Coalesces bursts of mutations (e.g. a pull job enqueueing hundreds of leads)
+// into a single write. `data` may be a value or a function returning a snapshot.
+function saveState(name, data) {
+  const existing = pendingWrites.get(name);
+  if (existing) {
+    existing.data = data;
+    return;
+  }
+
+  const entry = { data, timer: null };
+  entry.timer = setTimeout(() => {
+    pendingWrites.delete(name);
+    writeStateNow(name, resolveSnapshot(entry.data));
+  }, SAVE_DEBOUNCE_MS);
+  if (entry.timer.unref) entry.timer.unref();
+  pendingWrites.set(name, entry);
+}
+
+function resolveSnapshot(data) {
+  return typeof data === "function" ? data() : data;
+}
+
+// Synchronously write everything still waiting on the debounce (shutdown path)
+function flushState() {
+  for (const [name, entry] of pendingWrites.entries()) {
+    clearTimeout(entry.timer);
+    writeStateNow(name, resolveSnapshot(entry.data));
+  }
+  pendingWrites.clear();
+}
+
+module.exports = {
+  loadState,
+  saveState,
+  writeStateNow,
+  flushState,
+  checkStateDir,
+  onStateWritten,
+  listStateNames,
+  getStateDir,
+};
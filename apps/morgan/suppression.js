@@ -0,0 +1,229 @@
+// suppression.js
+// Do-not-call / suppression list enforced before every Morgan dial, plus a
+// persisted log of every lead Morgan skipped and why (for compliance reporting).
+
+const { loadState, saveState } = require("./stateStore");
+const { incCounter } = require("./metrics");
+
+const SUPPRESSION_STATE_KEY = "suppression-list";
+const SKIP_LOG_STATE_KEY = "suppression-skips";
+const MAX_SKIP_LOG_ENTRIES = 5000;
+
+// Phrases that mean the prospect asked not to be called again; hyphens are
+// tolerated ("do-not-call", "stop-calling")
+const DNC_PATTERN =
+  /\b(do[\s-]*not[\s-]*call|don'?t[\s-]*call|stop[\s-]*calling|remove\s+(me|my\s+number)|take\s+me\s+off|put\s+me\s+on\s+(the|your)\s+(dnc|do[\s-]*not[\s-]*call)|dnc)\b/gi;
+
+// Earlier in the same sentence: "did not ask to be placed on DNC", "no DNC"
+const NEGATED_BEFORE =
+  /(\b(not|never|didn'?t|doesn'?t|wasn'?t|won'?t)\s+(ask|request|want|say|said|mention|need)\w*\b[^.;!?]*|\bno\s+)$/i;
+
+// Right after the phrase: "don't call before 5pm" is a timing preference, not a DNC request
+const TIMING_AFTER =
+  /^\s*(me\s+|us\s+)?(before|after|until|till|between|at|on|during|in\s+the|today|tonight|tomorrow|this|next)\b/i;
+
+// phoneKey -> { phone, source, reason, leadId, addedAt }
+let entries = null;
+let skipLog = null;
+
+function getEntries() {
+  if (!entries) {
+    entries = new Map(loadState(SUPPRESSION_STATE_KEY, []) || []);
+  }
+  return entries;
+}
+
+function getSkipLog() {
+  if (!skipLog) {
+    skipLog = loadState(SKIP_LOG_STATE_KEY, []) || [];
+  }
+  return skipLog;
+}
+
+function persistEntries() {
+  saveState(SUPPRESSION_STATE_KEY, () => Array.from(getEntries().entries()));
+}
+
+function persistSkipLog() {
+  saveState(SKIP_LOG_STATE_KEY, () => getSkipLog());
+}
+
+// 10-digit NANP key so "+1 (305) 555-1234" and "3055551234" match
+function toPhoneKey(raw) {
+  if (raw == null) return null;
+  let digits = String(raw).replace(/\D/g, "");
+  if (digits.length === 11 && digits.startsWith("1")) digits = digits.slice(1);
+  return digits.length === 10 ? digits : null;
+}
+
+function getSuppression(phone) {
+  const key = toPhoneKey(phone);
+  if (!key) return null;
+  return getEntries().get(key) || null;
+}
+
+function isSuppressed(phone) {
+  return getSuppression(phone) !== null;
+}
+
+function addSuppression({ phone, source = "internal", reason = null, leadId = null }) {
+  const key = toPhoneKey(phone);
+  if (!key) return null;
+
+  const existing = getEntries().get(key);
+  if (existing) return existing;
+
+  const entry = {
+    phone: key,
+    source,
+    reason,
+    leadId: leadId != null ? String(leadId) : null,
+    addedAt: new Date().toISOString(),
+  };
+  getEntries().set(key, entry);
+  persistEntries();
+  return entry;
+}
+
+function removeSuppression(phone) {
+  const key = toPhoneKey(phone);
+  if (!key) return false;
+  const removed = getEntries().delete(key);
+  if (removed) persistEntries();
+  return removed;
+}
+
+function listSuppressions({ source, limit = 500, offset = 0 } = {}) {
+  let all = Array.from(getEntries().values());
+  if (source) all = all.filter((e) => e.source === source);
+  return {
+    total: all.length,
+    entries: all.slice(offset, offset + limit),
+  };
+}
+
+/**
+ * Import an external DNC file. Accepts CSV (any column holding a phone number,
+ * header rows are ignored) or plain text with one number per line.
+ */
+function importSuppressionFile(content, { source = "import", reason = "external_dnc" } = {}) {
+  const result = { added: 0, duplicates: 0, invalid: 0 };
+  const lines = String(content || "").split(/\r?\n/);
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const key = line
+      .split(/[,;\t|]/)
+      .map((cell) => toPhoneKey(cell.replace(/^["']|["']$/g, "")))
+      .find(Boolean);
+
+    if (!key) {
+      result.invalid++;
+      continue;
+    }
+    if (getEntries().has(key)) {
+      result.duplicates++;
+      continue;
+    }
+    getEntries().set(key, {
+      phone: key,
+      source,
+      reason,
+      leadId: null,
+      addedAt: new Date().toISOString(),
+    });
+    result.added++;
+  }
+
+  if (result.added) persistEntries();
+  return result;
+}
+
+/**
+ * Text fallback for notes and summaries: does this say the prospect asked not
+ * to be called? Negated mentions and timing preferences don't count.
+ */
+function isDoNotCallRequest(text) {
+  if (!text) return false;
+  const value = String(text);
+  for (const match of value.matchAll(DNC_PATTERN)) {
+    const before = value.slice(0, match.index);
+    const after = value.slice(match.index + match[0].length);
+    if (!NEGATED_BEFORE.test(before) && !TIMING_AFTER.test(after)) return true;
+  }
+  return false;
+}
+
+// An explicit doNotCall flag (structured data or tool argument) wins; the text is only a fallback
+function wantsDoNotCall(flag, text) {
+  if (flag === true || flag === "true") return true;
+  if (flag === false || flag === "false") return false;
+  return isDoNotCallRequest(text);
+}
+
+/**
+ * Record that a lead was not dialed. `reason` is a short code such as
+ * "dnc" or "member_id"; `path` names the code path that skipped it.
+ */
+function recordSkip({ leadId = null, listId = null, phone = null, reason, path, detail = null }) {
+  const log = getSkipLog();
+  log.push({
+    at: new Date().toISOString(),
+    leadId: leadId != null ? String(leadId) : null,
+    listId: listId != null ? String(listId) : null,
+    phone: toPhoneKey(phone),
+    reason,
+    path,
+    detail,
+  });
+  if (log.length > MAX_SKIP_LOG_ENTRIES) {
+    log.splice(0, log.length - MAX_SKIP_LOG_ENTRIES);
+  }
+  persistSkipLog();
+  incCounter("morgan_leads_skipped_total", { reason });
+}
+
+function getSkips({ since, until, reason, limit = 500 } = {}) {
+  const sinceMs = since ? Date.parse(since) : null;
+  const untilMs = until ? Date.parse(until) : null;
+
+  const filtered = getSkipLog().filter((s) => {
+    const at = Date.parse(s.at);
+    if (sinceMs && at < sinceMs) return false;
+    if (untilMs && at >= untilMs) return false;
+    if (reason && s.reason !== reason) return false;
+    return true;
+  });
+
+  const byReason = {};
+  for (const s of filtered) {
+    byReason[s.reason] = (byReason[s.reason] || 0) + 1;
+  }
+
+  return {
+    total: filtered.length,
+    byReason,
+    skips: filtered.slice(-limit).reverse(),
+  };
+}
+
+// Test helper: forget cached state so the next call reloads from the store
+function resetSuppressionCache() {
+  entries = null;
+  skipLog = null;
+}
+
+module.exports = {
+  toPhoneKey,
+  getSuppression,
+  isSuppressed,
+  addSuppression,
+  removeSuppression,
+  listSuppressions,
+  importSuppressionFile,
+  isDoNotCallRequest,
+  wantsDoNotCall,
+  recordSkip,
+  getSkips,
+  resetSuppressionCache,
+};
@@ -0,0 +1,216 @@
+// vapiProvider.js
+// Vapi implementation of the voice provider interface (see voiceProviders.js).
+
+const fetch = require("node-fetch");
+const { logger } = require("./logger");
+
+const VAPI_BASE_URL = "https://api.vapi.ai";
+
+function getApiKey() {
+  return process.env.VAPI_API_KEY;
+}
+
+function assertConfigured() {
+  if (!getApiKey()) {
+    throw new Error("Missing VAPI_API_KEY env var");
+  }
+}
+
+async function createCall({ assistantId, phoneNumberId, customerNumber, metadata = {}, name, assistantOverrides = null }) {
+  assertConfigured();
+
+  const payload = {
+    assistantId,
+    phoneNumberId,
+    customer: {
+      number: customerNumber,
+    },
+    metadata,
+    name,
+  };
+  // e.g. { voicemailMessage } for a voicemail drop (see callOutcomes.js)
+  if (assistantOverrides) payload.assistantOverrides = assistantOverrides;
+
+  const response = await fetch(`${VAPI_BASE_URL}/call`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${getApiKey()}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(payload),
+  });
+
+  if (!response.ok) {
+    const text = await response.text();
+    logger.error("[voiceGateway] Vapi create call error:", response.status, text);
+    const error = new Error("Vapi create call failed");
+    error.statusCode = response.status;
+    throw error;
+  }
+
+  const data = await response.json();
+  logger.debug("[voiceGateway] Vapi create call response:", {
+    id: data.id,
+    status: data.status,
+    phoneNumberId: data.phoneNumberId,
+    assistantId: data.assistantId,
+  });
+
+  return {
+    callId: data.id || null,
+    raw: data,
+  };
+}
+
+async function getCall(callId) {
+  if (!getApiKey()) return null;
+  const resp = await fetch(`${VAPI_BASE_URL}/call/${callId}`, {
+    headers: { Authorization: `Bearer ${getApiKey()}` },
+  });
+  if (!resp.ok) {
+    logger.error("[getVapiCall] Error fetching call", callId, resp.status);
+    return null;
+  }
+  return resp.json();
+}
+
+// Live-control URL of a call in progress; throws 409 when the call has none
+async function getControlUrl(callId, call) {
+  let controlUrl = call?.monitor?.controlUrl || null;
+  if (!controlUrl && callId) {
+    const current = await getCall(callId);
+    controlUrl = current?.monitor?.controlUrl || null;
+  }
+  if (!controlUrl) {
+    const error = new Error(`No live control URL for call ${callId}`);
+    error.statusCode = 409;
+    throw error;
+  }
+  return controlUrl;
+}
+
+/**
+ * Hand a live call to a human through the call's live-control URL. `message`
+ * is spoken to the agent before the caller is connected (warm transfer).
+ */
+async function transferCall({ callId, call = null, destination, message = null, content = null }) {
+  assertConfigured();
+  const controlUrl = await getControlUrl(callId, call);
+
+  const payload = {
+    type: "transfer",
+    destination: {
+      type: "number",
+      number: destination.number,
+      ...(destination.extension ? { extension: destination.extension } : {}),
+      ...(message ? { transferPlan: { mode: "warm-transfer-say-message", message } } : {}),
+    },
+    ...(content ? { content } : {}),
+  };
+
+  const response = await fetch(controlUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+
+  if (!response.ok) {
+    const text = await response.text();
+    logger.error("[voiceGateway] Vapi transfer error:", response.status, text);
+    const error = new Error("Vapi transfer failed");
+    error.statusCode = response.status;
+    throw error;
+  }
+
+  return { transferred: true };
+}
+
+// End a live call (the assistant hangs up)
+async function hangUpCall({ callId, call = null }) {
+  assertConfigured();
+  const controlUrl = await getControlUrl(callId, call);
+
+  const response = await fetch(controlUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ type: "end-call" }),
+  });
+
+  if (!response.ok) {
+    const text = await response.text();
+    logger.error("[voiceGateway] Vapi end call error:", response.status, text);
+    const error = new Error("Vapi end call failed");
+    error.statusCode = response.status;
+    throw error;
+  }
+
+  return { ended: true };
+}
+
+// Calls created after `createdAfter` (ms or ISO), newest first
+async function listCalls({ createdAfter, limit = 100 } = {}) {
+  assertConfigured();
+  const params = new URLSearchParams({ limit: String(limit) });
+  if (createdAfter) params.set("createdAtGt", new Date(createdAfter).toISOString());
+
+  const response = await fetch(`${VAPI_BASE_URL}/call?${params}`, {
+    headers: { Authorization: `Bearer ${getApiKey()}` },
+  });
+  if (!response.ok) {
+    const error = new Error("Vapi list calls failed");
+    error.statusCode = response.status;
+    throw error;
+  }
+  const data = await response.json();
+  return Array.isArray(data) ? data : data.results || [];
+}
+
+// Normalizes a Vapi server message (end-of-call-report, tool-calls, status-update, ...)
+function parseWebhook(body = {}) {
+  const msg = body.message || body;
+  const call = msg.call || body.call || {};
+  const callId = call.id || msg.callId || body.callId || null;
+  const metadata = call.metadata || msg.metadata || body.metadata || {};
+
+  const rawSummary =
+    body.summary ||
+    body.call_summary ||
+    msg.summary ||
+    msg.analysis?.summary ||
+    call.summary ||
+    null;
+
+  return {
+    type: msg.type || null,
+    callId,
+    call,
+    metadata,
+    leadId:
+      metadata.convosoLeadId ||
+      metadata.lead_id ||
+      metadata.leadId ||
+      call.lead_id ||
+      call.leadId ||
+      null,
+    summary: (rawSummary || "").trim(),
+    endedReason: msg.endedReason || call.endedReason || null,
+    transcript: msg.transcript || msg.artifact?.transcript || null,
+    recordingUrl: msg.recordingUrl || msg.artifact?.recordingUrl || null,
+    startedAt: msg.startedAt || call.startedAt || null,
+    endedAt: msg.endedAt || call.endedAt || null,
+    durationSeconds: msg.durationSeconds ?? null,
+    structuredData: msg.analysis?.structuredData || null,
+    raw: body,
+  };
+}
+
+module.exports = {
+  name: "vapi",
+  assertConfigured,
+  createCall,
+  getCall,
+  transferCall,
+  hangUpCall,
+  listCalls,
+  parseWebhook,
+};
@@ -1,13 +1,12 @@
 // voiceGateway.js
 
-const fetch = require("node-fetch");
 const { isMorganEnabled } = require("./morganToggle");
 const { setLastVapi429At } = require("./rateLimitState");
-
-// --- Vapi env vars ---
-const VAPI_API_KEY             = process.env.VAPI_API_KEY;
-const VAPI_MORGAN_ASSISTANT_ID = process.env.VAPI_MORGAN_ASSISTANT_ID;
-const VAPI_RILEY_ASSISTANT_ID  = process.env.VAPI_RILEY_ASSISTANT_ID || null;
+const { incCounter } = require("./metrics");
+const { getVoiceProvider } = require("./voiceProviders");
+const { getAssistantId } = require("./assistantRouting");
+const { logger } = require("./logger");
+const { validatePhoneNumber } = require("./phoneNumbers");
 
 // Support one or many phoneNumberIds for Vapi, comma-separated
 let vapiPhoneNumberIds = [];
@@ -33,40 +32,29 @@ function getNextVapiPhoneNumberId() {
   return id;
 }
 
+// Any assistant registered in the routing table (morgan, riley, ...) by name
 function getAssistantIdForAgent(agentName, explicitAssistantId) {
   if (explicitAssistantId) return explicitAssistantId;
-
-  const name = (agentName || "").toLowerCase();
-
-  if (name === "morgan") return VAPI_MORGAN_ASSISTANT_ID;
-  if (name === "riley") return VAPI_RILEY_ASSISTANT_ID;
-
-  return null;
+  return getAssistantId(agentName);
 }
 
-// 🔧 Helper to normalize any phone input to E.164 (US default)
-function normalizeToE164(raw) {
-  if (!raw) return null;
-
-  let s = String(raw).trim();
+// Convoso fields the call handlers read back from the call metadata (lead,
+// list, number, name, state, plus the two the queue ranks on). Everything
+// else in the Convoso row stays out of the voice provider.
+const CALL_LEAD_FIELDS = ["lead_id", "list_id", "phone_number", "first_name", "last_name", "state", "created_at", "called_count"];
 
-  // Remove everything except digits and +
-  s = s.replace(/[^\d+]/g, "");
-
-  // If it starts with + and has at least 8–10 digits, assume it's already E.164-ish
-  if (s.startsWith("+")) {
-    return s;
+function toCallLead(convosoLead) {
+  if (!convosoLead) return null;
+  const out = {};
+  for (const field of CALL_LEAD_FIELDS) {
+    if (convosoLead[field] != null && convosoLead[field] !== "") out[field] = convosoLead[field];
   }
-
-  // Otherwise assume US and prepend +1
-  const digitsOnly = s.replace(/\D/g, "");
-  if (!digitsOnly) return null;
-
-  return "+1" + digitsOnly;
+  return out;
 }
 
 /**
  * PUBLIC: startOutboundCall
+ * metadata.convosoLead may be a whole Convoso row; only CALL_LEAD_FIELDS are sent.
  */
 async function startOutboundCall({
   agentType,
@@ -76,29 +64,35 @@ async function startOutboundCall({
   metadata = {},
   callName,
   phoneNumberId,
+  assistantOverrides = null,
 }) {
   const resolvedAgentType = (agentType || agentName || "morgan").toLowerCase();
 
-  if (resolvedAgentType === "morgan" && !isMorganEnabled()) {
-    console.log("[Morgan] Disabled: startOutboundCall skipped");
+  if (resolvedAgentType === "morgan" && !isMorganEnabled(metadata.convosoListId ?? null)) {
+    logger.info("[Morgan] Disabled: startOutboundCall skipped");
     return;
   }
 
-  if (!VAPI_API_KEY) {
-    throw new Error("Missing VAPI_API_KEY env var");
-  }
+  const provider = getVoiceProvider();
+  provider.assertConfigured();
 
   if (!toNumber) {
     throw new Error("startOutboundCall requires toNumber");
   }
 
-  // ⬇️ Normalize here no matter what the caller passes
-  const customerNumber = normalizeToE164(toNumber);
-  if (!customerNumber) {
-    throw new Error(`Invalid toNumber: "${toNumber}" could not be normalized to E.164`);
+  // ⬇️ Validate and normalize here no matter what the caller passes
+  const phone = validatePhoneNumber(toNumber);
+  if (!phone.valid) {
+    const error = new Error(`Invalid toNumber: ${phone.message} (${phone.reason})`);
+    error.code = "invalid_phone";
+    error.reason = phone.reason;
+    throw error;
   }
+  const customerNumber = phone.e164;
 
-  const resolvedAssistantId = getAssistantIdForAgent(agentName, assistantId);
+  const resolvedAssistantId =
+    getAssistantIdForAgent(agentName, assistantId) ||
+    (provider.defaultAssistantId ? provider.defaultAssistantId(agentName) : null);
   if (!resolvedAssistantId) {
     throw new Error(
       `No Vapi assistantId resolved. Set VAPI_MORGAN_ASSISTANT_ID / VAPI_RILEY_ASSISTANT_ID or pass assistantId directly.`
@@ -106,55 +100,91 @@ async function startOutboundCall({
   }
 
   const resolvedPhoneNumberId = phoneNumberId || getNextVapiPhoneNumberId();
-
-  const payload = {
-    assistantId: resolvedAssistantId,
-    phoneNumberId: resolvedPhoneNumberId,
-    customer: {
-      number: customerNumber,
-    },
-    metadata,
-    name: callName || `${agentName || "Agent"} Outbound Call`,
-  };
-
+  const callMetadata = "convosoLead" in metadata ? { ...metadata, convosoLead: toCallLead(metadata.convosoLead) } : metadata;
 
   try {
-    const response = await fetch("https://api.vapi.ai/call", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${VAPI_API_KEY}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(payload),
+    const { callId, raw } = await provider.createCall({
+      assistantId: resolvedAssistantId,
+      phoneNumberId: resolvedPhoneNumberId,
+      customerNumber,
+      metadata: callMetadata,
+      name: callName || `${agentName || "Agent"} Outbound Call`,
+      assistantOverrides,
     });
 
-    if (!response.ok) {
-      const text = await response.text();
-      console.error("[voiceGateway] Vapi create call error:", response.status, text);
-      const error = new Error("Vapi create call failed");
-      error.statusCode = response.status;
-      throw error;
-    }
-
-    const data = await response.json();
-    console.log("[voiceGateway] Vapi create call response:", JSON.stringify(data).slice(0, 500));
-
     return {
-      provider: "vapi",
-      callId: data.id || null,
-      raw: data,
+      provider: provider.name,
+      callId: callId || null,
+      assistantId: resolvedAssistantId,
+      phoneNumberId: resolvedPhoneNumberId,
+      raw,
     };
   } catch (err) {
     if (err && (err.statusCode === 429 || String(err.message || "").includes("429"))) {
-      console.error("[voiceGateway] Vapi create call error: 429 Rate limit exceeded");
+      logger.error(`[voiceGateway] ${provider.name} create call error: 429 Rate limit exceeded`);
       setLastVapi429At(Date.now());
+      incCounter("morgan_vapi_rate_limited_total");
     } else {
-      console.error("[voiceGateway] Vapi create call error:", err);
+      logger.error(`[voiceGateway] ${provider.name} create call error:`, err);
     }
     throw err;
   }
 }
 
+/**
+ * PUBLIC: getCall — current provider-side state of a call, or null if unknown
+ */
+async function getCall(callId) {
+  return getVoiceProvider().getCall(callId);
+}
+
+/**
+ * PUBLIC: transferCall — hand a live call to a human agent
+ */
+async function transferCall({ callId, call, destination, message, content }) {
+  const provider = getVoiceProvider();
+  if (typeof provider.transferCall !== "function") {
+    throw new Error(`Voice provider "${provider.name}" does not support transfers`);
+  }
+  if (!destination || !destination.number) {
+    throw new Error("transferCall requires a destination number");
+  }
+  return provider.transferCall({ callId, call, destination, message, content });
+}
+
+/**
+ * PUBLIC: hangUpCall — end a live call
+ */
+async function hangUpCall({ callId, call }) {
+  const provider = getVoiceProvider();
+  if (typeof provider.hangUpCall !== "function") {
+    throw new Error(`Voice provider "${provider.name}" cannot end calls`);
+  }
+  return provider.hangUpCall({ callId, call });
+}
+
+/**
+ * PUBLIC: listCalls — recent provider calls (empty when the provider can't list them)
+ */
+async function listCalls({ createdAfter } = {}) {
+  const provider = getVoiceProvider();
+  if (typeof provider.listCalls !== "function") return [];
+  return provider.listCalls({ createdAfter });
+}
+
+/**
+ * PUBLIC: parseWebhook — normalize a provider webhook body into a call event
+ */
+function parseWebhook(body) {
+  return getVoiceProvider().parseWebhook(body);
+}
+
 module.exports = {
+  toCallLead,
   startOutboundCall,
+  getCall,
+  transferCall,
+  hangUpCall,
+  listCalls,
+  parseWebhook,
 };
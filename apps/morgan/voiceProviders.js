@@ -0,0 +1,44 @@
+// voiceProviders.js
+// Registry of voice providers. A provider implements:
+//   name                                  -> string reported back to callers
+//   assertConfigured()                    -> throws if credentials are missing
+//   createCall({ assistantId, phoneNumberId, customerNumber, metadata, name, assistantOverrides })
+//                                         -> { callId, raw }
+//   getCall(callId)                       -> provider call object ({ status, endedReason, ... }) or null
+//   parseWebhook(body)                    -> normalized event ({ type, callId, leadId, summary, endedReason, ... })
+// Optional: defaultAssistantId(agentName) when no assistant env var is set;
+//   transferCall({ callId, call, destination: { number, extension }, message, content })
+//                                         -> hands a live call to a human (warm transfer);
+//   hangUpCall({ callId, call })          -> ends a live call;
+//   listCalls({ createdAfter })           -> recent provider call objects, newest first.
+
+const vapiProvider = require("./vapiProvider");
+const simulatorProvider = require("./simulatorProvider");
+
+const providers = new Map([
+  [vapiProvider.name, vapiProvider],
+  [simulatorProvider.name, simulatorProvider],
+]);
+
+function registerVoiceProvider(provider) {
+  if (!provider || !provider.name) throw new Error("Voice provider must have a name");
+  for (const fn of ["createCall", "getCall", "parseWebhook"]) {
+    if (typeof provider[fn] !== "function") {
+      throw new Error(`Voice provider "${provider.name}" is missing ${fn}()`);
+    }
+  }
+  providers.set(provider.name, provider);
+}
+
+function getVoiceProvider(name = process.env.VOICE_PROVIDER || "vapi") {
+  const provider = providers.get(String(name).toLowerCase());
+  if (!provider) {
+    throw new Error(`Unknown VOICE_PROVIDER "${name}". Expected one of: ${[...providers.keys()].join(", ")}`);
+  }
+  return provider;
+}
+
+module.exports = {
+  getVoiceProvider,
+  registerVoiceProvider,
+};
@@ -0,0 +1,172 @@
+// warmTransfer.js
+// Picks a licensed human agent for a lead Morgan has qualified and keeps a
+// persisted log of every transfer attempt. The roster comes from the ops-api
+// (active agents licensed in the lead's state) and is cached per state, with
+// the last good copy used while the ops-api is unreachable.
+
+const { loadState, saveState } = require("./stateStore");
+const { resolveLeadState } = require("./callingWindows");
+const { opsApiRequest } = require("./opsApiClient");
+const { logger } = require("./logger");
+
+const TRANSFERS_STATE_KEY = "transfers";
+const MAX_TRANSFERS = 5000;
+const ROSTER_TTL_MS = 60 * 1000;
+
+// Oldest first: { id, at, callId, leadId, state, agentId, agentName, destination, status, error }
+let transfers = null;
+let transferCounter = 0;
+// stateCode -> { agents, fetchedAt }
+const rosterCache = new Map();
+
+function getTransfers() {
+  if (!transfers) {
+    const saved = loadState(TRANSFERS_STATE_KEY, []);
+    transfers = Array.isArray(saved) ? saved : [];
+  }
+  return transfers;
+}
+
+// Minutes an agent is left alone after taking a transfer (they are likely still on it)
+function getAgentCooldownMs() {
+  const minutes = Number(process.env.MORGAN_TRANSFER_AGENT_COOLDOWN_MINUTES);
+  return (Number.isFinite(minutes) && minutes >= 0 ? minutes : 10) * 60 * 1000;
+}
+
+async function fetchLicensedAgents(stateCode) {
+  const agents = await opsApiRequest(`/agents/licensed?state=${encodeURIComponent(stateCode)}`);
+  return Array.isArray(agents) ? agents : [];
+}
+
+/**
+ * Active agents licensed in the lead's state (a lead object, "TX" or "Texas").
+ * Throws when the state is unknown, or the ops-api fails with nothing cached.
+ */
+async function getLicensedAgents(leadOrState, { now = Date.now(), fetchAgents = fetchLicensedAgents } = {}) {
+  const stateCode = resolveLeadState(typeof leadOrState === "string" ? { state: leadOrState } : leadOrState);
+  if (!stateCode) throw new Error("Lead state is unknown, cannot match a licensed agent");
+
+  const cached = rosterCache.get(stateCode);
+  if (cached && now - cached.fetchedAt < ROSTER_TTL_MS) return cached.agents;
+
+  try {
+    const agents = await fetchAgents(stateCode);
+    rosterCache.set(stateCode, { agents, fetchedAt: now });
+    return agents;
+  } catch (err) {
+    if (!cached) throw err;
+    logger.warn(`[warmTransfer] ops-api roster fetch failed for ${stateCode}; using cached roster:`, err.message);
+    return cached.agents;
+  }
+}
+
+/**
+ * Where to send the call for an agent. A full phone number in the agent's
+ * extension field is dialed directly; a short extension is dialed on the
+ * shared MORGAN_TRANSFER_NUMBER line. Returns null when neither works.
+ */
+function getTransferDestination(agent) {
+  const digits = String(agent?.extension || "").replace(/\D/g, "");
+  if (!digits) return null;
+  if (digits.length === 10) return { number: `+1${digits}`, extension: null };
+  if (digits.length === 11 && digits.startsWith("1")) return { number: `+${digits}`, extension: null };
+  const mainLine = process.env.MORGAN_TRANSFER_NUMBER;
+  return mainLine ? { number: mainLine.trim(), extension: digits } : null;
+}
+
+function lastTransferAt(agentId) {
+  const all = getTransfers();
+  for (let i = all.length - 1; i >= 0; i--) {
+    if (all[i].agentId === agentId && all[i].status === "transferred") return Date.parse(all[i].at);
+  }
+  return null;
+}
+
+/**
+ * Choose who takes the call: agents with a reachable destination who have not
+ * taken a transfer within the cooldown, least recently used first (roster
+ * order breaks ties). Returns { agent, destination } or null.
+ */
+function pickTransferAgent(agents, { now = Date.now() } = {}) {
+  const cooldownMs = getAgentCooldownMs();
+  const candidates = [];
+  (agents || []).forEach((agent, index) => {
+    const destination = getTransferDestination(agent);
+    if (!destination) return;
+    const last = lastTransferAt(agent.id);
+    if (last != null && now - last < cooldownMs) return;
+    candidates.push({ agent, destination, last: last ?? -Infinity, index });
+  });
+  candidates.sort((a, b) => a.last - b.last || a.index - b.index);
+  return candidates.length ? { agent: candidates[0].agent, destination: candidates[0].destination } : null;
+}
+
+/**
+ * Log a transfer attempt. status: "transferred" | "failed" | "no-agent".
+ */
+function recordTransfer({
+  callId = null,
+  leadId = null,
+  state = null,
+  agent = null,
+  destination = null,
+  status,
+  error = null,
+  at = Date.now(),
+}) {
+  transferCounter += 1;
+  const entry = {
+    id: `xfer-${at}-${transferCounter}`,
+    at: new Date(at).toISOString(),
+    callId: callId ? String(callId) : null,
+    leadId: leadId != null ? String(leadId) : null,
+    state,
+    agentId: agent?.id || null,
+    agentName: agent?.name || null,
+    destination,
+    status,
+    error: error ? String(error) : null,
+  };
+  const all = getTransfers();
+  all.push(entry);
+  if (all.length > MAX_TRANSFERS) all.splice(0, all.length - MAX_TRANSFERS);
+  saveState(TRANSFERS_STATE_KEY, () => getTransfers());
+  return entry;
+}
+
+// The successful transfer for a call, if any (a retried tool call must not transfer twice)
+function getCallTransfer(callId) {
+  if (!callId) return null;
+  return getTransfers().find((t) => t.callId === String(callId) && t.status === "transferred") || null;
+}
+
+// Newest first
+function listTransfers({ leadId, status, agentId, limit = 100 } = {}) {
+  const matches = getTransfers().filter(
+    (t) =>
+      (leadId == null || t.leadId === String(leadId)) &&
+      (!status || t.status === status) &&
+      (!agentId || t.agentId === agentId)
+  );
+  return {
+    total: matches.length,
+    transfers: matches.slice(-Math.max(1, limit)).reverse(),
+  };
+}
+
+// Test helper: forget cached state so the next call reloads from the store
+function resetWarmTransfer() {
+  transfers = null;
+  transferCounter = 0;
+  rosterCache.clear();
+}
+
+module.exports = {
+  getLicensedAgents,
+  getTransferDestination,
+  pickTransferAgent,
+  recordTransfer,
+  getCallTransfer,
+  listTransfers,
+  resetWarmTransfer,
+};
@@ -1,3 +1,4 @@
+import { timingSafeEqual } from "crypto";
 import type { NextFunction, Request, Response } from "express";
 import { SESSION_COOKIE, verifySessionToken } from "@ops/auth";
 import type { AppRole } from "@ops/types";
@@ -22,6 +23,31 @@ export const requireAuth = (req: Request, res: Response, next: NextFunction) =>
   return next();
 };
 
+// Service-to-service calls (the Morgan voice service) send a shared secret in
+// x-service-token. Session JWTs expire after 12h, so a service can't hold one.
+const SERVICE_TOKEN_HEADER = "x-service-token";
+
+const hasServiceToken = (req: Request): boolean => {
+  const secret = process.env.OPS_SERVICE_TOKEN;
+  const provided = req.headers[SERVICE_TOKEN_HEADER];
+  if (!secret || typeof provided !== "string") return false;
+  const a = Buffer.from(provided);
+  const b = Buffer.from(secret);
+  return a.length === b.length && timingSafeEqual(a, b);
+};
+
+export const requireServiceToken = (req: Request, res: Response, next: NextFunction) => {
+  if (!process.env.OPS_SERVICE_TOKEN) return res.status(500).json({ error: "Service token not configured" });
+  if (!hasServiceToken(req)) return res.status(401).json({ error: "Invalid service token" });
+  return next();
+};
+
+// Routes read by both the dashboards (session) and services (service token)
+export const requireAuthOrService = (req: Request, res: Response, next: NextFunction) => {
+  if (hasServiceToken(req)) return next();
+  return requireAuth(req, res, next);
+};
+
 export const requireRole = (...roles: AppRole[]) => (req: Request, res: Response, next: NextFunction) => {
   if (!req.user) return res.status(401).json({ error: "Unauthorized" });
   const userRoles = req.user.roles ?? [];
@@ -5,6 +5,7 @@ import { requireAuth, requireRole } from "../middleware/auth";
 import { logAudit } from "../services/audit";
 import { getAgentRetentionKpis } from "../services/agentKpiAggregator";
 import { getOwnerTrends } from "../services/trendAggregator";
+import { MORGAN_REPORT_GROUPS, MorganReportError, fetchMorganReport, fetchMorganReportCsv } from "../services/morganReports";
 import { zodErr, asyncHandler, dateRange, dateRangeQuerySchema } from "./helpers";
 import { cacheWrap } from "../services/cache";
 
@@ -35,6 +36,42 @@ router.get("/owner/trends", requireAuth, requireRole("OWNER_VIEW", "SUPER_ADMIN"
   res.json(result);
 }));
 
+// ─── Morgan AI Call Reports (proxied from the Morgan service) ───
+
+const morganReportQuerySchema = dateRangeQuerySchema.extend({
+  groupBy: z.enum(MORGAN_REPORT_GROUPS).default("day"),
+});
+
+/** Owner-facing query to Morgan's; with no range Morgan reports its last 7 days. */
+function morganReportQuery(data: z.infer<typeof morganReportQuerySchema>) {
+  const dr = dateRange(data.range, data.from, data.to);
+  return { groupBy: data.groupBy, since: dr?.gte, until: dr?.lt };
+}
+
+router.get("/owner/morgan-calls", requireAuth, requireRole("OWNER_VIEW", "SUPER_ADMIN"), asyncHandler(async (req, res) => {
+  const qp = morganReportQuerySchema.safeParse(req.query);
+  if (!qp.success) return res.status(400).json(zodErr(qp.error));
+  try {
+    res.json(await fetchMorganReport(morganReportQuery(qp.data)));
+  } catch (err) {
+    if (err instanceof MorganReportError) return res.status(err.statusCode).json({ error: err.message });
+    throw err;
+  }
+}));
+
+router.get("/owner/morgan-calls.csv", requireAuth, requireRole("OWNER_VIEW", "SUPER_ADMIN"), asyncHandler(async (req, res) => {
+  const qp = morganReportQuerySchema.safeParse(req.query);
+  if (!qp.success) return res.status(400).json(zodErr(qp.error));
+  try {
+    const csv = await fetchMorganReportCsv(morganReportQuery(qp.data));
+    res.setHeader("Content-Disposition", `attachment; filename="morgan-calls-by-${qp.data.groupBy}.csv"`);
+    res.type("text/csv").send(csv);
+  } catch (err) {
+    if (err instanceof MorganReportError) return res.status(err.statusCode).json({ error: err.message });
+    throw err;
+  }
+}));
+
 // ─── Permission Management ──────────────────────────────────────
 
 const CONFIGURABLE_PERMISSIONS = [
@@ -1,9 +1,9 @@
 import { Router } from "express";
 import { z } from "zod";
 import { prisma } from "@ops/db";
-import { requireAuth, requireRole } from "../middleware/auth";
+import { requireAuth, requireAuthOrService, requireRole } from "../middleware/auth";
 import { logAudit } from "../services/audit";
-import { zodErr, asyncHandler, isPrismaError, idParamSchema, booleanQueryParam } from "./helpers";
+import { zodErr, asyncHandler, isPrismaError, idParamSchema, booleanQueryParam, stateCodesSchema } from "./helpers";
 
 const router = Router();
 
@@ -80,6 +80,56 @@ router.patch("/agents/:id", requireAuth, requireRole("MANAGER", "SUPER_ADMIN"),
   }
 }));
 
+// Active agents licensed in a state (used by Morgan's warm transfer tool)
+router.get("/agents/licensed", requireAuthOrService, asyncHandler(async (req, res) => {
+  const parsed = z.object({ state: z.string().length(2).regex(/^[A-Za-z]{2}$/) }).safeParse(req.query);
+  if (!parsed.success) return res.status(400).json(zodErr(parsed.error));
+  const stateCode = parsed.data.state.toUpperCase();
+  const agents = await prisma.agent.findMany({
+    where: { active: true, stateLicenses: { some: { stateCode } } },
+    select: { id: true, name: true, extension: true, displayOrder: true },
+    orderBy: { displayOrder: "asc" },
+  });
+  res.json(agents);
+}));
+
+router.get("/agents/:id/state-licenses", requireAuth, asyncHandler(async (req, res) => {
+  const pp = idParamSchema.safeParse(req.params);
+  if (!pp.success) return res.status(400).json(zodErr(pp.error));
+  const entries = await prisma.agentStateLicense.findMany({
+    where: { agentId: pp.data.id },
+    select: { stateCode: true },
+    orderBy: { stateCode: "asc" },
+  });
+  res.json(entries.map((e: (typeof entries)[number]) => e.stateCode));
+}));
+
+router.put("/agents/:id/state-licenses", requireAuth, requireRole("MANAGER", "SUPER_ADMIN"), asyncHandler(async (req, res) => {
+  const pp = idParamSchema.safeParse(req.params);
+  if (!pp.success) return res.status(400).json(zodErr(pp.error));
+  const schema = z.object({ stateCodes: stateCodesSchema });
+  const parsed = schema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json(zodErr(parsed.error));
+
+  const agent = await prisma.agent.findUnique({ where: { id: pp.data.id } });
+  if (!agent) return res.status(404).json({ error: "Agent not found" });
+
+  await prisma.$transaction([
+    prisma.agentStateLicense.deleteMany({ where: { agentId: pp.data.id } }),
+    prisma.agentStateLicense.createMany({
+      data: parsed.data.stateCodes.map(sc => ({ agentId: pp.data.id, stateCode: sc })),
+    }),
+  ]);
+  await logAudit(req.user!.id, "UPDATE", "AgentStateLicense", pp.data.id, { stateCodes: parsed.data.stateCodes });
+
+  const result = await prisma.agentStateLicense.findMany({
+    where: { agentId: pp.data.id },
+    select: { stateCode: true },
+    orderBy: { stateCode: "asc" },
+  });
+  res.json(result.map((e: (typeof result)[number]) => e.stateCode));
+}));
+
 router.get("/lead-sources", requireAuth, asyncHandler(async (_req, res) => res.json(await prisma.leadSource.findMany({ where: { active: true } }))));
 
 router.post("/lead-sources", requireAuth, requireRole("MANAGER", "SUPER_ADMIN"), asyncHandler(async (req, res) => {
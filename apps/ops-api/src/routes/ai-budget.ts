@@ -67,12 +67,14 @@ router.get("/ai/scoring-stats", requireAuth, requireRole("OWNER_VIEW", "SUPER_AD
   });
   const agentIds = agentGroups.map((g: (typeof agentGroups)[number]) => g.agentId);
   const agents = agentIds.length > 0
-    ? await prisma.agent.findMany({ where: { id: { in: agentIds } }, select: { id: true, name: true } })
+    ? await prisma.agent.findMany({ where: { id: { in: agentIds } }, select: { id: true, name: true, isVirtual: true } })
     : [];
-  const agentMap = new Map(agents.map((a: (typeof agents)[number]) => [a.id, a.name]));
+  const agentMap = new Map(agents.map((a: (typeof agents)[number]) => [a.id, a]));
   const agentBreakdown = agentGroups.map((g: (typeof agentGroups)[number]) => ({
     agentId: g.agentId,
-    agentName: agentMap.get(g.agentId) ?? "Unknown",
+    agentName: agentMap.get(g.agentId)?.name ?? "Unknown",
+    // AI assistants (Morgan) scored alongside human agents
+    isVirtual: agentMap.get(g.agentId)?.isVirtual ?? false,
     avgScore: Math.round(g._avg.aiScore ?? 0),
     auditCount: g._count.id,
   }));
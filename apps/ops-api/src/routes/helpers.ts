@@ -1,5 +1,6 @@
 import { Request, Response, NextFunction } from "express";
 import { z } from "zod";
+import { US_STATES } from "@ops/types";
 
 /** Format Zod errors so the response always includes an `error` key for dashboard display. */
 export function zodErr(ze: z.ZodError) {
@@ -97,5 +98,15 @@ export const idParamSchema = z.object({
   id: z.string().min(1, "ID is required"),
 });
 
+const US_STATE_CODES = new Set<string>(US_STATES.map(s => s.code));
+
+/** Zod schema for a list of US state codes (packages/types US_STATES); repeated codes are dropped */
+export const stateCodesSchema = z
+  .array(
+    z.string().trim().toUpperCase().refine(code => US_STATE_CODES.has(code), code => ({ message: `Unknown state code: ${code}` })),
+  )
+  .max(100)
+  .transform(codes => [...new Set(codes)]);
+
 /** Zod schema for boolean-ish query params (e.g., ?all=true) */
 export const booleanQueryParam = z.enum(["true", "false"]).optional().transform(v => v === "true");
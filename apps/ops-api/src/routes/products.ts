@@ -1,13 +1,13 @@
 import { Router } from "express";
 import { z } from "zod";
 import { prisma } from "@ops/db";
-import { requireAuth, requireRole } from "../middleware/auth";
+import { requireAuth, requireAuthOrService, requireRole } from "../middleware/auth";
 import { logAudit } from "../services/audit";
 import { zodErr, asyncHandler, isPrismaError, idParamSchema, booleanQueryParam } from "./helpers";
 
 const router = Router();
 
-router.get("/products", requireAuth, asyncHandler(async (req, res) => {
+router.get("/products", requireAuthOrService, asyncHandler(async (req, res) => {
   const allQuery = z.object({ all: booleanQueryParam }).safeParse(req.query);
   const includeInactive = allQuery.success && allQuery.data.all;
   res.json(await prisma.product.findMany({
@@ -1,8 +1,10 @@
 import { Router, Request, Response, NextFunction } from "express";
 import { z } from "zod";
 import { prisma } from "@ops/db";
-import { enqueueAuditJob } from "../services/auditQueue";
-import { zodErr, asyncHandler } from "./helpers";
+import { enqueueAuditJob, isWithinAuditDuration } from "../services/auditQueue";
+import { ingestAiCall } from "../services/aiCallLogs";
+import { requireServiceToken } from "../middleware/auth";
+import { zodErr, asyncHandler, isPrismaError } from "./helpers";
 
 const router = Router();
 
@@ -48,6 +50,7 @@ router.post("/webhooks/convoso", requireWebhookSecret, asyncHandler(async (req,
       callTimestamp: call_timestamp ? new Date(call_timestamp) : new Date(),
       agentId: agent?.id ?? null,
       leadSourceId: leadSource?.id ?? null,
+      convosoLeadId: lead_id != null ? String(lead_id) : null,
     },
   });
 
@@ -71,16 +74,7 @@ router.post("/webhooks/convoso", requireWebhookSecret, asyncHandler(async (req,
   let auditEligible = !!(recording_url && agent?.auditEnabled);
 
   // Check min/max duration filters from settings
-  if (auditEligible && call_duration_seconds !== undefined) {
-    const [minSetting, maxSetting] = await Promise.all([
-      prisma.salesBoardSetting.findUnique({ where: { key: "audit_min_seconds" } }),
-      prisma.salesBoardSetting.findUnique({ where: { key: "audit_max_seconds" } }),
-    ]);
-    const minSec = minSetting ? parseInt(minSetting.value, 10) : 0;
-    const maxSec = maxSetting ? parseInt(maxSetting.value, 10) : 0;
-    if (minSec > 0 && call_duration_seconds < minSec) auditEligible = false;
-    if (maxSec > 0 && call_duration_seconds > maxSec) auditEligible = false;
-  }
+  if (auditEligible) auditEligible = await isWithinAuditDuration(call_duration_seconds);
 
   if (auditEligible) {
     enqueueAuditJob(log.id);
@@ -92,4 +86,46 @@ router.post("/webhooks/convoso", requireWebhookSecret, asyncHandler(async (req,
   return res.status(201).json({ id: log.id, matched: { agent: !!agent, leadSource: !!leadSource } });
 }));
 
+// ── Morgan (AI) call log ────────────────────────────────────────
+// Morgan pushes each completed call here with the shared service token (not a
+// dashboard session, so users can't forge AI call logs); the call is filed
+// under the assistant's virtual agent and audited like a human call.
+router.post("/webhooks/morgan/calls", requireServiceToken, asyncHandler(async (req, res) => {
+  const schema = z.object({
+    call_id: z.string().min(1),
+    assistant: z.string().min(1).max(64),
+    assistant_name: z.string().max(100).optional(),
+    list_id: z.string().min(1),
+    lead_id: z.union([z.number(), z.string()]).optional(),
+    lead_phone: z.string().optional(),
+    recording_url: z.string().url().optional(),
+    call_duration_seconds: z.number().int().min(0).optional(),
+    call_timestamp: z.string().datetime().optional(),
+    outcome: z.string().max(32).optional(),
+  });
+  const parsed = schema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json(zodErr(parsed.error));
+  const body = parsed.data;
+
+  try {
+    const result = await ingestAiCall({
+      callId: body.call_id,
+      assistant: body.assistant,
+      assistantName: body.assistant_name,
+      listId: body.list_id,
+      leadId: body.lead_id != null ? String(body.lead_id) : undefined,
+      leadPhone: body.lead_phone,
+      recordingUrl: body.recording_url,
+      callDurationSeconds: body.call_duration_seconds,
+      callTimestamp: body.call_timestamp,
+      outcome: body.outcome,
+    });
+    return res.status(result.duplicate ? 200 : 201).json(result);
+  } catch (e) {
+    // Two pushes of the same call raced past the duplicate check
+    if (isPrismaError(e) && e.code === "P2002") return res.status(200).json({ duplicate: true });
+    throw e;
+  }
+}));
+
 export default router;
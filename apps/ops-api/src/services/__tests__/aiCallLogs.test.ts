@@ -0,0 +1,147 @@
+import { prisma } from "@ops/db";
+import { enqueueAuditJob, isWithinAuditDuration } from "../auditQueue";
+import { ingestAiCall, virtualAgentUser } from "../aiCallLogs";
+
+jest.mock("../auditQueue", () => ({
+  enqueueAuditJob: jest.fn(async () => {}),
+  isWithinAuditDuration: jest.fn(async () => true),
+}));
+
+const db = prisma as any;
+
+const morganAgent = { id: "agent-ai-morgan", email: "ai:morgan", auditEnabled: true };
+
+const call = {
+  callId: "vapi-call-1",
+  assistant: "Morgan",
+  assistantName: "Morgan",
+  listId: "28001",
+  leadId: "555",
+  leadPhone: "+15125550100",
+  recordingUrl: "https://storage.vapi.ai/vapi-call-1.wav",
+  callDurationSeconds: 312,
+  callTimestamp: "2026-03-04T16:00:00.000Z",
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.agent = { upsert: jest.fn(async () => morganAgent) };
+  db.leadSource = { findFirst: jest.fn(async () => ({ id: "ls-1" })) };
+  db.convosoCallLog = {
+    findUnique: jest.fn(async () => null),
+    create: jest.fn(async ({ data }: any) => ({ id: "log-1", ...data })),
+    update: jest.fn(async () => ({})),
+    updateMany: jest.fn(async () => ({ count: 1 })),
+  };
+});
+
+describe("virtualAgentUser", () => {
+  it("files each assistant under its own CRM user", () => {
+    expect(virtualAgentUser(" Morgan ")).toBe("ai:morgan");
+    expect(virtualAgentUser("riley")).toBe("ai:riley");
+  });
+});
+
+describe("ingestAiCall", () => {
+  it("logs the call under the assistant's virtual agent and queues the audit", async () => {
+    const result = await ingestAiCall(call);
+
+    expect(result).toEqual({ id: "log-1", duplicate: false, auditQueued: true });
+    expect(db.agent.upsert).toHaveBeenCalledWith({
+      where: { email: "ai:morgan" },
+      update: {},
+      create: expect.objectContaining({
+        name: "Morgan (AI)",
+        active: false,
+        isVirtual: true,
+        auditEnabled: true,
+      }),
+    });
+    expect(db.convosoCallLog.create).toHaveBeenCalledWith({
+      data: {
+        agentUser: "ai:morgan",
+        listId: "28001",
+        recordingUrl: call.recordingUrl,
+        callDurationSeconds: 312,
+        callTimestamp: new Date(call.callTimestamp),
+        agentId: "agent-ai-morgan",
+        leadSourceId: "ls-1",
+        leadPhone: "+15125550100",
+        convosoLeadId: "555",
+        externalCallId: "vapi-call-1",
+      },
+    });
+    expect(isWithinAuditDuration).toHaveBeenCalledWith(312);
+    expect(enqueueAuditJob).toHaveBeenCalledWith("log-1");
+  });
+
+  it("ignores a call it has already logged", async () => {
+    db.convosoCallLog.findUnique.mockResolvedValueOnce({ id: "log-0", recordingUrl: call.recordingUrl });
+    db.convosoCallLog.updateMany.mockResolvedValueOnce({ count: 0 });
+
+    expect(await ingestAiCall(call)).toEqual({ id: "log-0", duplicate: true, auditQueued: false });
+    expect(db.convosoCallLog.create).not.toHaveBeenCalled();
+    expect(enqueueAuditJob).not.toHaveBeenCalled();
+  });
+
+  it("completes a call logged without a recording and queues the audit then", async () => {
+    db.convosoCallLog.findUnique.mockResolvedValueOnce({ id: "log-0", recordingUrl: null });
+
+    expect(await ingestAiCall({ ...call, outcome: "completed" })).toEqual({
+      id: "log-0",
+      duplicate: true,
+      auditQueued: true,
+    });
+    expect(db.convosoCallLog.updateMany).toHaveBeenCalledWith({
+      where: { id: "log-0", recordingUrl: null },
+      data: { recordingUrl: call.recordingUrl, callDurationSeconds: 312 },
+    });
+    expect(db.convosoCallLog.create).not.toHaveBeenCalled();
+    expect(enqueueAuditJob).toHaveBeenCalledWith("log-0");
+  });
+
+  it("does not touch a logged call when the later push has no recording either", async () => {
+    db.convosoCallLog.findUnique.mockResolvedValueOnce({ id: "log-0", recordingUrl: null });
+
+    const result = await ingestAiCall({ ...call, recordingUrl: undefined, outcome: "completed" });
+
+    expect(result).toEqual({ id: "log-0", duplicate: true, auditQueued: false });
+    expect(db.convosoCallLog.updateMany).not.toHaveBeenCalled();
+    expect(enqueueAuditJob).not.toHaveBeenCalled();
+  });
+
+  it("skips the audit outside the owner's duration filter", async () => {
+    (isWithinAuditDuration as jest.Mock).mockResolvedValueOnce(false);
+
+    const result = await ingestAiCall({ ...call, callDurationSeconds: 20 });
+
+    expect(result.auditQueued).toBe(false);
+    expect(enqueueAuditJob).not.toHaveBeenCalled();
+    expect(db.convosoCallLog.update).toHaveBeenCalledWith({ where: { id: "log-1" }, data: { auditStatus: "skipped" } });
+  });
+
+  it("logs but does not audit calls that reached no one", async () => {
+    for (const outcome of ["voicemail", "no-answer", "busy", "failed"]) {
+      expect((await ingestAiCall({ ...call, outcome })).auditQueued).toBe(false);
+    }
+    expect(enqueueAuditJob).not.toHaveBeenCalled();
+    expect(db.convosoCallLog.create).toHaveBeenCalledTimes(4);
+    expect(db.convosoCallLog.update).toHaveBeenCalledWith({ where: { id: "log-1" }, data: { auditStatus: "skipped" } });
+
+    expect((await ingestAiCall({ ...call, outcome: "hang-up" })).auditQueued).toBe(true);
+  });
+
+  it("does not audit a virtual agent the owner switched off", async () => {
+    db.agent.upsert.mockResolvedValueOnce({ ...morganAgent, auditEnabled: false });
+
+    expect((await ingestAiCall(call)).auditQueued).toBe(false);
+    expect(enqueueAuditJob).not.toHaveBeenCalled();
+  });
+
+  it("leaves calls without a recording pending", async () => {
+    const result = await ingestAiCall({ ...call, recordingUrl: undefined });
+
+    expect(result.auditQueued).toBe(false);
+    expect(db.convosoCallLog.update).not.toHaveBeenCalled();
+  });
+});
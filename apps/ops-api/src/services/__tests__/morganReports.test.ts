@@ -0,0 +1,71 @@
+import { MorganReportError, fetchMorganReport, fetchMorganReportCsv, isMorganConfigured } from "../morganReports";
+
+const fetchMock = jest.fn();
+const originalFetch = global.fetch;
+
+function jsonResponse(status: number, body: unknown) {
+  return { ok: status < 400, status, json: async () => body, text: async () => JSON.stringify(body) };
+}
+
+beforeEach(() => {
+  fetchMock.mockReset();
+  global.fetch = fetchMock as unknown as typeof fetch;
+  process.env.MORGAN_API_URL = "http://morgan.internal:3000";
+  process.env.MORGAN_ADMIN_TOKEN = "admin-token";
+});
+
+afterAll(() => {
+  global.fetch = originalFetch;
+  delete process.env.MORGAN_API_URL;
+  delete process.env.MORGAN_ADMIN_TOKEN;
+});
+
+describe("fetchMorganReport", () => {
+  it("asks Morgan for the window with the admin token and drops the success flag", async () => {
+    fetchMock.mockResolvedValue(jsonResponse(200, { success: true, groupBy: "list", rows: [], totals: { dials: 0 } }));
+
+    const report = await fetchMorganReport({
+      groupBy: "list",
+      since: new Date("2026-03-01T05:00:00.000Z"),
+      until: new Date("2026-03-08T05:00:00.000Z"),
+    });
+
+    expect(report).toEqual({ groupBy: "list", rows: [], totals: { dials: 0 } });
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe(
+      "http://morgan.internal:3000/admin/morgan/reports?groupBy=list" +
+        "&since=2026-03-01T05%3A00%3A00.000Z&until=2026-03-08T05%3A00%3A00.000Z",
+    );
+    expect(init.headers).toEqual({ Authorization: "Bearer admin-token" });
+  });
+
+  it("passes Morgan's validation errors through and hides the rest behind a 502", async () => {
+    fetchMock.mockResolvedValueOnce(jsonResponse(400, { success: false, error: "since must be before until" }));
+    await expect(fetchMorganReport({ groupBy: "day" })).rejects.toMatchObject({
+      statusCode: 400,
+      message: "since must be before until",
+    });
+
+    fetchMock.mockResolvedValueOnce(jsonResponse(401, { error: "Unauthorized" }));
+    await expect(fetchMorganReport({ groupBy: "day" })).rejects.toMatchObject({ statusCode: 502 });
+
+    fetchMock.mockRejectedValueOnce(new Error("connect ECONNREFUSED"));
+    await expect(fetchMorganReport({ groupBy: "day" })).rejects.toMatchObject({ statusCode: 502 });
+  });
+
+  it("refuses to call Morgan until it is configured", async () => {
+    delete process.env.MORGAN_ADMIN_TOKEN;
+    expect(isMorganConfigured()).toBe(false);
+    await expect(fetchMorganReport({ groupBy: "day" })).rejects.toBeInstanceOf(MorganReportError);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
+
+describe("fetchMorganReportCsv", () => {
+  it("returns Morgan's CSV as-is", async () => {
+    fetchMock.mockResolvedValue({ ok: true, status: 200, text: async () => "day,dials\n2026-03-04,12\n" });
+
+    expect(await fetchMorganReportCsv({ groupBy: "day" })).toBe("day,dials\n2026-03-04,12\n");
+    expect(fetchMock.mock.calls[0][0]).toBe("http://morgan.internal:3000/admin/morgan/reports.csv?groupBy=day");
+  });
+});
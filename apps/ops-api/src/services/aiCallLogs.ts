@@ -0,0 +1,121 @@
+import { prisma } from "@ops/db";
+import { enqueueAuditJob, isWithinAuditDuration } from "./auditQueue";
+
+/**
+ * Calls placed by Morgan's AI assistants. Each assistant is a virtual agent:
+ * an inactive Agent row (so it stays off the sales board, payroll and KPI
+ * rosters) with audits enabled, so its calls go through the same
+ * transcription, scoring and CallAudit records as human agents' calls.
+ * Calls that never reached a person (voicemail, no answer, busy, failed) are
+ * logged but not audited: there is no conversation to score.
+ */
+
+export const AI_UNREACHED_OUTCOMES = ["voicemail", "no-answer", "busy", "failed"] as const;
+
+export interface AiCallInput {
+  callId: string;
+  assistant: string;
+  assistantName?: string;
+  listId: string;
+  leadId?: string;
+  leadPhone?: string;
+  recordingUrl?: string;
+  callDurationSeconds?: number;
+  callTimestamp?: string;
+  /** Morgan's outcome class: completed, transferred, hang-up, voicemail, ... */
+  outcome?: string;
+}
+
+export interface AiCallResult {
+  id: string;
+  duplicate: boolean;
+  auditQueued: boolean;
+}
+
+/** CRM user the virtual agent is filed under, e.g. "ai:morgan". */
+export function virtualAgentUser(assistant: string): string {
+  return `ai:${assistant.trim().toLowerCase()}`;
+}
+
+export async function findOrCreateVirtualAgent(assistant: string, assistantName?: string) {
+  const email = virtualAgentUser(assistant);
+  return prisma.agent.upsert({
+    where: { email },
+    update: {},
+    create: {
+      name: `${assistantName || assistant} (AI)`,
+      email,
+      active: false,
+      isVirtual: true,
+      auditEnabled: true,
+      auditEnabledAt: new Date(),
+    },
+  });
+}
+
+/**
+ * Log one completed AI call and queue it for audit. Idempotent on callId, so
+ * Morgan can retry a push it never got an answer for.
+ */
+export async function ingestAiCall(input: AiCallInput): Promise<AiCallResult> {
+  const existing = await prisma.convosoCallLog.findUnique({ where: { externalCallId: input.callId } });
+  if (existing) return completeAiCall(existing.id, input);
+
+  const agent = await findOrCreateVirtualAgent(input.assistant, input.assistantName);
+  const leadSource = await prisma.leadSource.findFirst({ where: { listId: input.listId } });
+
+  const log = await prisma.convosoCallLog.create({
+    data: {
+      agentUser: agent.email!,
+      listId: input.listId,
+      recordingUrl: input.recordingUrl,
+      callDurationSeconds: input.callDurationSeconds ?? null,
+      callTimestamp: input.callTimestamp ? new Date(input.callTimestamp) : new Date(),
+      agentId: agent.id,
+      leadSourceId: leadSource?.id ?? null,
+      leadPhone: input.leadPhone ?? null,
+      convosoLeadId: input.leadId ?? null,
+      externalCallId: input.callId,
+    },
+  });
+
+  const auditQueued = await queueAiAudit(log.id, agent.auditEnabled, input);
+  return { id: log.id, duplicate: false, auditQueued };
+}
+
+/**
+ * A later push for a call already logged. Morgan's stuck-call watchdog logs a
+ * call it hung up before the provider's end-of-call report arrives; that
+ * report brings the recording and duration, so they are filled in and the
+ * audit decided then. Only the first push with a recording claims the log.
+ */
+async function completeAiCall(logId: string, input: AiCallInput): Promise<AiCallResult> {
+  if (!input.recordingUrl) return { id: logId, duplicate: true, auditQueued: false };
+
+  const { count } = await prisma.convosoCallLog.updateMany({
+    where: { id: logId, recordingUrl: null },
+    data: {
+      recordingUrl: input.recordingUrl,
+      ...(input.callDurationSeconds != null ? { callDurationSeconds: input.callDurationSeconds } : {}),
+    },
+  });
+  if (!count) return { id: logId, duplicate: true, auditQueued: false };
+
+  const agent = await findOrCreateVirtualAgent(input.assistant, input.assistantName);
+  const auditQueued = await queueAiAudit(logId, agent.auditEnabled, input);
+  return { id: logId, duplicate: true, auditQueued };
+}
+
+async function queueAiAudit(logId: string, auditEnabled: boolean, input: AiCallInput): Promise<boolean> {
+  const reached = !(AI_UNREACHED_OUTCOMES as readonly string[]).includes(input.outcome ?? "");
+  const auditEligible = !!(input.recordingUrl && auditEnabled && reached)
+    && await isWithinAuditDuration(input.callDurationSeconds);
+
+  if (auditEligible) {
+    await enqueueAuditJob(logId);
+  } else if (input.recordingUrl) {
+    // Mark as skipped so it doesn't sit as "pending"
+    await prisma.convosoCallLog.update({ where: { id: logId }, data: { auditStatus: "skipped" } });
+  }
+  return auditEligible;
+}
@@ -22,6 +22,21 @@ export async function enqueueAuditJob(callLogId: string): Promise<void> {
   processNext();
 }
 
+// ── Owner duration filter for calls arriving by webhook ──────────
+
+export async function isWithinAuditDuration(durationSeconds?: number | null): Promise<boolean> {
+  if (durationSeconds == null) return true;
+  const [minSetting, maxSetting] = await Promise.all([
+    prisma.salesBoardSetting.findUnique({ where: { key: "audit_min_seconds" } }),
+    prisma.salesBoardSetting.findUnique({ where: { key: "audit_max_seconds" } }),
+  ]);
+  const minSec = minSetting ? parseInt(minSetting.value, 10) : 0;
+  const maxSec = maxSetting ? parseInt(maxSetting.value, 10) : 0;
+  if (minSec > 0 && durationSeconds < minSec) return false;
+  if (maxSec > 0 && durationSeconds > maxSec) return false;
+  return true;
+}
+
 // ── Batch enqueue eligible calls for auto-scoring ────────────────
 
 export async function enqueueAutoScore(): Promise<number> {
@@ -0,0 +1,69 @@
+/**
+ * Morgan campaign reports (dials, connects, talk time, outcomes, retries,
+ * DNC skips) fetched from the Morgan service's admin API, so owners see the
+ * AI dialer next to the human agent KPIs. The Morgan admin token stays on
+ * the server; the dashboard only talks to ops-api.
+ */
+
+export const MORGAN_REPORT_GROUPS = ["day", "hour", "list", "assistant", "slot"] as const;
+export type MorganReportGroup = (typeof MORGAN_REPORT_GROUPS)[number];
+
+export interface MorganReportQuery {
+  groupBy: MorganReportGroup;
+  since?: Date;
+  until?: Date;
+}
+
+export class MorganReportError extends Error {
+  constructor(message: string, public statusCode: number) {
+    super(message);
+    this.name = "MorganReportError";
+  }
+}
+
+export function isMorganConfigured(): boolean {
+  return Boolean(process.env.MORGAN_API_URL && process.env.MORGAN_ADMIN_TOKEN);
+}
+
+function reportUrl(path: string, query: MorganReportQuery): string {
+  const url = new URL(path, process.env.MORGAN_API_URL);
+  url.searchParams.set("groupBy", query.groupBy);
+  if (query.since) url.searchParams.set("since", query.since.toISOString());
+  if (query.until) url.searchParams.set("until", query.until.toISOString());
+  return url.toString();
+}
+
+async function requestReport(path: string, query: MorganReportQuery): Promise<Response> {
+  if (!isMorganConfigured()) {
+    throw new MorganReportError("Morgan reporting is not configured (MORGAN_API_URL, MORGAN_ADMIN_TOKEN)", 503);
+  }
+
+  let response: Response;
+  try {
+    response = await fetch(reportUrl(path, query), {
+      headers: { Authorization: `Bearer ${process.env.MORGAN_ADMIN_TOKEN}` },
+      signal: AbortSignal.timeout(15000),
+    });
+  } catch (err) {
+    throw new MorganReportError(`Morgan service unreachable: ${(err as Error).message}`, 502);
+  }
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => null) as { error?: string } | null;
+    // Bad filters are the caller's to fix; anything else is Morgan's problem
+    const status = response.status === 400 ? 400 : 502;
+    throw new MorganReportError(body?.error ?? `Morgan service returned ${response.status}`, status);
+  }
+  return response;
+}
+
+export async function fetchMorganReport(query: MorganReportQuery): Promise<Record<string, unknown>> {
+  const response = await requestReport("/admin/morgan/reports", query);
+  const { success: _success, ...report } = await response.json() as Record<string, unknown>;
+  return report;
+}
+
+export async function fetchMorganReportCsv(query: MorganReportQuery): Promise<string> {
+  const response = await requestReport("/admin/morgan/reports.csv", query);
+  return response.text();
+}
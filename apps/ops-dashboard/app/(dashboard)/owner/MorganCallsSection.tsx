@@ -0,0 +1,273 @@
+"use client";
+import React, { useState, useEffect } from "react";
+import {
+  StatCard,
+  EmptyState,
+  SkeletonTable,
+  Select,
+  useToast,
+  colors,
+  radius,
+  spacing,
+  typography,
+  motion,
+  baseCardStyle,
+  baseThStyle,
+  baseTdStyle,
+  colorAlpha,
+} from "@ops/ui";
+import type { DateRangeFilterValue } from "@ops/ui";
+import { authFetch } from "@ops/auth/client";
+import { Bot, PhoneOutgoing, PhoneCall, Clock, ArrowRightLeft, Download } from "lucide-react";
+
+/* ── Types ────────────────────────────────────────────────────── */
+
+type GroupBy = "day" | "hour" | "list" | "assistant" | "slot";
+
+type ReportRow = {
+  key: string;
+  dials: number;
+  connects: number;
+  connectRate: number | null;
+  talkSeconds: number;
+  avgTalkSeconds: number | null;
+  outcomes: Record<string, number>;
+  inProgress: number;
+  notes: number;
+  retries: number;
+  exhausted: number;
+  dncSkips: number;
+};
+
+type MorganReport = { groupBy: GroupBy; since: string; until: string; rows: ReportRow[]; totals: ReportRow };
+
+const GROUP_LABELS: Record<GroupBy, string> = {
+  day: "Day",
+  hour: "Hour (ET)",
+  list: "Lead List",
+  assistant: "Assistant",
+  slot: "Phone Slot",
+};
+
+/* ── Styles ───────────────────────────────────────────────────── */
+
+const CARD: React.CSSProperties = {
+  ...baseCardStyle,
+  borderRadius: radius["2xl"],
+  padding: 0,
+  overflow: "hidden",
+  marginTop: 24,
+};
+
+const SECTION_TITLE: React.CSSProperties = {
+  fontSize: typography.sizes.md.fontSize,
+  fontWeight: typography.weights.bold,
+  color: colors.textPrimary,
+  letterSpacing: typography.tracking.tight,
+  margin: 0,
+};
+
+const SECTION_SUBTITLE: React.CSSProperties = {
+  fontSize: typography.sizes.sm.fontSize,
+  color: colors.textTertiary,
+  margin: "4px 0 0",
+};
+
+const EXPORT_BUTTON: React.CSSProperties = {
+  display: "inline-flex",
+  alignItems: "center",
+  gap: 6,
+  background: "rgba(255,255,255,0.06)",
+  border: `1px solid ${colorAlpha(colors.textMuted, 0.25)}`,
+  borderRadius: radius.md,
+  color: colors.textSecondary,
+  padding: "6px 14px",
+  fontSize: typography.sizes.sm.fontSize,
+  cursor: "pointer",
+};
+
+/* ── Helpers ──────────────────────────────────────────────────── */
+
+function buildDateParams(dr: DateRangeFilterValue): string {
+  if (dr.preset === "custom" && dr.from && dr.to) return `from=${dr.from}&to=${dr.to}`;
+  if (dr.preset && dr.preset !== "custom") return `range=${dr.preset}`;
+  return "";
+}
+
+function fmtTalkTime(seconds: number | null): string {
+  if (!seconds) return "—";
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  return h ? `${h}h ${m}m` : `${m}:${s.toString().padStart(2, "0")}`;
+}
+
+function fmtRate(rate: number | null): string {
+  return rate == null ? "—" : `${(rate * 100).toFixed(1)}%`;
+}
+
+/* ── MorganCallsSection ───────────────────────────────────────── */
+
+export default function MorganCallsSection({ API, dateRange }: { API: string; dateRange: DateRangeFilterValue }) {
+  const { toast } = useToast();
+  const [groupBy, setGroupBy] = useState<GroupBy>("day");
+  const [report, setReport] = useState<MorganReport | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+
+  const dp = buildDateParams(dateRange);
+  const qs = `groupBy=${groupBy}${dp ? `&${dp}` : ""}`;
+
+  useEffect(() => {
+    setLoading(true);
+    authFetch(`${API}/api/owner/morgan-calls?${qs}`)
+      .then(async (r) => {
+        const body = await r.json().catch(() => ({}));
+        if (!r.ok) throw new Error(body.error ?? `Request failed (${r.status})`);
+        setReport(body);
+        setError(null);
+      })
+      .catch((err: Error) => { setReport(null); setError(err.message); })
+      .finally(() => setLoading(false));
+  }, [API, qs]);
+
+  function exportCsv() {
+    authFetch(`${API}/api/owner/morgan-calls.csv?${qs}`)
+      .then((r) => {
+        if (!r.ok) throw new Error(`Request failed (${r.status})`);
+        return r.blob();
+      })
+      .then((blob) => {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = `morgan-calls-by-${groupBy}-${new Date().toISOString().slice(0, 10)}.csv`;
+        a.click();
+        URL.revokeObjectURL(url);
+      })
+      .catch(() => { toast("error", "Failed to export AI call report"); });
+  }
+
+  const totals = report?.totals;
+
+  return (
+    <div className="animate-fade-in-up stagger-5" style={CARD}>
+      <div
+        className="stack-mobile gap-mobile-sm"
+        style={{ padding: "16px 24px", borderBottom: `1px solid ${colors.borderSubtle}`, display: "flex", alignItems: "center", justifyContent: "space-between", gap: spacing[3] }}
+      >
+        <div style={{ display: "flex", alignItems: "center", gap: spacing[3] }}>
+          <Bot size={18} color={colors.accentTeal} />
+          <div>
+            <h3 style={SECTION_TITLE}>AI Calls (Morgan)</h3>
+            <p style={SECTION_SUBTITLE}>Dials, connects and outcomes from the AI dialer</p>
+          </div>
+        </div>
+        <div style={{ display: "flex", alignItems: "center", gap: spacing[2] }}>
+          <Select
+            aria-label="Group AI calls by"
+            className="touch-target"
+            value={groupBy}
+            onChange={(e) => setGroupBy(e.target.value as GroupBy)}
+          >
+            {(Object.keys(GROUP_LABELS) as GroupBy[]).map((g) => (
+              <option key={g} value={g}>By {GROUP_LABELS[g]}</option>
+            ))}
+          </Select>
+          {report && report.rows.length > 0 && (
+            <button onClick={exportCsv} className="touch-target" style={EXPORT_BUTTON}>
+              <Download size={14} /> Export CSV
+            </button>
+          )}
+        </div>
+      </div>
+
+      {loading ? (
+        <div style={{ padding: 24 }}>
+          <SkeletonTable rows={5} columns={8} />
+        </div>
+      ) : error || !report || !totals ? (
+        <EmptyState
+          icon={<Bot size={32} />}
+          title="AI call report unavailable"
+          description={error ?? "The Morgan service did not return a report."}
+        />
+      ) : (
+        <>
+          <div
+            className="grid-mobile-1"
+            style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(200px, 1fr))", gap: 16, padding: 24 }}
+          >
+            <StatCard label="Dials" value={totals.dials} icon={<PhoneOutgoing size={18} />} accent={colors.accentTeal} />
+            <StatCard label="Connect Rate" value={fmtRate(totals.connectRate)} icon={<PhoneCall size={18} />} accent={colors.success} />
+            <StatCard label="Talk Time" value={fmtTalkTime(totals.talkSeconds)} icon={<Clock size={18} />} accent={colors.info} />
+            <StatCard label="Transfers" value={totals.outcomes.transferred ?? 0} icon={<ArrowRightLeft size={18} />} accent={colors.warning} />
+          </div>
+
+          {report.rows.length === 0 ? (
+            <EmptyState
+              icon={<Bot size={32} />}
+              title="No AI calls in this range"
+              description="Calls Morgan places will appear here, next to your agents' numbers."
+            />
+          ) : (
+            <div style={{ overflowX: "auto" }}>
+              <table className="responsive-table" style={{ width: "100%", borderCollapse: "collapse" }}>
+                <thead>
+                  <tr style={{ background: colors.bgSurfaceInset }}>
+                    <th style={baseThStyle}>{GROUP_LABELS[report.groupBy]}</th>
+                    <th style={{ ...baseThStyle, textAlign: "right" }}>Dials</th>
+                    <th style={{ ...baseThStyle, textAlign: "right" }}>Connects</th>
+                    <th style={{ ...baseThStyle, textAlign: "right" }}>Rate</th>
+                    <th style={{ ...baseThStyle, textAlign: "right" }}>Talk</th>
+                    <th style={{ ...baseThStyle, textAlign: "right" }}>Avg</th>
+                    <th style={{ ...baseThStyle, textAlign: "right" }}>Transfers</th>
+                    <th style={{ ...baseThStyle, textAlign: "right" }}>Voicemail</th>
+                    <th style={{ ...baseThStyle, textAlign: "right" }}>Notes</th>
+                    <th style={{ ...baseThStyle, textAlign: "right" }}>Retries</th>
+                    <th style={{ ...baseThStyle, textAlign: "right" }}>DNC Skips</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[...report.rows, totals].map((row) => {
+                    const isTotal = row === totals;
+                    const cell: React.CSSProperties = {
+                      ...baseTdStyle,
+                      textAlign: "right",
+                      color: colors.textSecondary,
+                      fontWeight: isTotal ? typography.weights.bold : undefined,
+                    };
+                    return (
+                      <tr
+                        key={isTotal ? "__total" : row.key}
+                        className="row-hover"
+                        style={{
+                          transition: `background ${motion.duration.fast} ${motion.easing.out}`,
+                          ...(isTotal ? { borderTop: `2px solid ${colors.borderSubtle}` } : {}),
+                        }}
+                      >
+                        <td data-label={GROUP_LABELS[report.groupBy]} style={{ ...baseTdStyle, fontWeight: typography.weights.semibold, color: colors.textPrimary }}>
+                          {isTotal ? "Total" : row.key}
+                        </td>
+                        <td data-label="Dials" style={cell}>{row.dials}</td>
+                        <td data-label="Connects" style={cell}>{row.connects}</td>
+                        <td data-label="Rate" style={cell}>{fmtRate(row.connectRate)}</td>
+                        <td data-label="Talk" style={cell}>{fmtTalkTime(row.talkSeconds)}</td>
+                        <td data-label="Avg" style={cell}>{fmtTalkTime(row.avgTalkSeconds)}</td>
+                        <td data-label="Transfers" style={cell}>{row.outcomes.transferred ?? 0}</td>
+                        <td data-label="Voicemail" style={cell}>{row.outcomes.voicemail ?? 0}</td>
+                        <td data-label="Notes" style={cell}>{row.notes}</td>
+                        <td data-label="Retries" style={cell}>{row.retries}</td>
+                        <td data-label="DNC Skips" style={{ ...cell, color: row.dncSkips > 0 ? colors.danger : cell.color }}>{row.dncSkips}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
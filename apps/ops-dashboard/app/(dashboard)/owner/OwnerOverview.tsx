@@ -39,6 +39,7 @@ import {
   Activity,
   Download,
 } from "lucide-react";
+import MorganCallsSection from "./MorganCallsSection";
 
 /* ── Types ────────────────────────────────────────────────────── */
 
@@ -1116,6 +1117,7 @@ export default function OwnerOverview({
             leaderboard={data.leaderboard}
             compact={compact}
           />
+          <MorganCallsSection API={API} dateRange={dateRange} />
           <ActivityFeed events={feedEvents} />
         </>
       )}
@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "agent_state_licenses" (
+    "id" TEXT NOT NULL,
+    "agent_id" TEXT NOT NULL,
+    "state_code" VARCHAR(2) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "agent_state_licenses_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "agent_state_licenses_agent_id_state_code_key" ON "agent_state_licenses"("agent_id", "state_code");
+
+-- CreateIndex
+CREATE INDEX "agent_state_licenses_state_code_idx" ON "agent_state_licenses"("state_code");
+
+-- AddForeignKey
+ALTER TABLE "agent_state_licenses" ADD CONSTRAINT "agent_state_licenses_agent_id_fkey" FOREIGN KEY ("agent_id") REFERENCES "agents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "agents" ADD COLUMN "is_virtual" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "convoso_call_logs" ADD COLUMN "convoso_lead_id" TEXT,
+ADD COLUMN "external_call_id" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "convoso_call_logs_external_call_id_key" ON "convoso_call_logs"("external_call_id");
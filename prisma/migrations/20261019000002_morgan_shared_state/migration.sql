@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "morgan_leaders" (
+    "lock_id" INTEGER NOT NULL,
+    "instance_id" TEXT NOT NULL,
+    "url" TEXT,
+    "since" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "morgan_leaders_pkey" PRIMARY KEY ("lock_id")
+);
+
+-- CreateTable
+CREATE TABLE "morgan_state" (
+    "lock_id" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "data" JSONB NOT NULL,
+    "updated_by" TEXT,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "morgan_state_pkey" PRIMARY KEY ("lock_id","name")
+);